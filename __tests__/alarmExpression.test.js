@@ -0,0 +1,128 @@
+/**
+ * Jest Test Suite for the Alarm Expression Engine
+ */
+
+const {
+  compileExpression,
+  validateExpression,
+  evaluateExpression
+} = require('../utils/alarmExpression');
+
+describe('Alarm Expression Engine', () => {
+  const frame = {
+    'Device ID': '123',
+    Parameters: {
+      LOG: '1042',
+      EVENT: 'NORMAL',
+      REF1: '-0.85',
+      REF2: '-1.20',
+      REF3: '5.00',
+      DCV: '13.20',
+      DCI: '2.5',
+      ACV: '0.4',
+      'REF1 STS': 'OP',
+      'Digital Input 1': '1',
+      DO1: 'OFF'
+    }
+  };
+
+  describe('validation', () => {
+    it('should accept valid expressions and list referenced fields', () => {
+      const result = validateExpression("DCV > 12 && EVENT == 'NORMAL'");
+
+      expect(result.valid).toBe(true);
+      expect(result.fields).toEqual(['DCV', 'EVENT']);
+    });
+
+    it('should reject syntax errors with a position', () => {
+      const result = validateExpression('DCV > && 12');
+
+      expect(result.valid).toBe(false);
+      expect(result.position).toBe(6);
+      expect(result.error).toContain('position 7');
+    });
+
+    it('should reject unknown functions', () => {
+      const result = validateExpression('sqrt(DCV) > 2');
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain("Unknown function 'sqrt'");
+    });
+
+    it('should reject Object.prototype members used as functions', () => {
+      ['constructor(DCV) > 0', 'toString() == 1', 'hasOwnProperty(DCV)'].forEach(expression => {
+        const result = validateExpression(expression);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain('Unknown function');
+      });
+    });
+
+    it('should reject empty expressions', () => {
+      expect(validateExpression('').valid).toBe(false);
+      expect(validateExpression(null).valid).toBe(false);
+    });
+  });
+
+  describe('evaluation', () => {
+    it('should compare numeric strings as numbers', () => {
+      const result = evaluateExpression("DCV > 12 && EVENT == 'NORMAL'", frame);
+
+      expect(result.triggered).toBe(true);
+      expect(result.conditions.map(c => c.condition)).toEqual(['DCV > 12', "EVENT == 'NORMAL'"]);
+    });
+
+    it('should support arithmetic and functions', () => {
+      expect(evaluateExpression('abs(REF1 - REF2) > 0.3', frame).triggered).toBe(true);
+      expect(evaluateExpression('abs(REF1 - REF2) > 0.5', frame).triggered).toBe(false);
+      expect(evaluateExpression('max(REF1, REF2, REF3) >= 5', frame).triggered).toBe(true);
+    });
+
+    it('should resolve field names regardless of case, spaces and underscores', () => {
+      expect(evaluateExpression("REF1_STS == 'op'", frame).triggered).toBe(true);
+      expect(evaluateExpression("[REF1 STS] in ('OP', 'UP', 'FAIL')", frame).triggered).toBe(true);
+      expect(evaluateExpression('[Digital Input 1] == 1', frame).triggered).toBe(true);
+    });
+
+    it('should report every condition that fired, not just the first', () => {
+      const result = evaluateExpression('DCV > 12 || DCI > 2 || ACV > 1', frame);
+
+      expect(result.triggered).toBe(true);
+      expect(result.conditions).toHaveLength(2);
+      expect(result.conditions[0].description).toBe('DCV > 12 (DCV=13.20)');
+      expect(result.conditions[1].description).toBe('DCI > 2 (DCI=2.5)');
+    });
+
+    it('should not report conditions from branches that did not fire', () => {
+      const result = evaluateExpression('(DCV > 12 && DCI > 10) || ACV < 1', frame);
+
+      expect(result.triggered).toBe(true);
+      expect(result.conditions.map(c => c.condition)).toEqual(['ACV < 1']);
+    });
+
+    it('should treat thresholds of 0 as real thresholds', () => {
+      expect(evaluateExpression('REF1 < 0', frame).triggered).toBe(true);
+    });
+
+    it('should never trigger on missing fields', () => {
+      expect(evaluateExpression('DI4 > 0', frame).triggered).toBe(false);
+      expect(evaluateExpression("DI4 != 'CLOSE'", frame).triggered).toBe(false);
+      expect(evaluateExpression('exists(DI4)', frame).triggered).toBe(false);
+      expect(evaluateExpression('exists(DO1)', frame).triggered).toBe(true);
+    });
+
+    it('should let extra values override the payload', () => {
+      const result = evaluateExpression("EVENT != 'NORMAL'", frame, { EVENT: 'INT ON' });
+
+      expect(result.triggered).toBe(true);
+      expect(result.conditions[0].description).toBe("EVENT != 'NORMAL' (EVENT=INT ON)");
+    });
+
+    it('should reuse compiled expressions', () => {
+      const rule = compileExpression('DCV > 12');
+
+      expect(evaluateExpression(rule, { DCV: 13 }).triggered).toBe(true);
+      expect(evaluateExpression(rule, { DCV: 11 }).triggered).toBe(false);
+    });
+  });
+});
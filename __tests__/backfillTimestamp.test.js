@@ -0,0 +1,94 @@
+/**
+ * Jest Test Suite for Device Timestamps on Backfilled Frames
+ */
+
+const { parseDeviceTimestamp } = require('../utils/timeConverter');
+const mqttService = require('../services/mqttService');
+const telemetryIngestQueue = require('../services/telemetryIngestQueue');
+const telemetryRegistryService = require('../services/telemetryRegistryService');
+const telemetryRollupService = require('../services/telemetryRollupService');
+const dataQualityService = require('../services/dataQualityService');
+
+describe('Backfilled Frame Timestamps', () => {
+  const frame = (timeStamp) => ({
+    'Device ID': '123',
+    'Message Type': 'data',
+    Parameters: { LOG: '10', DCV: '13.2', ...(timeStamp === undefined ? {} : { TimeStamp: timeStamp }) }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(telemetryRegistryService, 'normalizeFrame').mockImplementation(async (deviceId, data) => ({
+      valid: true,
+      registry: 'default',
+      issues: [],
+      data
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    telemetryIngestQueue.queue = [];
+    telemetryIngestQueue.processor = null;
+  });
+
+  describe('parseDeviceTimestamp', () => {
+    it('should parse the device format as local time', () => {
+      const parsed = parseDeviceTimestamp('2026-03-04 14:16:52');
+
+      expect(parsed).toBeInstanceOf(Date);
+      expect(parsed.getHours()).toBe(14);
+      expect(parsed.getMinutes()).toBe(16);
+    });
+
+    it('should return null for missing, unparseable and numeric values', () => {
+      expect(parseDeviceTimestamp(undefined)).toBeNull();
+      expect(parseDeviceTimestamp('')).toBeNull();
+      expect(parseDeviceTimestamp('not a date')).toBeNull();
+      expect(parseDeviceTimestamp(1772633812)).toBeNull();
+    });
+  });
+
+  describe('buildTelemetryRecord', () => {
+    it('should report the field the device time came from', async () => {
+      const result = await mqttService.buildTelemetryRecord('123', frame('2026-03-04 14:16:52'));
+
+      expect(result.timestampSource).toBe('Parameters.TimeStamp');
+      expect(result.record.timestamp.getHours()).toBe(14);
+    });
+
+    it.each([
+      ['missing', undefined],
+      ['unparseable', '2026-13-45 99:99:99'],
+      ['numeric', 1772633812]
+    ])('should fall back to server time for a %s TimeStamp', async (label, timeStamp) => {
+      const result = await mqttService.buildTelemetryRecord('123', frame(timeStamp));
+
+      expect(result.timestampSource).toBe('server');
+    });
+  });
+
+  describe('ingest queue', () => {
+    it('should store only backfilled frames with a valid device timestamp', async () => {
+      const insertRecords = jest.spyOn(telemetryIngestQueue, 'insertRecords').mockImplementation(async built => built);
+      jest.spyOn(telemetryIngestQueue, 'skipBackfillDuplicates').mockImplementation(async built => built);
+      jest.spyOn(telemetryIngestQueue, 'updateDeviceStatuses').mockResolvedValue();
+      jest.spyOn(telemetryIngestQueue, 'runFrameHooks').mockResolvedValue();
+      jest.spyOn(telemetryRollupService, 'recordFrames').mockResolvedValue();
+      jest.spyOn(dataQualityService, 'checkFrames').mockResolvedValue();
+
+      telemetryIngestQueue.processor = mqttService;
+      [undefined, 'garbage', 1772633812, '2026-03-04 14:16:52'].forEach(timeStamp => {
+        telemetryIngestQueue.enqueue('123', frame(timeStamp), { backfill: true });
+      });
+      const failedBefore = telemetryIngestQueue.metrics.failed;
+
+      await telemetryIngestQueue.flush();
+
+      const stored = insertRecords.mock.calls[0][0];
+      expect(stored).toHaveLength(1);
+      expect(stored[0].built.record.backfilled).toBe(true);
+      expect(stored[0].built.timestampSource).toBe('Parameters.TimeStamp');
+      expect(telemetryIngestQueue.metrics.failed - failedBefore).toBe(3);
+    });
+  });
+});
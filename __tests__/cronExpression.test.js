@@ -0,0 +1,69 @@
+/**
+ * Jest Test Suite for the Cron Expression Utilities
+ */
+
+const {
+  parseCron,
+  validateCron,
+  getNextRun,
+  formatInTimeZone
+} = require('../utils/cronExpression');
+
+describe('Cron Expression Utilities', () => {
+  describe('parsing', () => {
+    it('should parse ranges, steps, lists and names', () => {
+      const parsed = parseCron('*/15 8-18/5 1,15 JAN-MAR MON-FRI');
+
+      expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+      expect([...parsed.hour]).toEqual([8, 13, 18]);
+      expect([...parsed.dayOfMonth]).toEqual([1, 15]);
+      expect([...parsed.month]).toEqual([1, 2, 3]);
+      expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(validateCron('0 9 * *').valid).toBe(false);
+      expect(validateCron('0 24 * * *').error).toContain('hour');
+      expect(validateCron('0 9 * * FUNDAY').valid).toBe(false);
+      expect(validateCron('*/0 * * * *').valid).toBe(false);
+      expect(validateCron('0 9 * * MON').valid).toBe(true);
+    });
+  });
+
+  describe('next run', () => {
+    it('should find the next weekly run in a time zone', () => {
+      // Monday 2026-10-19 15:30 IST, so the next Monday 09:00 IST is a week later
+      const next = getNextRun('0 9 * * MON', new Date('2026-10-19T10:00:00Z'), 'Asia/Kolkata');
+
+      expect(next.toISOString()).toBe('2026-10-26T03:30:00.000Z');
+      expect(formatInTimeZone(next, 'Asia/Kolkata')).toBe('2026-10-26 09:00:00');
+    });
+
+    it('should return a time strictly after the start', () => {
+      const next = getNextRun('0 9 * * *', new Date('2026-10-19T09:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-10-20T09:00:00.000Z');
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // 2026-10-15 is a Thursday; the 20th is a Tuesday
+      const next = getNextRun('0 0 20 * TUE', new Date('2026-10-15T00:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-10-20T00:00:00.000Z');
+    });
+
+    it('should run a time skipped by daylight saving just after the change', () => {
+      const next = getNextRun('30 2 * * *', new Date('2026-03-08T00:00:00Z'), 'America/New_York');
+
+      expect(next.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    it('should return null when the expression never matches', () => {
+      expect(getNextRun('0 0 31 2 *', new Date('2026-01-01T00:00:00Z'))).toBeNull();
+    });
+  });
+});
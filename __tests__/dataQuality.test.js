@@ -0,0 +1,119 @@
+/**
+ * Jest Test Suite for the LOG Counter Continuity Checks
+ */
+
+const dataQualityService = require('../services/dataQualityService');
+
+describe('Data Quality', () => {
+  const at = (minute) => new Date(Date.UTC(2026, 2, 4, 12, minute));
+  const previous = { log: 100, timestamp: at(10) };
+  const classify = (current, last = previous) => dataQualityService.classifyFrame(last, { backfill: false, ...current });
+  const types = (result) => result.events.map(event => event.type);
+
+  describe('classifyFrame', () => {
+    it('should accept the first frame of a device', () => {
+      expect(classify({ log: 5, timestamp: at(0) }, null)).toEqual({ events: [], framesLost: 0, advance: true });
+    });
+
+    it('should accept the next LOG number without events', () => {
+      expect(classify({ log: 101, timestamp: at(11) })).toEqual({ events: [], framesLost: 0, advance: true });
+    });
+
+    it('should report a gap with the frames lost', () => {
+      const result = classify({ log: 105, timestamp: at(15) });
+
+      expect(result.events).toEqual([{ type: 'gap', framesLost: 4, expectedLog: 101 }]);
+      expect(result.framesLost).toBe(4);
+      expect(result.advance).toBe(true);
+    });
+
+    it('should report a duplicate and not advance', () => {
+      const result = classify({ log: 100, timestamp: at(11) });
+
+      expect(types(result)).toEqual(['duplicate']);
+      expect(result.advance).toBe(false);
+    });
+
+    it('should treat a lower LOG with a newer timestamp as a counter reset', () => {
+      const result = classify({ log: 1, timestamp: at(11) });
+
+      expect(types(result)).toEqual(['reset']);
+      expect(result.framesLost).toBe(0);
+      expect(result.advance).toBe(true);
+    });
+
+    it('should treat a lower LOG with an older timestamp as out_of_order and not advance', () => {
+      const result = classify({ log: 98, timestamp: at(8) });
+
+      expect(types(result)).toEqual(['out_of_order']);
+      expect(result.advance).toBe(false);
+    });
+
+    it('should report a gap and out_of_order for a higher LOG with an older timestamp', () => {
+      const result = classify({ log: 103, timestamp: at(9) });
+
+      expect(types(result)).toEqual(['gap', 'out_of_order']);
+      expect(result.framesLost).toBe(2);
+      expect(result.advance).toBe(true);
+    });
+
+    it('should only check timestamps when a frame has no LOG', () => {
+      expect(classify({ log: null, timestamp: at(11) })).toEqual({ events: [], framesLost: 0, advance: true });
+
+      const late = classify({ log: null, timestamp: at(9) });
+      expect(types(late)).toEqual(['out_of_order']);
+      expect(late.advance).toBe(false);
+    });
+
+    it('should not report a late backfilled frame', () => {
+      expect(classify({ log: 97, timestamp: at(7), backfill: true })).toEqual({ events: [], framesLost: 0, advance: false });
+    });
+  });
+
+  describe('checkFrames', () => {
+    const entry = (log, minute, backfill = false) => ({
+      frame: { deviceId: 'DQ1', backfill },
+      built: { record: { _id: null, timestamp: at(minute) }, data: log === null ? {} : { LOG: String(log) } }
+    });
+
+    beforeEach(() => {
+      dataQualityService.lastFrames.set('DQ1', { ...previous });
+      dataQualityService.recentLosses.set('DQ1', []);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      dataQualityService.lastFrames.delete('DQ1');
+      dataQualityService.recentLosses.delete('DQ1');
+    });
+
+    it('should keep the previous LOG when a frame has no LOG', async () => {
+      const entries = [entry(null, 11), entry(102, 12)];
+      const DataQualityEvent = require('../models/DataQualityEvent');
+      jest.spyOn(DataQualityEvent, 'insertMany').mockResolvedValue([]);
+
+      await dataQualityService.checkFrames(entries);
+
+      expect(entries[1].built.quality.framesLost).toBe(1);
+      expect(dataQualityService.lastFrames.get('DQ1')).toEqual({ log: 102, timestamp: at(12) });
+    });
+
+    it('should stop counting lost frames that arrive later as backfill', async () => {
+      const DataQualityEvent = require('../models/DataQualityEvent');
+      jest.spyOn(DataQualityEvent, 'insertMany').mockResolvedValue([]);
+      const bulkWrite = jest.spyOn(DataQualityEvent, 'bulkWrite').mockResolvedValue({});
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await dataQualityService.checkFrames([entry(105, 15)]);
+      expect(dataQualityService.getFramesLost('DQ1', 60, at(20))).toBe(4);
+
+      await dataQualityService.checkFrames([entry(102, 12, true), entry(103, 13, true), entry(90, 5, true)]);
+
+      expect(dataQualityService.getFramesLost('DQ1', 60, at(20))).toBe(2);
+      expect(bulkWrite.mock.calls[0][0]).toHaveLength(2);
+      expect(bulkWrite.mock.calls[0][0][0].updateOne.filter).toEqual({ deviceId: 'DQ1', type: 'gap', timestamp: at(15), expectedLog: 101 });
+      expect(dataQualityService.lastFrames.get('DQ1')).toEqual({ log: 105, timestamp: at(15) });
+    });
+  });
+});
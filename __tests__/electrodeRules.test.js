@@ -0,0 +1,41 @@
+/**
+ * Jest Test Suite for the Electrode Rules
+ */
+
+const {
+  toElectrodeCode,
+  resolveElectrode,
+  validateSetUp,
+  validateReferenceParameters
+} = require('../utils/electrodeRules');
+
+describe('Electrode Rules', () => {
+  it('should map codes and names to electrode codes', () => {
+    expect(toElectrodeCode(0)).toBe(0);
+    expect(toElectrodeCode('2')).toBe(2);
+    expect(toElectrodeCode(' Zinc ')).toBe(1);
+    expect(toElectrodeCode('Custom')).toBe(3);
+  });
+
+  it('should return null for unknown and partly numeric values', () => {
+    ['2abc', 'garbage', '', 5, 1.5, true, undefined, null].forEach(value => {
+      expect(toElectrodeCode(value)).toBeNull();
+    });
+  });
+
+  it('should default only a missing stored electrode to Cu/CuSO4', () => {
+    expect(resolveElectrode(undefined)).toBe(0);
+    expect(resolveElectrode(null)).toBe(0);
+    expect(resolveElectrode(7)).toBeNull();
+  });
+
+  it('should reject reference values for an unknown electrode', () => {
+    expect(validateSetUp('0.80', 0).valid).toBe(true);
+    expect(validateSetUp('0.80', '2abc').valid).toBe(false);
+    expect(validateSetUp(null, '2abc').valid).toBe(true);
+
+    const errors = validateReferenceParameters({ 'Reference UP': '0.80' }, null);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('Unknown electrode');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Jest Test Suite for the Prometheus Text Format Utilities
+ */
+
+const {
+  formatMetric,
+  formatMetrics,
+  escapeLabelValue
+} = require('../utils/prometheus');
+
+describe('Prometheus Text Format', () => {
+  it('should render help, type and labelled samples', () => {
+    const text = formatMetric({
+      name: 'iot_mqtt_messages_received_total',
+      help: 'MQTT messages received',
+      type: 'counter',
+      samples: [
+        { labels: { type: 'data' }, value: 42 },
+        { labels: { type: 'status' }, value: 3 }
+      ]
+    });
+
+    expect(text).toBe([
+      '# HELP iot_mqtt_messages_received_total MQTT messages received',
+      '# TYPE iot_mqtt_messages_received_total counter',
+      'iot_mqtt_messages_received_total{type="data"} 42',
+      'iot_mqtt_messages_received_total{type="status"} 3'
+    ].join('\n'));
+  });
+
+  it('should render summary suffixes and booleans', () => {
+    const text = formatMetric({
+      name: 'iot_export_job_duration_seconds',
+      type: 'summary',
+      samples: [
+        { suffix: '_sum', value: 12.5 },
+        { suffix: '_count', value: 2 }
+      ]
+    });
+    expect(text).toContain('iot_export_job_duration_seconds_sum 12.5');
+    expect(text).toContain('iot_export_job_duration_seconds_count 2');
+
+    expect(formatMetric({ name: 'iot_up', type: 'gauge', samples: [{ value: true }] })).toContain('iot_up 1');
+  });
+
+  it('should skip missing values and null labels', () => {
+    const text = formatMetric({
+      name: 'iot_gauge',
+      type: 'gauge',
+      samples: [{ value: null }, { value: NaN }, { labels: { a: 'x', b: null }, value: 0 }]
+    });
+    expect(text.split('\n').slice(1)).toEqual(['iot_gauge{a="x"} 0']);
+  });
+
+  it('should escape label values', () => {
+    expect(escapeLabelValue('say "hi"\\\n')).toBe('say \\"hi\\"\\\\\\n');
+  });
+
+  it('should reject invalid names and types', () => {
+    expect(() => formatMetric({ name: '1bad', type: 'gauge' })).toThrow('Invalid metric name');
+    expect(() => formatMetric({ name: 'ok', type: 'meter' })).toThrow('Invalid metric type');
+  });
+
+  it('should end the body with a newline', () => {
+    expect(formatMetrics([{ name: 'a', type: 'gauge', samples: [{ value: 1 }] }])).toBe('# TYPE a gauge\na 1\n');
+  });
+});
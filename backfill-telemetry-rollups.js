@@ -0,0 +1,51 @@
+/**
+ * Rebuild telemetry rollups (1m/1h/1d) from existing telemetry_data
+ * Usage: node backfill-telemetry-rollups.js [deviceId] [fromDate] [toDate]
+ *   node backfill-telemetry-rollups.js                 -> all devices, all history up to today
+ *   node backfill-telemetry-rollups.js 123 2026-01-01  -> device 123 from 2026-01-01
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const telemetryRollupService = require('./services/telemetryRollupService');
+
+async function run() {
+  const [deviceId, from, to] = process.argv.slice(2);
+
+  try {
+    console.log('\n🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ashecontrol', {
+      serverSelectionTimeoutMS: 15000,
+      socketTimeoutMS: 45000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const job = await telemetryRollupService.backfill({
+      deviceId: deviceId && deviceId !== 'all' ? deviceId : null,
+      from: from || null,
+      to: to || null
+    });
+
+    const progress = setInterval(() => {
+      const status = telemetryRollupService.getBackfillStatus();
+      console.log(`   ${status.devices_done}/${status.devices_total} device(s), ${status.frames_processed} frame(s) processed`);
+    }, 10000);
+
+    await job.promise;
+    clearInterval(progress);
+
+    const status = telemetryRollupService.getBackfillStatus();
+    console.log(`\n📊 Backfill ${status.status}:`, status);
+    process.exitCode = status.status === 'completed' ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+run();
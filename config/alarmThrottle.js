@@ -0,0 +1,26 @@
+// Default alarm notification throttle windows (minutes) per severity.
+// Override with environment variables, e.g. ALARM_THROTTLE_CRITICAL_EMAIL_MINUTES=15,
+// or per alarm with Alarm.throttle_config.
+const DEFAULT_POPUP_MINUTES = 10; // WebSocket pop-up throttle
+const DEFAULT_EMAIL_MINUTES = 30; // Email throttle
+
+const SEVERITIES = ['critical', 'warning', 'info', 'ok', 'battery'];
+
+const readMinutes = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const severityWindows = SEVERITIES.reduce((windows, severity) => {
+  const prefix = `ALARM_THROTTLE_${severity.toUpperCase()}`;
+  windows[severity] = {
+    popup_minutes: readMinutes(`${prefix}_POPUP_MINUTES`, readMinutes('ALARM_THROTTLE_POPUP_MINUTES', DEFAULT_POPUP_MINUTES)),
+    email_minutes: readMinutes(`${prefix}_EMAIL_MINUTES`, readMinutes('ALARM_THROTTLE_EMAIL_MINUTES', DEFAULT_EMAIL_MINUTES))
+  };
+  return windows;
+}, {});
+
+module.exports = {
+  severityWindows,
+  defaultWindows: severityWindows.warning
+};
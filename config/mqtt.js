@@ -1,3 +1,4 @@
+const os = require('os');
 const mqtt = require('mqtt');
 
 // Prefer environment variables for any secrets or environment-specific values.
@@ -7,10 +8,18 @@ const defaultBrokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://broker.zeptac.co
 const defaultDataTopic = process.env.MQTT_DATA_TOPIC || `devices/${deviceId}/data`;
 const defaultCommandTopic = process.env.MQTT_COMMAND_TOPIC || `devices/${deviceId}/commands`;
 
+// MQTT_PROTOCOL_VERSION=5 enables request/response for device commands: commands carry
+// response-topic + correlation-data properties and each backend instance receives replies on
+// its own topic (host + pid, so PM2 cluster workers don't share one). CommandId in the payload
+// stays as the fallback for v3.1.1 firmware.
+const protocolVersion = parseInt(process.env.MQTT_PROTOCOL_VERSION) === 5 ? 5 : 4;
+const replyTopicPrefix = process.env.MQTT_REPLY_TOPIC_PREFIX || 'backend/replies';
+
 const deviceBroker = {
   url: defaultBrokerUrl,
   dataTopic: defaultDataTopic,
   commandTopic: defaultCommandTopic,
+  replyTopic: protocolVersion === 5 ? `${replyTopicPrefix}/${os.hostname()}_${process.pid}` : null,
   options: {
     clientId: process.env.MQTT_CLIENT_ID || `backend_server_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     username: process.env.MQTT_USERNAME || process.env.MQTT_USER || 'zeptac_iot',
@@ -20,7 +29,7 @@ const deviceBroker = {
     connectTimeout: 30000,
     clean: true,
     rejectUnauthorized: false,
-    protocolVersion: 4,
+    protocolVersion,
     queueQoSZero: false,
     will: {
       topic: `devices/${deviceId}/status`,
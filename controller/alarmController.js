@@ -1,5 +1,33 @@
 const Alarm = require('../models/Alarm');
+const EscalationPolicy = require('../models/EscalationPolicy');
 const NotificationService = require('../services/notificationService');
+const alarmThrottleService = require('../services/alarmThrottleService');
+const { validateExpression } = require('../utils/alarmExpression');
+
+/**
+ * Check the alarm type and frames-lost settings of a create/update body
+ * @returns {Array<String>} Validation errors (empty when valid)
+ */
+function validateFramesLostAlarm({ alarm_type, frames_lost }) {
+  const errors = [];
+  if (alarm_type !== undefined && !['expression', 'frames_lost'].includes(alarm_type)) {
+    errors.push("alarm_type must be 'expression' or 'frames_lost'");
+  }
+
+  const threshold = frames_lost ? frames_lost.threshold : undefined;
+  const windowMinutes = frames_lost ? frames_lost.window_minutes : undefined;
+  if (alarm_type === 'frames_lost' && (threshold === undefined || threshold === null)) {
+    errors.push('frames_lost.threshold is required for frames_lost alarms');
+  }
+  if (threshold !== undefined && threshold !== null && (!Number.isInteger(Number(threshold)) || Number(threshold) < 0)) {
+    errors.push('frames_lost.threshold must be a whole number of frames (0 or more)');
+  }
+  if (windowMinutes !== undefined && windowMinutes !== null &&
+      (!Number.isFinite(Number(windowMinutes)) || Number(windowMinutes) < 1 || Number(windowMinutes) > 1440)) {
+    errors.push('frames_lost.window_minutes must be between 1 and 1440');
+  }
+  return errors;
+}
 
 class AlarmController {
   constructor() {
@@ -118,6 +146,11 @@ class AlarmController {
         severity,
         status,
         device_params,
+        expression,
+        alarm_type,
+        frames_lost,
+        escalation_policy_id,
+        throttle_config,
         notification_config 
       } = req.body;
 
@@ -160,12 +193,41 @@ class AlarmController {
         }
       }
 
+      // Validate rule expression (optional - legacy device_params are used when omitted)
+      if (expression !== undefined && expression !== null && String(expression).trim() !== '') {
+        const validation = validateExpression(expression);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            message: 'Expression validation failed',
+            errors: [validation.error],
+            position: validation.position
+          });
+        }
+      }
+
+      const typeErrors = validateFramesLostAlarm({ alarm_type, frames_lost });
+      if (typeErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Alarm type validation failed',
+          errors: typeErrors
+        });
+      }
+
+      if (escalation_policy_id && !(await EscalationPolicy.exists({ _id: escalation_policy_id }))) {
+        return res.status(400).json({
+          success: false,
+          message: `Escalation policy ${escalation_policy_id} not found`
+        });
+      }
+
       // Create alarm in database
       const alarm = new Alarm({
         name,
         device_name,
         deviceId,
-        parameter: parameter || 'Device Parameter',
+        parameter: parameter || (alarm_type === 'frames_lost' ? 'Frames Lost' : 'Device Parameter'),
         severity: severity || 'warning',
         status: status || 'Active',
         device_params: device_params || {
@@ -182,6 +244,11 @@ class AlarmController {
           acv_upper: 0,
           acv_lower: 0
         },
+        expression: expression || null,
+        alarm_type: alarm_type || 'expression',
+        frames_lost: frames_lost || {},
+        escalation_policy_id: escalation_policy_id || null,
+        throttle_config: throttle_config || {},
         notification_config: notification_config || {
           email_ids: [],
           sms_numbers: []
@@ -216,12 +283,112 @@ class AlarmController {
     }
   }
 
+  /**
+   * Validate an alarm rule expression without saving it
+   * Returns the referenced telemetry fields so the UI can show what the rule depends on
+   */
+  async validateAlarmExpression(req, res) {
+    try {
+      const { expression } = req.body;
+      const validation = validateExpression(expression);
+
+      res.status(validation.valid ? 200 : 400).json({
+        success: validation.valid,
+        data: validation,
+        message: validation.valid ? 'Expression is valid' : validation.error
+      });
+    } catch (error) {
+      console.error('Error validating alarm expression:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error validating alarm expression',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Current notification suppression state of each alarm
+   * Shows throttle windows, when the next pop-up/email may be sent and why the last one was or wasn't
+   * GET /api/alarms/suppression?alarm_id=...&device_id=...&status=Active
+   */
+  async getSuppressionState(req, res) {
+    try {
+      const { alarm_id, device_id, status } = req.query;
+      const states = await alarmThrottleService.getSuppressionState({ alarm_id, device_id, status });
+
+      res.json({
+        success: true,
+        data: states,
+        total: states.length
+      });
+    } catch (error) {
+      console.error('Error fetching alarm suppression state:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching alarm suppression state',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Reset the throttle windows of an alarm so the next trigger notifies immediately
+   * DELETE /api/alarms/:id/suppression?device_id=...
+   */
+  async resetSuppressionState(req, res) {
+    try {
+      const { id } = req.params;
+      const cleared = await alarmThrottleService.reset(id, req.query.device_id || null);
+
+      res.json({
+        success: true,
+        message: `Suppression state reset (${cleared} record(s) cleared)`
+      });
+    } catch (error) {
+      console.error('Error resetting alarm suppression state:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error resetting alarm suppression state',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Update alarm
    */
   async updateAlarm(req, res) {
     try {
       const { id } = req.params;
+
+      if (req.body.expression) {
+        const validation = validateExpression(req.body.expression);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            message: 'Expression validation failed',
+            errors: [validation.error],
+            position: validation.position
+          });
+        }
+      }
+
+      const typeErrors = validateFramesLostAlarm(req.body);
+      if (typeErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Alarm type validation failed',
+          errors: typeErrors
+        });
+      }
+
+      if (req.body.escalation_policy_id && !(await EscalationPolicy.exists({ _id: req.body.escalation_policy_id }))) {
+        return res.status(400).json({
+          success: false,
+          message: `Escalation policy ${req.body.escalation_policy_id} not found`
+        });
+      }
       
       const alarm = await Alarm.findByIdAndUpdate(
         id,
@@ -272,6 +439,8 @@ class AlarmController {
         });
       }
 
+      await alarmThrottleService.reset(alarm._id);
+
       console.log(`🗑️ Alarm '${alarm.name}' deleted`);
 
       res.json({
@@ -0,0 +1,129 @@
+const alarmIncidentService = require('../services/alarmIncidentService');
+
+/**
+ * Alarm Incident Controller
+ * REST endpoints for the raised -> acknowledged -> cleared incident lifecycle
+ */
+class AlarmIncidentController {
+
+  /**
+   * Map service errors to HTTP status codes
+   */
+  getErrorStatus(error) {
+    if (error.name === 'CastError' || error.message.includes('not found')) return 404;
+    if (error.message.startsWith('Cannot')) return 409;
+    return 500;
+  }
+
+  /**
+   * Build the user reference stored on acknowledge/clear transitions
+   */
+  getUserRef(req) {
+    return {
+      user_id: req.user?.userId ? req.user.userId.toString() : null,
+      username: req.user?.username || req.user?.email || null
+    };
+  }
+
+  /**
+   * List incidents
+   * GET /api/alarms/incidents?state=raised,acknowledged&device_id=123&open=true
+   */
+  async getIncidents(req, res) {
+    try {
+      const { state, open, device_id, alarm_id, page, limit } = req.query;
+      const result = await alarmIncidentService.listIncidents({ state, open, device_id, alarm_id, page, limit });
+
+      res.json({
+        success: true,
+        data: result.incidents,
+        total: result.total,
+        page: result.page,
+        pages: result.pages
+      });
+    } catch (error) {
+      console.error('Error fetching alarm incidents:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching alarm incidents',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a single incident with its trigger records
+   * GET /api/alarms/incidents/:incidentId
+   */
+  async getIncidentById(req, res) {
+    try {
+      const { incidentId } = req.params;
+      const incident = await alarmIncidentService.getIncident(incidentId, parseInt(req.query.limit) || 50);
+
+      res.json({
+        success: true,
+        data: incident
+      });
+    } catch (error) {
+      console.error('Error fetching alarm incident:', error);
+      res.status(this.getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Acknowledge an incident
+   * POST /api/alarms/incidents/:incidentId/acknowledge
+   * Body: { comment? }
+   */
+  async acknowledgeIncident(req, res) {
+    try {
+      const { incidentId } = req.params;
+      const { comment = '' } = req.body || {};
+
+      const incident = await alarmIncidentService.acknowledge(incidentId, this.getUserRef(req), comment);
+
+      res.json({
+        success: true,
+        message: 'Incident acknowledged',
+        data: incident
+      });
+    } catch (error) {
+      console.error('Error acknowledging alarm incident:', error);
+      res.status(this.getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Manually clear an incident
+   * POST /api/alarms/incidents/:incidentId/clear
+   * Body: { comment? }
+   */
+  async clearIncident(req, res) {
+    try {
+      const { incidentId } = req.params;
+      const { comment = '' } = req.body || {};
+
+      const incident = await alarmIncidentService.clear(incidentId, this.getUserRef(req), comment);
+
+      res.json({
+        success: true,
+        message: 'Incident cleared',
+        data: incident
+      });
+    } catch (error) {
+      console.error('Error clearing alarm incident:', error);
+      res.status(this.getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AlarmIncidentController();
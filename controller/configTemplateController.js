@@ -0,0 +1,252 @@
+const configTemplateService = require('../services/configTemplateService');
+
+/**
+ * Config Template Controller
+ * Named configuration templates and their rollout to zones, saved filters or device lists
+ */
+class ConfigTemplateController {
+
+  /**
+   * Map service errors to HTTP status codes
+   */
+  sendError(res, error, fallbackMessage) {
+    if (error.validation) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        validation: error.validation
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A template with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const status = error.message.includes('not found') ? 404
+      : (error.message.includes('required') || error.message.startsWith('No devices found') ? 400 : 500);
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? fallbackMessage : error.message,
+      error: error.message
+    });
+  }
+
+  /**
+   * List templates
+   * GET /api/config-templates
+   */
+  async getTemplates(req, res) {
+    try {
+      const templates = await configTemplateService.listTemplates();
+      res.json({
+        success: true,
+        data: templates,
+        total: templates.length
+      });
+    } catch (error) {
+      console.error('Error fetching config templates:', error);
+      this.sendError(res, error, 'Error fetching config templates');
+    }
+  }
+
+  /**
+   * GET /api/config-templates/:id
+   */
+  async getTemplateById(req, res) {
+    try {
+      const template = await configTemplateService.getTemplate(req.params.id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Config template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      console.error('Error fetching config template:', error);
+      this.sendError(res, error, 'Error fetching config template');
+    }
+  }
+
+  /**
+   * Validate parameters without saving (electrode rules, parameter names)
+   * POST /api/config-templates/validate
+   */
+  async validateTemplate(req, res) {
+    try {
+      const { parameters, errors, electrode } = configTemplateService.validateParameters(req.body.parameters);
+      res.json({
+        success: true,
+        data: {
+          valid: errors.length === 0,
+          parameters,
+          electrode,
+          errors
+        }
+      });
+    } catch (error) {
+      console.error('Error validating config template:', error);
+      this.sendError(res, error, 'Error validating config template');
+    }
+  }
+
+  /**
+   * POST /api/config-templates
+   * Body: { name, description, parameters: { "Electrode": 1, "logging_interval": "00:00:10", ... } }
+   */
+  async createTemplate(req, res) {
+    try {
+      const { name, description, parameters } = req.body;
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'name is required'
+        });
+      }
+
+      const template = await configTemplateService.createTemplate({ name, description, parameters }, req.user);
+      res.status(201).json({
+        success: true,
+        message: 'Config template created',
+        data: template
+      });
+    } catch (error) {
+      console.error('Error creating config template:', error);
+      this.sendError(res, error, 'Error creating config template');
+    }
+  }
+
+  /**
+   * PUT /api/config-templates/:id
+   */
+  async updateTemplate(req, res) {
+    try {
+      const { name, description, parameters } = req.body;
+      const template = await configTemplateService.updateTemplate(req.params.id, { name, description, parameters }, req.user);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Config template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Config template updated',
+        data: template
+      });
+    } catch (error) {
+      console.error('Error updating config template:', error);
+      this.sendError(res, error, 'Error updating config template');
+    }
+  }
+
+  /**
+   * DELETE /api/config-templates/:id
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const template = await configTemplateService.deleteTemplate(req.params.id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Config template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Config template deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting config template:', error);
+      this.sendError(res, error, 'Error deleting config template');
+    }
+  }
+
+  /**
+   * Apply a template to a zone, saved filter or device list
+   * POST /api/config-templates/:id/apply
+   * Body: { zoneId } | { filterId } | { deviceIds: [] }
+   */
+  async applyTemplate(req, res) {
+    try {
+      const { zoneId, filterId, deviceIds } = req.body;
+      const rollout = await configTemplateService.applyTemplate(req.params.id, { zoneId, filterId, deviceIds }, req.user);
+      if (!rollout) {
+        return res.status(404).json({
+          success: false,
+          message: 'Config template not found'
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: `Template "${rollout.templateName}" applied to ${rollout.summary.total} device(s)`,
+        data: rollout
+      });
+    } catch (error) {
+      console.error('Error applying config template:', error);
+      this.sendError(res, error, 'Error applying config template');
+    }
+  }
+
+  /**
+   * List rollouts
+   * GET /api/config-templates/rollouts?templateId=...&status=in_progress
+   */
+  async getRollouts(req, res) {
+    try {
+      const { templateId, status } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const rollouts = await configTemplateService.listRollouts({ templateId, status, limit });
+
+      res.json({
+        success: true,
+        data: rollouts,
+        total: rollouts.length
+      });
+    } catch (error) {
+      console.error('Error fetching template rollouts:', error);
+      this.sendError(res, error, 'Error fetching template rollouts');
+    }
+  }
+
+  /**
+   * Rollout progress per device (refreshed from command acknowledgments)
+   * GET /api/config-templates/rollouts/:rolloutId
+   */
+  async getRolloutById(req, res) {
+    try {
+      const rollout = await configTemplateService.getRollout(req.params.rolloutId);
+      if (!rollout) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template rollout not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: rollout
+      });
+    } catch (error) {
+      console.error('Error fetching template rollout:', error);
+      this.sendError(res, error, 'Error fetching template rollout');
+    }
+  }
+}
+
+module.exports = new ConfigTemplateController();
@@ -1,4 +1,5 @@
 const mqttService = require('../services/mqttService');
+const commandQueueService = require('../services/commandQueueService');
 
 class DeviceAcknowledgmentController {
 
@@ -9,7 +10,9 @@ class DeviceAcknowledgmentController {
     try {
       const { commandId } = req.params;
 
-      const command = mqttService.getCommandStatus(commandId);
+      // Queued commands are tracked in MongoDB, so any instance (and a restarted one) can answer
+      const queued = await commandQueueService.getCommand(commandId);
+      const command = queued || mqttService.getCommandStatus(commandId);
 
       if (!command) {
         return res.status(404).json({
@@ -18,6 +21,9 @@ class DeviceAcknowledgmentController {
         });
       }
 
+      const responseTime = command.responseTime ||
+        (command.acknowledgedAt && command.sentAt ? new Date(command.acknowledgedAt) - new Date(command.sentAt) : null);
+
       res.json({
         success: true,
         data: {
@@ -25,11 +31,18 @@ class DeviceAcknowledgmentController {
           deviceId: command.deviceId,
           command: command.originalCommand,
           status: command.status,
+          queuedAt: command.queuedAt || null,
           sentAt: command.sentAt,
           acknowledgedAt: command.acknowledgedAt,
-          responseTime: command.responseTime,
+          acknowledgedVia: command.acknowledgedVia || null,
+          responseTime,
           deviceResponse: command.deviceResponse,
-          timeout: command.timeout
+          timeout: command.timeout,
+          retryCount: command.retryCount || 0,
+          maxRetries: command.maxRetries,
+          nextAttemptAt: command.nextAttemptAt || null,
+          expiresAt: command.expiresAt || null,
+          lastError: command.lastError || null
         }
       });
 
@@ -148,6 +161,75 @@ class DeviceAcknowledgmentController {
     }
   }
 
+  /**
+   * Get commands waiting in a device's queue (offline device or retry backoff)
+   */
+  async getQueuedCommands(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      const commands = await commandQueueService.getQueuedCommands(deviceId);
+
+      res.json({
+        success: true,
+        data: commands.map(cmd => ({
+          commandId: cmd.commandId,
+          command: cmd.originalCommand,
+          commandType: cmd.commandType,
+          queuedAt: cmd.queuedAt,
+          retryCount: cmd.retryCount,
+          maxRetries: cmd.maxRetries,
+          nextAttemptAt: cmd.nextAttemptAt,
+          expiresAt: cmd.expiresAt,
+          lastError: cmd.lastError
+        }))
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error retrieving queued commands',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a queued command before it is sent
+   */
+  async cancelCommand(req, res) {
+    try {
+      const { commandId } = req.params;
+
+      const command = await commandQueueService.cancel(commandId);
+
+      if (!command) {
+        const existing = await commandQueueService.getCommand(commandId);
+        return res.status(existing ? 409 : 404).json({
+          success: false,
+          message: existing ? `Command is ${existing.status}, only queued commands can be cancelled` : 'Command not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Command cancelled',
+        data: {
+          commandId: command.commandId,
+          deviceId: command.deviceId,
+          status: command.status
+        }
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error cancelling command',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Retry a failed or timed out command
    */
@@ -155,6 +237,41 @@ class DeviceAcknowledgmentController {
     try {
       const { commandId } = req.params;
 
+      // Commands from the durable queue are re-queued with a fresh retry budget
+      const queued = await commandQueueService.getCommand(commandId);
+      if (queued) {
+        if (['QUEUED', 'PENDING'].includes(queued.status)) {
+          return res.status(400).json({
+            success: false,
+            message: `Command is still ${queued.status.toLowerCase()}, cannot retry`
+          });
+        }
+        if (queued.status === 'SUCCESS' || queued.status === 'SUPERSEDED') {
+          return res.status(409).json({
+            success: false,
+            message: `Command is ${queued.status}, nothing to retry`
+          });
+        }
+
+        const result = await commandQueueService.retry(commandId);
+        if (!result) {
+          return res.status(409).json({
+            success: false,
+            message: 'Command status changed, cannot retry'
+          });
+        }
+
+        return res.json({
+          success: true,
+          message: 'Command retry initiated',
+          data: {
+            originalCommandId: commandId,
+            newCommandId: commandId,
+            status: result.status
+          }
+        });
+      }
+
       const originalCommand = mqttService.getCommandStatus(commandId);
 
       if (!originalCommand) {
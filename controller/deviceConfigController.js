@@ -1,4 +1,5 @@
 const mqttService = require('../services/mqttService');
+const configVersionService = require('../services/configVersionService');
 
 /**
  * Map human-readable electrode type names to device codes
@@ -1345,6 +1346,7 @@ class DeviceConfigController {
           device.settingsSentCount = (device.settingsSentCount || 0) + 1;
 
           await device.save();
+          await configVersionService.recordVersion(deviceId, device.configuration.deviceSettings, { source: 'user_config', author: req.user, commandId });
           console.log(`✅ Settings saved to database for device ${deviceId}`);
           console.log(`   DB field names: ${Object.keys(device.configuration.deviceSettings).join(', ')}`);
           console.log(`   Sample values:`);
@@ -1541,6 +1543,7 @@ class DeviceConfigController {
       device.lastSettingsSent = new Date();
       device.settingsSentCount = (device.settingsSentCount || 0) + 1;
       await device.save();
+      await configVersionService.recordVersion(deviceId, device.configuration.deviceSettings, { source: 'user_config', author: req.user, commandId });
 
       console.log(`✅ Batch update sent and saved for device ${deviceId}`);
 
@@ -1,6 +1,8 @@
 const mqttService = require('../services/mqttService');
 const socketService = require('../services/socketService');
+const brokerConnectionManager = require('../services/brokerConnectionManager');
 const alarmMonitoringService = require('../services/alarmMonitoringService');
+const configVersionService = require('../services/configVersionService');
 const { secondsToHHMMSS, hhmmssToSeconds, ensureLoggingIntervalFormat } = require('../utils/timeConverter');
 const Device = require('../models/Device');
 const DeviceHistory = require('../models/DeviceHistory');
@@ -352,6 +354,9 @@ class DeviceController {
 
       console.log(`🗑️  Device deleted: ${device.deviceName || device.deviceId} (ID: ${device.deviceId})`);
 
+      // Drop the device's topics (and its broker connection if no other device uses it)
+      brokerConnectionManager.scheduleRefresh();
+
       res.json({
         success: true,
         message: 'Device deleted successfully',
@@ -392,6 +397,40 @@ class DeviceController {
     }
   }
 
+  // MQTT broker connections opened for Device.mqtt (credentials omitted)
+  static async getBrokerConnections(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: brokerConnectionManager.getStatus()
+      });
+    } catch (error) {
+      console.error('Error getting broker connections:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
+  // Reload Device.mqtt and reconcile broker connections/subscriptions now
+  static async refreshBrokerConnections(req, res) {
+    try {
+      await brokerConnectionManager.refresh();
+      res.json({
+        success: true,
+        message: 'Broker connections refreshed',
+        data: brokerConnectionManager.getStatus()
+      });
+    } catch (error) {
+      console.error('Error refreshing broker connections:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
   // Send message to device
   static async sendMessage(req, res) {
     try {
@@ -772,6 +811,9 @@ class DeviceController {
         mqttBroker: newDevice.mqtt.brokerUrl,
         topics: newDevice.mqtt.topics
       });
+
+      // Subscribe the device's topics (opens a connection for a new broker/credentials pair)
+      brokerConnectionManager.scheduleRefresh();
       
       res.status(201).json({
         success: true,
@@ -1225,8 +1267,11 @@ class DeviceController {
         }
       };
 
-      await Device.updateOne({ deviceId }, updateData);
+      const savedDevice = await Device.findOneAndUpdate({ deviceId }, updateData, { new: true });
       console.log(`💾 Saved normalized settings payload to database for device ${deviceId}`);
+      if (savedDevice) {
+        await configVersionService.recordVersion(deviceId, savedDevice.configuration.deviceSettings, { source: 'user_config', author: req.user });
+      }
 
       res.json({
         success: true,
@@ -1321,8 +1366,11 @@ class DeviceController {
         }
       };
 
-      await Device.updateOne({ deviceId }, updateData);
+      const savedDevice = await Device.findOneAndUpdate({ deviceId }, updateData, { new: true });
       console.log(`💾 Saved batch updated settings to database for device ${deviceId}`);
+      if (savedDevice) {
+        await configVersionService.recordVersion(deviceId, savedDevice.configuration.deviceSettings, { source: 'user_config', author: req.user });
+      }
 
       res.json({
         success: true,
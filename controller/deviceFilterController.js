@@ -0,0 +1,169 @@
+const configTemplateService = require('../services/configTemplateService');
+
+/**
+ * Device Filter Controller
+ * Saved device selections used as configuration template targets
+ */
+class DeviceFilterController {
+
+  sendError(res, error, fallbackMessage) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A device filter with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: error.message
+    });
+  }
+
+  /**
+   * GET /api/device-filters
+   */
+  async getFilters(req, res) {
+    try {
+      const filters = await configTemplateService.listFilters();
+      res.json({
+        success: true,
+        data: filters,
+        total: filters.length
+      });
+    } catch (error) {
+      console.error('Error fetching device filters:', error);
+      this.sendError(res, error, 'Error fetching device filters');
+    }
+  }
+
+  /**
+   * GET /api/device-filters/:id
+   */
+  async getFilterById(req, res) {
+    try {
+      const filter = await configTemplateService.getFilter(req.params.id);
+      if (!filter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device filter not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: filter
+      });
+    } catch (error) {
+      console.error('Error fetching device filter:', error);
+      this.sendError(res, error, 'Error fetching device filter');
+    }
+  }
+
+  /**
+   * Devices currently matched by a filter
+   * GET /api/device-filters/:id/devices
+   */
+  async getFilterDevices(req, res) {
+    try {
+      const devices = await configTemplateService.getFilterDevices(req.params.id);
+      if (!devices) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device filter not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: devices,
+        total: devices.length
+      });
+    } catch (error) {
+      console.error('Error resolving device filter:', error);
+      this.sendError(res, error, 'Error resolving device filter');
+    }
+  }
+
+  /**
+   * POST /api/device-filters
+   * Body: { name, description, criteria: { zoneIds, deviceIds, deviceTypes, states, electrodes, search } }
+   */
+  async createFilter(req, res) {
+    try {
+      const { name, description, criteria } = req.body;
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'name is required'
+        });
+      }
+
+      const filter = await configTemplateService.createFilter({ name, description, criteria }, req.user);
+      res.status(201).json({
+        success: true,
+        message: 'Device filter created',
+        data: filter
+      });
+    } catch (error) {
+      console.error('Error creating device filter:', error);
+      this.sendError(res, error, 'Error creating device filter');
+    }
+  }
+
+  /**
+   * PUT /api/device-filters/:id
+   */
+  async updateFilter(req, res) {
+    try {
+      const { name, description, criteria } = req.body;
+      const filter = await configTemplateService.updateFilter(req.params.id, { name, description, criteria });
+      if (!filter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device filter not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Device filter updated',
+        data: filter
+      });
+    } catch (error) {
+      console.error('Error updating device filter:', error);
+      this.sendError(res, error, 'Error updating device filter');
+    }
+  }
+
+  /**
+   * DELETE /api/device-filters/:id
+   */
+  async deleteFilter(req, res) {
+    try {
+      const filter = await configTemplateService.deleteFilter(req.params.id);
+      if (!filter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device filter not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Device filter deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting device filter:', error);
+      this.sendError(res, error, 'Error deleting device filter');
+    }
+  }
+}
+
+module.exports = new DeviceFilterController();
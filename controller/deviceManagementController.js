@@ -1,5 +1,9 @@
 const deviceManagementService = require('../services/deviceManagementService');
 const mqttService = require('../services/mqttService');
+const configDriftService = require('../services/configDriftService');
+const configVersionService = require('../services/configVersionService');
+const deviceStatusMonitor = require('../services/deviceStatusMonitor');
+const availabilityService = require('../services/availabilityService');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -103,13 +107,14 @@ class DeviceManagementController {
       const updatedSettings = await deviceManagementService.updateDeviceParameters(
         deviceId, 
         parameters, 
-        commandId
+        commandId,
+        req.user
       );
 
       // Send complete settings to device via MQTT if requested
       if (sendToDevice) {
         try {
-          await mqttService.sendCompleteSettingsPayload(deviceId, commandId);
+          await mqttService.queueCompleteSettings(deviceId, commandId);
         } catch (mqttError) {
           console.warn('MQTT send failed, but database was updated:', mqttError.message);
         }
@@ -354,7 +359,8 @@ class DeviceManagementController {
           const updatedSettings = await deviceManagementService.updateDeviceParameters(
             deviceId, 
             parameters, 
-            commandId
+            commandId,
+            req.user
           );
 
           // Send to device if requested
@@ -442,6 +448,393 @@ class DeviceManagementController {
       });
     }
   }
+
+  /**
+   * Desired vs reported configuration of a device
+   * GET /api/device-management/:deviceId/drift
+   */
+  async getDeviceDrift(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      const Device = require('../models/Device');
+      const device = await Device.findByDeviceId(deviceId);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+
+      const drift = await configDriftService.getDeviceDrift(deviceId);
+
+      res.json({
+        success: true,
+        data: drift
+      });
+
+    } catch (error) {
+      console.error('Error getting configuration drift:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Fleet-wide configuration drift report
+   * GET /api/device-management/drift/report
+   */
+  async getDriftReport(req, res) {
+    try {
+      const { status, zoneId } = req.query;
+      const statuses = ['in_sync', 'drifted', 'pending', 'unknown'];
+
+      if (status && !statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${statuses.join(', ')}`
+        });
+      }
+
+      const report = await configDriftService.getFleetReport({ status, zoneId });
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      console.error('Error getting drift report:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Send the desired configuration to the device again
+   * POST /api/device-management/:deviceId/drift/repush
+   */
+  async repushDesiredConfiguration(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      const result = await configDriftService.repush(deviceId, {
+        source: 'manual_repush',
+        requestedBy: req.user?.username || req.user?.email || null
+      });
+
+      res.json({
+        success: true,
+        message: result.status === 'QUEUED'
+          ? 'Device is offline, desired configuration queued'
+          : 'Desired configuration sent to device',
+        data: {
+          deviceId,
+          commandId: result.commandId,
+          status: result.status
+        }
+      });
+
+    } catch (error) {
+      console.error('Error re-pushing desired configuration:', error);
+      res.status(error.message.includes('No desired configuration') ? 404 : 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Enable or disable automatic re-push on drift
+   * PUT /api/device-management/:deviceId/drift/auto-repush
+   */
+  async setDriftAutoRepush(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { enabled } = req.body;
+
+      if (enabled !== null && typeof enabled !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'enabled must be true, false or null (use the server default)'
+        });
+      }
+
+      const desired = await configDriftService.setAutoRepush(deviceId, enabled);
+      if (!desired) {
+        return res.status(404).json({
+          success: false,
+          message: `No desired configuration recorded for device ${deviceId}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Auto re-push setting updated',
+        data: {
+          deviceId,
+          enabled: desired.autoRepush.enabled,
+          effective: configDriftService.isAutoRepushEnabled(desired)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error updating auto re-push:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Communication availability per device, zone and fleet
+   * GET /api/device-management/availability/report?month=YYYY-MM | startDate=&endDate= &zoneId=&deviceId=&target=99.5
+   */
+  async getAvailabilityReport(req, res) {
+    try {
+      const range = availabilityService.parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      const targetPercent = req.query.target !== undefined ? parseFloat(req.query.target) : null;
+      if (targetPercent !== null && (isNaN(targetPercent) || targetPercent < 0 || targetPercent > 100)) {
+        return res.status(400).json({
+          success: false,
+          message: 'target must be a percentage between 0 and 100'
+        });
+      }
+
+      const report = await availabilityService.getReport({
+        ...range,
+        zoneId: req.query.zoneId || null,
+        deviceId: req.query.deviceId || null,
+        targetPercent
+      });
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      console.error('Error building availability report:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Online/warning/offline periods of a device with durations and totals
+   * GET /api/device-management/:deviceId/status-history?startDate=&endDate=&limit=
+   */
+  async getStatusHistory(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const startDate = req.query.startDate ? new Date(req.query.startDate) : undefined;
+      const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+
+      if ((startDate && isNaN(startDate.getTime())) || isNaN(endDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'startDate and endDate must be valid dates'
+        });
+      }
+      if (startDate && startDate >= endDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'startDate must be before endDate'
+        });
+      }
+
+      const Device = require('../models/Device');
+      const device = await Device.findByDeviceId(deviceId);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+
+      const history = await deviceStatusMonitor.getStatusHistory(deviceId, {
+        startDate,
+        endDate,
+        limit: Math.min(parseInt(req.query.limit) || 500, 5000)
+      });
+
+      res.json({
+        success: true,
+        data: history
+      });
+
+    } catch (error) {
+      console.error('Error getting device status history:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List configuration versions of a device (newest first)
+   * GET /api/device-management/:deviceId/config-versions
+   */
+  async listConfigVersions(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { total, versions } = await configVersionService.listVersions(deviceId, { limit, offset });
+
+      res.json({
+        success: true,
+        data: versions,
+        meta: {
+          total,
+          limit,
+          offset,
+          hasMore: total > offset + limit
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing configuration versions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one configuration version with its settings
+   * GET /api/device-management/:deviceId/config-versions/:version
+   */
+  async getConfigVersion(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const version = parseInt(req.params.version);
+
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'version must be a positive integer'
+        });
+      }
+
+      const configVersion = await configVersionService.getVersion(deviceId, version);
+      if (!configVersion) {
+        return res.status(404).json({
+          success: false,
+          message: `Configuration version ${version} not found for device ${deviceId}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: configVersion
+      });
+
+    } catch (error) {
+      console.error('Error getting configuration version:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Field-by-field diff between two configuration versions
+   * GET /api/device-management/:deviceId/config-versions/diff?from=3&to=7
+   */
+  async diffConfigVersions(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to);
+
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be positive version numbers'
+        });
+      }
+
+      const diff = await configVersionService.diffVersions(deviceId, from, to);
+      if (!diff) {
+        return res.status(404).json({
+          success: false,
+          message: `Configuration version ${from} or ${to} not found for device ${deviceId}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: diff
+      });
+
+    } catch (error) {
+      console.error('Error comparing configuration versions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Roll back to a configuration version and push it to the device
+   * POST /api/device-management/:deviceId/config-versions/:version/rollback
+   */
+  async rollbackConfigVersion(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const version = parseInt(req.params.version);
+
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'version must be a positive integer'
+        });
+      }
+
+      const result = await deviceManagementService.rollbackToVersion(deviceId, version, req.user);
+
+      res.json({
+        success: true,
+        message: result.command.status === 'QUEUED'
+          ? `Rolled back to version ${version}, device is offline so the settings are queued`
+          : `Rolled back to version ${version} and sent settings to device`,
+        data: {
+          deviceId,
+          restoredVersion: result.restoredVersion,
+          version: result.version ? result.version.version : null,
+          commandId: result.command.commandId,
+          commandStatus: result.command.status
+        }
+      });
+
+    } catch (error) {
+      console.error('Error rolling back configuration:', error);
+      res.status(error.message.includes('not found') ? 404 : 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
 }
 
 module.exports = new DeviceManagementController();
\ No newline at end of file
@@ -0,0 +1,204 @@
+const EscalationPolicy = require('../models/EscalationPolicy');
+const Alarm = require('../models/Alarm');
+
+/**
+ * Escalation Policy Controller
+ * CRUD for the multi-tier notification chains referenced by alarms
+ */
+class EscalationPolicyController {
+
+  /**
+   * List escalation policies
+   * GET /api/escalation-policies?enabled=true
+   */
+  async getPolicies(req, res) {
+    try {
+      const filter = {};
+      if (req.query.enabled !== undefined) filter.enabled = req.query.enabled === 'true';
+
+      const policies = await EscalationPolicy.find(filter).sort({ name: 1 }).lean();
+
+      res.json({
+        success: true,
+        data: policies,
+        total: policies.length
+      });
+    } catch (error) {
+      console.error('Error fetching escalation policies:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching escalation policies',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a single policy with the alarms that use it
+   * GET /api/escalation-policies/:id
+   */
+  async getPolicyById(req, res) {
+    try {
+      const policy = await EscalationPolicy.findById(req.params.id).lean();
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: 'Escalation policy not found'
+        });
+      }
+
+      const alarms = await Alarm.find({ escalation_policy_id: policy._id })
+        .select('name device_name severity status')
+        .lean();
+
+      res.json({
+        success: true,
+        data: { ...policy, alarms }
+      });
+    } catch (error) {
+      console.error('Error fetching escalation policy:', error);
+      res.status(error.name === 'CastError' ? 404 : 500).json({
+        success: false,
+        message: 'Error fetching escalation policy',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create an escalation policy
+   * POST /api/escalation-policies
+   * Body: { name, description?, enabled?, tiers: [{ level, label?, delay_minutes, channels, email_ids?, sms_numbers? }] }
+   */
+  async createPolicy(req, res) {
+    try {
+      const { name, description, enabled, tiers } = req.body;
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'name is required'
+        });
+      }
+
+      const tierErrors = EscalationPolicy.validateTiers(tiers);
+      if (tierErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tier validation failed',
+          errors: tierErrors
+        });
+      }
+
+      const policy = new EscalationPolicy({ name, description, enabled, tiers });
+      await policy.save();
+
+      console.log(`✅ Escalation policy '${name}' created with ${policy.tiers.length} tier(s)`);
+
+      res.status(201).json({
+        success: true,
+        message: `Escalation policy '${name}' created successfully`,
+        data: policy
+      });
+    } catch (error) {
+      console.error('Error creating escalation policy:', error);
+      res.status(error.code === 11000 ? 409 : 500).json({
+        success: false,
+        message: error.code === 11000 ? 'An escalation policy with this name already exists' : 'Error creating escalation policy',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update an escalation policy
+   * PUT /api/escalation-policies/:id
+   * Running escalations pick up tier changes on their next step.
+   */
+  async updatePolicy(req, res) {
+    try {
+      const policy = await EscalationPolicy.findById(req.params.id);
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: 'Escalation policy not found'
+        });
+      }
+
+      if (req.body.tiers !== undefined) {
+        const tierErrors = EscalationPolicy.validateTiers(req.body.tiers);
+        if (tierErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Tier validation failed',
+            errors: tierErrors
+          });
+        }
+        policy.tiers = req.body.tiers;
+      }
+
+      ['name', 'description', 'enabled'].forEach(field => {
+        if (req.body[field] !== undefined) policy[field] = req.body[field];
+      });
+
+      await policy.save();
+
+      console.log(`✏️ Escalation policy '${policy.name}' updated`);
+
+      res.json({
+        success: true,
+        message: 'Escalation policy updated successfully',
+        data: policy
+      });
+    } catch (error) {
+      console.error('Error updating escalation policy:', error);
+      res.status(error.name === 'CastError' ? 404 : 500).json({
+        success: false,
+        message: 'Error updating escalation policy',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete an escalation policy (refused while alarms still reference it)
+   * DELETE /api/escalation-policies/:id
+   */
+  async deletePolicy(req, res) {
+    try {
+      const { id } = req.params;
+
+      const inUse = await Alarm.countDocuments({ escalation_policy_id: id });
+      if (inUse > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Escalation policy is used by ${inUse} alarm(s). Reassign them before deleting.`
+        });
+      }
+
+      const policy = await EscalationPolicy.findByIdAndDelete(id);
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: 'Escalation policy not found'
+        });
+      }
+
+      console.log(`🗑️ Escalation policy '${policy.name}' deleted`);
+
+      res.json({
+        success: true,
+        message: `Escalation policy '${policy.name}' deleted successfully`
+      });
+    } catch (error) {
+      console.error('Error deleting escalation policy:', error);
+      res.status(error.name === 'CastError' ? 404 : 500).json({
+        success: false,
+        message: 'Error deleting escalation policy',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new EscalationPolicyController();
@@ -1,7 +1,66 @@
+const ExcelJS = require('exceljs');
 const ExcelExportService = require('../services/excelExportService');
 const Telemetry = require('../models/telemetry');
+const telemetryExportService = require('../services/telemetryExportService');
+const exportJobService = require('../services/exportJobService');
+const availabilityService = require('../services/availabilityService');
+
+// Largest export built in memory within the request; larger ones become export jobs
+const SYNC_MAX_RECORDS = parseInt(process.env.EXPORT_SYNC_MAX_RECORDS) || 10000;
 
 class ExportController {
+  /**
+   * Parse the export filters shared by every export format
+   * startDate/endDate are YYYY-MM-DD in local time (default: last 30 days);
+   * modes is an array or comma-separated list of NORMAL, DPOL, INT, INST
+   * @returns {{filters: {deviceId, startDate, endDate, modes}}|{error: String}}
+   */
+  static parseExportFilters({ deviceId, startDate, endDate, modes }) {
+    // Parse modes parameter - can be array or comma-separated string
+    let modeFilter = [];
+    if (modes) {
+      if (Array.isArray(modes)) {
+        modeFilter = modes;
+      } else if (typeof modes === 'string') {
+        modeFilter = modes.split(',').map(m => m.trim().toUpperCase());
+      }
+    }
+
+    // Parse and validate date range with proper timezone handling
+    let start, end;
+
+    if (startDate) {
+      // Parse YYYY-MM-DD format - treat as local midnight start
+      const [year, month, day] = String(startDate).split('-');
+      start = new Date(year, month - 1, day, 0, 0, 0, 0); // Local timezone midnight
+    } else {
+      // Default: 30 days ago from today
+      start = new Date();
+      start.setDate(start.getDate() - 30);
+      start.setHours(0, 0, 0, 0); // Set to start of day
+    }
+
+    if (endDate) {
+      // Parse YYYY-MM-DD format - treat as local midnight + 23:59:59
+      const [year, month, day] = String(endDate).split('-');
+      end = new Date(year, month - 1, day, 23, 59, 59, 999); // Local timezone end of day
+    } else {
+      // Default: today at 23:59:59
+      end = new Date();
+      end.setHours(23, 59, 59, 999);
+    }
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return { error: 'Invalid date format. Use YYYY-MM-DD format.' };
+    }
+
+    if (start > end) {
+      return { error: 'Start date cannot be after end date.' };
+    }
+
+    return { filters: { deviceId, startDate: start, endDate: end, modes: modeFilter } };
+  }
+
   // Export telemetry data to Excel and download
   static async exportTelemetryExcel(req, res) {
     try {
@@ -10,58 +69,20 @@ class ExportController {
         startDate,
         endDate,
         format = 'download', // 'download' or 'save'
-        modes // Comma-separated or array of event modes: NORMAL, DPOL, INT, INST
+        survey, // 'false' leaves out the INT Survey / DPOL Decay analysis sheets
+        background // 'true' runs exports over the direct export limit as a background job (202 + job)
       } = req.query;
 
-      // Parse modes parameter - can be array or comma-separated string
-      let modeFilter = [];
-      if (modes) {
-        if (Array.isArray(modes)) {
-          modeFilter = modes;
-        } else if (typeof modes === 'string') {
-          modeFilter = modes.split(',').map(m => m.trim().toUpperCase());
-        }
-      }
-
-      console.log('📊 Export request:', { deviceId, startDate, endDate, format, modeFilter });
-
-      // Parse and validate date range with proper timezone handling
-      let start, end;
-      
-      if (startDate) {
-        // Parse YYYY-MM-DD format - treat as local midnight start
-        const [year, month, day] = startDate.split('-');
-        start = new Date(year, month - 1, day, 0, 0, 0, 0); // Local timezone midnight
-      } else {
-        // Default: 30 days ago from today
-        start = new Date();
-        start.setDate(start.getDate() - 30);
-        start.setHours(0, 0, 0, 0); // Set to start of day
-      }
-      
-      if (endDate) {
-        // Parse YYYY-MM-DD format - treat as local midnight + 23:59:59
-        const [year, month, day] = endDate.split('-');
-        end = new Date(year, month - 1, day, 23, 59, 59, 999); // Local timezone end of day
-      } else {
-        // Default: today at 23:59:59
-        end = new Date();
-        end.setHours(23, 59, 59, 999);
-      }
-
-      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      const parsed = ExportController.parseExportFilters(req.query);
+      if (parsed.error) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid date format. Use YYYY-MM-DD format.'
+          error: parsed.error
         });
       }
+      const { startDate: start, endDate: end, modes: modeFilter } = parsed.filters;
 
-      if (start > end) {
-        return res.status(400).json({
-          success: false,
-          error: 'Start date cannot be after end date.'
-        });
-      }
+      console.log('📊 Export request:', { deviceId, startDate, endDate, format, modeFilter });
 
       console.log('📅 Date range after processing:', {
         originalStart: startDate,
@@ -75,21 +96,33 @@ class ExportController {
       // Warn if trying to export a very large date range (on Render, this might timeout)
       const daySpan = Math.round((end - start) / (1000 * 60 * 60 * 24));
       if (daySpan > 60) {
-        console.warn(`⚠️ WARNING: Exporting ${daySpan} days of data. On Render (30s timeout), consider reducing to under 60 days for better reliability.`);
+        console.warn(`⚠️ WARNING: Exporting ${daySpan} days of data. On Render (30s timeout), consider reducing to under 60 days or using POST /export/jobs.`);
       }
 
-      // Set a longer timeout for this request (for Render deployment)
-      // NOTE: Render hard timeout is 30 seconds
-      // Streaming approach keeps us under this limit by not buffering
-      
-      console.log('⏱️ Export initiated within Render 30s window');
+      // Opt-in: exports too large to build in memory within the request timeout run as a
+      // background job instead; the client polls the job (or listens for exportJobUpdate).
+      // Without the flag the direct export keeps its contract: the newest SYNC_MAX_RECORDS rows.
+      if (background === 'true') {
+        const totalCount = await Telemetry.countDocuments(ExcelExportService.buildTelemetryQuery(parsed.filters));
+        if (totalCount > SYNC_MAX_RECORDS) {
+          const job = await exportJobService.createJob({ ...parsed.filters, includeSurvey: survey !== 'false' }, req.user);
+          console.log(`📦 ${totalCount} records exceed the direct export limit (${SYNC_MAX_RECORDS}), queued export job ${job.jobId}`);
+          return res.status(202).json({
+            success: true,
+            message: `${totalCount} records exceed the direct export limit of ${SYNC_MAX_RECORDS}; the export is running in the background`,
+            data: ExportController.toJobResponse(job)
+          });
+        }
+      }
 
       // Generate Excel file
       const exportResult = await ExcelExportService.exportTelemetryToExcel({
         deviceId,
         startDate: start,
         endDate: end,
-        modes: modeFilter
+        modes: modeFilter,
+        maxRecords: SYNC_MAX_RECORDS,
+        includeSurvey: survey !== 'false'
       });
 
       if (format === 'save') {
@@ -202,6 +235,305 @@ class ExportController {
     }
   }
 
+  // Stream telemetry as CSV / NDJSON / columnar, or download the PDF summary report
+  // GET /api/export/telemetry?format=csv|ndjson|columnar|pdf&deviceId=...&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&modes=INT,DPOL&order=desc|asc
+  static async exportTelemetry(req, res) {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const formatInfo = telemetryExportService.getFormat(format);
+    if (!formatInfo) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format "${format}". Use one of: ${telemetryExportService.formats.join(', ')}`
+      });
+    }
+
+    const parsed = ExportController.parseExportFilters(req.query);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+    const { filters } = parsed;
+    const filename = telemetryExportService.getFilename(format);
+
+    console.log(`📊 ${format.toUpperCase()} export request:`, {
+      deviceId: filters.deviceId || 'all devices',
+      start: filters.startDate.toISOString(),
+      end: filters.endDate.toISOString(),
+      modes: filters.modes.length > 0 ? filters.modes : 'all modes'
+    });
+
+    try {
+      if (format === 'pdf') {
+        const summary = await telemetryExportService.buildSummary(filters);
+        const pdf = telemetryExportService.renderSummaryPdf(summary);
+
+        res.setHeader('Content-Type', formatInfo.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', pdf.length);
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.end(pdf);
+        console.log(`✅ PDF summary sent: ${summary.totals.devices} device(s), ${summary.totals.frames} frame(s)`);
+        return;
+      }
+
+      // Streams can run far longer than the request timeout set for regular requests
+      req.setTimeout(0);
+      res.setTimeout(0);
+
+      res.setHeader('Content-Type', formatInfo.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+
+      const startedAt = Date.now();
+      const result = await telemetryExportService.streamTelemetry(res, filters, format, {
+        order: req.query.order === 'asc' ? 'asc' : 'desc'
+      });
+
+      if (result.aborted) {
+        console.warn(`⚠️ ${format.toUpperCase()} export aborted by client after ${result.rows} rows`);
+        return;
+      }
+      res.end();
+      console.log(`✅ ${format.toUpperCase()} export streamed: ${result.rows} rows in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    } catch (error) {
+      console.error(`❌ ${format.toUpperCase()} export error:`, error.message);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: error.message || 'Failed to export data'
+        });
+      } else {
+        // Mid-stream failure: cut the download so the client sees an incomplete file
+        res.destroy(error);
+      }
+    }
+  }
+
+  /**
+   * Export job as returned by the API, with its status and download URLs
+   */
+  static toJobResponse(job) {
+    const base = `/api/export/jobs/${job.jobId}`;
+    return {
+      jobId: job.jobId,
+      status: job.status,
+      filters: job.filters,
+      progress: job.progress,
+      filename: job.filename,
+      fileSize: job.fileSize,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      expiresAt: job.expiresAt,
+      createdBy: job.createdBy,
+      statusUrl: base,
+      downloadUrl: job.status === 'completed' ? `${base}/download` : null
+    };
+  }
+
+  // Start a background Excel export (no row limit, not bound by the request timeout)
+  // POST /api/export/jobs { deviceId, startDate: YYYY-MM-DD, endDate: YYYY-MM-DD, modes, survey }
+  static async createExportJob(req, res) {
+    try {
+      const body = req.body || {};
+      const parsed = ExportController.parseExportFilters(body);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error
+        });
+      }
+
+      const job = await exportJobService.createJob({
+        ...parsed.filters,
+        includeSurvey: body.survey !== false && body.survey !== 'false'
+      }, req.user);
+
+      res.status(202).json({
+        success: true,
+        message: 'Export queued',
+        data: ExportController.toJobResponse(job)
+      });
+    } catch (error) {
+      console.error('❌ Error creating export job:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to create export job'
+      });
+    }
+  }
+
+  // List the caller's export jobs (admins see all)
+  static async listExportJobs(req, res) {
+    try {
+      const jobs = await exportJobService.listJobs(req.user, {
+        status: req.query.status,
+        limit: req.query.limit
+      });
+      res.json({
+        success: true,
+        data: jobs.map(job => ExportController.toJobResponse(job))
+      });
+    } catch (error) {
+      console.error('❌ Error listing export jobs:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list export jobs'
+      });
+    }
+  }
+
+  // Export job status and progress
+  static async getExportJob(req, res) {
+    try {
+      const job = await exportJobService.getJob(req.params.jobId, req.user);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Export job not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: ExportController.toJobResponse(job)
+      });
+    } catch (error) {
+      console.error('❌ Error fetching export job:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch export job'
+      });
+    }
+  }
+
+  // Download the workbook of a finished export job
+  static async downloadExportJob(req, res) {
+    try {
+      const download = await exportJobService.getDownload(req.params.jobId, req.user);
+      if (!download) {
+        return res.status(404).json({
+          success: false,
+          error: 'Export job not found'
+        });
+      }
+      if (download.error) {
+        return res.status(download.status).json({
+          success: false,
+          error: download.error,
+          data: ExportController.toJobResponse(download.job)
+        });
+      }
+
+      // Large files can take longer to send than the request timeout allows
+      req.setTimeout(0);
+      res.setTimeout(0);
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      res.download(download.filePath, download.job.filename, (error) => {
+        if (error) {
+          console.error(`❌ Error sending export ${req.params.jobId}:`, error.message);
+          if (!res.headersSent) {
+            res.status(500).json({
+              success: false,
+              error: 'Failed to send export file'
+            });
+          }
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error downloading export job:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to download export'
+      });
+    }
+  }
+
+  // Delete an export job and its file
+  static async deleteExportJob(req, res) {
+    try {
+      const job = await exportJobService.deleteJob(req.params.jobId, req.user);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Export job not found'
+        });
+      }
+      res.json({
+        success: true,
+        message: 'Export job deleted',
+        data: { jobId: job.jobId }
+      });
+    } catch (error) {
+      if (error.code === 'JOB_RUNNING') {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('❌ Error deleting export job:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to delete export job'
+      });
+    }
+  }
+
+  // Export the availability report (uptime SLA) to Excel
+  // GET /export/availability/excel?month=YYYY-MM | startDate=&endDate= &zoneId=&deviceId=&target=99.5
+  static async exportAvailabilityExcel(req, res) {
+    try {
+      const range = availabilityService.parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          error: range.error
+        });
+      }
+
+      const targetPercent = req.query.target !== undefined ? parseFloat(req.query.target) : null;
+      if (targetPercent !== null && (isNaN(targetPercent) || targetPercent < 0 || targetPercent > 100)) {
+        return res.status(400).json({
+          success: false,
+          error: 'target must be a percentage between 0 and 100'
+        });
+      }
+
+      const report = await availabilityService.getReport({
+        ...range,
+        zoneId: req.query.zoneId || null,
+        deviceId: req.query.deviceId || null,
+        targetPercent
+      });
+
+      const workbook = new ExcelJS.Workbook();
+      workbook.creator = 'ZEPTAC IoT Platform';
+      workbook.created = new Date();
+      ExcelExportService.addAvailabilitySheet(workbook, report);
+
+      const filename = `availability_${range.startDate.toISOString().split('T')[0]}_${range.endDate.toISOString().split('T')[0]}.xlsx`;
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      await workbook.xlsx.write(res);
+      res.end();
+      console.log(`✅ Availability report exported: ${report.devices.length} device(s), fleet uptime ${report.fleet.uptimePercent}%`);
+    } catch (error) {
+      console.error('❌ Availability export error:', error.message);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: error.message || 'Failed to export availability report'
+        });
+      } else {
+        res.end();
+      }
+    }
+  }
+
   // Get export statistics
   static async getExportStats(req, res) {
     try {
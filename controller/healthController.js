@@ -0,0 +1,62 @@
+const healthService = require('../services/healthService');
+const { CONTENT_TYPE } = require('../utils/prometheus');
+
+/**
+ * Health Controller
+ * Liveness/readiness probes and the Prometheus scrape endpoint. None of these need a user
+ * login; /metrics can be protected with METRICS_TOKEN (sent as a Bearer token).
+ */
+class HealthController {
+  /**
+   * Liveness probe - the process is up
+   * GET /api/health/live
+   */
+  getLiveness(req, res) {
+    res.json(healthService.getLiveness());
+  }
+
+  /**
+   * Readiness probe - 503 while MongoDB or the device MQTT broker is unavailable
+   * GET /api/health/ready
+   */
+  async getReadiness(req, res) {
+    try {
+      const readiness = await healthService.getReadiness();
+      res.status(readiness.ready ? 200 : 503).json(readiness);
+    } catch (error) {
+      console.error('[Health] ❌ Error checking readiness:', error);
+      res.status(503).json({
+        ready: false,
+        status: 'not_ready',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Prometheus metrics
+   * GET /metrics
+   */
+  async getMetrics(req, res) {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or missing metrics token'
+      });
+    }
+
+    try {
+      const body = await healthService.getMetrics();
+      res.set('Content-Type', CONTENT_TYPE).send(body);
+    } catch (error) {
+      console.error('[Health] ❌ Error collecting metrics:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to collect metrics'
+      });
+    }
+  }
+}
+
+module.exports = new HealthController();
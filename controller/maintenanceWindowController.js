@@ -0,0 +1,248 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Device = require('../models/Device');
+const AlarmTrigger = require('../models/AlarmTrigger');
+const maintenanceWindowService = require('../services/maintenanceWindowService');
+
+/**
+ * Maintenance Window Controller
+ * CRUD for alarm-suppressing maintenance windows (device, zone or fleet scope)
+ */
+class MaintenanceWindowController {
+
+  /**
+   * Add the current occurrence (if any) to a window
+   */
+  withStatus(window) {
+    const data = window.toObject ? window.toObject() : window;
+    const occurrence = data.enabled ? MaintenanceWindow.getOccurrenceAt(data) : null;
+    return { ...data, is_active: !!occurrence, current_occurrence: occurrence };
+  }
+
+  /**
+   * List maintenance windows
+   * GET /api/maintenance-windows?active=true&scope_type=zone&enabled=true
+   */
+  async getWindows(req, res) {
+    try {
+      const { active, scope_type, enabled } = req.query;
+      const filter = {};
+      if (scope_type) filter['scope.type'] = scope_type;
+      if (enabled !== undefined) filter.enabled = enabled === 'true';
+
+      let windows = (await MaintenanceWindow.find(filter).sort({ start_at: -1 }).lean()).map(w => this.withStatus(w));
+      if (active !== undefined) {
+        windows = windows.filter(w => w.is_active === (active === 'true'));
+      }
+
+      res.json({
+        success: true,
+        data: windows,
+        total: windows.length
+      });
+    } catch (error) {
+      console.error('Error fetching maintenance windows:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching maintenance windows',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Active maintenance window for a device
+   * GET /api/maintenance-windows/device/:deviceId
+   */
+  async getDeviceWindow(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const device = await Device.findOne({ deviceId }).select('deviceId deviceName zoneId').lean();
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: `Device ${deviceId} not found`
+        });
+      }
+
+      const window = await maintenanceWindowService.findActiveWindow(device);
+
+      res.json({
+        success: true,
+        data: {
+          device_id: device.deviceId,
+          in_maintenance: !!window,
+          window
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching device maintenance window:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching device maintenance window',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a maintenance window with the number of alarm triggers it suppressed
+   * GET /api/maintenance-windows/:id
+   */
+  async getWindowById(req, res) {
+    try {
+      const window = await MaintenanceWindow.findById(req.params.id).lean();
+      if (!window) {
+        return res.status(404).json({
+          success: false,
+          message: 'Maintenance window not found'
+        });
+      }
+
+      const suppressedTriggers = await AlarmTrigger.countDocuments({ maintenance_window_id: window._id });
+
+      res.json({
+        success: true,
+        data: { ...this.withStatus(window), suppressed_triggers: suppressedTriggers }
+      });
+    } catch (error) {
+      console.error('Error fetching maintenance window:', error);
+      res.status(error.name === 'CastError' ? 404 : 500).json({
+        success: false,
+        message: 'Error fetching maintenance window',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a maintenance window
+   * POST /api/maintenance-windows
+   * Body: { name, description?, scope: { type, device_ids?, zone_ids? }, start_at, end_at,
+   *         recurrence?: { frequency, interval, until }, enabled? }
+   */
+  async createWindow(req, res) {
+    try {
+      const errors = MaintenanceWindow.validateWindow(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maintenance window validation failed',
+          errors
+        });
+      }
+
+      const { name, description, scope, start_at, end_at, recurrence, enabled } = req.body;
+      const window = new MaintenanceWindow({
+        name,
+        description,
+        scope,
+        start_at,
+        end_at,
+        recurrence,
+        enabled,
+        created_by: {
+          user_id: req.user?.userId ? req.user.userId.toString() : null,
+          username: req.user?.username || req.user?.email || null
+        }
+      });
+      await window.save();
+      maintenanceWindowService.invalidateCache();
+
+      console.log(`✅ Maintenance window '${name}' created (${scope.type})`);
+
+      res.status(201).json({
+        success: true,
+        message: `Maintenance window '${name}' created successfully`,
+        data: this.withStatus(window)
+      });
+    } catch (error) {
+      console.error('Error creating maintenance window:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating maintenance window',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a maintenance window
+   * PUT /api/maintenance-windows/:id
+   */
+  async updateWindow(req, res) {
+    try {
+      const window = await MaintenanceWindow.findById(req.params.id);
+      if (!window) {
+        return res.status(404).json({
+          success: false,
+          message: 'Maintenance window not found'
+        });
+      }
+
+      const fields = ['name', 'description', 'scope', 'start_at', 'end_at', 'recurrence', 'enabled'];
+      const merged = { ...window.toObject(), ...req.body };
+      const errors = MaintenanceWindow.validateWindow(merged);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maintenance window validation failed',
+          errors
+        });
+      }
+
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) window[field] = req.body[field];
+      });
+      await window.save();
+      maintenanceWindowService.invalidateCache();
+
+      console.log(`✏️ Maintenance window '${window.name}' updated`);
+
+      res.json({
+        success: true,
+        message: 'Maintenance window updated successfully',
+        data: this.withStatus(window)
+      });
+    } catch (error) {
+      console.error('Error updating maintenance window:', error);
+      res.status(error.name === 'CastError' ? 404 : 500).json({
+        success: false,
+        message: 'Error updating maintenance window',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a maintenance window
+   * DELETE /api/maintenance-windows/:id
+   */
+  async deleteWindow(req, res) {
+    try {
+      const window = await MaintenanceWindow.findByIdAndDelete(req.params.id);
+      if (!window) {
+        return res.status(404).json({
+          success: false,
+          message: 'Maintenance window not found'
+        });
+      }
+      maintenanceWindowService.invalidateCache();
+
+      console.log(`🗑️ Maintenance window '${window.name}' deleted`);
+
+      res.json({
+        success: true,
+        message: `Maintenance window '${window.name}' deleted successfully`
+      });
+    } catch (error) {
+      console.error('Error deleting maintenance window:', error);
+      res.status(error.name === 'CastError' ? 404 : 500).json({
+        success: false,
+        message: 'Error deleting maintenance window',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new MaintenanceWindowController();
@@ -0,0 +1,264 @@
+const jobSchedulerService = require('../services/jobSchedulerService');
+
+/**
+ * Scheduled Job Controller
+ * One-off and recurring device commands (mode changes and settings) and their run history
+ */
+class ScheduledJobController {
+
+  sendError(res, error, fallbackMessage) {
+    if (error.validation) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        validation: error.validation
+      });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: error.message
+    });
+  }
+
+  sendNotFound(res) {
+    res.status(404).json({
+      success: false,
+      message: 'Scheduled job not found'
+    });
+  }
+
+  /**
+   * Create a job
+   * POST /api/scheduled-jobs
+   * Body: {
+   *   name, description,
+   *   target: { type: 'devices' | 'zone' | 'filter', deviceIds, zoneId, filterId },
+   *   schedule: { type: 'once', runAt } | { type: 'cron', cron: '0 9 * * MON', timezone: 'Asia/Kolkata' },
+   *   action: { mode: 'normal' | 'interrupt' | 'dpol' | 'inst' | 'settings', parameters },
+   *   revert: { afterMinutes, mode, parameters },
+   *   catchUp: { policy: 'latest' | 'skip', maxDelayMinutes }
+   * }
+   */
+  async createJob(req, res) {
+    try {
+      const job = await jobSchedulerService.createJob(req.body || {}, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: `Job "${job.name}" scheduled`,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error creating scheduled job:', error);
+      this.sendError(res, error, 'Error creating scheduled job');
+    }
+  }
+
+  /**
+   * GET /api/scheduled-jobs?status=active
+   */
+  async getJobs(req, res) {
+    try {
+      const jobs = await jobSchedulerService.listJobs({ status: req.query.status });
+      res.json({
+        success: true,
+        data: jobs,
+        total: jobs.length
+      });
+    } catch (error) {
+      console.error('Error fetching scheduled jobs:', error);
+      this.sendError(res, error, 'Error fetching scheduled jobs');
+    }
+  }
+
+  /**
+   * GET /api/scheduled-jobs/:id
+   */
+  async getJobById(req, res) {
+    try {
+      const job = await jobSchedulerService.getJob(req.params.id);
+      if (!job) return this.sendNotFound(res);
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error fetching scheduled job:', error);
+      this.sendError(res, error, 'Error fetching scheduled job');
+    }
+  }
+
+  /**
+   * PUT /api/scheduled-jobs/:id
+   * Body: any of the create fields; the next run is recomputed
+   */
+  async updateJob(req, res) {
+    try {
+      const job = await jobSchedulerService.updateJob(req.params.id, req.body || {});
+      if (!job) return this.sendNotFound(res);
+
+      res.json({
+        success: true,
+        message: 'Scheduled job updated',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error updating scheduled job:', error);
+      this.sendError(res, error, 'Error updating scheduled job');
+    }
+  }
+
+  /**
+   * DELETE /api/scheduled-jobs/:id
+   */
+  async deleteJob(req, res) {
+    try {
+      const job = await jobSchedulerService.deleteJob(req.params.id);
+      if (!job) return this.sendNotFound(res);
+
+      res.json({
+        success: true,
+        message: `Job "${job.name}" deleted`
+      });
+    } catch (error) {
+      console.error('Error deleting scheduled job:', error);
+      this.sendError(res, error, 'Error deleting scheduled job');
+    }
+  }
+
+  /**
+   * POST /api/scheduled-jobs/:id/pause
+   */
+  async pauseJob(req, res) {
+    try {
+      const job = await jobSchedulerService.pauseJob(req.params.id);
+      if (!job) return this.sendStateConflict(res, req.params.id, 'pause');
+
+      res.json({
+        success: true,
+        message: 'Scheduled job paused',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error pausing scheduled job:', error);
+      this.sendError(res, error, 'Error pausing scheduled job');
+    }
+  }
+
+  /**
+   * Resume from now on; occurrences during the pause are not caught up
+   * POST /api/scheduled-jobs/:id/resume
+   */
+  async resumeJob(req, res) {
+    try {
+      const job = await jobSchedulerService.resumeJob(req.params.id);
+      if (!job) return this.sendStateConflict(res, req.params.id, 'resume');
+
+      res.json({
+        success: true,
+        message: job.status === 'active' ? 'Scheduled job resumed' : 'Scheduled job has no further runs',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error resuming scheduled job:', error);
+      this.sendError(res, error, 'Error resuming scheduled job');
+    }
+  }
+
+  /**
+   * Run a job immediately, outside its schedule
+   * POST /api/scheduled-jobs/:id/run
+   */
+  async runJob(req, res) {
+    try {
+      const run = await jobSchedulerService.runNow(req.params.id);
+      if (!run) {
+        const job = await jobSchedulerService.getJob(req.params.id);
+        if (!job) return this.sendNotFound(res);
+        return res.status(409).json({
+          success: false,
+          message: job.status === 'completed' ? 'Scheduled job is completed' : 'Scheduled job is being processed, try again shortly',
+          data: { status: job.status }
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: `Job run started for ${run.devices.length} device(s)`,
+        data: run
+      });
+    } catch (error) {
+      console.error('Error running scheduled job:', error);
+      this.sendError(res, error, 'Error running scheduled job');
+    }
+  }
+
+  /**
+   * GET /api/scheduled-jobs/:id/runs?limit=50
+   */
+  async getJobRuns(req, res) {
+    try {
+      const job = await jobSchedulerService.getJob(req.params.id);
+      if (!job) return this.sendNotFound(res);
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const runs = await jobSchedulerService.listRuns(job._id, { limit });
+      res.json({
+        success: true,
+        data: runs,
+        total: runs.length
+      });
+    } catch (error) {
+      console.error('Error fetching scheduled job runs:', error);
+      this.sendError(res, error, 'Error fetching scheduled job runs');
+    }
+  }
+
+  /**
+   * Run with per-device command status
+   * GET /api/scheduled-jobs/runs/:runId
+   */
+  async getRunById(req, res) {
+    try {
+      const run = await jobSchedulerService.getRun(req.params.runId);
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          message: 'Scheduled job run not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: run
+      });
+    } catch (error) {
+      console.error('Error fetching scheduled job run:', error);
+      this.sendError(res, error, 'Error fetching scheduled job run');
+    }
+  }
+
+  /**
+   * Respond 404 or 409 when a state change did not apply
+   */
+  async sendStateConflict(res, jobId, action) {
+    const job = await jobSchedulerService.getJob(jobId);
+    if (!job) return this.sendNotFound(res);
+    res.status(409).json({
+      success: false,
+      message: `Cannot ${action} a job that is ${job.status}`,
+      data: { status: job.status }
+    });
+  }
+}
+
+module.exports = new ScheduledJobController();
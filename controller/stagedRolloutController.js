@@ -0,0 +1,200 @@
+const stagedRolloutService = require('../services/stagedRolloutService');
+
+/**
+ * Staged Rollout Controller
+ * Start, follow, pause, resume and abort staged configuration rollouts
+ */
+class StagedRolloutController {
+
+  sendError(res, error, fallbackMessage) {
+    if (error.validation) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        validation: error.validation
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.message.includes('being processed')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const status = error.message.includes('not found') ? 404
+      : (error.message.includes('required') || error.message.startsWith('No devices found') ? 400 : 500);
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? fallbackMessage : error.message,
+      error: error.message
+    });
+  }
+
+  /**
+   * Respond 404 or 409 when a state change did not apply
+   */
+  async sendStateConflict(res, rolloutId, action) {
+    const rollout = await stagedRolloutService.getRollout(rolloutId);
+    if (!rollout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staged rollout not found'
+      });
+    }
+    res.status(409).json({
+      success: false,
+      message: `Cannot ${action} a rollout that is ${rollout.status}`,
+      data: { status: rollout.status }
+    });
+  }
+
+  /**
+   * Start a rollout (the canary batch is sent immediately)
+   * POST /api/staged-rollouts
+   * Body: {
+   *   name, templateId | parameters,
+   *   zoneId | filterId | deviceIds,
+   *   options: { canarySize, batchSize, healthyFrames, ackFailureThreshold, alarmRateThreshold,
+   *              batchTimeoutMinutes, onThreshold: 'pause' | 'rollback' }
+   * }
+   */
+  async createRollout(req, res) {
+    try {
+      const { name, templateId, parameters, zoneId, filterId, deviceIds, options } = req.body;
+      if (!templateId && !parameters) {
+        return res.status(400).json({
+          success: false,
+          message: 'templateId or parameters is required'
+        });
+      }
+
+      const rollout = await stagedRolloutService.createRollout(
+        { name, templateId, parameters, zoneId, filterId, deviceIds, options: options || {} },
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Rollout "${rollout.name}" started with ${rollout.totalBatches} batch(es)`,
+        data: rollout
+      });
+    } catch (error) {
+      console.error('Error starting staged rollout:', error);
+      this.sendError(res, error, 'Error starting staged rollout');
+    }
+  }
+
+  /**
+   * GET /api/staged-rollouts?status=running
+   */
+  async getRollouts(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const rollouts = await stagedRolloutService.listRollouts({ status: req.query.status, limit });
+      res.json({
+        success: true,
+        data: rollouts,
+        total: rollouts.length
+      });
+    } catch (error) {
+      console.error('Error fetching staged rollouts:', error);
+      this.sendError(res, error, 'Error fetching staged rollouts');
+    }
+  }
+
+  /**
+   * Rollout with per-device progress and events
+   * GET /api/staged-rollouts/:id
+   */
+  async getRolloutById(req, res) {
+    try {
+      const rollout = await stagedRolloutService.getRollout(req.params.id);
+      if (!rollout) {
+        return res.status(404).json({
+          success: false,
+          message: 'Staged rollout not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: rollout
+      });
+    } catch (error) {
+      console.error('Error fetching staged rollout:', error);
+      this.sendError(res, error, 'Error fetching staged rollout');
+    }
+  }
+
+  /**
+   * POST /api/staged-rollouts/:id/pause
+   */
+  async pauseRollout(req, res) {
+    try {
+      const rollout = await stagedRolloutService.getRollout(req.params.id) && await stagedRolloutService.pause(req.params.id, req.user);
+      if (!rollout) return this.sendStateConflict(res, req.params.id, 'pause');
+
+      res.json({
+        success: true,
+        message: 'Rollout paused',
+        data: rollout
+      });
+    } catch (error) {
+      console.error('Error pausing staged rollout:', error);
+      this.sendError(res, error, 'Error pausing staged rollout');
+    }
+  }
+
+  /**
+   * Resume a paused or threshold-stopped rollout
+   * POST /api/staged-rollouts/:id/resume
+   * Body (optional): { ackFailureThreshold, alarmRateThreshold }
+   */
+  async resumeRollout(req, res) {
+    try {
+      const { ackFailureThreshold, alarmRateThreshold } = req.body || {};
+      const rollout = await stagedRolloutService.getRollout(req.params.id) &&
+        await stagedRolloutService.resume(req.params.id, req.user, { ackFailureThreshold, alarmRateThreshold });
+      if (!rollout) return this.sendStateConflict(res, req.params.id, 'resume');
+
+      res.json({
+        success: true,
+        message: rollout.status === 'running' ? 'Rollout resumed' : `Rollout resumed and is now ${rollout.status}`,
+        data: rollout
+      });
+    } catch (error) {
+      console.error('Error resuming staged rollout:', error);
+      this.sendError(res, error, 'Error resuming staged rollout');
+    }
+  }
+
+  /**
+   * POST /api/staged-rollouts/:id/abort
+   * Body (optional): { rollback: true } - restore the previous configuration on every changed device
+   */
+  async abortRollout(req, res) {
+    try {
+      const rollback = !!(req.body && req.body.rollback);
+      const rollout = await stagedRolloutService.getRollout(req.params.id) &&
+        await stagedRolloutService.abort(req.params.id, req.user, { rollback });
+      if (!rollout) return this.sendStateConflict(res, req.params.id, 'abort');
+
+      res.json({
+        success: true,
+        message: rollback ? 'Rollout aborted and changed devices rolled back' : 'Rollout aborted',
+        data: rollout
+      });
+    } catch (error) {
+      console.error('Error aborting staged rollout:', error);
+      this.sendError(res, error, 'Error aborting staged rollout');
+    }
+  }
+}
+
+module.exports = new StagedRolloutController();
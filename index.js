@@ -12,6 +12,15 @@ const mqttService = require('./services/mqttService');
 const socketService = require('./services/socketService');
 const deviceStatusMonitor = require('./services/deviceStatusMonitor');
 const alarmMonitoringService = require('./services/alarmMonitoringService');
+const alarmIncidentService = require('./services/alarmIncidentService');
+const escalationService = require('./services/escalationService');
+const maintenanceWindowService = require('./services/maintenanceWindowService');
+const telemetryIngestQueue = require('./services/telemetryIngestQueue');
+const configDriftService = require('./services/configDriftService');
+const stagedRolloutService = require('./services/stagedRolloutService');
+const jobSchedulerService = require('./services/jobSchedulerService');
+const exportJobService = require('./services/exportJobService');
+const healthService = require('./services/healthService');
 const { initializeServices, shutdownServices } = require('./initIoTServices');
 const UserLifecycleMonitor = require('./middleware/userLifecycleMonitor');
 const EmailService = require('./services/emailService');
@@ -67,6 +76,12 @@ app.use(express.urlencoded({
 mqttService.initialize(io);
 socketService.initialize(io);
 alarmMonitoringService.initialize(io);
+alarmIncidentService.initialize(io);
+maintenanceWindowService.initialize(io);
+configDriftService.initialize(io);
+stagedRolloutService.initialize(io);
+jobSchedulerService.initialize(io);
+exportJobService.initialize(io);
 
 // Routes - ORDER MATTERS! Mount more specific routes before generic ones
 app.use('/api', deviceConfigRoutes); // Mount device config routes FIRST (more specific: /api/devices/:id/configure/...)
@@ -104,20 +119,21 @@ app.use((err, req, res, next) => {
   }
 });
 
-// Periodic status logging
+// Periodic dependency check: logs only when a check changes state
+// (details: GET /api/health/ready, counters: GET /metrics)
 const startStatusReporting = () => {
+  let lastSummary = null;
   setInterval(() => {
-    console.log('\n📊 === STATUS REPORT ===');
-    console.log('⏰ Time:', new Date().toISOString());
-    console.log('🔗 Device 123 Status:', mqttService.isDeviceConnected() ? '✅ Connected' : '❌ Disconnected');
-    
-    const deviceData = mqttService.getDeviceData();
-    console.log('📱 Device Data:', deviceData.device ? `✅ Available (${deviceData.device.name})` : '❌ No data');
-    
-    const lastUpdate = mqttService.getLastTimestamp();
-    console.log('🔄 Last update:', lastUpdate ? new Date(lastUpdate).toISOString() : 'Never');
-    console.log('========================\n');
-  }, 30000); // Report every 30 seconds
+    healthService.getReadiness()
+      .then(readiness => {
+        const summary = Object.entries(readiness.checks).map(([name, check]) => `${name}=${check.status}`).join(', ');
+        if (summary !== lastSummary) {
+          console.log(`${readiness.ready ? '✅' : '⚠️'} [Health] ${readiness.status}: ${summary}`);
+          lastSummary = summary;
+        }
+      })
+      .catch(error => console.error('[Health] ❌ Status check failed:', error.message));
+  }, 30000); // Check every 30 seconds
 };
 
 // Start user lifecycle monitoring
@@ -134,6 +150,31 @@ const startDeviceStatusMonitoring = () => {
   deviceStatusMonitor.start();
 };
 
+// Start alarm escalation scheduler
+const startEscalationService = () => {
+  escalationService.start();
+};
+
+// Start maintenance window start/end announcements
+const startMaintenanceWindowService = () => {
+  maintenanceWindowService.start();
+};
+
+// Start staged configuration rollouts
+const startStagedRolloutService = () => {
+  stagedRolloutService.start();
+};
+
+// Start scheduled device commands (catches up on runs missed while down)
+const startJobScheduler = () => {
+  jobSchedulerService.start();
+};
+
+// Start background Excel exports (and removal of expired export files)
+const startExportJobService = () => {
+  exportJobService.start();
+};
+
 // Initialize and verify email service
 const initializeEmailService = () => {
   try {
@@ -191,22 +232,56 @@ server.listen(PORT, () => {
   
   // Start device status monitoring
   startDeviceStatusMonitoring();
+
+  // Start alarm escalation scheduler
+  startEscalationService();
+
+  // Start maintenance window announcements
+  startMaintenanceWindowService();
+
+  // Start staged rollout orchestrator
+  startStagedRolloutService();
+
+  // Start scheduled job runner
+  startJobScheduler();
+
+  // Start export job worker
+  startExportJobService();
   
   // Start user lifecycle monitoring
   startUserMonitoring();
 });
 
 // Graceful shutdown
-const gracefulShutdown = () => {
+const gracefulShutdown = async () => {
   console.log('\n🔄 Shutting down gracefully...');
   
   // Stop device status monitor
   deviceStatusMonitor.stop();
+
+  // Stop alarm escalation scheduler
+  escalationService.stop();
+
+  // Stop maintenance window scheduler
+  maintenanceWindowService.stop();
+
+  // Stop staged rollout orchestrator
+  stagedRolloutService.stop();
+
+  // Stop scheduled job runner
+  jobSchedulerService.stop();
+
+  // Stop export job worker
+  exportJobService.stop();
   
   // Shutdown IoT services
   shutdownServices();
   
   mqttService.disconnect();
+
+  // Store telemetry frames still buffered by the ingest queue
+  await telemetryIngestQueue.stop();
+
   server.close(() => {
     console.log('✅ Server closed successfully');
     process.exit(0);
@@ -49,11 +49,37 @@ const AlarmSchema = new Schema({
     index: true
   },
   
-  // Device Parameters for Alarm Thresholds
+  // Device Parameters for Alarm Thresholds (legacy - used when no expression is set)
   device_params: { type: DeviceParamsSchema, default: {} },
+
+  // Rule expression evaluated against every telemetry frame, e.g.
+  // "DCV > 12 && EVENT == 'NORMAL'" or "abs(REF1 - REF2) > 0.3"
+  // See utils/alarmExpression.js for the supported syntax
+  expression: { type: String, default: null, trim: true },
+
+  // frames_lost: trigger when more than frames_lost.threshold frames (skipped LOG numbers)
+  // were lost in the last frames_lost.window_minutes; the expression is not used
+  alarm_type: { type: String, enum: ['expression', 'frames_lost'], default: 'expression' },
+  frames_lost: {
+    threshold: { type: Number, default: null, min: 0 },
+    window_minutes: { type: Number, default: 60, min: 1, max: 1440 }
+  },
+
+  // Incident lifecycle: clear the open incident after the condition has been
+  // false for this many consecutive telemetry frames
+  auto_clear_frames: { type: Number, default: 3, min: 1 },
   
-  // Notification Configuration
+  // Notification Configuration (flat list - used when no escalation policy is set)
   notification_config: { type: NotificationConfigSchema, default: {} },
+
+  // Multi-tier escalation chain (see EscalationPolicy); overrides notification_config
+  escalation_policy_id: { type: Schema.Types.ObjectId, ref: 'EscalationPolicy', default: null, index: true },
+
+  // Notification throttle windows in minutes (null = severity default from config/alarmThrottle.js, 0 = never throttle)
+  throttle_config: {
+    popup_minutes: { type: Number, default: null, min: 0 },
+    email_minutes: { type: Number, default: null, min: 0 }
+  },
   
   // Timestamps
   created_at: { type: Date, default: Date.now, index: true },
@@ -84,6 +110,52 @@ AlarmSchema.statics.getDeviceAlarms = async function(device_name, status = 'Acti
   }
 };
 
+// Legacy device_params bound -> telemetry field used in the generated expression
+const LEGACY_BOUND_FIELDS = [
+  ['ref_1', 'REF1'],
+  ['ref_2', 'REF2'],
+  ['ref_3', 'REF3'],
+  ['dcv', 'DCV'],
+  ['dci', 'DCI'],
+  ['acv', 'ACV']
+];
+
+/**
+ * Build an equivalent expression for alarms created before rule expressions existed.
+ * Mirrors the original hard-coded checks: REF STS in OP/UP/FAIL, EVENT not NORMAL,
+ * and upper/lower bounds where a threshold of 0 means "not configured".
+ * @param {Object} alarm - Alarm document or lean object
+ * @returns {String} Expression text
+ */
+AlarmSchema.statics.buildLegacyExpression = function(alarm) {
+  const conditions = [
+    "[REF1 STS] in ('OP', 'UP', 'FAIL')",
+    "[REF2 STS] in ('OP', 'UP', 'FAIL')",
+    "[REF3 STS] in ('OP', 'UP', 'FAIL')",
+    "EVENT != 'NORMAL'"
+  ];
+
+  const params = alarm.device_params || {};
+  LEGACY_BOUND_FIELDS.forEach(([prefix, field]) => {
+    const upper = params[`${prefix}_upper`];
+    const lower = params[`${prefix}_lower`];
+    if (upper) conditions.push(`${field} > ${upper}`);
+    if (lower) conditions.push(`${field} < ${lower}`);
+  });
+
+  return conditions.join(' || ');
+};
+
+// Expression evaluated for this alarm (frames-lost threshold, explicit rule or legacy thresholds)
+AlarmSchema.statics.getEffectiveExpression = function(alarm) {
+  if (alarm.alarm_type === 'frames_lost') {
+    return `FRAMES_LOST_WINDOW > ${(alarm.frames_lost && alarm.frames_lost.threshold) || 0}`;
+  }
+  return alarm.expression && alarm.expression.trim() !== ''
+    ? alarm.expression
+    : this.buildLegacyExpression(alarm);
+};
+
 // Instance method to record trigger
 AlarmSchema.methods.recordTrigger = async function() {
   try {
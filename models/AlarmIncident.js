@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * AlarmIncident Schema
+ * A stateful alarm occurrence for one alarm on one device.
+ * Lifecycle: raised -> acknowledged -> cleared
+ * - Repeated triggers while the incident is open are folded into it (trigger_count)
+ * - Incidents clear automatically once the alarm condition has been false for
+ *   Alarm.auto_clear_frames consecutive telemetry frames, or manually by an operator
+ * Individual activations are still stored in AlarmTrigger (linked via incident_id)
+ */
+
+const INCIDENT_STATES = ['raised', 'acknowledged', 'cleared'];
+
+const UserRefSchema = new Schema({
+  user_id: { type: String, default: null },
+  username: { type: String, default: null }
+}, { _id: false });
+
+const TransitionSchema = new Schema({
+  state: { type: String, enum: INCIDENT_STATES, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: UserRefSchema, default: null }, // null = system (auto-raise / auto-clear)
+  comment: { type: String, default: '' }
+}, { _id: false });
+
+const AlarmIncidentSchema = new Schema({
+  // Alarm Reference
+  alarm_id: { type: Schema.Types.ObjectId, ref: 'Alarm', required: true, index: true },
+  alarm_name: { type: String, required: true },
+  severity: { type: String, default: 'warning' },
+
+  // Device Reference
+  device_id: { type: String, required: true, index: true },
+  device_name: { type: String, required: true },
+
+  // Lifecycle
+  state: { type: String, enum: INCIDENT_STATES, default: 'raised', index: true },
+  is_open: { type: Boolean, default: true, index: true }, // raised or acknowledged
+
+  raised_at: { type: Date, default: Date.now, index: true },
+  last_triggered_at: { type: Date, default: Date.now },
+  trigger_count: { type: Number, default: 1 },
+  trigger_reason: { type: String, default: '' }, // Most recent trigger reason
+  first_trigger_id: { type: Schema.Types.ObjectId, ref: 'AlarmTrigger', default: null },
+  last_trigger_id: { type: Schema.Types.ObjectId, ref: 'AlarmTrigger', default: null },
+
+  acknowledged_at: { type: Date, default: null },
+  acknowledged_by: { type: UserRefSchema, default: null },
+  ack_comment: { type: String, default: '' },
+
+  cleared_at: { type: Date, default: null },
+  cleared_by: { type: UserRefSchema, default: null }, // null when auto-cleared
+  clear_reason: { type: String, default: '' },
+  auto_cleared: { type: Boolean, default: false },
+
+  // Frames in a row where the alarm condition evaluated false (drives auto-clear)
+  consecutive_clear_frames: { type: Number, default: 0 },
+
+  // Audit trail of every state transition
+  transitions: { type: [TransitionSchema], default: [] }
+}, {
+  timestamps: true,
+  collection: 'alarmincidents'
+});
+
+// At most one open incident per alarm/device pair
+AlarmIncidentSchema.index(
+  { alarm_id: 1, device_id: 1 },
+  { unique: true, partialFilterExpression: { is_open: true } }
+);
+AlarmIncidentSchema.index({ device_id: 1, raised_at: -1 });
+AlarmIncidentSchema.index({ state: 1, raised_at: -1 });
+
+/**
+ * Static method: Get the open incident for an alarm on a device
+ * @param {ObjectId|String} alarmId - Alarm ID
+ * @param {String} deviceId - Device ID
+ */
+AlarmIncidentSchema.statics.findOpen = function(alarmId, deviceId) {
+  return this.findOne({ alarm_id: alarmId, device_id: deviceId, is_open: true });
+};
+
+AlarmIncidentSchema.statics.STATES = INCIDENT_STATES;
+
+const AlarmIncident = mongoose.models.AlarmIncident || mongoose.model('AlarmIncident', AlarmIncidentSchema);
+
+module.exports = AlarmIncident;
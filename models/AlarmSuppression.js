@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * AlarmSuppression Schema
+ * Persisted notification throttle/dedup state for one alarm on one device.
+ * Replaces the in-memory throttle Maps so PM2 restarts and cluster workers
+ * share the same windows instead of re-sending a burst of notifications.
+ */
+
+// Why the last notification on a channel was or wasn't sent
+const SuppressionDecisionSchema = new Schema({
+  sent: { type: Boolean, default: false },
+  reason: { type: String, default: null }, // e.g. 'sent', 'throttled', 'acknowledged', 'no_recipients'
+  at: { type: Date, default: null }
+}, { _id: false });
+
+const AlarmSuppressionSchema = new Schema({
+  alarm_id: { type: Schema.Types.ObjectId, ref: 'Alarm', required: true },
+  alarm_name: { type: String, default: null },
+  device_id: { type: String, required: true, index: true },
+  severity: { type: String, default: 'warning' },
+
+  // Start of the current throttle window per channel
+  last_popup_at: { type: Date, default: null },
+  last_email_at: { type: Date, default: null },
+
+  // Notifications dropped inside the current window
+  popup_suppressed_count: { type: Number, default: 0 },
+  email_suppressed_count: { type: Number, default: 0 },
+
+  last_trigger_at: { type: Date, default: null },
+  last_decision: {
+    popup: { type: SuppressionDecisionSchema, default: () => ({}) },
+    email: { type: SuppressionDecisionSchema, default: () => ({}) }
+  }
+}, {
+  timestamps: true,
+  collection: 'alarmsuppressions'
+});
+
+// One state document per alarm/device - the unique index makes window claims atomic
+AlarmSuppressionSchema.index({ alarm_id: 1, device_id: 1 }, { unique: true });
+
+// Channel -> fields holding its window start and suppressed counter
+AlarmSuppressionSchema.statics.CHANNEL_FIELDS = {
+  popup: { sentAt: 'last_popup_at', suppressed: 'popup_suppressed_count' },
+  email: { sentAt: 'last_email_at', suppressed: 'email_suppressed_count' }
+};
+
+const AlarmSuppression = mongoose.models.AlarmSuppression || mongoose.model('AlarmSuppression', AlarmSuppressionSchema);
+
+module.exports = AlarmSuppression;
@@ -7,6 +7,17 @@ const { Schema } = mongoose;
  * Provides historical record of all alarm activations with full context
  */
 
+// One delivery attempt to one recipient (legacy flat list = tier 0)
+const NotificationAttemptSchema = new Schema({
+  tier: { type: Number, default: 0 },
+  channel: { type: String, enum: ['email', 'sms'], required: true },
+  recipient: { type: String, required: true },
+  status: { type: String, enum: ['SENT', 'FAILED', 'SKIPPED'], required: true },
+  error: { type: String, default: null },
+  message_id: { type: String, default: null },
+  attempted_at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const AlarmTriggerSchema = new Schema({
   // Alarm Reference
   alarm_id: { 
@@ -21,6 +32,14 @@ const AlarmTriggerSchema = new Schema({
     index: true
   },
   
+  // Incident this trigger belongs to (see AlarmIncident)
+  incident_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'AlarmIncident',
+    default: null,
+    index: true
+  },
+  
   // Device Reference
   device_id: { 
     type: String, 
@@ -37,7 +56,14 @@ const AlarmTriggerSchema = new Schema({
   trigger_reason: { 
     type: String, 
     required: true
-    // Examples: "REF1 STS is 'OP' (valid status detected)", "DCV (10) out of bounds [0, 9]"
+    // Every condition that fired, joined with '; '
+    // Examples: "[REF1 STS] in ('OP', 'UP', 'FAIL') (REF1 STS=OP)", "DCV > 9 (DCV=10); EVENT != 'NORMAL' (EVENT=INT ON)"
+  },
+
+  // Structured list of the conditions that fired: [{ condition, values, description }]
+  fired_conditions: {
+    type: [Schema.Types.Mixed],
+    default: []
   },
   
   // Triggered Values - captured at the moment of alarm
@@ -55,7 +81,8 @@ const AlarmTriggerSchema = new Schema({
   alarm_config: {
     severity: String,
     parameter: String,
-    device_params: Schema.Types.Mixed
+    device_params: Schema.Types.Mixed,
+    expression: String
   },
   
   // Event Status
@@ -84,6 +111,30 @@ const AlarmTriggerSchema = new Schema({
     // Email addresses or phone numbers
   }],
   
+  // Every notification delivery attempt made for this trigger
+  notification_attempts: {
+    type: [NotificationAttemptSchema],
+    default: []
+  },
+  
+  // Maintenance window the trigger fell into (notifications suppressed, status SKIPPED)
+  maintenance_window_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'MaintenanceWindow',
+    default: null,
+    index: true
+  },
+  
+  // Escalation progress when the alarm references an EscalationPolicy
+  escalation: {
+    policy_id: { type: Schema.Types.ObjectId, ref: 'EscalationPolicy', default: null },
+    policy_name: { type: String, default: null },
+    state: { type: String, enum: ['active', 'completed', 'stopped', null], default: null },
+    current_tier: { type: Number, default: 0 }, // Number of tiers notified so far
+    next_tier_at: { type: Date, default: null },
+    stopped_reason: { type: String, default: null }
+  },
+  
   // Additional metadata
   metadata: {
     type: Schema.Types.Mixed,
@@ -99,6 +150,7 @@ AlarmTriggerSchema.index({ alarm_id: 1, triggered_at: -1 });
 AlarmTriggerSchema.index({ device_id: 1, triggered_at: -1 });
 AlarmTriggerSchema.index({ alarm_name: 1, triggered_at: -1 });
 AlarmTriggerSchema.index({ triggered_at: 1 }, { expireAfterSeconds: 7776000 }); // Auto-delete after 90 days
+AlarmTriggerSchema.index({ 'escalation.state': 1, 'escalation.next_tier_at': 1 });
 
 /**
  * Static method: Record an alarm trigger
@@ -109,13 +161,16 @@ AlarmTriggerSchema.statics.recordTrigger = async function(params) {
     const trigger = new this({
       alarm_id: params.alarm_id,
       alarm_name: params.alarm_name,
+      incident_id: params.incident_id || null,
       device_id: params.device_id,
       device_name: params.device_name,
       trigger_reason: params.trigger_reason,
+      fired_conditions: params.fired_conditions || [],
       triggered_values: params.triggered_values || {},
       alarm_config: params.alarm_config || {},
       event_status: params.event_status || 'NORMAL',
       notification_status: params.notification_status || 'PENDING',
+      maintenance_window_id: params.maintenance_window_id || null,
       notified_recipients: params.notified_recipients || [],
       metadata: params.metadata || {}
     });
@@ -129,6 +184,28 @@ AlarmTriggerSchema.statics.recordTrigger = async function(params) {
   }
 };
 
+/**
+ * Static method: Log notification attempts against a trigger
+ * @param {ObjectId} triggerId - AlarmTrigger ID
+ * @param {Array<Object>} attempts - [{ tier, channel, recipient, status, error, message_id }]
+ */
+AlarmTriggerSchema.statics.logNotificationAttempts = async function(triggerId, attempts) {
+  if (!triggerId || !attempts || attempts.length === 0) return;
+  try {
+    const stamped = attempts.map(attempt => ({ attempted_at: new Date(), ...attempt }));
+    const recipients = stamped.filter(a => a.status === 'SENT').map(a => a.recipient);
+    await this.updateOne(
+      { _id: triggerId },
+      {
+        $push: { notification_attempts: { $each: stamped } },
+        ...(recipients.length > 0 && { $addToSet: { notified_recipients: { $each: recipients } } })
+      }
+    );
+  } catch (error) {
+    console.error('[AlarmTrigger] Error logging notification attempts:', error);
+  }
+};
+
 /**
  * Static method: Get alarm trigger history for a specific alarm
  * @param {String} alarmId - Alarm ID
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * ConfigTemplate Schema
+ * Named set of device settings applied to many devices at once, e.g.
+ *   { name: 'Zinc anode, 10 s logging, INT 12 s on / 3 s off',
+ *     parameters: { 'Electrode': 1, 'logging_interval': '00:00:10', 'Interrupt ON Time': 12, ... } }
+ * Parameters use the device "Parameters" format (same names and units as
+ * PUT /api/device-management/:deviceId/settings); reference values are in volts.
+ */
+
+const ConfigTemplateSchema = new Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  description: { type: String, default: '', trim: true },
+  parameters: { type: Schema.Types.Mixed, required: true },
+  // Electrode code set by the template (null = each device keeps its own electrode)
+  electrode: { type: Number, default: null },
+  createdBy: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null }
+  },
+  updatedBy: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null }
+  }
+}, {
+  timestamps: true,
+  collection: 'config_templates',
+  minimize: false
+});
+
+const ConfigTemplate = mongoose.models.ConfigTemplate || mongoose.model('ConfigTemplate', ConfigTemplateSchema);
+
+module.exports = ConfigTemplate;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * DataQualityEvent Schema
+ * A continuity problem found in a device's LOG counter or timestamps at ingest, so a
+ * strange reading can be told apart from a transmission artefact:
+ * - gap: LOG numbers were skipped (framesLost = received - expected); framesRecovered counts
+ *   the missing LOG numbers that later arrived in backfilled frames
+ * - duplicate: the same LOG number was received again
+ * - reset: the counter went back while time moved forward (device restart / wrap-around)
+ * - out_of_order: the frame's device timestamp is older than the previous frame's
+ * log/timestamp are the frame that revealed the problem, previousLog/previousTimestamp
+ * the last frame seen before it. Events are removed after DATA_QUALITY_EVENT_DAYS
+ * (default 365) days.
+ */
+
+const DATA_QUALITY_EVENT_TYPES = ['gap', 'duplicate', 'reset', 'out_of_order'];
+
+const DataQualityEventSchema = new Schema({
+  deviceId: { type: String, required: true, index: true },
+  type: { type: String, enum: DATA_QUALITY_EVENT_TYPES, required: true },
+  timestamp: { type: Date, required: true },
+  receivedAt: { type: Date, default: Date.now },
+  log: { type: Number, default: null },
+  previousLog: { type: Number, default: null },
+  expectedLog: { type: Number, default: null },
+  previousTimestamp: { type: Date, default: null },
+  framesLost: { type: Number, default: 0 },
+  framesRecovered: { type: Number, default: 0 },
+  telemetryId: { type: Schema.Types.ObjectId, default: null }
+}, {
+  timestamps: true,
+  collection: 'data_quality_events'
+});
+
+DataQualityEventSchema.index({ deviceId: 1, timestamp: -1 });
+DataQualityEventSchema.index({ type: 1, timestamp: -1 });
+DataQualityEventSchema.index(
+  { createdAt: 1 },
+  { name: 'created_ttl', expireAfterSeconds: (parseInt(process.env.DATA_QUALITY_EVENT_DAYS) || 365) * 24 * 60 * 60 }
+);
+
+DataQualityEventSchema.statics.TYPES = DATA_QUALITY_EVENT_TYPES;
+
+module.exports = mongoose.models.DataQualityEvent || mongoose.model('DataQualityEvent', DataQualityEventSchema);
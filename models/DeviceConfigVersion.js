@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * DeviceConfigVersion Schema
+ * Immutable snapshot of Device.configuration.deviceSettings, one per change:
+ *   { deviceId: '123', version: 7, settings: { electrode: 1, ... }, changedFields: ['electrode'],
+ *     source: 'user', author: { user_id, username }, commandId }
+ * Versions are numbered per device from 1. A rollback creates a new version (source 'rollback')
+ * with the settings of an older one; existing versions are never modified.
+ */
+
+const CONFIG_VERSION_SOURCES = ['user', 'device', 'sync', 'rollback', 'system'];
+
+const DeviceConfigVersionSchema = new Schema({
+  deviceId: { type: String, required: true, immutable: true },
+  version: { type: Number, required: true, immutable: true },
+  settings: { type: Schema.Types.Mixed, required: true, immutable: true },
+  changedFields: { type: [String], default: [], immutable: true },
+  source: { type: String, enum: CONFIG_VERSION_SOURCES, required: true, immutable: true },
+  sourceDetail: { type: String, default: null, immutable: true }, // original storeDeviceSettings source (user_config, mqtt_incoming, ...)
+  author: {
+    user_id: { type: String, default: null, immutable: true },
+    username: { type: String, default: null, immutable: true }
+  },
+  commandId: { type: String, default: null, immutable: true },
+  rolledBackFrom: { type: Number, default: null, immutable: true }, // version restored by a rollback
+  created_at: { type: Date, default: Date.now, immutable: true }
+}, {
+  collection: 'device_config_versions',
+  minimize: false
+});
+
+DeviceConfigVersionSchema.index({ deviceId: 1, version: -1 }, { unique: true });
+
+DeviceConfigVersionSchema.statics.SOURCES = CONFIG_VERSION_SOURCES;
+
+// Versions are append-only
+DeviceConfigVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Configuration versions are immutable'));
+  }
+  next();
+});
+
+const DeviceConfigVersion = mongoose.models.DeviceConfigVersion || mongoose.model('DeviceConfigVersion', DeviceConfigVersionSchema);
+
+module.exports = DeviceConfigVersion;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * DeviceConfiguration Schema
+ * Two documents per device, kept apart so we can tell what a rectifier should run from what it runs:
+ *   - desired:  the complete settings last sent to the device (Parameters format, as published)
+ *   - reported: the settings the device reported in its latest data frame
+ * The desired document also holds the result of the last comparison (drift) and the auto re-push state.
+ */
+
+const DriftFieldSchema = new Schema({
+  parameter: { type: String, required: true },
+  desired: { type: Schema.Types.Mixed },
+  reported: { type: Schema.Types.Mixed }
+}, { _id: false });
+
+const DeviceConfigurationSchema = new Schema({
+  deviceId: { type: String, required: true },
+  type: { type: String, enum: ['desired', 'reported'], required: true },
+  parameters: { type: Schema.Types.Mixed, default: {} },
+  source: { type: String, default: null }, // desired: settings_command | drift_repush, reported: device_frame
+  commandId: { type: String, default: null }, // desired: command that sent these parameters
+  sentAt: { type: Date, default: null }, // desired: when the parameters were last published
+  reportedAt: { type: Date, default: null }, // reported: when the frame was received
+
+  // desired only
+  drift: {
+    // unknown = nothing to compare yet, pending = sent recently / waiting for ACK
+    status: { type: String, enum: ['unknown', 'pending', 'in_sync', 'drifted'], default: 'unknown' },
+    fields: { type: [DriftFieldSchema], default: [] },
+    compared: { type: Number, default: 0 },
+    checkedAt: { type: Date, default: null },
+    driftedSince: { type: Date, default: null },
+    lastInSyncAt: { type: Date, default: null }
+  },
+  autoRepush: {
+    enabled: { type: Boolean, default: null }, // null = CONFIG_DRIFT_AUTO_REPUSH default
+    attempts: { type: Number, default: 0 }, // re-pushes since the device was last in sync
+    lastRepushAt: { type: Date, default: null },
+    lastCommandId: { type: String, default: null }
+  }
+}, {
+  timestamps: true,
+  collection: 'device_configurations',
+  minimize: false
+});
+
+DeviceConfigurationSchema.index({ deviceId: 1, type: 1 }, { unique: true });
+DeviceConfigurationSchema.index({ type: 1, 'drift.status': 1 });
+
+const DeviceConfiguration = mongoose.models.DeviceConfiguration || mongoose.model('DeviceConfiguration', DeviceConfigurationSchema);
+
+module.exports = DeviceConfiguration;
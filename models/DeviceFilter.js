@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * DeviceFilter Schema
+ * Saved device selection, resolved against the Device collection whenever it is used
+ * so devices added later are included. All criteria are optional and combined with AND;
+ * an empty list means "any".
+ */
+
+const DeviceFilterSchema = new Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  description: { type: String, default: '', trim: true },
+  criteria: {
+    deviceIds: [{ type: String, trim: true }],
+    zoneIds: [{ type: String, trim: true }],
+    deviceTypes: [{ type: String, trim: true }],
+    states: [{ type: String, enum: ['online', 'offline', 'warning'] }],
+    electrodes: [{ type: Number }],
+    search: { type: String, default: null, trim: true } // deviceId, deviceName or location contains
+  },
+  createdBy: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null }
+  }
+}, {
+  timestamps: true,
+  collection: 'device_filters'
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a Device query from filter criteria
+ * @param {Object} criteria - DeviceFilter.criteria
+ * @returns {Object} MongoDB query for the Device collection
+ */
+DeviceFilterSchema.statics.buildDeviceQuery = function buildDeviceQuery(criteria = {}) {
+  const query = {};
+  const hasValues = (list) => Array.isArray(list) && list.length > 0;
+
+  if (hasValues(criteria.deviceIds)) query.deviceId = { $in: criteria.deviceIds };
+  if (hasValues(criteria.zoneIds)) query.zoneId = { $in: criteria.zoneIds };
+  if (hasValues(criteria.deviceTypes)) query.deviceType = { $in: criteria.deviceTypes };
+  if (hasValues(criteria.states)) query['status.state'] = { $in: criteria.states };
+  if (hasValues(criteria.electrodes)) query['configuration.deviceSettings.electrode'] = { $in: criteria.electrodes };
+  if (criteria.search) {
+    const pattern = new RegExp(escapeRegex(criteria.search), 'i');
+    query.$or = [{ deviceId: pattern }, { deviceName: pattern }, { location: pattern }];
+  }
+
+  return query;
+};
+
+const DeviceFilter = mongoose.models.DeviceFilter || mongoose.model('DeviceFilter', DeviceFilterSchema);
+
+module.exports = DeviceFilter;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * DeviceStatusHistory Schema
+ * One document per period a device spent online, warning or offline, written by the
+ * device status monitor on every transition. The current period has until = null
+ * (unique per device); closing it sets until and durationMs.
+ * - since: when the period started (for warning/offline: lastSeen + the deadline that
+ *   was missed, for online: the first frame after the outage)
+ * - reason: why the period started (missed_frames, frame_received, no_data, initial)
+ * - expectedIntervalSeconds / warningAfterMs / offlineAfterMs: the deadlines in force
+ * Closed periods are removed after DEVICE_STATUS_HISTORY_DAYS (default 365) days.
+ */
+
+const DEVICE_STATES = ['online', 'warning', 'offline'];
+
+const DeviceStatusHistorySchema = new Schema({
+  deviceId: { type: String, required: true },
+  state: { type: String, enum: DEVICE_STATES, required: true },
+  previousState: { type: String, enum: [...DEVICE_STATES, null], default: null },
+  since: { type: Date, required: true },
+  until: { type: Date, default: null },
+  durationMs: { type: Number, default: null },
+  reason: { type: String, default: null },
+  lastSeen: { type: Date, default: null },
+  expectedIntervalSeconds: { type: Number, default: null },
+  warningAfterMs: { type: Number, default: null },
+  offlineAfterMs: { type: Number, default: null }
+}, {
+  timestamps: true,
+  collection: 'device_status_history'
+});
+
+DeviceStatusHistorySchema.index({ deviceId: 1, since: -1 });
+DeviceStatusHistorySchema.index({ until: 1, deviceId: 1 });
+// At most one open period per device, even when several instances see the device at once
+DeviceStatusHistorySchema.index(
+  { deviceId: 1 },
+  { name: 'open_period_unique', unique: true, partialFilterExpression: { until: null } }
+);
+// Open periods (until: null) are never expired
+DeviceStatusHistorySchema.index(
+  { until: 1 },
+  { name: 'until_ttl', expireAfterSeconds: (parseInt(process.env.DEVICE_STATUS_HISTORY_DAYS) || 365) * 24 * 60 * 60 }
+);
+
+DeviceStatusHistorySchema.statics.STATES = DEVICE_STATES;
+
+module.exports = mongoose.models.DeviceStatusHistory || mongoose.model('DeviceStatusHistory', DeviceStatusHistorySchema);
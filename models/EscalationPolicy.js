@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * EscalationPolicy Schema
+ * Multi-tier notification chain referenced by Alarm.escalation_policy_id, e.g.
+ *   tier 1: email on-call engineer immediately (delay_minutes: 0)
+ *   tier 2: SMS shift lead if still unacknowledged after 15 minutes
+ *   tier 3: SMS + email supervisor after 60 minutes
+ * Delays are measured from the moment the alarm incident was raised.
+ * The escalation stops as soon as the incident is acknowledged or cleared.
+ */
+
+const EscalationTierSchema = new Schema({
+  level: { type: Number, required: true, min: 1 },
+  label: { type: String, default: '' }, // e.g. "First responder", "Supervisor"
+  delay_minutes: { type: Number, required: true, min: 0, default: 0 },
+  channels: {
+    type: [{ type: String, enum: ['email', 'sms'] }],
+    validate: {
+      validator: (v) => Array.isArray(v) && v.length > 0,
+      message: 'Each tier needs at least one channel (email or sms)'
+    }
+  },
+  email_ids: [{ type: String, trim: true }],
+  sms_numbers: [{ type: String, trim: true }]
+}, { _id: false });
+
+const EscalationPolicySchema = new Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String, default: '' },
+  enabled: { type: Boolean, default: true, index: true },
+  tiers: {
+    type: [EscalationTierSchema],
+    validate: {
+      validator: (v) => Array.isArray(v) && v.length > 0,
+      message: 'An escalation policy needs at least one tier'
+    }
+  }
+}, {
+  timestamps: true,
+  collection: 'escalationpolicies'
+});
+
+/**
+ * Check tier consistency: unique levels, delays increasing with level,
+ * and recipients present for every channel a tier uses
+ * @param {Array} tiers - Tier definitions
+ * @returns {Array<String>} Validation errors (empty when valid)
+ */
+EscalationPolicySchema.statics.validateTiers = function(tiers) {
+  const errors = [];
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return ['At least one tier is required'];
+  }
+
+  const sorted = [...tiers].sort((a, b) => a.level - b.level);
+  const levels = new Set();
+
+  sorted.forEach((tier, index) => {
+    const name = `Tier ${tier.level}`;
+    if (!Number.isInteger(tier.level) || tier.level < 1) {
+      errors.push(`${name}: level must be a positive integer`);
+    }
+    if (levels.has(tier.level)) {
+      errors.push(`${name}: duplicate level`);
+    }
+    levels.add(tier.level);
+
+    if (typeof tier.delay_minutes !== 'number' || tier.delay_minutes < 0) {
+      errors.push(`${name}: delay_minutes must be a number >= 0`);
+    } else if (index > 0 && tier.delay_minutes < sorted[index - 1].delay_minutes) {
+      errors.push(`${name}: delay_minutes must not be shorter than the previous tier`);
+    }
+
+    const channels = tier.channels || [];
+    if (channels.length === 0) {
+      errors.push(`${name}: at least one channel (email or sms) is required`);
+    }
+    if (channels.includes('email') && !(tier.email_ids || []).length) {
+      errors.push(`${name}: email channel selected but no email_ids configured`);
+    }
+    if (channels.includes('sms') && !(tier.sms_numbers || []).length) {
+      errors.push(`${name}: sms channel selected but no sms_numbers configured`);
+    }
+  });
+
+  return errors;
+};
+
+// Keep tiers ordered by level so tier index == escalation step
+EscalationPolicySchema.pre('save', function(next) {
+  if (this.tiers) {
+    this.tiers.sort((a, b) => a.level - b.level);
+  }
+  next();
+});
+
+const EscalationPolicy = mongoose.models.EscalationPolicy || mongoose.model('EscalationPolicy', EscalationPolicySchema);
+
+module.exports = EscalationPolicy;
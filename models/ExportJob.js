@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * ExportJob Schema
+ * An Excel export that runs in the background instead of inside the request, so large
+ * date ranges are not cut off by the 29 s request timeout. The worker streams the
+ * telemetry from a cursor into the workbook file; the file can be downloaded until
+ * expiresAt, after which it is deleted and the job is marked expired.
+ */
+
+const EXPORT_JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'expired'];
+
+const ExportJobSchema = new Schema({
+  jobId: { type: String, required: true, unique: true, index: true },
+  status: { type: String, enum: EXPORT_JOB_STATUSES, default: 'queued', index: true },
+
+  // Same filters as GET /export/telemetry/excel
+  filters: {
+    deviceId: { type: String, default: null },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    modes: [{ type: String }],
+    includeSurvey: { type: Boolean, default: true }
+  },
+
+  progress: {
+    rows: { type: Number, default: 0 },
+    totalRows: { type: Number, default: null }
+  },
+
+  filename: { type: String, required: true },
+  filePath: { type: String, default: null },
+  fileSize: { type: Number, default: null },
+  result: {
+    devices: { type: Number, default: null },
+    eventCounts: { type: Schema.Types.Mixed, default: null },
+    surveyCycles: { type: Number, default: null },
+    dpolSessions: { type: Number, default: null }
+  },
+  error: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null, index: true },
+  downloadCount: { type: Number, default: 0 },
+
+  // Processing lease, so only one backend instance writes a job
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+
+  createdBy: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null }
+  }
+}, {
+  timestamps: true,
+  collection: 'export_jobs'
+});
+
+ExportJobSchema.index({ status: 1, createdAt: 1 });
+ExportJobSchema.index({ 'createdBy.user_id': 1, createdAt: -1 });
+
+ExportJobSchema.statics.STATUSES = EXPORT_JOB_STATUSES;
+
+module.exports = mongoose.models.ExportJob || mongoose.model('ExportJob', ExportJobSchema);
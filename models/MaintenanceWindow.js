@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * MaintenanceWindow Schema
+ * Period during which alarms for a device, a zone or the whole fleet are still
+ * logged but no notifications are sent (commissioning, DPOL surveys, ...).
+ * A window may repeat daily, weekly or monthly; each repetition keeps the
+ * duration of the first occurrence (end_at - start_at).
+ */
+
+const MaintenanceWindowSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+
+  // Which devices the window covers
+  scope: {
+    type: { type: String, enum: ['device', 'zone', 'fleet'], required: true },
+    device_ids: [{ type: String, trim: true }], // scope.type === 'device'
+    zone_ids: [{ type: String, trim: true }] // scope.type === 'zone' (Zone.id / Device.zoneId)
+  },
+
+  // First occurrence
+  start_at: { type: Date, required: true, index: true },
+  end_at: { type: Date, required: true },
+
+  // Optional recurrence
+  recurrence: {
+    frequency: { type: String, enum: ['none', 'daily', 'weekly', 'monthly'], default: 'none' },
+    interval: { type: Number, default: 1, min: 1 }, // every N days/weeks/months
+    until: { type: Date, default: null } // last possible occurrence start (null = forever)
+  },
+
+  enabled: { type: Boolean, default: true, index: true },
+  created_by: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null }
+  },
+
+  // Occurrence start of the last start/end announcement (prevents duplicates across restarts/workers)
+  announced_start_for: { type: Date, default: null },
+  announced_end_for: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'maintenancewindows'
+});
+
+MaintenanceWindowSchema.index({ enabled: 1, 'scope.type': 1 });
+
+/**
+ * Start of the n-th occurrence (n = 0 is the first occurrence)
+ */
+const getOccurrenceStart = (window, n) => {
+  const start = new Date(window.start_at);
+  const step = n * ((window.recurrence && window.recurrence.interval) || 1);
+
+  switch (window.recurrence && window.recurrence.frequency) {
+    case 'daily':
+      start.setDate(start.getDate() + step);
+      break;
+    case 'weekly':
+      start.setDate(start.getDate() + step * 7);
+      break;
+    case 'monthly': {
+      // Clamp to the last day of shorter months (31st -> 30th/28th) instead of rolling over
+      const day = start.getDate();
+      start.setDate(1);
+      start.setMonth(start.getMonth() + step);
+      const lastDay = new Date(start.getFullYear(), start.getMonth() + 1, 0).getDate();
+      start.setDate(Math.min(day, lastDay));
+      break;
+    }
+    default:
+      if (n !== 0) return null;
+  }
+  return start;
+};
+
+// Approximate period used to jump close to the wanted occurrence before checking exactly
+const APPROX_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  monthly: 28 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Find the occurrence of a window that contains a point in time
+ * @param {Object} window - MaintenanceWindow document or lean object
+ * @param {Date} at - Point in time (default now)
+ * @returns {{start: Date, end: Date}|null}
+ */
+MaintenanceWindowSchema.statics.getOccurrenceAt = function(window, at = new Date()) {
+  const time = new Date(at).getTime();
+  const firstStart = new Date(window.start_at).getTime();
+  const duration = new Date(window.end_at).getTime() - firstStart;
+  if (time < firstStart || duration <= 0) return null;
+
+  const frequency = window.recurrence && window.recurrence.frequency;
+  if (!frequency || frequency === 'none') {
+    return time < firstStart + duration
+      ? { start: new Date(window.start_at), end: new Date(window.end_at) }
+      : null;
+  }
+
+  const interval = window.recurrence.interval || 1;
+  const until = window.recurrence.until ? new Date(window.recurrence.until).getTime() : Infinity;
+
+  // Latest occurrence starting at or before `at`, then check it is still running
+  let n = Math.max(0, Math.floor((time - firstStart) / (APPROX_PERIOD_MS[frequency] * interval)) + 1);
+  let start = getOccurrenceStart(window, n);
+  while (n > 0 && start.getTime() > time) {
+    n -= 1;
+    start = getOccurrenceStart(window, n);
+  }
+
+  if (start.getTime() > until) return null;
+  const end = new Date(start.getTime() + duration);
+  return time < end.getTime() ? { start, end } : null;
+};
+
+/**
+ * Whether a window covers a device
+ * @param {Object} window - MaintenanceWindow
+ * @param {Object} device - Device (deviceId, zoneId)
+ */
+MaintenanceWindowSchema.statics.coversDevice = function(window, device) {
+  const scope = window.scope || {};
+  if (scope.type === 'fleet') return true;
+  if (scope.type === 'device') return (scope.device_ids || []).includes(device.deviceId);
+  if (scope.type === 'zone') return !!device.zoneId && (scope.zone_ids || []).includes(device.zoneId);
+  return false;
+};
+
+/**
+ * Check window consistency
+ * @param {Object} data - Window fields
+ * @returns {Array<String>} Validation errors (empty when valid)
+ */
+MaintenanceWindowSchema.statics.validateWindow = function(data) {
+  const errors = [];
+  const start = new Date(data.start_at);
+  const end = new Date(data.end_at);
+
+  if (!data.name) errors.push('name is required');
+  if (isNaN(start.getTime())) errors.push('start_at must be a valid date');
+  if (isNaN(end.getTime())) errors.push('end_at must be a valid date');
+  if (!isNaN(start.getTime()) && !isNaN(end.getTime()) && end <= start) {
+    errors.push('end_at must be after start_at');
+  }
+
+  const scope = data.scope || {};
+  if (!['device', 'zone', 'fleet'].includes(scope.type)) {
+    errors.push("scope.type must be one of 'device', 'zone', 'fleet'");
+  } else if (scope.type === 'device' && !(scope.device_ids || []).length) {
+    errors.push('scope.device_ids is required for a device window');
+  } else if (scope.type === 'zone' && !(scope.zone_ids || []).length) {
+    errors.push('scope.zone_ids is required for a zone window');
+  }
+
+  const recurrence = data.recurrence || {};
+  if (recurrence.frequency && !['none', 'daily', 'weekly', 'monthly'].includes(recurrence.frequency)) {
+    errors.push("recurrence.frequency must be one of 'none', 'daily', 'weekly', 'monthly'");
+  }
+  if (recurrence.frequency && recurrence.frequency !== 'none' && !isNaN(start.getTime()) && !isNaN(end.getTime())) {
+    const period = APPROX_PERIOD_MS[recurrence.frequency] * (recurrence.interval || 1);
+    if (end - start >= period) {
+      errors.push('window duration must be shorter than its recurrence period');
+    }
+  }
+
+  return errors;
+};
+
+const MaintenanceWindow = mongoose.models.MaintenanceWindow || mongoose.model('MaintenanceWindow', MaintenanceWindowSchema);
+
+module.exports = MaintenanceWindow;
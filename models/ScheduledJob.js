@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * ScheduledJob Schema
+ * A device command that runs at a set time (once) or on a cron schedule, e.g.
+ * "put zone North into INT mode every Monday 09:00 for 2 hours, then NORMAL":
+ *   { target: { type: 'zone', zoneId: 'zone-north' },
+ *     schedule: { type: 'cron', cron: '0 9 * * MON', timezone: 'Asia/Kolkata' },
+ *     action: { mode: 'interrupt', parameters: { 'Interrupt ON Time': 12, 'Interrupt OFF Time': 3 } },
+ *     revert: { afterMinutes: 120, mode: 'normal' } }
+ * Each run (and each revert) is recorded as a ScheduledJobRun.
+ */
+
+const JOB_MODES = ['normal', 'interrupt', 'dpol', 'inst', 'settings'];
+
+const ScheduledJobSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '', trim: true },
+  status: { type: String, enum: ['active', 'paused', 'completed'], default: 'active', index: true },
+
+  // Devices the command is sent to (resolved at every run)
+  target: {
+    type: { type: String, enum: ['devices', 'zone', 'filter'], required: true },
+    deviceIds: [{ type: String, trim: true }],
+    zoneId: { type: String, default: null },
+    filterId: { type: String, default: null }
+  },
+
+  schedule: {
+    type: { type: String, enum: ['once', 'cron'], required: true },
+    runAt: { type: Date, default: null }, // once
+    cron: { type: String, default: null }, // cron: "minute hour day month weekday"
+    timezone: { type: String, default: 'UTC' } // IANA zone for the cron fields and the device timestamps
+  },
+
+  // Mode to switch to; 'settings' only applies the parameters
+  action: {
+    mode: { type: String, enum: JOB_MODES, required: true },
+    parameters: { type: Schema.Types.Mixed, default: {} } // Parameters format, e.g. { 'Interrupt ON Time': 12 }
+  },
+
+  // Optional second step after each run, e.g. back to NORMAL after 2 hours
+  revert: {
+    afterMinutes: { type: Number, default: null, min: 1 },
+    mode: { type: String, enum: JOB_MODES, default: 'normal' },
+    parameters: { type: Schema.Types.Mixed, default: {} }
+  },
+
+  // Runs missed while the backend was down: 'latest' runs the most recent missed occurrence once,
+  // 'skip' records them as missed. Occurrences older than maxDelayMinutes are always skipped.
+  catchUp: {
+    policy: { type: String, enum: ['latest', 'skip'], default: 'latest' },
+    maxDelayMinutes: { type: Number, default: null, min: 1 }
+  },
+
+  nextRunAt: { type: Date, default: null, index: true },
+  nextRevertAt: { type: Date, default: null, index: true },
+  lastRunAt: { type: Date, default: null },
+  lastRunStatus: { type: String, default: null },
+  runCount: { type: Number, default: 0 },
+
+  // Processing lease, so only one backend instance runs a due job
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+
+  createdBy: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null }
+  }
+}, {
+  timestamps: true,
+  collection: 'scheduled_jobs',
+  minimize: false
+});
+
+ScheduledJobSchema.index({ status: 1, nextRunAt: 1 });
+ScheduledJobSchema.index({ status: 1, nextRevertAt: 1 });
+
+ScheduledJobSchema.statics.MODES = JOB_MODES;
+
+const ScheduledJob = mongoose.models.ScheduledJob || mongoose.model('ScheduledJob', ScheduledJobSchema);
+
+module.exports = ScheduledJob;
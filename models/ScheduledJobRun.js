@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * ScheduledJobRun Schema
+ * Outcome of one run (phase 'start') or revert (phase 'revert') of a ScheduledJob.
+ * Per-device statuses follow the devices' command acknowledgments until every
+ * command is settled; the run status is then:
+ *   success - every device acknowledged
+ *   partial - some devices acknowledged
+ *   failed  - no device acknowledged (or the run could not start)
+ *   missed  - occurrence skipped (backend down, catch-up policy 'skip' or too late)
+ */
+
+const RunDeviceSchema = new Schema({
+  deviceId: { type: String, required: true },
+  commandId: { type: String, default: null },
+  status: { type: String, required: true }, // DeviceAcknowledgment status, INVALID or ERROR
+  error: { type: String, default: null }
+}, { _id: false });
+
+const ScheduledJobRunSchema = new Schema({
+  jobId: { type: Schema.Types.ObjectId, ref: 'ScheduledJob', required: true, index: true },
+  jobName: { type: String, required: true },
+  phase: { type: String, enum: ['start', 'revert', 'manual'], default: 'start' },
+  mode: { type: String, default: null },
+  scheduledFor: { type: Date, required: true },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  status: { type: String, enum: ['running', 'success', 'partial', 'failed', 'missed'], default: 'running', index: true },
+  catchUp: { type: Boolean, default: false }, // run late because the backend was down
+  missedOccurrences: { type: Number, default: 0 }, // earlier occurrences folded into this run
+  devices: { type: [RunDeviceSchema], default: [] },
+  summary: { type: Schema.Types.Mixed, default: {} },
+  error: { type: String, default: null }
+}, {
+  timestamps: true,
+  collection: 'scheduled_job_runs',
+  minimize: false
+});
+
+ScheduledJobRunSchema.index({ jobId: 1, scheduledFor: -1 });
+ScheduledJobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // Auto-delete after 90 days
+
+const ScheduledJobRun = mongoose.models.ScheduledJobRun || mongoose.model('ScheduledJobRun', ScheduledJobRunSchema);
+
+module.exports = ScheduledJobRun;
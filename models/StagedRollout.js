@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * StagedRollout Schema
+ * A configuration change pushed to a set of devices in stages: a canary batch first,
+ * then batches of batchSize. Each batch must be acknowledged and report healthyFrames
+ * valid telemetry frames before the next one starts. The rollout stops (or rolls back)
+ * when the ack-failure rate or alarm rate of the devices changed so far goes past its
+ * threshold.
+ *
+ * Rollout status:  running -> completed
+ *                  running <-> paused (operator)
+ *                  running -> stopped (threshold passed, onThreshold 'pause'; can be resumed)
+ *                  running -> rolled_back (threshold passed, onThreshold 'rollback')
+ *                  any open status -> aborted (operator, optionally with rollback)
+ * Device status:   pending -> sent -> acked -> healthy
+ *                  sent|acked -> failed (NACK, command timeout, no healthy frames in time)
+ *                  invalid (values not allowed for the device's electrode, nothing sent)
+ *                  sent|acked|healthy|failed -> rolled_back | rollback_failed
+ */
+
+const ROLLOUT_STATUSES = ['running', 'paused', 'stopped', 'completed', 'aborted', 'rolled_back'];
+const OPEN_ROLLOUT_STATUSES = ['running', 'paused', 'stopped'];
+const DEVICE_STATUSES = ['pending', 'sent', 'acked', 'healthy', 'failed', 'invalid', 'rolled_back', 'rollback_failed'];
+
+const RolloutDeviceSchema = new Schema({
+  deviceId: { type: String, required: true },
+  deviceName: { type: String, default: null },
+  batch: { type: Number, required: true }, // 0 = canary
+  electrode: { type: Number, default: null },
+  status: { type: String, enum: DEVICE_STATUSES, default: 'pending' },
+  commandId: { type: String, default: null },
+  previousVersion: { type: Number, default: null }, // configuration version before the change (rollback target)
+  sentAt: { type: Date, default: null },
+  ackedAt: { type: Date, default: null },
+  healthyAt: { type: Date, default: null },
+  frames: { type: Number, default: 0 }, // valid telemetry frames since the ACK
+  alarms: { type: Number, default: 0 }, // alarm triggers since the settings were sent
+  rollbackCommandId: { type: String, default: null },
+  error: { type: String, default: null }
+}, { _id: false });
+
+const RolloutEventSchema = new Schema({
+  at: { type: Date, default: Date.now },
+  type: { type: String, required: true }, // started, batch_started, batch_completed, paused, resumed, threshold, rolled_back, aborted, completed
+  message: { type: String, default: '' },
+  by: { type: String, default: null }
+}, { _id: false });
+
+const StagedRolloutSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  templateId: { type: Schema.Types.ObjectId, ref: 'ConfigTemplate', default: null },
+  parameters: { type: Schema.Types.Mixed, required: true }, // Parameters format, validated like config templates
+  target: {
+    type: { type: String, enum: ['zone', 'filter', 'devices'], required: true },
+    id: { type: String, default: null },
+    name: { type: String, default: null }
+  },
+
+  options: {
+    canarySize: { type: Number, default: 5, min: 1 },
+    batchSize: { type: Number, default: 20, min: 1 },
+    healthyFrames: { type: Number, default: 3, min: 0 }, // valid frames required after the ACK
+    ackFailureThreshold: { type: Number, default: 0.2, min: 0, max: 1 }, // stop when failed / changed > threshold
+    alarmRateThreshold: { type: Number, default: 0.2, min: 0, max: 1 }, // stop when alarmed / changed > threshold
+    batchTimeoutMinutes: { type: Number, default: 60, min: 1 }, // devices not healthy by then count as failed
+    onThreshold: { type: String, enum: ['pause', 'rollback'], default: 'pause' }
+  },
+
+  status: { type: String, enum: ROLLOUT_STATUSES, default: 'running', index: true },
+  currentBatch: { type: Number, default: 0 },
+  totalBatches: { type: Number, required: true },
+  batchStartedAt: { type: Date, default: null },
+  devices: { type: [RolloutDeviceSchema], default: [] },
+  stats: {
+    changed: { type: Number, default: 0 }, // devices the settings were sent to
+    acked: { type: Number, default: 0 },
+    healthy: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    alarmed: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    ackFailureRate: { type: Number, default: 0 },
+    alarmRate: { type: Number, default: 0 }
+  },
+  stopReason: { type: String, default: null },
+  events: { type: [RolloutEventSchema], default: [] },
+
+  // Processing lease, so only one backend instance advances a rollout at a time
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+
+  createdBy: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null }
+  },
+  completedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'staged_rollouts',
+  minimize: false
+});
+
+StagedRolloutSchema.index({ status: 1, lockedUntil: 1 });
+StagedRolloutSchema.index({ createdAt: -1 });
+
+StagedRolloutSchema.statics.STATUSES = ROLLOUT_STATUSES;
+StagedRolloutSchema.statics.OPEN_STATUSES = OPEN_ROLLOUT_STATUSES;
+StagedRolloutSchema.statics.DEVICE_STATUSES = DEVICE_STATUSES;
+
+StagedRolloutSchema.methods.addEvent = function addEvent(type, message, by = null) {
+  this.events.push({ at: new Date(), type, message, by });
+};
+
+const StagedRollout = mongoose.models.StagedRollout || mongoose.model('StagedRollout', StagedRolloutSchema);
+
+module.exports = StagedRollout;
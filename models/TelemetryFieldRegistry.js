@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * TelemetryFieldRegistry Schema
+ * Per device type (Device.deviceType) definition of the telemetry fields it reports.
+ * Device types without a document use DEFAULT_FIELD_REGISTRY from utils/telemetryFields.js.
+ */
+
+const TelemetryFieldSchema = new Schema({
+  name: { type: String, required: true, trim: true }, // canonical name stored in telemetry.data
+  aliases: [{ type: String }], // exact names devices may send instead (e.g. "Digital Input 1" for DI1)
+  unit: { type: String, default: null },
+  type: { type: String, enum: ['float', 'integer', 'digital', 'string'], default: 'float' },
+  min: { type: Number, default: null },
+  max: { type: Number, default: null },
+  values: [{ type: String }] // allowed values for string fields (empty = any)
+}, { _id: false });
+
+const TelemetryFieldRegistrySchema = new Schema({
+  deviceType: { type: String, required: true, unique: true, trim: true },
+  description: { type: String, default: '' },
+  strict: { type: Boolean, default: false }, // flag frames containing fields that are not registered
+  fields: { type: [TelemetryFieldSchema], default: [] }
+}, {
+  timestamps: true,
+  collection: 'telemetry_field_registries'
+});
+
+const TelemetryFieldRegistry = mongoose.models.TelemetryFieldRegistry || mongoose.model('TelemetryFieldRegistry', TelemetryFieldRegistrySchema);
+
+module.exports = TelemetryFieldRegistry;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * TelemetryRollup Schema
+ * Pre-aggregated telemetry per device, resolution and time bucket for long-range charts.
+ * One document holds min/max/sum/count of every numeric field seen in the bucket:
+ *   { deviceId: '123', resolution: '1h', bucket: 2026-03-04T14:00,
+ *     frame_count: 360, fields: { REF1: { min, max, sum, count }, DCV: { ... } } }
+ * avg is derived as sum / count when querying.
+ */
+
+const ROLLUP_RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Retention from the environment; only a missing or non-numeric value falls back, so 0 works
+const retentionDays = (name, fallback) => {
+  const days = parseInt(process.env[name]);
+  return Number.isNaN(days) ? fallback : days;
+};
+
+// How long each resolution is kept (days, 0 = forever); override with TELEMETRY_ROLLUP_RETENTION_<1M|1H|1D>_DAYS
+const ROLLUP_RETENTION_DAYS = {
+  '1m': retentionDays('TELEMETRY_ROLLUP_RETENTION_1M_DAYS', 30),
+  '1h': retentionDays('TELEMETRY_ROLLUP_RETENTION_1H_DAYS', 400),
+  '1d': retentionDays('TELEMETRY_ROLLUP_RETENTION_1D_DAYS', 0)
+};
+
+const TelemetryRollupSchema = new Schema({
+  deviceId: { type: String, required: true },
+  resolution: { type: String, enum: Object.keys(ROLLUP_RESOLUTIONS), required: true },
+  bucket: { type: Date, required: true }, // bucket start
+  frame_count: { type: Number, default: 0 },
+  fields: { type: Schema.Types.Mixed, default: {} },
+  expires_at: { type: Date, default: null }
+}, {
+  collection: 'telemetry_rollups',
+  minimize: false
+});
+
+TelemetryRollupSchema.index({ deviceId: 1, resolution: 1, bucket: 1 }, { unique: true });
+TelemetryRollupSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+TelemetryRollupSchema.statics.RESOLUTIONS = ROLLUP_RESOLUTIONS;
+TelemetryRollupSchema.statics.RETENTION_DAYS = ROLLUP_RETENTION_DAYS;
+
+/**
+ * Start of the bucket containing a timestamp
+ * @param {Date} timestamp - Frame timestamp
+ * @param {String} resolution - 1m | 1h | 1d
+ */
+TelemetryRollupSchema.statics.getBucketStart = function(timestamp, resolution) {
+  const size = ROLLUP_RESOLUTIONS[resolution];
+  return new Date(Math.floor(new Date(timestamp).getTime() / size) * size);
+};
+
+/**
+ * Expiry date for a bucket (null = keep forever)
+ */
+TelemetryRollupSchema.statics.getExpiry = function(bucket, resolution) {
+  const days = ROLLUP_RETENTION_DAYS[resolution];
+  return days > 0 ? new Date(new Date(bucket).getTime() + days * 24 * 60 * 60 * 1000) : null;
+};
+
+const TelemetryRollup = mongoose.models.TelemetryRollup || mongoose.model('TelemetryRollup', TelemetryRollupSchema);
+
+module.exports = TelemetryRollup;
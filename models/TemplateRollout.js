@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * TemplateRollout Schema
+ * One application of a ConfigTemplate to a zone, saved filter or device list.
+ * Every targeted device gets its own complete-settings command; the per-device
+ * status mirrors that command's DeviceAcknowledgment status (refreshed on read).
+ */
+
+// DeviceAcknowledgment statuses plus INVALID (failed electrode validation, nothing sent)
+// and ERROR (settings could not be stored / queued)
+const ROLLOUT_DEVICE_STATUSES = ['QUEUED', 'PENDING', 'SUCCESS', 'FAILED', 'TIMEOUT', 'EXPIRED', 'SUPERSEDED', 'CANCELLED', 'INVALID', 'ERROR'];
+const TERMINAL_DEVICE_STATUSES = ['SUCCESS', 'FAILED', 'TIMEOUT', 'EXPIRED', 'SUPERSEDED', 'CANCELLED', 'INVALID', 'ERROR'];
+
+const RolloutDeviceSchema = new Schema({
+  deviceId: { type: String, required: true },
+  deviceName: { type: String, default: null },
+  electrode: { type: Number, default: null }, // electrode the template was validated against
+  commandId: { type: String, default: null },
+  status: { type: String, enum: ROLLOUT_DEVICE_STATUSES, required: true },
+  error: { type: String, default: null },
+  validation: { type: [Schema.Types.Mixed], default: undefined },
+  retryCount: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const TemplateRolloutSchema = new Schema({
+  templateId: { type: Schema.Types.ObjectId, ref: 'ConfigTemplate', required: true, index: true },
+  templateName: { type: String, required: true },
+  parameters: { type: Schema.Types.Mixed, required: true }, // template parameters at the time of the rollout
+  target: {
+    type: { type: String, enum: ['zone', 'filter', 'devices'], required: true },
+    id: { type: String, default: null }, // Zone.id or DeviceFilter _id
+    name: { type: String, default: null }
+  },
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress', index: true },
+  devices: { type: [RolloutDeviceSchema], default: [] },
+  summary: { type: Schema.Types.Mixed, default: {} }, // { total, SUCCESS: n, QUEUED: n, ... }
+  createdBy: {
+    user_id: { type: String, default: null },
+    username: { type: String, default: null }
+  },
+  completedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'template_rollouts',
+  minimize: false
+});
+
+TemplateRolloutSchema.index({ 'devices.commandId': 1 });
+TemplateRolloutSchema.index({ createdAt: -1 });
+
+TemplateRolloutSchema.statics.DEVICE_STATUSES = ROLLOUT_DEVICE_STATUSES;
+TemplateRolloutSchema.statics.TERMINAL_STATUSES = TERMINAL_DEVICE_STATUSES;
+
+/**
+ * Count devices per status
+ */
+TemplateRolloutSchema.statics.summarize = function summarize(devices = []) {
+  return devices.reduce((summary, device) => {
+    summary[device.status] = (summary[device.status] || 0) + 1;
+    return summary;
+  }, { total: devices.length });
+};
+
+const TemplateRollout = mongoose.models.TemplateRollout || mongoose.model('TemplateRollout', TemplateRolloutSchema);
+
+module.exports = TemplateRollout;
@@ -16,21 +16,41 @@ const deviceAcknowledgmentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // 'settings' = complete settings frame built from the stored settings when sent,
+  // 'configuration' = commandPayload sent as-is as the Parameters of originalCommand
+  commandType: {
+    type: String,
+    enum: ['settings', 'configuration'],
+    default: 'configuration'
+  },
   commandPayload: {
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
   status: {
     type: String,
-    enum: ['PENDING', 'SUCCESS', 'FAILED', 'TIMEOUT'],
+    // QUEUED = waiting for the device (offline or retry backoff), PENDING = sent, waiting for ACK
+    enum: ['QUEUED', 'PENDING', 'SUCCESS', 'FAILED', 'TIMEOUT', 'EXPIRED', 'SUPERSEDED', 'CANCELLED'],
     default: 'PENDING',
     index: true
   },
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
   sentAt: {
     type: Date,
     default: Date.now,
     index: true
   },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
   acknowledgedAt: {
     type: Date,
     index: true
@@ -51,6 +71,27 @@ const deviceAcknowledgmentSchema = new mongoose.Schema({
   maxRetries: {
     type: Number,
     default: 3
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  acknowledgedVia: {
+    type: String,
+    enum: ['response_topic', 'command_id', null],
+    default: null
+  },
+  supersededBy: {
+    type: String,
+    default: null
+  },
+  sentBy: {
+    type: String, // backend instance that published the last attempt
+    default: null
+  },
+  requestedBy: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true
@@ -59,10 +100,12 @@ const deviceAcknowledgmentSchema = new mongoose.Schema({
 // Index for efficient querying
 deviceAcknowledgmentSchema.index({ deviceId: 1, sentAt: -1 });
 deviceAcknowledgmentSchema.index({ status: 1, sentAt: -1 });
+deviceAcknowledgmentSchema.index({ deviceId: 1, status: 1, queuedAt: 1 });
+deviceAcknowledgmentSchema.index({ status: 1, nextAttemptAt: 1 });
 
 // Method to check if acknowledgment has timed out
 deviceAcknowledgmentSchema.methods.isTimedOut = function() {
-  if (this.status !== 'PENDING') return false;
+  if (this.status !== 'PENDING' || !this.sentAt) return false;
   return Date.now() - this.sentAt.getTime() > this.timeout;
 };
 
@@ -81,6 +124,14 @@ deviceAcknowledgmentSchema.statics.getPendingForDevice = function(deviceId) {
   }).sort({ sentAt: -1 });
 };
 
+// Static method to get queued (not yet delivered) commands for a device, oldest first
+deviceAcknowledgmentSchema.statics.getQueuedForDevice = function(deviceId) {
+  return this.find({
+    deviceId: deviceId,
+    status: 'QUEUED'
+  }).sort({ queuedAt: 1 });
+};
+
 // Static method to get acknowledgment statistics
 deviceAcknowledgmentSchema.statics.getStats = function(deviceId, fromDate) {
   const match = { deviceId };
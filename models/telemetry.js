@@ -28,6 +28,20 @@ const telemetrySchema = new mongoose.Schema({
     default: null  // Format: "latitude, longitude"
   },
 
+  // 🔹 Result of normalizing the frame against the device type's field registry
+  // Frames with type/range problems are stored but flagged (valid: false)
+  validation: {
+    valid: { type: Boolean, default: true, index: true },
+    registry: { type: String, default: null },
+    issues: { type: [mongoose.Schema.Types.Mixed], default: [] }
+  },
+
+  // 🔹 Frame buffered by the device during a link outage and sent later (store-and-forward)
+  backfilled: {
+    type: Boolean,
+    default: false
+  },
+
   // 🔹 Flexible fields (payload can vary per device/model)
   // Store all telemetry data fields - stored as plain object in MongoDB, not as Map
   data: {
@@ -59,6 +73,9 @@ const telemetrySchema = new mongoose.Schema({
   }
 });
 
+// Per-device time range lookups (reports, backfill duplicate checks)
+telemetrySchema.index({ deviceId: 1, timestamp: 1 });
+
 // Ensure data is serialized properly when converting to JSON
 telemetrySchema.pre('toJSON', function(next) {
   if (this.data && this.data instanceof Map) {
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const alarmController = require('../controller/alarmController');
+const alarmIncidentController = require('../controller/alarmIncidentController');
+const { authenticateToken } = require('../middleware/auth');
 
 // Clear all alarms (admin only) - MUST come before /:id routes
 router.delete('/', alarmController.clearAllAlarms.bind(alarmController));
@@ -19,6 +21,19 @@ router.delete('/notifications/clear-old', alarmController.clearOldNotifications.
 router.get('/notifications/stats', alarmController.getNotificationStats.bind(alarmController));
 router.get('/notifications/unread-count', alarmController.getUnreadNotificationsCount.bind(alarmController));
 
+// Alarm incident lifecycle routes - MUST come before /:id routes
+// Acknowledge/clear require a logged-in user so the transition records who handled it
+router.get('/incidents', alarmIncidentController.getIncidents.bind(alarmIncidentController));
+router.get('/incidents/:incidentId', alarmIncidentController.getIncidentById.bind(alarmIncidentController));
+router.post('/incidents/:incidentId/acknowledge', authenticateToken, alarmIncidentController.acknowledgeIncident.bind(alarmIncidentController));
+router.post('/incidents/:incidentId/clear', authenticateToken, alarmIncidentController.clearIncident.bind(alarmIncidentController));
+
+// Notification throttle/suppression state - MUST come before /:id routes
+router.get('/suppression', alarmController.getSuppressionState.bind(alarmController));
+
+// Rule expression validation - MUST come before /:id routes
+router.post('/expression/validate', alarmController.validateAlarmExpression.bind(alarmController));
+
 // Device-specific alarm routes (IMPORTANT: Place before :id routes to avoid conflicts)
 router.get('/device/:deviceName', alarmController.getAlarmsByDevice.bind(alarmController));
 router.delete('/device/:deviceName', alarmController.deleteDeviceAlarms.bind(alarmController));
@@ -29,6 +44,7 @@ router.get('/:id', alarmController.getAlarmById.bind(alarmController));
 router.post('/', alarmController.createAlarm.bind(alarmController));
 router.put('/:id', alarmController.updateAlarm.bind(alarmController));
 router.delete('/:id', alarmController.deleteAlarm.bind(alarmController));
+router.delete('/:id/suppression', alarmController.resetSuppressionState.bind(alarmController));
 
 // Notification routes
 router.post('/:id/send-sms', alarmController.sendSMSNotification.bind(alarmController));
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const configTemplateController = require('../controller/configTemplateController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+/**
+ * Config Template Routes
+ */
+
+// Validation and rollouts - MUST come before /:id routes
+router.post('/validate', authenticateToken, requirePermission('read_devices'), configTemplateController.validateTemplate.bind(configTemplateController));
+router.get('/rollouts', authenticateToken, requirePermission('read_devices'), configTemplateController.getRollouts.bind(configTemplateController));
+router.get('/rollouts/:rolloutId', authenticateToken, requirePermission('read_devices'), configTemplateController.getRolloutById.bind(configTemplateController));
+
+router.get('/', authenticateToken, requirePermission('read_devices'), configTemplateController.getTemplates.bind(configTemplateController));
+router.get('/:id', authenticateToken, requirePermission('read_devices'), configTemplateController.getTemplateById.bind(configTemplateController));
+router.post('/', authenticateToken, requirePermission('write_devices'), configTemplateController.createTemplate.bind(configTemplateController));
+router.put('/:id', authenticateToken, requirePermission('write_devices'), configTemplateController.updateTemplate.bind(configTemplateController));
+router.delete('/:id', authenticateToken, requirePermission('write_devices'), configTemplateController.deleteTemplate.bind(configTemplateController));
+router.post('/:id/apply', authenticateToken, requirePermission('write_devices'), configTemplateController.applyTemplate.bind(configTemplateController));
+
+module.exports = router;
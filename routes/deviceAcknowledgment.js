@@ -18,9 +18,15 @@ router.get('/device/:deviceId/stats', deviceAcknowledgmentController.getDeviceAc
 // Get pending acknowledgments for a device
 router.get('/device/:deviceId/pending', deviceAcknowledgmentController.getPendingAcknowledgments);
 
+// Get commands queued for a device (offline or waiting for a retry)
+router.get('/device/:deviceId/queue', deviceAcknowledgmentController.getQueuedCommands);
+
 // Retry a failed or timed out command
 router.post('/command/:commandId/retry', deviceAcknowledgmentController.retryCommand);
 
+// Cancel a queued command before it is sent
+router.delete('/command/:commandId', deviceAcknowledgmentController.cancelCommand);
+
 // Get system-wide acknowledgment overview
 router.get('/system/overview', deviceAcknowledgmentController.getSystemAckOverview);
 
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const deviceFilterController = require('../controller/deviceFilterController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+/**
+ * Saved Device Filter Routes
+ */
+
+router.get('/', authenticateToken, requirePermission('read_devices'), deviceFilterController.getFilters.bind(deviceFilterController));
+router.get('/:id', authenticateToken, requirePermission('read_devices'), deviceFilterController.getFilterById.bind(deviceFilterController));
+router.get('/:id/devices', authenticateToken, requirePermission('read_devices'), deviceFilterController.getFilterDevices.bind(deviceFilterController));
+router.post('/', authenticateToken, requirePermission('write_devices'), deviceFilterController.createFilter.bind(deviceFilterController));
+router.put('/:id', authenticateToken, requirePermission('write_devices'), deviceFilterController.updateFilter.bind(deviceFilterController));
+router.delete('/:id', authenticateToken, requirePermission('write_devices'), deviceFilterController.deleteFilter.bind(deviceFilterController));
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const deviceManagementController = require('../controller/deviceManagementController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 /**
  * Device Management Routes
@@ -27,6 +28,22 @@ router.post('/:deviceId/command/:commandId/success', deviceManagementController.
 // Configuration History
 router.get('/:deviceId/history', deviceManagementController.getDeviceHistory);
 
+// Configuration Versions (immutable history with diff and rollback)
+router.get('/:deviceId/config-versions', authenticateToken, requirePermission('read_devices'), deviceManagementController.listConfigVersions);
+router.get('/:deviceId/config-versions/diff', authenticateToken, requirePermission('read_devices'), deviceManagementController.diffConfigVersions);
+router.get('/:deviceId/config-versions/:version', authenticateToken, requirePermission('read_devices'), deviceManagementController.getConfigVersion);
+router.post('/:deviceId/config-versions/:version/rollback', authenticateToken, requirePermission('write_devices'), deviceManagementController.rollbackConfigVersion);
+
+// Configuration Drift (desired vs reported)
+router.get('/drift/report', authenticateToken, requirePermission('read_devices'), deviceManagementController.getDriftReport);
+router.get('/:deviceId/drift', authenticateToken, requirePermission('read_devices'), deviceManagementController.getDeviceDrift);
+router.post('/:deviceId/drift/repush', authenticateToken, requirePermission('write_devices'), deviceManagementController.repushDesiredConfiguration);
+router.put('/:deviceId/drift/auto-repush', authenticateToken, requirePermission('write_devices'), deviceManagementController.setDriftAutoRepush);
+
+// Online/warning/offline history and availability (uptime SLA)
+router.get('/availability/report', authenticateToken, requirePermission('read_devices'), deviceManagementController.getAvailabilityReport);
+router.get('/:deviceId/status-history', authenticateToken, requirePermission('read_devices'), deviceManagementController.getStatusHistory);
+
 // Bulk Operations
 router.post('/bulk-update', deviceManagementController.bulkUpdateSettings);
 
@@ -70,6 +87,43 @@ router.post('/initialize-samples', deviceManagementController.initializeSampleDe
  * - Get device configuration change history
  * - Query: ?limit=20 (default)
  * 
+ * GET /api/device-management/:deviceId/config-versions
+ * - List configuration versions (newest first) with source, author, commandId and changed fields
+ * - Query: ?limit=50&offset=0
+ * 
+ * GET /api/device-management/:deviceId/config-versions/:version
+ * - Get one version with its complete settings
+ * 
+ * GET /api/device-management/:deviceId/config-versions/diff?from=3&to=7
+ * - Field-by-field diff: [{ field, from, to, change: added|removed|changed }]
+ * 
+ * POST /api/device-management/:deviceId/config-versions/:version/rollback
+ * - Restore a version (stored as a new 'rollback' version) and push it with the complete-settings command
+ * 
+ * GET /api/device-management/:deviceId/drift
+ * - Compare the desired configuration (last complete settings sent) with the one the device reports
+ * - Returns: { status: in_sync|drifted|pending|unknown, fields: [{ parameter, desired, reported }], desired, reported, auto_repush }
+ * 
+ * GET /api/device-management/drift/report
+ * - Fleet-wide drift report
+ * - Query: ?status=drifted&zoneId=...
+ * 
+ * POST /api/device-management/:deviceId/drift/repush
+ * - Send the desired configuration again (queued when the device is offline)
+ * 
+ * PUT /api/device-management/:deviceId/drift/auto-repush
+ * - Body: { enabled: true|false|null } (null = CONFIG_DRIFT_AUTO_REPUSH default)
+ * 
+ * GET /api/device-management/:deviceId/status-history
+ * - Online/warning/offline periods (newest first) with durations, totals per state and the
+ *   device's current warning/offline deadlines (from its logging interval)
+ * - Query: ?startDate=ISO&endDate=ISO (default last 7 days) &limit=500
+ * 
+ * GET /api/device-management/availability/report
+ * - Uptime %, outages, mean time to recovery and longest frame gap per device, per zone and for the fleet
+ * - Query: ?month=YYYY-MM or ?startDate=&endDate= (default last 30 days), &zoneId=&deviceId=a,b &target=99.5
+ * - Excel: GET /export/availability/excel with the same query
+ * 
  * POST /api/device-management/bulk-update
  * - Update settings for multiple devices at once
  * - Body: { devices: [...], parameters: {...}, sendToDevice?: true }
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const escalationPolicyController = require('../controller/escalationPolicyController');
+
+/**
+ * Escalation Policy Routes
+ */
+
+router.get('/', escalationPolicyController.getPolicies.bind(escalationPolicyController));
+router.get('/:id', escalationPolicyController.getPolicyById.bind(escalationPolicyController));
+router.post('/', escalationPolicyController.createPolicy.bind(escalationPolicyController));
+router.put('/:id', escalationPolicyController.updatePolicy.bind(escalationPolicyController));
+router.delete('/:id', escalationPolicyController.deletePolicy.bind(escalationPolicyController));
+
+module.exports = router;
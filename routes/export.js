@@ -4,13 +4,58 @@ const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Export telemetry data to Excel
+// Export telemetry data to Excel (?background=true queues exports over the direct limit as a job)
 router.get('/telemetry/excel', 
   authenticateToken, 
   requirePermission('read_devices'), 
   ExportController.exportTelemetryExcel
 );
 
+// Stream telemetry as CSV / NDJSON / columnar (no row limit) or download the PDF summary
+router.get('/telemetry',
+  authenticateToken,
+  requirePermission('read_devices'),
+  ExportController.exportTelemetry
+);
+
+// Background Excel exports: create, poll, download (until the file expires), delete
+router.post('/jobs',
+  authenticateToken,
+  requirePermission('read_devices'),
+  ExportController.createExportJob
+);
+
+router.get('/jobs',
+  authenticateToken,
+  requirePermission('read_devices'),
+  ExportController.listExportJobs
+);
+
+router.get('/jobs/:jobId',
+  authenticateToken,
+  requirePermission('read_devices'),
+  ExportController.getExportJob
+);
+
+router.get('/jobs/:jobId/download',
+  authenticateToken,
+  requirePermission('read_devices'),
+  ExportController.downloadExportJob
+);
+
+router.delete('/jobs/:jobId',
+  authenticateToken,
+  requirePermission('read_devices'),
+  ExportController.deleteExportJob
+);
+
+// Availability report (uptime SLA per device / zone / fleet)
+router.get('/availability/excel',
+  authenticateToken,
+  requirePermission('read_devices'),
+  ExportController.exportAvailabilityExcel
+);
+
 // Get export statistics
 router.get('/telemetry/stats', 
   authenticateToken, 
@@ -0,0 +1,11 @@
+const express = require('express');
+const healthController = require('../controller/healthController');
+
+const router = express.Router();
+
+// Probes and metrics for load balancers / Prometheus (no login)
+router.get('/api/health/live', healthController.getLiveness);
+router.get('/api/health/ready', healthController.getReadiness);
+router.get('/metrics', healthController.getMetrics);
+
+module.exports = router;
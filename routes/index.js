@@ -11,10 +11,18 @@ const deviceAcknowledgmentRoutes = require('./deviceAcknowledgment');
 const deviceManagementRoutes = require('./deviceManagement');
 const zoneRoutes = require('./zone');
 const notificationRoutes = require('./notificationRoutes');
+const escalationPolicyRoutes = require('./escalationPolicy');
+const maintenanceWindowRoutes = require('./maintenanceWindow');
+const configTemplateRoutes = require('./configTemplate');
+const deviceFilterRoutes = require('./deviceFilter');
+const stagedRolloutRoutes = require('./stagedRollout');
+const scheduledJobRoutes = require('./scheduledJob');
+const healthRoutes = require('./health');
 
 const router = express.Router();
 
 // Mount routes
+router.use('/', healthRoutes);
 router.use('/auth', authRoutes);
 router.use('/api', deviceRoutes);
 router.use('/api', deviceConfigRoutes);
@@ -26,6 +34,13 @@ router.use('/api/device-acknowledgment', deviceAcknowledgmentRoutes);
 router.use('/api/device-management', deviceManagementRoutes);
 router.use('/api/notifications', notificationRoutes);
 router.use('/export', exportRoutes);
+router.use('/api/export', exportRoutes);
 router.use('/api/alarms', alarmRoutes);
+router.use('/api/escalation-policies', escalationPolicyRoutes);
+router.use('/api/maintenance-windows', maintenanceWindowRoutes);
+router.use('/api/config-templates', configTemplateRoutes);
+router.use('/api/device-filters', deviceFilterRoutes);
+router.use('/api/staged-rollouts', stagedRolloutRoutes);
+router.use('/api/scheduled-jobs', scheduledJobRoutes);
 
 module.exports = router;
\ No newline at end of file
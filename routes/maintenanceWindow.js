@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const maintenanceWindowController = require('../controller/maintenanceWindowController');
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * Maintenance Window Routes
+ */
+
+// Device lookup - MUST come before /:id routes
+router.get('/device/:deviceId', maintenanceWindowController.getDeviceWindow.bind(maintenanceWindowController));
+
+router.get('/', maintenanceWindowController.getWindows.bind(maintenanceWindowController));
+router.get('/:id', maintenanceWindowController.getWindowById.bind(maintenanceWindowController));
+router.post('/', optionalAuth, maintenanceWindowController.createWindow.bind(maintenanceWindowController));
+router.put('/:id', maintenanceWindowController.updateWindow.bind(maintenanceWindowController));
+router.delete('/:id', maintenanceWindowController.deleteWindow.bind(maintenanceWindowController));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const scheduledJobController = require('../controller/scheduledJobController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+/**
+ * Scheduled Job Routes
+ */
+
+router.get('/runs/:runId', authenticateToken, requirePermission('read_devices'), scheduledJobController.getRunById.bind(scheduledJobController));
+router.get('/', authenticateToken, requirePermission('read_devices'), scheduledJobController.getJobs.bind(scheduledJobController));
+router.post('/', authenticateToken, requirePermission('write_devices'), scheduledJobController.createJob.bind(scheduledJobController));
+router.get('/:id', authenticateToken, requirePermission('read_devices'), scheduledJobController.getJobById.bind(scheduledJobController));
+router.put('/:id', authenticateToken, requirePermission('write_devices'), scheduledJobController.updateJob.bind(scheduledJobController));
+router.delete('/:id', authenticateToken, requirePermission('write_devices'), scheduledJobController.deleteJob.bind(scheduledJobController));
+router.post('/:id/pause', authenticateToken, requirePermission('write_devices'), scheduledJobController.pauseJob.bind(scheduledJobController));
+router.post('/:id/resume', authenticateToken, requirePermission('write_devices'), scheduledJobController.resumeJob.bind(scheduledJobController));
+router.post('/:id/run', authenticateToken, requirePermission('write_devices'), scheduledJobController.runJob.bind(scheduledJobController));
+router.get('/:id/runs', authenticateToken, requirePermission('read_devices'), scheduledJobController.getJobRuns.bind(scheduledJobController));
+
+module.exports = router;
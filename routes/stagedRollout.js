@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const stagedRolloutController = require('../controller/stagedRolloutController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+/**
+ * Staged Rollout Routes
+ */
+
+router.get('/', authenticateToken, requirePermission('read_devices'), stagedRolloutController.getRollouts.bind(stagedRolloutController));
+router.get('/:id', authenticateToken, requirePermission('read_devices'), stagedRolloutController.getRolloutById.bind(stagedRolloutController));
+router.post('/', authenticateToken, requirePermission('write_devices'), stagedRolloutController.createRollout.bind(stagedRolloutController));
+router.post('/:id/pause', authenticateToken, requirePermission('write_devices'), stagedRolloutController.pauseRollout.bind(stagedRolloutController));
+router.post('/:id/resume', authenticateToken, requirePermission('write_devices'), stagedRolloutController.resumeRollout.bind(stagedRolloutController));
+router.post('/:id/abort', authenticateToken, requirePermission('write_devices'), stagedRolloutController.abortRollout.bind(stagedRolloutController));
+
+module.exports = router;
@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const Telemetry = require('../models/telemetry');
 const Device = require('../models/Device');
+const TelemetryFieldRegistry = require('../models/TelemetryFieldRegistry');
+const telemetryRollupService = require('../services/telemetryRollupService');
+const telemetryRegistryService = require('../services/telemetryRegistryService');
+const telemetryIngestQueue = require('../services/telemetryIngestQueue');
+const cpSurveyService = require('../services/cpSurveyService');
+const dataQualityService = require('../services/dataQualityService');
+const DataQualityEvent = require('../models/DataQualityEvent');
+const { DEFAULT_FIELD_REGISTRY, validateRegistry } = require('../utils/telemetryFields');
 const { authenticateToken } = require('../middleware/auth');
 
 // Simple in-memory cache for reverse geocoding results (24 hour TTL)
@@ -332,6 +340,414 @@ router.get('/device/:deviceId', authenticateToken, async (req, res) => {
   }
 });
 
+// Get downsampled telemetry for charts (1m/1h/1d rollups, resolution picked from the span)
+// GET /api/telemetry/rollups/device/:deviceId?start=...&end=...&fields=REF1,DCV&resolution=auto&maxPoints=1500
+router.get('/rollups/device/:deviceId', authenticateToken, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { start, end, fields, resolution = 'auto', maxPoints } = req.query;
+
+    const series = await telemetryRollupService.getSeries({
+      deviceId,
+      start,
+      end,
+      fields: fields ? String(fields).split(',').map(f => f.trim()).filter(Boolean) : null,
+      resolution,
+      maxPoints: Math.min(parseInt(maxPoints) || 1500, 10000)
+    });
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    console.error('Error fetching telemetry rollups:', error);
+    const isInput = error.message.startsWith('Invalid');
+    res.status(isInput ? 400 : 500).json({
+      success: false,
+      error: isInput ? error.message : 'Failed to fetch telemetry rollups'
+    });
+  }
+});
+
+// Start rebuilding rollups from raw telemetry (runs in the background)
+// POST /api/telemetry/rollups/backfill  Body: { deviceId?, from?, to? }
+router.post('/rollups/backfill', authenticateToken, async (req, res) => {
+  try {
+    const { deviceId, from, to } = req.body || {};
+    await telemetryRollupService.backfill({ deviceId, from, to });
+
+    res.status(202).json({
+      success: true,
+      message: 'Telemetry rollup backfill started',
+      data: telemetryRollupService.getBackfillStatus()
+    });
+  } catch (error) {
+    console.error('Error starting telemetry rollup backfill:', error);
+    res.status(error.message.startsWith('Cannot') ? 409 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Backfill progress
+router.get('/rollups/backfill', authenticateToken, async (req, res) => {
+  res.json({
+    success: true,
+    data: telemetryRollupService.getBackfillStatus()
+  });
+});
+
+// MQTT ingest queue depth, throughput and backpressure (dropped frames)
+router.get('/ingest/metrics', authenticateToken, async (req, res) => {
+  res.json({
+    success: true,
+    data: telemetryIngestQueue.getMetrics()
+  });
+});
+
+// Device(s) and date range of a survey analysis request (last 7 days by default); null when invalid
+// deviceId may list several devices: deviceId=D1,D2
+function parseAnalysisRange({ deviceId, startDate, endDate }) {
+  const end = endDate ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(endDate) ? `${endDate}T23:59:59.999` : endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) return null;
+
+  return {
+    deviceId: deviceId && String(deviceId).includes(',') ? String(deviceId).split(',').map(id => id.trim()) : deviceId,
+    startDate: start,
+    endDate: end
+  };
+}
+
+// Numeric query parameters of the analysis endpoints: { name: { unit, positive } }.
+// Returns { values } (missing parameters left out) or { error } for a value that is not a
+// finite number, or not above 0 when positive is set.
+function parseNumericQuery(query, params) {
+  const values = {};
+  for (const [name, { unit, positive = false }] of Object.entries(params)) {
+    const raw = query[name];
+    if (raw === undefined) continue;
+
+    const value = String(raw).trim() === '' ? NaN : Number(raw);
+    if (!Number.isFinite(value) || (positive && value <= 0)) {
+      return { error: `Invalid ${name} "${raw}". Use a ${positive ? 'positive ' : ''}number in ${unit}.` };
+    }
+    values[name] = value;
+  }
+  return { values };
+}
+
+// Interrupted-survey (INT ON/OFF) analysis: on/instant-off potentials, IR drop and protection criteria
+// GET /api/telemetry/analysis/interrupted-survey?deviceId=...&startDate=2026-10-01&endDate=2026-10-19
+//     &instantOffMv=-850&minShiftMv=100&native=REF1:-620,REF2:-600&maxPairGapSeconds=300&cycles=false
+router.get('/analysis/interrupted-survey', authenticateToken, async (req, res) => {
+  try {
+    const { native, cycles } = req.query;
+
+    const range = parseAnalysisRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range. Use YYYY-MM-DD or ISO dates with startDate before endDate.'
+      });
+    }
+
+    const numeric = parseNumericQuery(req.query, {
+      instantOffMv: { unit: 'mV' },
+      minShiftMv: { unit: 'mV' },
+      maxPairGapSeconds: { unit: 'seconds', positive: true }
+    });
+    if (numeric.error) {
+      return res.status(400).json({
+        success: false,
+        error: numeric.error
+      });
+    }
+
+    let nativePotentials = null;
+    if (native) {
+      nativePotentials = {};
+      for (const entry of String(native).split(',')) {
+        const [reference, value] = entry.split(':').map(part => part.trim());
+        if (!/^REF[1-3]$/i.test(reference) || !Number.isFinite(parseFloat(value))) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid native potential "${entry}". Use REF1:-620 (mV).`
+          });
+        }
+        nativePotentials[reference.toUpperCase()] = parseFloat(value);
+      }
+    }
+
+    const analysis = await cpSurveyService.analyzeInterruptedSurvey({
+      ...range,
+      instantOffMv: numeric.values.instantOffMv !== undefined ? numeric.values.instantOffMv : null,
+      minShiftMv: numeric.values.minShiftMv,
+      nativePotentials,
+      maxPairGapSeconds: numeric.values.maxPairGapSeconds,
+      includeCycles: cycles !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: analysis
+    });
+  } catch (error) {
+    console.error('Error analyzing interrupted survey:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze interrupted survey'
+    });
+  }
+});
+
+// Depolarization (DPOL) decay analysis: sessions, fitted decay, total depolarization and time to 100 mV
+// GET /api/telemetry/analysis/depolarization?deviceId=...&startDate=...&endDate=...
+//     &minDepolarizationMv=100&maxGapMinutes=30&samples=true
+router.get('/analysis/depolarization', authenticateToken, async (req, res) => {
+  try {
+    const { samples } = req.query;
+
+    const range = parseAnalysisRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range. Use YYYY-MM-DD or ISO dates with startDate before endDate.'
+      });
+    }
+
+    const numeric = parseNumericQuery(req.query, {
+      minDepolarizationMv: { unit: 'mV' },
+      maxGapMinutes: { unit: 'minutes', positive: true }
+    });
+    if (numeric.error) {
+      return res.status(400).json({
+        success: false,
+        error: numeric.error
+      });
+    }
+
+    const analysis = await cpSurveyService.analyzeDepolarization({
+      ...range,
+      minDepolarizationMv: numeric.values.minDepolarizationMv,
+      maxGapMinutes: numeric.values.maxGapMinutes,
+      includeSamples: samples === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: analysis
+    });
+  } catch (error) {
+    console.error('Error analyzing depolarization:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze depolarization'
+    });
+  }
+});
+
+// Data completeness per device from the LOG counter: frames expected vs received, lost frames,
+// duplicates and counter resets, plus the stored data quality events by type
+// GET /api/telemetry/analysis/completeness?deviceId=...&startDate=2026-10-01&endDate=2026-10-19
+router.get('/analysis/completeness', authenticateToken, async (req, res) => {
+  try {
+    const range = parseAnalysisRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range. Use YYYY-MM-DD or ISO dates with startDate before endDate.'
+      });
+    }
+
+    const report = await dataQualityService.getCompletenessReport(range);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building data completeness report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build data completeness report'
+    });
+  }
+});
+
+// Data quality events (LOG gaps, duplicates, counter resets, out-of-order timestamps), newest first
+// GET /api/telemetry/data-quality/events?deviceId=...&type=gap&startDate=...&endDate=...&limit=500
+router.get('/data-quality/events', authenticateToken, async (req, res) => {
+  try {
+    const { type, limit } = req.query;
+
+    const range = parseAnalysisRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range. Use YYYY-MM-DD or ISO dates with startDate before endDate.'
+      });
+    }
+    if (type && !DataQualityEvent.TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type. Use one of: ${DataQualityEvent.TYPES.join(', ')}`
+      });
+    }
+
+    const events = await dataQualityService.getEvents({ ...range, type, limit });
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    console.error('Error fetching data quality events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch data quality events'
+    });
+  }
+});
+
+// List telemetry field registries (stored per device type + the built-in default)
+router.get('/registry', authenticateToken, async (req, res) => {
+  try {
+    const registries = await TelemetryFieldRegistry.find().sort({ deviceType: 1 }).lean();
+    res.json({
+      success: true,
+      data: {
+        default: DEFAULT_FIELD_REGISTRY,
+        registries
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching telemetry registries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch telemetry field registries'
+    });
+  }
+});
+
+// Effective registry for a device type
+router.get('/registry/:deviceType', authenticateToken, async (req, res) => {
+  try {
+    const registry = await telemetryRegistryService.getRegistry(req.params.deviceType);
+    res.json({
+      success: true,
+      data: registry,
+      isDefault: registry === DEFAULT_FIELD_REGISTRY
+    });
+  } catch (error) {
+    console.error('Error fetching telemetry registry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch telemetry field registry'
+    });
+  }
+});
+
+// Create or replace the registry for a device type
+// Body: { description?, strict?, fields: [{ name, aliases, unit, type, min, max, values }] }
+router.put('/registry/:deviceType', authenticateToken, async (req, res) => {
+  try {
+    const { deviceType } = req.params;
+    const { description = '', strict = false, fields } = req.body || {};
+
+    const errors = validateRegistry({ fields });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registry validation failed',
+        errors
+      });
+    }
+
+    const registry = await TelemetryFieldRegistry.findOneAndUpdate(
+      { deviceType },
+      { $set: { deviceType, description, strict, fields } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    telemetryRegistryService.invalidateCache(deviceType);
+
+    console.log(`✅ Telemetry field registry for '${deviceType}' saved with ${fields.length} field(s)`);
+
+    res.json({
+      success: true,
+      message: `Telemetry field registry for '${deviceType}' saved`,
+      data: registry
+    });
+  } catch (error) {
+    console.error('Error saving telemetry registry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save telemetry field registry'
+    });
+  }
+});
+
+// Delete a device type registry (the device type falls back to the default registry)
+router.delete('/registry/:deviceType', authenticateToken, async (req, res) => {
+  try {
+    const { deviceType } = req.params;
+    const result = await TelemetryFieldRegistry.deleteOne({ deviceType });
+    telemetryRegistryService.invalidateCache(deviceType);
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No registry found for device type '${deviceType}'`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Telemetry field registry for '${deviceType}' deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting telemetry registry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete telemetry field registry'
+    });
+  }
+});
+
+// Frames that failed registry validation
+// GET /api/telemetry/flagged?deviceId=123&limit=100
+router.get('/flagged', authenticateToken, async (req, res) => {
+  try {
+    const { deviceId, limit = 100 } = req.query;
+    const query = { 'validation.valid': false };
+    if (deviceId) query.deviceId = deviceId;
+
+    const [frames, total] = await Promise.all([
+      Telemetry.find(query)
+        .select('deviceId timestamp event validation')
+        .sort({ timestamp: -1 })
+        .limit(Math.min(parseInt(limit) || 100, 1000))
+        .lean(),
+      Telemetry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: frames,
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching flagged telemetry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch flagged telemetry'
+    });
+  }
+});
+
 // Get latest telemetry for all devices
 router.get('/latest', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,286 @@
+const AlarmIncident = require('../models/AlarmIncident');
+const AlarmTrigger = require('../models/AlarmTrigger');
+
+/**
+ * Alarm Incident Service
+ * Manages the raised -> acknowledged -> cleared lifecycle of alarm incidents
+ * and broadcasts every transition over Socket.IO:
+ *   alarm:incident:raised, alarm:incident:acknowledged, alarm:incident:cleared
+ */
+class AlarmIncidentService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Initialize with Socket.IO instance for real-time incident updates
+   */
+  initialize(io) {
+    this.io = io;
+    console.log('✅ [Alarm Incidents] WebSocket initialized for incident transitions');
+  }
+
+  /**
+   * Emit an incident transition to all connected clients
+   * @param {String} transition - raised | acknowledged | cleared
+   * @param {Object} incident - Incident document
+   */
+  emitTransition(transition, incident) {
+    if (!this.io) return;
+
+    const data = incident.toObject ? incident.toObject() : incident;
+    this.io.emit(`alarm:incident:${transition}`, {
+      incident_id: data._id.toString(),
+      alarm_id: data.alarm_id.toString(),
+      alarm_name: data.alarm_name,
+      device_id: data.device_id,
+      device_name: data.device_name,
+      severity: data.severity,
+      state: data.state,
+      trigger_count: data.trigger_count,
+      trigger_reason: data.trigger_reason,
+      raised_at: data.raised_at,
+      acknowledged_at: data.acknowledged_at,
+      acknowledged_by: data.acknowledged_by,
+      ack_comment: data.ack_comment,
+      cleared_at: data.cleared_at,
+      cleared_by: data.cleared_by,
+      clear_reason: data.clear_reason,
+      auto_cleared: data.auto_cleared
+    });
+  }
+
+  /**
+   * Record that an alarm condition fired for a device.
+   * Opens a new incident or folds the trigger into the currently open one.
+   * @param {Object} alarm - Alarm configuration
+   * @param {Object} device - Device object
+   * @param {String} reason - Trigger reason
+   * @returns {Promise<{incident: Object|null, isNew: Boolean}>}
+   */
+  async recordTrigger(alarm, device, reason) {
+    try {
+      const now = new Date();
+      const filter = { alarm_id: alarm._id, device_id: device.deviceId, is_open: true };
+      const update = {
+        $setOnInsert: {
+          alarm_name: alarm.name,
+          severity: alarm.severity || 'warning',
+          device_name: device.deviceName || device.deviceId,
+          state: 'raised',
+          raised_at: now,
+          transitions: [{ state: 'raised', at: now, by: null, comment: reason }]
+        },
+        $set: {
+          last_triggered_at: now,
+          trigger_reason: reason,
+          consecutive_clear_frames: 0
+        },
+        $inc: { trigger_count: 1 }
+      };
+
+      let result;
+      try {
+        result = await AlarmIncident.findOneAndUpdate(filter, update, {
+          upsert: true,
+          new: true,
+          setDefaultsOnInsert: true,
+          includeResultMetadata: true
+        });
+      } catch (error) {
+        // Two frames raced to open the same incident - the unique index let one win
+        if (error.code !== 11000) throw error;
+        delete update.$setOnInsert;
+        result = await AlarmIncident.findOneAndUpdate(filter, update, { new: true, includeResultMetadata: true });
+      }
+
+      const incident = result.value;
+      const isNew = !result.lastErrorObject?.updatedExisting;
+
+      if (isNew) {
+        console.log(`[Alarm Incidents] 🚨 Incident raised for '${alarm.name}' on device ${incident.device_name}`);
+        this.emitTransition('raised', incident);
+      }
+
+      return { incident, isNew };
+    } catch (error) {
+      console.error('[Alarm Incidents] Error recording trigger:', error);
+      return { incident: null, isNew: false };
+    }
+  }
+
+  /**
+   * Link an AlarmTrigger record to its incident
+   * @param {Object} incident - Incident document
+   * @param {ObjectId} triggerId - AlarmTrigger ID
+   */
+  async linkTrigger(incident, triggerId) {
+    if (!incident || !triggerId) return;
+
+    try {
+      const update = { $set: { last_trigger_id: triggerId } };
+      if (!incident.first_trigger_id) {
+        update.$set.first_trigger_id = triggerId;
+      }
+      await AlarmIncident.updateOne({ _id: incident._id }, update);
+    } catch (error) {
+      console.error('[Alarm Incidents] Error linking trigger to incident:', error);
+    }
+  }
+
+  /**
+   * Record a telemetry frame where the alarm condition was NOT met.
+   * Clears the open incident once the condition has been false for
+   * alarm.auto_clear_frames consecutive frames.
+   * @param {Object} alarm - Alarm configuration
+   * @param {Object} device - Device object
+   * @returns {Promise<Object|null>} Cleared incident, or null
+   */
+  async recordConditionClear(alarm, device) {
+    try {
+      const incident = await AlarmIncident.findOneAndUpdate(
+        { alarm_id: alarm._id, device_id: device.deviceId, is_open: true },
+        { $inc: { consecutive_clear_frames: 1 } },
+        { new: true }
+      );
+
+      if (!incident) return null;
+
+      const requiredFrames = alarm.auto_clear_frames || 3;
+      if (incident.consecutive_clear_frames < requiredFrames) {
+        return null;
+      }
+
+      return await this.transitionToCleared(incident, {
+        by: null,
+        comment: `Condition false for ${incident.consecutive_clear_frames} consecutive frame(s)`,
+        auto: true
+      });
+    } catch (error) {
+      console.error('[Alarm Incidents] Error recording cleared condition:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Acknowledge an open incident
+   * @param {String} incidentId - Incident ID
+   * @param {Object} user - { user_id, username }
+   * @param {String} comment - Operator comment
+   */
+  async acknowledge(incidentId, user, comment = '') {
+    const now = new Date();
+    const incident = await AlarmIncident.findOneAndUpdate(
+      { _id: incidentId, state: 'raised' },
+      {
+        $set: {
+          state: 'acknowledged',
+          acknowledged_at: now,
+          acknowledged_by: user,
+          ack_comment: comment
+        },
+        $push: { transitions: { state: 'acknowledged', at: now, by: user, comment } }
+      },
+      { new: true }
+    );
+
+    if (!incident) {
+      const existing = await AlarmIncident.findById(incidentId).lean();
+      if (!existing) throw new Error(`Incident ${incidentId} not found`);
+      throw new Error(`Cannot acknowledge incident in state '${existing.state}'`);
+    }
+
+    console.log(`[Alarm Incidents] 👤 Incident ${incidentId} acknowledged by ${user.username || user.user_id}`);
+    this.emitTransition('acknowledged', incident);
+    return incident;
+  }
+
+  /**
+   * Manually clear an open incident
+   * @param {String} incidentId - Incident ID
+   * @param {Object} user - { user_id, username }
+   * @param {String} comment - Operator comment
+   */
+  async clear(incidentId, user, comment = '') {
+    const incident = await AlarmIncident.findById(incidentId);
+    if (!incident) throw new Error(`Incident ${incidentId} not found`);
+    if (!incident.is_open) throw new Error(`Cannot clear incident in state '${incident.state}'`);
+
+    const cleared = await this.transitionToCleared(incident, { by: user, comment, auto: false });
+    if (!cleared) throw new Error(`Cannot clear incident in state 'cleared'`);
+    return cleared;
+  }
+
+  /**
+   * Move an open incident to the cleared state (atomic - only one caller wins)
+   */
+  async transitionToCleared(incident, { by, comment, auto }) {
+    const now = new Date();
+    const cleared = await AlarmIncident.findOneAndUpdate(
+      { _id: incident._id, is_open: true },
+      {
+        $set: {
+          state: 'cleared',
+          is_open: false,
+          cleared_at: now,
+          cleared_by: by,
+          clear_reason: comment,
+          auto_cleared: auto
+        },
+        $push: { transitions: { state: 'cleared', at: now, by, comment } }
+      },
+      { new: true }
+    );
+
+    if (cleared) {
+      console.log(`[Alarm Incidents] ✅ Incident for '${cleared.alarm_name}' on ${cleared.device_name} cleared (${auto ? 'auto' : 'manual'})`);
+      this.emitTransition('cleared', cleared);
+    }
+    return cleared;
+  }
+
+  /**
+   * List incidents with filtering and pagination
+   * @param {Object} options - { state, open, device_id, alarm_id, page, limit }
+   */
+  async listIncidents({ state, open, device_id, alarm_id, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (state) filter.state = { $in: String(state).split(',').map(s => s.trim()) };
+    if (open !== undefined) filter.is_open = open === true || open === 'true';
+    if (device_id) filter.device_id = device_id;
+    if (alarm_id) filter.alarm_id = alarm_id;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 50;
+
+    const [incidents, total] = await Promise.all([
+      AlarmIncident.find(filter)
+        .sort({ raised_at: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AlarmIncident.countDocuments(filter)
+    ]);
+
+    return { incidents, total, page: pageNum, pages: Math.ceil(total / limitNum) };
+  }
+
+  /**
+   * Get an incident together with its trigger records
+   * @param {String} incidentId - Incident ID
+   * @param {Number} triggerLimit - Max trigger records to include
+   */
+  async getIncident(incidentId, triggerLimit = 50) {
+    const incident = await AlarmIncident.findById(incidentId).lean();
+    if (!incident) throw new Error(`Incident ${incidentId} not found`);
+
+    const triggers = await AlarmTrigger.find({ incident_id: incident._id })
+      .sort({ triggered_at: -1 })
+      .limit(triggerLimit)
+      .lean();
+
+    return { ...incident, triggers };
+  }
+}
+
+module.exports = new AlarmIncidentService();
@@ -4,14 +4,20 @@ const Alarm = require('../models/Alarm');
 const AlarmTrigger = require('../models/AlarmTrigger');
 const EmailService = require('./emailService');
 const NotificationService = require('./notificationService');
+const alarmIncidentService = require('./alarmIncidentService');
+const escalationService = require('./escalationService');
+const alarmThrottleService = require('./alarmThrottleService');
+const maintenanceWindowService = require('./maintenanceWindowService');
+const dataQualityService = require('./dataQualityService');
+const { compileExpression, evaluateExpression } = require('../utils/alarmExpression');
+const { getFieldValue } = require('../utils/telemetryFields');
 
 class AlarmMonitoringService {
   constructor() {
     this.emailService = new EmailService();
     this.notificationService = new NotificationService();
-    this.triggeredAlarms = new Map(); // Track which alarms have been triggered (10-min pop-up throttle)
-    this.emailThrottledAlarms = new Map(); // Track email sends separately (30-min email throttle)
-    this.lastNotificationTime = new Map(); // Track last WebSocket notification time for each alarm
+    this.compiledRules = new Map(); // alarmId -> { source, rule } compiled expression cache
+    this.metrics = { evaluations: 0, triggered: 0, errors: 0 }; // since start (GET /metrics)
     this.io = null;
   }
 
@@ -39,19 +45,22 @@ class AlarmMonitoringService {
 
   /**
    * Helper: Extract triggered values from device data
+   * @param {Object} deviceData - Device data with parameters
+   * @param {Object} evaluation - Optional expression result; its referenced fields are included
    */
-  getTriggeredValues(deviceData) {
+  getTriggeredValues(deviceData, evaluation = null) {
     const params = deviceData.Parameters || deviceData;
     return {
-      'REF1 STS': params['REF1 STS'] || '',
-      'REF2 STS': params['REF2 STS'] || '',
-      'REF3 STS': params['REF3 STS'] || '',
-      'REF1': params.REF1 || params.ref1 || '',
-      'REF2': params.REF2 || params.ref2 || '',
-      'REF3': params.REF3 || params.ref3 || '',
-      'DCV': params.DCV || params.dcv || 0,
-      'DCI': params.DCI || params.dci || 0,
-      'ACV': params.ACV || params.acv || 0,
+      ...(evaluation ? evaluation.values : {}),
+      'REF1 STS': getFieldValue(params, 'REF1 STS') ?? '',
+      'REF2 STS': getFieldValue(params, 'REF2 STS') ?? '',
+      'REF3 STS': getFieldValue(params, 'REF3 STS') ?? '',
+      'REF1': getFieldValue(params, 'REF1') ?? '',
+      'REF2': getFieldValue(params, 'REF2') ?? '',
+      'REF3': getFieldValue(params, 'REF3') ?? '',
+      'DCV': getFieldValue(params, 'DCV') ?? 0,
+      'DCI': getFieldValue(params, 'DCI') ?? 0,
+      'ACV': getFieldValue(params, 'ACV') ?? 0,
       'EVENT': params.EVENT || params.Event || 'NORMAL'
     };
   }
@@ -61,8 +70,9 @@ class AlarmMonitoringService {
    * @param {Object} deviceData - Device data with parameters
    * @param {String} deviceId - Device ID
    * @param {String} event - Device event status
+   * @param {Object} quality - LOG continuity check of the stored frame (see dataQualityService)
    */
-  async checkAlarmsForDevice(deviceData, deviceId, event = 'NORMAL') {
+  async checkAlarmsForDevice(deviceData, deviceId, event = 'NORMAL', quality = null) {
     try {
       // Get the device to access its information
       const device = await Device.findOne({ deviceId }).lean();
@@ -84,7 +94,7 @@ class AlarmMonitoringService {
 
       // Check each alarm for this device
       for (const alarm of alarms) {
-        await this.checkAlarmCondition(alarm, device, deviceData, event);
+        await this.checkAlarmCondition(alarm, device, deviceData, event, quality);
       }
 
     } catch (error) {
@@ -92,137 +102,87 @@ class AlarmMonitoringService {
     }
   }
 
+  /**
+   * Get the compiled rule for an alarm, recompiling only when its expression changes
+   * @param {Object} alarm - Alarm configuration from database
+   * @returns {Object|null} Compiled expression or null if it cannot be parsed
+   */
+  getCompiledRule(alarm) {
+    const alarmKey = alarm._id.toString();
+    const source = Alarm.getEffectiveExpression(alarm);
+    const cached = this.compiledRules.get(alarmKey);
+
+    if (cached && cached.source === source) {
+      return cached.rule;
+    }
+
+    try {
+      const rule = compileExpression(source);
+      this.compiledRules.set(alarmKey, { source, rule });
+      return rule;
+    } catch (error) {
+      console.error(`[Alarm Monitor] ❌ Invalid expression for alarm '${alarm.name}': ${error.message}`);
+      this.compiledRules.set(alarmKey, { source, rule: null });
+      return null;
+    }
+  }
+
   /**
    * Check if a specific alarm condition is triggered
+   * Evaluates the alarm's rule expression (or the expression derived from its legacy
+   * device_params thresholds) and reports every condition that fired.
+   * Frames stored by the ingest queue also expose FRAMES_LOST (LOG numbers skipped right
+   * before this frame) and FRAMES_LOST_WINDOW (frames lost in the alarm's window, 60 min
+   * by default, less those that have since arrived as backfill); frames-lost alarms are
+   * only evaluated for those frames.
    * @param {Object} alarm - Alarm configuration from database
    * @param {Object} device - Device object
    * @param {Object} deviceData - Current device data
    * @param {String} event - Device event status
+   * @param {Object} quality - LOG continuity check of the stored frame, if any
    */
-  async checkAlarmCondition(alarm, device, deviceData, event) {
+  async checkAlarmCondition(alarm, device, deviceData, event, quality = null) {
     try {
-      const alarmKey = `${alarm._id.toString()}`;
-      let shouldTrigger = false;
-      let triggerReason = '';
-
-      // Check 0: Check REF Status values (OP, UP, FAIL)
-      // REF status values are string enums that indicate reference probe status
-      const params = deviceData.Parameters || deviceData;
-      const ref1Status = params['REF1 STS'] || params['ref1_sts'] || '';
-      const ref2Status = params['REF2 STS'] || params['ref2_sts'] || '';
-      const ref3Status = params['REF3 STS'] || params['ref3_sts'] || '';
-      
-      // Valid REF status values that should trigger alarm
-      const validRefStatuses = ['OP', 'UP', 'FAIL'];
-      
-      // Check if any REF status has a valid value (OP, UP, or FAIL)
-      if (validRefStatuses.includes(ref1Status.toUpperCase?.() || ref1Status)) {
-        shouldTrigger = true;
-        triggerReason = `REF1 STS is '${ref1Status}' (valid status detected)`;
-      }
-      
-      if (!shouldTrigger && validRefStatuses.includes(ref2Status.toUpperCase?.() || ref2Status)) {
-        shouldTrigger = true;
-        triggerReason = `REF2 STS is '${ref2Status}' (valid status detected)`;
-      }
-      
-      if (!shouldTrigger && validRefStatuses.includes(ref3Status.toUpperCase?.() || ref3Status)) {
-        shouldTrigger = true;
-        triggerReason = `REF3 STS is '${ref3Status}' (valid status detected)`;
+      if (alarm.alarm_type === 'frames_lost' && !quality) {
+        return;
       }
 
-      // Check 1: Event status is abnormal
-      if (!shouldTrigger && event && event !== 'NORMAL') {
-        shouldTrigger = true;
-        triggerReason = `EVENT status is ${event} (expected NORMAL)`;
+      const rule = this.getCompiledRule(alarm);
+      if (!rule) {
+        return;
       }
 
-      // Check 2: Check device parameters against alarm thresholds (INDEPENDENT)
-      // Each parameter has its own user-set threshold with upper and lower bounds
-      // Alarm triggers if value exceeds upper bound or falls below lower bound
-      if (!shouldTrigger && alarm.device_params) {
-        // Handle nested Parameters structure from MQTT payload
-        const params = deviceData.Parameters || deviceData;
-        
-        // Extract incoming parameter values from device data
-        // Prefer REF1/REF2/REF3 (actual device measurements), fall back to DCV/DCI/ACV
-        const ref1 = parseFloat(params.REF1 || params.ref1 || params.DCV || params.dcv || 0);
-        const ref2 = parseFloat(params.REF2 || params.ref2 || params.DCI || params.dci || 0);
-        const ref3 = parseFloat(params.REF3 || params.ref3 || params.ACV || params.acv || 0);
-        const dcv = parseFloat(params.DCV || params.dcv || 0);
-        const dci = parseFloat(params.DCI || params.dci || 0);
-        const acv = parseFloat(params.ACV || params.acv || 0);
-
-        // Get user-set thresholds from alarm with upper and lower bounds
-        const ref1_upper = alarm.device_params.ref_1_upper || 0;
-        const ref1_lower = alarm.device_params.ref_1_lower || 0;
-        const ref2_upper = alarm.device_params.ref_2_upper || 0;
-        const ref2_lower = alarm.device_params.ref_2_lower || 0;
-        const ref3_upper = alarm.device_params.ref_3_upper || 0;
-        const ref3_lower = alarm.device_params.ref_3_lower || 0;
-        const dcv_upper = alarm.device_params.dcv_upper || 0;
-        const dcv_lower = alarm.device_params.dcv_lower || 0;
-        const dci_upper = alarm.device_params.dci_upper || 0;
-        const dci_lower = alarm.device_params.dci_lower || 0;
-        const acv_upper = alarm.device_params.acv_upper || 0;
-        const acv_lower = alarm.device_params.acv_lower || 0;
-
-        console.log(`[Alarm Monitor] 📊 Checking alarm '${alarm.name}' with upper/lower bounds:`, {
-          'REF1': { value: ref1, upper: ref1_upper, lower: ref1_lower },
-          'REF2': { value: ref2, upper: ref2_upper, lower: ref2_lower },
-          'REF3': { value: ref3, upper: ref3_upper, lower: ref3_lower },
-          'REF1 STS': ref1Status,
-          'REF2 STS': ref2Status,
-          'REF3 STS': ref3Status,
-          'DCV': { value: dcv, upper: dcv_upper, lower: dcv_lower },
-          'DCI': { value: dci, upper: dci_upper, lower: dci_lower },
-          'ACV': { value: acv, upper: acv_upper, lower: acv_lower }
-        });
-
-        // INDEPENDENT CHECK 1: REF1 bounds
-        // Trigger if: value > upper bound OR value < lower bound
-        if ((ref1_upper && ref1 > ref1_upper) || (ref1_lower && ref1 < ref1_lower)) {
-          shouldTrigger = true;
-          triggerReason = `REF1 (${ref1}) out of bounds [${ref1_lower}, ${ref1_upper}]`;
-        }
-
-        // INDEPENDENT CHECK 2: REF2 bounds
-        // Trigger if: value > upper bound OR value < lower bound
-        if (!shouldTrigger && ((ref2_upper && ref2 > ref2_upper) || (ref2_lower && ref2 < ref2_lower))) {
-          shouldTrigger = true;
-          triggerReason = `REF2 (${ref2}) out of bounds [${ref2_lower}, ${ref2_upper}]`;
-        }
+      const values = { EVENT: event || 'NORMAL' };
+      if (quality) {
+        values.FRAMES_LOST = quality.framesLost;
+        values.FRAMES_LOST_WINDOW = dataQualityService.getFramesLost(
+          device.deviceId,
+          alarm.frames_lost && alarm.frames_lost.window_minutes,
+          quality.timestamp
+        );
+      }
 
-        // INDEPENDENT CHECK 3: REF3 bounds
-        // Trigger if: value > upper bound OR value < lower bound
-        if (!shouldTrigger && ((ref3_upper && ref3 > ref3_upper) || (ref3_lower && ref3 < ref3_lower))) {
-          shouldTrigger = true;
-          triggerReason = `REF3 (${ref3}) out of bounds [${ref3_lower}, ${ref3_upper}]`;
-        }
+      const evaluation = evaluateExpression(rule, deviceData, values);
+      this.metrics.evaluations += 1;
 
-        // INDEPENDENT CHECK 4: DCV bounds
-        if (!shouldTrigger && ((dcv_upper && dcv > dcv_upper) || (dcv_lower && dcv < dcv_lower))) {
-          shouldTrigger = true;
-          triggerReason = `DCV (${dcv}) out of bounds [${dcv_lower}, ${dcv_upper}]`;
-        }
+      console.log(`[Alarm Monitor] 📊 Evaluated alarm '${alarm.name}': ${rule.source}`, evaluation.values);
 
-        // INDEPENDENT CHECK 5: DCI bounds
-        if (!shouldTrigger && ((dci_upper && dci > dci_upper) || (dci_lower && dci < dci_lower))) {
-          shouldTrigger = true;
-          triggerReason = `DCI (${dci}) out of bounds [${dci_lower}, ${dci_upper}]`;
-        }
+      // Only trigger if condition is met
+      if (evaluation.triggered) {
+        this.metrics.triggered += 1;
+        const triggerReason = evaluation.conditions.map(c => c.description).join('; ');
+        console.log(`[Alarm Monitor] ⚠️ Alarm '${alarm.name}' triggered for device ${device.deviceName}: ${triggerReason}`);
 
-        // INDEPENDENT CHECK 6: ACV bounds
-        if (!shouldTrigger && ((acv_upper && acv > acv_upper) || (acv_lower && acv < acv_lower))) {
-          shouldTrigger = true;
-          triggerReason = `ACV (${acv}) out of bounds [${acv_lower}, ${acv_upper}]`;
+        // Inside a maintenance window: keep the history, but raise no incident and send nothing
+        const maintenanceWindow = await maintenanceWindowService.findActiveWindow(device);
+        if (maintenanceWindow) {
+          console.log(`[Alarm Monitor] 🔧 Device ${device.deviceName} in maintenance window '${maintenanceWindow.name}', notifications suppressed`);
+          await this.logAlarmTrigger(alarm, device, deviceData, triggerReason, evaluation, null, maintenanceWindow);
+          return;
         }
-      }
 
-      // Only trigger if condition is met
-      if (shouldTrigger) {
-        console.log(`[Alarm Monitor] ⚠️ Alarm '${alarm.name}' triggered for device ${device.deviceName}: ${triggerReason}`);
-        await this.sendAlarmNotification(alarm, device, deviceData, triggerReason);
+        const { incident } = await alarmIncidentService.recordTrigger(alarm, device, triggerReason);
+        await this.sendAlarmNotification(alarm, device, deviceData, triggerReason, evaluation, incident);
         
         // Record trigger in database
         // Note: alarm is fetched with .lean(), so we need to fetch the full document
@@ -232,9 +192,11 @@ class AlarmMonitoringService {
         }
       } else {
         console.log(`[Alarm Monitor] ✅ Alarm '${alarm.name}' conditions not met for device ${device.deviceName}`);
+        await alarmIncidentService.recordConditionClear(alarm, device);
       }
 
     } catch (error) {
+      this.metrics.errors += 1;
       console.error('[Alarm Monitor] Error checking alarm condition:', error);
     }
   }
@@ -245,25 +207,16 @@ class AlarmMonitoringService {
    * @param {Object} device - Device object
    * @param {Object} deviceData - Current device data
    * @param {String} reason - Reason for alarm trigger
+   * @param {Object} evaluation - Expression result with the conditions that fired
+   * @param {Object} incident - Open AlarmIncident this trigger belongs to
    */
-  async sendAlarmNotification(alarm, device, deviceData, reason) {
+  async sendAlarmNotification(alarm, device, deviceData, reason, evaluation = null, incident = null) {
     try {
       // ALWAYS log alarm trigger to database history
-      await this.logAlarmTrigger(alarm, device, deviceData, reason);
+      const trigger = await this.logAlarmTrigger(alarm, device, deviceData, reason, evaluation, incident);
 
-      const alarmKey = `${alarm._id.toString()}`;
-
-      // Check if we should emit notification (10-minute throttle for WebSocket to prevent spam)
-      let shouldEmitNotification = true;
-      if (this.triggeredAlarms.has(alarmKey)) {
-        const lastTrigger = this.triggeredAlarms.get(alarmKey);
-        const timeSinceLastTrigger = Date.now() - lastTrigger;
-        const throttleTime = 10 * 60 * 1000; // 10 minutes for WebSocket events
-        
-        if (timeSinceLastTrigger < throttleTime) {
-          shouldEmitNotification = false;
-        }
-      }
+      // Check if we should emit notification (pop-up throttle window persisted in MongoDB)
+      const popupClaim = await alarmThrottleService.claim(alarm, device, 'popup');
 
       // ALWAYS save notification to database (NOT throttled)
       // This ensures every trigger is recorded, even if UI events are throttled
@@ -278,7 +231,7 @@ class AlarmMonitoringService {
           device_name: device.deviceName || device.deviceId,
           trigger_reason: reason,
           severity: alarm.severity || 'warning',
-          triggered_values: this.getTriggeredValues(deviceData)
+          triggered_values: this.getTriggeredValues(deviceData, evaluation)
         });
         
         if (notification && notification._id) {
@@ -289,8 +242,7 @@ class AlarmMonitoringService {
       }
 
       // Only emit WebSocket notification if throttle allows
-      if (shouldEmitNotification) {
-        this.triggeredAlarms.set(alarmKey, Date.now());
+      if (popupClaim.allowed) {
         console.log(`[Alarm Monitor] 🚨 First trigger or throttle expired for '${alarm.name}'. Emitting WebSocket notification.`);
         
         const params = deviceData.Parameters || deviceData;
@@ -303,7 +255,10 @@ class AlarmMonitoringService {
           severity: alarm.severity || 'warning',
           parameter: alarm.parameter,
           triggered_at: new Date().toISOString(),
-          triggered_values: this.getTriggeredValues(deviceData),
+          triggered_values: this.getTriggeredValues(deviceData, evaluation),
+          fired_conditions: evaluation ? evaluation.conditions : [],
+          incident_id: incident ? incident._id.toString() : null,
+          incident_state: incident ? incident.state : null,
           notification_type: 'email_sent',
           email_notification: true
         };
@@ -311,13 +266,23 @@ class AlarmMonitoringService {
         this.io.emit('alarm:triggered', notificationData);
         console.log(`✅ [Alarm Monitor] Alarm triggered event emitted successfully`);
       } else {
-        const lastTrigger = this.triggeredAlarms.get(alarmKey);
-        const timeSinceLastTrigger = Date.now() - lastTrigger;
-        const throttleTime = 10 * 60 * 1000;
-        const timeRemaining = Math.ceil((throttleTime - timeSinceLastTrigger) / 1000);
-        const minutes = Math.floor(timeRemaining / 60);
-        const seconds = timeRemaining % 60;
-        console.log(`[Alarm Monitor] ℹ️ Alarm '${alarm.name}' notification throttled (saved to DB). WebSocket emit retry in ${minutes}m ${seconds}s`);
+        console.log(`[Alarm Monitor] ℹ️ Alarm '${alarm.name}' notification throttled (saved to DB). WebSocket emit retry in ${this.formatDuration(popupClaim.retryInMs)}`);
+      }
+
+      // Alarms with an escalation policy notify through its tiers instead of the flat email list.
+      // Only the trigger that raised the incident starts the chain; repeats fold into it.
+      if (alarm.escalation_policy_id) {
+        const isNewIncident = !incident || incident.trigger_count === 1;
+        if (!isNewIncident) {
+          console.log(`[Alarm Monitor] ℹ️ Escalation already running for incident of '${alarm.name}', skipping notifications`);
+          await alarmThrottleService.recordDecision(alarm, device, 'email', 'escalation_in_progress');
+          await this.markTriggerNotification(trigger, 'SKIPPED');
+          return;
+        }
+        if (trigger && await escalationService.startEscalation(alarm, trigger)) {
+          await alarmThrottleService.recordDecision(alarm, device, 'email', 'escalation_started');
+          return;
+        }
       }
 
       // Get email addresses from alarm configuration
@@ -325,24 +290,26 @@ class AlarmMonitoringService {
 
       if (emailAddresses.length === 0) {
         console.log(`[Alarm Monitor] ⚠️ No email addresses configured for alarm '${alarm.name}'`);
+        await alarmThrottleService.recordDecision(alarm, device, 'email', 'no_recipients');
+        await this.markTriggerNotification(trigger, 'SKIPPED');
         return;
       }
 
-      // Check 30-minute email throttle separately
-      const emailThrottleKey = `${alarm._id.toString()}_email`;
       let shouldSendEmail = true;
+      let emailClaim = null;
+
+      // Someone is already handling this incident - don't email again until it clears
+      if (incident && incident.state === 'acknowledged') {
+        console.log(`[Alarm Monitor] ℹ️ Incident for alarm '${alarm.name}' acknowledged by ${incident.acknowledged_by?.username || 'operator'}, skipping email`);
+        await alarmThrottleService.recordDecision(alarm, device, 'email', 'acknowledged');
+        shouldSendEmail = false;
+      }
       
-      if (this.emailThrottledAlarms.has(emailThrottleKey)) {
-        const lastEmailTime = this.emailThrottledAlarms.get(emailThrottleKey);
-        const timeSinceLastEmail = Date.now() - lastEmailTime;
-        const emailThrottleTime = 30 * 60 * 1000; // 30 minutes for emails
-        
-        if (timeSinceLastEmail < emailThrottleTime) {
-          const timeRemaining = Math.ceil((emailThrottleTime - timeSinceLastEmail) / 1000);
-          const minutes = Math.floor(timeRemaining / 60);
-          const seconds = timeRemaining % 60;
-          
-          console.log(`[Alarm Monitor] ℹ️ Email for alarm '${alarm.name}' already sent recently, skipping email (retry in ${minutes}m ${seconds}s)`);
+      // Check email throttle window separately (persisted in MongoDB)
+      if (shouldSendEmail) {
+        emailClaim = await alarmThrottleService.claim(alarm, device, 'email');
+        if (!emailClaim.allowed) {
+          console.log(`[Alarm Monitor] ℹ️ Email for alarm '${alarm.name}' already sent recently, skipping email (retry in ${this.formatDuration(emailClaim.retryInMs)})`);
           shouldSendEmail = false;
         }
       }
@@ -370,26 +337,35 @@ class AlarmMonitoringService {
       // Send emails to all configured recipients (only if email throttle allows)
       let emailsSent = 0;
       if (shouldSendEmail) {
+        const attempts = [];
         for (const email of emailAddresses) {
           try {
-            await this.emailService.sendEmail({
+            const result = await this.emailService.sendEmail({
               to: email,
               subject: `🚨 ALARM: ${alarm.name} - ${device.deviceName}`,
               template: 'alarm',
               data: emailData
             });
             console.log(`[Alarm Monitor] ✉️ Email sent to ${email} for alarm '${alarm.name}'`);
+            attempts.push({ tier: 0, channel: 'email', recipient: email, status: 'SENT', message_id: result?.messageId || null });
             emailsSent++;
           } catch (emailError) {
             console.error(`[Alarm Monitor] ❌ Failed to send email to ${email}:`, emailError.message);
+            attempts.push({ tier: 0, channel: 'email', recipient: email, status: 'FAILED', error: emailError.message });
           }
         }
 
-        // Update email throttle timer if emails were sent
+        await AlarmTrigger.logNotificationAttempts(trigger?._id, attempts);
+        await this.markTriggerNotification(trigger, emailsSent > 0 ? 'SENT' : 'FAILED');
+
+        // Keep the email throttle window only if emails were sent, otherwise retry on the next trigger
         if (emailsSent > 0) {
-          this.emailThrottledAlarms.set(emailThrottleKey, Date.now());
-          console.log(`[Alarm Monitor] ⏱️ Email throttle timer set for 30 minutes`);
+          console.log(`[Alarm Monitor] ⏱️ Email throttle window set for ${alarmThrottleService.getWindows(alarm).email_minutes} minutes`);
+        } else {
+          await alarmThrottleService.release(alarm, device, 'email', emailClaim.previousSentAt, 'delivery_failed');
         }
+      } else {
+        await this.markTriggerNotification(trigger, 'SKIPPED');
       }
 
     } catch (error) {
@@ -403,23 +379,16 @@ class AlarmMonitoringService {
    * @param {Object} device - Device object
    * @param {Object} deviceData - Device data
    * @param {String} reason - Trigger reason
+   * @param {Object} evaluation - Expression result with the conditions that fired
+   * @param {Object} incident - Open AlarmIncident this trigger belongs to
+   * @param {Object} maintenanceWindow - Active MaintenanceWindow (trigger is logged as SKIPPED)
    */
-  async logAlarmTrigger(alarm, device, deviceData, reason) {
+  async logAlarmTrigger(alarm, device, deviceData, reason, evaluation = null, incident = null, maintenanceWindow = null) {
     try {
-      // Extract all relevant parameters from device data
+      // Extract all relevant parameters from device data (plus any field the rule references)
       const params = deviceData.Parameters || deviceData;
-      const triggeredValues = {
-        'REF1 STS': params['REF1 STS'] || '',
-        'REF2 STS': params['REF2 STS'] || '',
-        'REF3 STS': params['REF3 STS'] || '',
-        'REF1': params.REF1 || params.ref1 || '',
-        'REF2': params.REF2 || params.ref2 || '',
-        'REF3': params.REF3 || params.ref3 || '',
-        'DCV': params.DCV || params.dcv || 0,
-        'DCI': params.DCI || params.dci || 0,
-        'ACV': params.ACV || params.acv || 0,
-        'EVENT': params.EVENT || params.Event || 'NORMAL'
-      };
+      const triggeredValues = this.getTriggeredValues(deviceData, evaluation);
+      const firedConditions = evaluation ? evaluation.conditions : [];
 
       // Save to DeviceHistory (existing behavior)
       const historyEntry = new DeviceHistory({
@@ -430,6 +399,7 @@ class AlarmMonitoringService {
           alarmId: alarm._id,
           alarmName: alarm.name,
           reason: reason,
+          expression: Alarm.getEffectiveExpression(alarm),
           device_params: alarm.device_params,
           triggered_values: triggeredValues
         },
@@ -439,42 +409,59 @@ class AlarmMonitoringService {
       console.log(`[Alarm Monitor] 📝 Alarm trigger logged to DeviceHistory for alarm '${alarm.name}'`);
 
       // Save to AlarmTrigger model (new detailed logging)
-      await AlarmTrigger.recordTrigger({
+      const trigger = await AlarmTrigger.recordTrigger({
         alarm_id: alarm._id,
         alarm_name: alarm.name,
+        incident_id: incident ? incident._id : null,
         device_id: device.deviceId,
         device_name: device.deviceName || device.deviceId,
         trigger_reason: reason,
+        fired_conditions: firedConditions,
         triggered_values: triggeredValues,
         alarm_config: {
           severity: alarm.severity,
           parameter: alarm.parameter,
-          device_params: alarm.device_params
+          device_params: alarm.device_params,
+          expression: Alarm.getEffectiveExpression(alarm)
         },
         event_status: params.EVENT || params.Event || 'NORMAL',
-        notification_status: 'SENT'
+        notification_status: maintenanceWindow ? 'SKIPPED' : 'PENDING',
+        maintenance_window_id: maintenanceWindow ? maintenanceWindow._id : null
       });
 
       console.log(`[Alarm Monitor] 💾 Alarm trigger saved to AlarmTrigger for alarm '${alarm.name}'`);
 
+      await alarmIncidentService.linkTrigger(incident, trigger._id);
+
+      return trigger;
     } catch (error) {
       console.error('[Alarm Monitor] Error logging alarm trigger:', error);
+      return null;
     }
   }
 
   /**
-   * Clear triggered alarms that are older than the timeout
+   * Update the notification outcome of a logged trigger
+   * @param {Object} trigger - AlarmTrigger document (may be null if logging failed)
+   * @param {String} status - SENT | FAILED | SKIPPED
    */
-  clearExpiredAlarms() {
-    const now = Date.now();
-    const timeout = 5 * 60 * 1000; // 5 minutes
+  async markTriggerNotification(trigger, status) {
+    if (!trigger) return;
 
-    for (const [key, timestamp] of this.triggeredAlarms.entries()) {
-      if (now - timestamp > timeout) {
-        this.triggeredAlarms.delete(key);
-      }
+    try {
+      await AlarmTrigger.updateOne({ _id: trigger._id }, { $set: { notification_status: status } });
+    } catch (error) {
+      console.error('[Alarm Monitor] Error updating trigger notification status:', error.message);
     }
   }
+
+  /**
+   * Format a throttle retry delay as "Xm Ys"
+   */
+  formatDuration(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    return `${Math.floor(totalSeconds / 60)}m ${totalSeconds % 60}s`;
+  }
 }
 
 module.exports = new AlarmMonitoringService();
@@ -0,0 +1,219 @@
+const Alarm = require('../models/Alarm');
+const AlarmSuppression = require('../models/AlarmSuppression');
+const { severityWindows, defaultWindows } = require('../config/alarmThrottle');
+
+/**
+ * Alarm Throttle Service
+ * Mongo-backed throttling/dedup of alarm notifications per alarm and device.
+ * A channel window is "claimed" with a single conditional upsert, so only one
+ * process (or one restart) can send inside the same window.
+ * Channels: 'popup' (alarm:triggered WebSocket event) and 'email'.
+ */
+class AlarmThrottleService {
+
+  /**
+   * Resolve throttle windows for an alarm: per-alarm override, then severity default
+   * @param {Object} alarm - Alarm configuration
+   * @returns {{popup_minutes: Number, email_minutes: Number, source: Object}}
+   */
+  getWindows(alarm) {
+    const severityDefaults = severityWindows[alarm.severity] || defaultWindows;
+    const override = alarm.throttle_config || {};
+    const resolve = (key) => {
+      const value = override[key];
+      return value !== null && value !== undefined
+        ? { minutes: value, source: 'alarm' }
+        : { minutes: severityDefaults[key], source: 'severity' };
+    };
+
+    const popup = resolve('popup_minutes');
+    const email = resolve('email_minutes');
+    return {
+      popup_minutes: popup.minutes,
+      email_minutes: email.minutes,
+      source: { popup: popup.source, email: email.source }
+    };
+  }
+
+  getWindowMs(alarm, channel) {
+    return this.getWindows(alarm)[`${channel}_minutes`] * 60 * 1000;
+  }
+
+  /**
+   * Try to open a new notification window for a channel.
+   * @param {Object} alarm - Alarm configuration
+   * @param {Object} device - Device object
+   * @param {String} channel - popup | email
+   * @returns {Promise<{allowed: Boolean, previousSentAt: Date|null, retryInMs: Number}>}
+   */
+  async claim(alarm, device, channel) {
+    const { sentAt, suppressed } = AlarmSuppression.CHANNEL_FIELDS[channel];
+    const now = new Date();
+    const windowMs = this.getWindowMs(alarm, channel);
+    const cutoff = new Date(now.getTime() - windowMs);
+    const key = { alarm_id: alarm._id, device_id: device.deviceId };
+
+    try {
+      const previous = await AlarmSuppression.findOneAndUpdate(
+        { ...key, $or: [{ [sentAt]: null }, { [sentAt]: { $lte: cutoff } }] },
+        {
+          $set: {
+            alarm_name: alarm.name,
+            severity: alarm.severity || 'warning',
+            last_trigger_at: now,
+            [sentAt]: now,
+            [suppressed]: 0,
+            [`last_decision.${channel}`]: { sent: true, reason: 'sent', at: now }
+          }
+        },
+        { upsert: true, new: false, setDefaultsOnInsert: true }
+      ).lean();
+
+      return { allowed: true, previousSentAt: previous ? previous[sentAt] : null, retryInMs: 0 };
+    } catch (error) {
+      // Duplicate key = the state document exists but its window is still open
+      if (error.code !== 11000) {
+        console.error(`[Alarm Throttle] Error claiming ${channel} window, allowing notification:`, error.message);
+        return { allowed: true, previousSentAt: null, retryInMs: 0 };
+      }
+    }
+
+    const state = await AlarmSuppression.findOneAndUpdate(
+      key,
+      {
+        $set: {
+          last_trigger_at: now,
+          [`last_decision.${channel}`]: { sent: false, reason: 'throttled', at: now }
+        },
+        $inc: { [suppressed]: 1 }
+      },
+      { new: true }
+    ).lean();
+
+    const retryInMs = state && state[sentAt]
+      ? Math.max(0, new Date(state[sentAt]).getTime() + windowMs - now.getTime())
+      : 0;
+
+    return { allowed: false, previousSentAt: state ? state[sentAt] : null, retryInMs };
+  }
+
+  /**
+   * Give a claimed window back (e.g. every email failed) so the next trigger retries
+   * @param {Object} alarm - Alarm configuration
+   * @param {Object} device - Device object
+   * @param {String} channel - popup | email
+   * @param {Date|null} previousSentAt - Value returned by claim()
+   * @param {String} reason - Why nothing was delivered
+   */
+  async release(alarm, device, channel, previousSentAt, reason) {
+    const { sentAt } = AlarmSuppression.CHANNEL_FIELDS[channel];
+    try {
+      await AlarmSuppression.updateOne(
+        { alarm_id: alarm._id, device_id: device.deviceId },
+        {
+          $set: {
+            [sentAt]: previousSentAt || null,
+            [`last_decision.${channel}`]: { sent: false, reason, at: new Date() }
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`[Alarm Throttle] Error releasing ${channel} window:`, error.message);
+    }
+  }
+
+  /**
+   * Record a decision that was made without touching the throttle window
+   * (acknowledged incident, no recipients, escalation policy handling it, ...)
+   */
+  async recordDecision(alarm, device, channel, reason) {
+    try {
+      await AlarmSuppression.updateOne(
+        { alarm_id: alarm._id, device_id: device.deviceId },
+        {
+          $set: {
+            alarm_name: alarm.name,
+            severity: alarm.severity || 'warning',
+            last_trigger_at: new Date(),
+            [`last_decision.${channel}`]: { sent: false, reason, at: new Date() }
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        console.error(`[Alarm Throttle] Error recording ${channel} decision:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Current suppression state of every alarm (optionally filtered)
+   * @param {Object} options - { alarm_id, device_id, status }
+   */
+  async getSuppressionState({ alarm_id, device_id, status } = {}) {
+    const alarmFilter = {};
+    if (alarm_id) alarmFilter._id = alarm_id;
+    if (device_id) alarmFilter.deviceId = device_id;
+    if (status) alarmFilter.status = status;
+
+    const alarms = await Alarm.find(alarmFilter)
+      .select('name device_name deviceId severity status throttle_config escalation_policy_id')
+      .lean();
+
+    const stateFilter = { alarm_id: { $in: alarms.map(a => a._id) } };
+    if (device_id) stateFilter.device_id = device_id;
+    const states = await AlarmSuppression.find(stateFilter).lean();
+
+    const now = Date.now();
+    return alarms.map(alarm => {
+      const windows = this.getWindows(alarm);
+      const alarmStates = states.filter(s => s.alarm_id.toString() === alarm._id.toString());
+
+      const describeChannel = (state, channel) => {
+        const { sentAt, suppressed } = AlarmSuppression.CHANNEL_FIELDS[channel];
+        const windowMs = windows[`${channel}_minutes`] * 60 * 1000;
+        const lastSentAt = state ? state[sentAt] : null;
+        const suppressedUntil = lastSentAt ? new Date(new Date(lastSentAt).getTime() + windowMs) : null;
+        return {
+          window_minutes: windows[`${channel}_minutes`],
+          window_source: windows.source[channel],
+          last_sent_at: lastSentAt,
+          suppressed: !!suppressedUntil && suppressedUntil.getTime() > now,
+          suppressed_until: suppressedUntil && suppressedUntil.getTime() > now ? suppressedUntil : null,
+          suppressed_count: state ? state[suppressed] : 0,
+          last_decision: state?.last_decision?.[channel] || null
+        };
+      };
+
+      return {
+        alarm_id: alarm._id,
+        alarm_name: alarm.name,
+        device_name: alarm.device_name,
+        severity: alarm.severity,
+        status: alarm.status,
+        escalation_policy_id: alarm.escalation_policy_id || null,
+        devices: (alarmStates.length > 0 ? alarmStates : [null]).map(state => ({
+          device_id: state ? state.device_id : alarm.deviceId || null,
+          last_trigger_at: state ? state.last_trigger_at : null,
+          popup: describeChannel(state, 'popup'),
+          email: describeChannel(state, 'email')
+        }))
+      };
+    });
+  }
+
+  /**
+   * Reset throttle state so the next trigger notifies immediately
+   * @param {String} alarmId - Alarm ID
+   * @param {String} deviceId - Optional device ID
+   */
+  async reset(alarmId, deviceId = null) {
+    const filter = { alarm_id: alarmId };
+    if (deviceId) filter.device_id = deviceId;
+    const result = await AlarmSuppression.deleteMany(filter);
+    return result.deletedCount;
+  }
+}
+
+module.exports = new AlarmThrottleService();
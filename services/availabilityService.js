@@ -0,0 +1,356 @@
+const Device = require('../models/Device');
+const Zone = require('../models/Zone');
+const Telemetry = require('../models/telemetry');
+const DeviceStatusHistory = require('../models/DeviceStatusHistory');
+const deviceStatusMonitor = require('./deviceStatusMonitor');
+
+/**
+ * Availability Service
+ * Communication availability per device, per zone and for the fleet over any date range,
+ * from two sources:
+ *   - status history (DeviceStatusHistory, written by the device status monitor): time
+ *     offline is downtime, warning counts as available; outages are offline periods and
+ *     the time to recovery is the length of an offline period that ended
+ *   - telemetry frame gaps: the gap between consecutive frames (and from the range start
+ *     to the first frame / from the last frame to the range end). A gap longer than the
+ *     device's offline deadline is an outage lasting (gap - deadline), the same time the
+ *     status monitor would have shown the device offline.
+ * The headline figures (uptimePercent, outages, mttrMs) come from the status history when
+ * it covers at least MIN_HISTORY_COVERAGE of the range, otherwise from the frame gaps
+ * (e.g. months before status history was recorded). longestGapMs always comes from frames.
+ */
+
+const MIN_HISTORY_COVERAGE = 0.95;
+const UNASSIGNED_ZONE = 'unassigned';
+
+const round = (value, digits = 3) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+class AvailabilityService {
+  /**
+   * Report range from query parameters: month=YYYY-MM, or startDate/endDate (YYYY-MM-DD in
+   * local time - endDate includes that whole day - or full ISO timestamps). Default: last 30 days.
+   * @returns {{startDate: Date, endDate: Date}|{error: String}}
+   */
+  parseRange({ month, startDate, endDate } = {}) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/;
+    const parse = (value, endOfDay) => {
+      if (dateOnly.test(value)) {
+        const [year, monthIndex, day] = value.split('-').map(Number);
+        return endOfDay ? new Date(year, monthIndex - 1, day + 1) : new Date(year, monthIndex - 1, day);
+      }
+      return new Date(value);
+    };
+
+    let start;
+    let end;
+    if (month) {
+      const match = /^(\d{4})-(\d{2})$/.exec(month);
+      if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        return { error: 'month must be YYYY-MM' };
+      }
+      start = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+      end = new Date(Number(match[1]), Number(match[2]), 1);
+    } else {
+      end = endDate ? parse(String(endDate), true) : new Date();
+      start = startDate ? parse(String(startDate), false) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    }
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return { error: 'Invalid date format. Use YYYY-MM-DD or an ISO timestamp.' };
+    }
+    if (start >= end || start >= new Date()) {
+      return { error: 'startDate must be before endDate and in the past' };
+    }
+    return { startDate: start, endDate: end };
+  }
+
+  /**
+   * Availability report
+   * @param {Object} options - { startDate, endDate, zoneId, deviceId (may be comma-separated),
+   *   targetPercent: SLA uptime target; sets meetsTarget on every device, zone and the fleet }
+   */
+  async getReport({ startDate, endDate, zoneId = null, deviceId = null, targetPercent = null }) {
+    const now = new Date();
+    const end = endDate > now ? now : endDate;
+    const start = startDate;
+    if (start >= end) {
+      throw new Error('startDate must be before endDate (and in the past)');
+    }
+
+    const deviceQuery = {};
+    if (zoneId) deviceQuery.zoneId = zoneId;
+    if (deviceId) {
+      const ids = String(deviceId).split(',').map(id => id.trim()).filter(Boolean);
+      deviceQuery.deviceId = ids.length === 1 ? ids[0] : { $in: ids };
+    }
+
+    const devices = await Device.find(deviceQuery)
+      .select('deviceId deviceName zoneId configuration.deviceSettings.loggingInterval')
+      .sort({ deviceId: 1 })
+      .lean();
+    const deviceIds = devices.map(device => device.deviceId);
+
+    const [periods, zones] = await Promise.all([
+      DeviceStatusHistory.find({
+        deviceId: { $in: deviceIds },
+        since: { $lt: end },
+        $or: [{ until: null }, { until: { $gt: start } }]
+      }).sort({ since: 1 }).lean(),
+      Zone.find({ id: { $in: Array.from(new Set(devices.map(device => device.zoneId).filter(Boolean))) } })
+        .select('id name')
+        .lean()
+    ]);
+
+    const periodsByDevice = new Map();
+    periods.forEach(period => {
+      if (!periodsByDevice.has(period.deviceId)) periodsByDevice.set(period.deviceId, []);
+      periodsByDevice.get(period.deviceId).push(period);
+    });
+    const zoneNames = new Map(zones.map(zone => [zone.id, zone.name]));
+
+    const range = { start, end, now };
+    const deviceReports = [];
+    for (const device of devices) {
+      const deadlines = deviceStatusMonitor.getDeadlines(device);
+      const status = this.fromStatusHistory(periodsByDevice.get(device.deviceId) || [], range);
+      const frames = await this.fromFrameGaps(device.deviceId, deadlines, range);
+      deviceReports.push(this.combine(device, zoneNames, deadlines, status, frames, range));
+    }
+
+    const zoneGroups = new Map();
+    deviceReports.forEach(report => {
+      const key = report.zoneId || UNASSIGNED_ZONE;
+      if (!zoneGroups.has(key)) zoneGroups.set(key, []);
+      zoneGroups.get(key).push(report);
+    });
+
+    const withTarget = (item) => ({
+      ...item,
+      meetsTarget: targetPercent === null || item.uptimePercent === null ? null : item.uptimePercent >= targetPercent
+    });
+
+    return {
+      startDate: start,
+      endDate: end,
+      generatedAt: now,
+      rangeMs: end - start,
+      criteria: {
+        downtime: 'offline (warning counts as available)',
+        minHistoryCoverage: MIN_HISTORY_COVERAGE,
+        targetPercent
+      },
+      fleet: withTarget(this.summarize(deviceReports)),
+      zones: Array.from(zoneGroups.entries())
+        .map(([id, reports]) => withTarget({
+          zoneId: id === UNASSIGNED_ZONE ? null : id,
+          zoneName: id === UNASSIGNED_ZONE ? 'Unassigned' : (zoneNames.get(id) || id),
+          ...this.summarize(reports)
+        }))
+        .sort((a, b) => String(a.zoneName).localeCompare(String(b.zoneName))),
+      devices: deviceReports.map(withTarget)
+    };
+  }
+
+  /**
+   * Uptime and outages from the device's status periods, clipped to the range
+   */
+  fromStatusHistory(periods, { start, end, now }) {
+    let monitoredMs = 0;
+    let downtimeMs = 0;
+    let warningMs = 0;
+    let outages = 0;
+    let recoveries = 0;
+    let recoveryMs = 0;
+    let ongoingOutage = false;
+
+    periods.forEach(period => {
+      const since = new Date(period.since).getTime();
+      const until = period.until ? new Date(period.until).getTime() : now.getTime();
+      const clipped = Math.max(0, Math.min(until, end.getTime()) - Math.max(since, start.getTime()));
+      monitoredMs += clipped;
+
+      if (period.state === 'warning') warningMs += clipped;
+      if (period.state !== 'offline') return;
+
+      downtimeMs += clipped;
+      outages++;
+      if (period.until && until <= end.getTime()) {
+        // Recovered within the range: time to recovery is the whole outage
+        recoveries++;
+        recoveryMs += until - since;
+      } else {
+        ongoingOutage = true;
+      }
+    });
+
+    return {
+      monitoredMs,
+      coverage: monitoredMs / (end - start),
+      downtimeMs,
+      warningMs,
+      outages,
+      recoveries,
+      recoveryMs,
+      ongoingOutage
+    };
+  }
+
+  /**
+   * Frame count, longest gap and gaps past the offline deadline from the device's telemetry
+   */
+  async fromFrameGaps(deviceId, deadlines, { start, end }) {
+    const offlineAfterMs = deadlines.offlineAfterMs;
+    const gapOverDeadline = { $gt: ['$gapMs', offlineAfterMs] };
+
+    const [stats] = await Telemetry.aggregate([
+      { $match: { deviceId, timestamp: { $gte: start, $lte: end } } },
+      { $project: { _id: 0, timestamp: 1 } },
+      {
+        $setWindowFields: {
+          sortBy: { timestamp: 1 },
+          output: { previous: { $shift: { output: '$timestamp', by: -1, default: null } } }
+        }
+      },
+      {
+        $project: {
+          timestamp: 1,
+          previous: 1,
+          gapMs: { $cond: [{ $eq: ['$previous', null] }, null, { $subtract: ['$timestamp', '$previous'] }] }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          frames: { $sum: 1 },
+          first: { $min: '$timestamp' },
+          last: { $max: '$timestamp' },
+          // Documents compare field by field, so this is the gap with the largest gapMs
+          longest: { $max: { gapMs: '$gapMs', from: '$previous', to: '$timestamp' } },
+          gapsOverDeadline: { $sum: { $cond: [gapOverDeadline, 1, 0] } },
+          downtimeMs: { $sum: { $cond: [gapOverDeadline, { $subtract: ['$gapMs', offlineAfterMs] }, 0] } }
+        }
+      }
+    ]).allowDiskUse(true);
+
+    const rangeMs = end - start;
+    if (!stats) {
+      return {
+        frames: 0,
+        longestGap: { gapMs: rangeMs, from: start, to: end, edge: 'no_frames' },
+        outages: rangeMs > offlineAfterMs ? 1 : 0,
+        recoveries: 0,
+        recoveryMs: 0,
+        downtimeMs: rangeMs > offlineAfterMs ? rangeMs : 0,
+        ongoingOutage: rangeMs > offlineAfterMs
+      };
+    }
+
+    let outages = stats.gapsOverDeadline;
+    let recoveries = stats.gapsOverDeadline;
+    let recoveryMs = stats.downtimeMs;
+    let downtimeMs = stats.downtimeMs;
+    let ongoingOutage = false;
+    let longestGap = stats.longest && stats.longest.gapMs !== null
+      ? { gapMs: stats.longest.gapMs, from: stats.longest.from, to: stats.longest.to, edge: null }
+      : { gapMs: 0, from: null, to: null, edge: null };
+
+    // Silence at the edges of the range counts too. Before the first frame there is no
+    // earlier frame to start the deadline from, so a leading gap past it is all downtime.
+    const leadingMs = new Date(stats.first) - start;
+    const trailingMs = end - new Date(stats.last);
+    if (leadingMs > longestGap.gapMs) longestGap = { gapMs: leadingMs, from: start, to: stats.first, edge: 'start' };
+    if (trailingMs > longestGap.gapMs) longestGap = { gapMs: trailingMs, from: stats.last, to: end, edge: 'end' };
+    if (leadingMs > offlineAfterMs) {
+      outages++;
+      recoveries++;
+      recoveryMs += leadingMs;
+      downtimeMs += leadingMs;
+    }
+    if (trailingMs > offlineAfterMs) {
+      outages++;
+      downtimeMs += trailingMs - offlineAfterMs;
+      ongoingOutage = true;
+    }
+
+    return {
+      frames: stats.frames,
+      firstFrame: stats.first,
+      lastFrame: stats.last,
+      longestGap,
+      outages,
+      recoveries,
+      recoveryMs,
+      downtimeMs,
+      ongoingOutage
+    };
+  }
+
+  /**
+   * Device row: headline figures from the status history when it covers the range, else from frames
+   */
+  combine(device, zoneNames, deadlines, status, frames, { start, end }) {
+    const rangeMs = end - start;
+    const useHistory = status.coverage >= MIN_HISTORY_COVERAGE;
+    const measuredMs = useHistory ? status.monitoredMs : rangeMs;
+    const source = useHistory ? status : frames;
+
+    return {
+      deviceId: device.deviceId,
+      deviceName: device.deviceName || null,
+      zoneId: device.zoneId || null,
+      zoneName: device.zoneId ? (zoneNames.get(device.zoneId) || device.zoneId) : null,
+      source: useHistory ? 'status_history' : 'frame_gaps',
+      expectedIntervalSeconds: deadlines.expectedIntervalSeconds,
+      offlineAfterMs: deadlines.offlineAfterMs,
+      measuredMs,
+      downtimeMs: source.downtimeMs,
+      uptimePercent: percent(measuredMs - source.downtimeMs, measuredMs),
+      outages: source.outages,
+      recoveries: source.recoveries,
+      recoveryMs: source.recoveryMs,
+      mttrMs: source.recoveries > 0 ? Math.round(source.recoveryMs / source.recoveries) : null,
+      ongoingOutage: source.ongoingOutage,
+      longestGapMs: frames.longestGap.gapMs,
+      longestGap: frames.longestGap,
+      frames: frames.frames,
+      statusHistory: {
+        coveragePercent: round(status.coverage * 100, 2),
+        uptimePercent: percent(status.monitoredMs - status.downtimeMs, status.monitoredMs),
+        downtimeMs: status.downtimeMs,
+        warningMs: status.warningMs,
+        outages: status.outages
+      },
+      frameGaps: {
+        uptimePercent: percent(rangeMs - frames.downtimeMs, rangeMs),
+        downtimeMs: frames.downtimeMs,
+        outages: frames.outages
+      }
+    };
+  }
+
+  /**
+   * Zone / fleet totals: uptime weighted by measured time, MTTR over all recoveries
+   */
+  summarize(reports) {
+    const measuredMs = reports.reduce((sum, r) => sum + r.measuredMs, 0);
+    const downtimeMs = reports.reduce((sum, r) => sum + r.downtimeMs, 0);
+    const recoveries = reports.reduce((sum, r) => sum + r.recoveries, 0);
+    const recoveryMs = reports.reduce((sum, r) => sum + r.recoveryMs, 0);
+    const longest = reports.reduce((best, r) => (!best || r.longestGapMs > best.longestGapMs ? r : best), null);
+
+    return {
+      devices: reports.length,
+      uptimePercent: percent(measuredMs - downtimeMs, measuredMs),
+      downtimeMs,
+      outages: reports.reduce((sum, r) => sum + r.outages, 0),
+      devicesWithOutages: reports.filter(r => r.outages > 0).length,
+      ongoingOutages: reports.filter(r => r.ongoingOutage).length,
+      mttrMs: recoveries > 0 ? Math.round(recoveryMs / recoveries) : null,
+      longestGapMs: longest ? longest.longestGapMs : null,
+      longestGapDeviceId: longest ? longest.deviceId : null
+    };
+  }
+}
+
+module.exports = new AvailabilityService();
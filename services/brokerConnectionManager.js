@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+const { deviceBroker } = require('../config/mqtt');
+const Device = require('../models/Device');
+
+// Subscriptions made by MQTTService on the default broker
+const DEFAULT_SUBSCRIPTIONS = ['devices/+/data', 'devices/+/commands'];
+
+/**
+ * Broker Connection Manager
+ * Opens one MQTT client per distinct broker + credentials pair found in Device.mqtt and
+ * subscribes each device's configured topics. Messages are routed into MQTTService's
+ * handler with the device and topic type resolved from the configuration, so custom
+ * topic layouts (e.g. on a customer-owned broker) reach the same ingest path.
+ *
+ * Devices without a brokerUrl, or on the default broker with the default/no credentials,
+ * are served by MQTTService's own client; only topics not covered by its wildcard
+ * subscriptions are added to it.
+ *
+ * Topics per device:
+ *   data     - mqtt.topics.data    || `${topicPrefix}/data`     || devices/{id}/data
+ *   commands - mqtt.topics.control || `${topicPrefix}/commands` || devices/{id}/commands
+ *   status   - mqtt.topics.status (only when configured)
+ */
+class BrokerConnectionManager {
+  constructor() {
+    this.refreshIntervalMs = parseInt(process.env.MQTT_BROKER_REFRESH_MS) || 5 * 60 * 1000;
+    this.connections = new Map(); // key -> connection (see createConnection)
+    this.deviceRoutes = new Map(); // deviceId -> { key, topics }
+    this.processor = null; // MQTTService instance
+    this.refreshInterval = null;
+    this.refreshTimer = null;
+    this.isRefreshing = false;
+    this.lastRefreshAt = null;
+  }
+
+  /**
+   * Load device broker configuration and keep it in sync
+   * @param {Object} processor - MQTTService (passed in to avoid a circular require)
+   */
+  start(processor) {
+    this.processor = processor;
+    if (this.refreshInterval) {
+      console.log('[Broker Manager] ⚠️ Already running');
+      return;
+    }
+
+    // The default broker is MQTTService's own client; extra topics are re-subscribed on reconnect
+    const defaultConnection = this.createConnection('default', deviceBroker.url, deviceBroker.options.username, null);
+    defaultConnection.client = processor.client;
+    defaultConnection.owned = false;
+    processor.client.on('connect', () => this.subscribeAll(defaultConnection));
+    this.connections.set('default', defaultConnection);
+
+    this.refresh();
+    this.refreshInterval = setInterval(() => this.refresh(), this.refreshIntervalMs);
+    console.log(`[Broker Manager] ✅ Started (refresh every ${Math.round(this.refreshIntervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Close every per-device broker connection
+   */
+  stop() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+    clearTimeout(this.refreshTimer);
+
+    this.connections.forEach(connection => {
+      if (connection.owned && connection.client) connection.client.end(true);
+    });
+    this.connections.clear();
+    this.deviceRoutes.clear();
+    console.log('[Broker Manager] 🛑 Stopped');
+  }
+
+  /**
+   * Refresh shortly (debounced) - called after devices are created, changed or deleted
+   */
+  scheduleRefresh(delayMs = 2000) {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), delayMs);
+  }
+
+  normalizeUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '').toLowerCase();
+  }
+
+  /**
+   * Connection key for a device: 'default' or a hash of broker URL + credentials
+   */
+  getBrokerKey(device) {
+    const config = device.mqtt || {};
+    const url = config.brokerUrl && config.brokerUrl.trim();
+    const username = config.credentials && config.credentials.username;
+    const password = config.credentials && config.credentials.password;
+
+    const isDefaultUrl = !url || this.normalizeUrl(url) === this.normalizeUrl(deviceBroker.url);
+    const isDefaultCredentials = !username ||
+      (username === deviceBroker.options.username && (!password || password === deviceBroker.options.password));
+    if (isDefaultUrl && isDefaultCredentials) return 'default';
+
+    const hash = crypto.createHash('sha1').update(`${this.normalizeUrl(url || deviceBroker.url)}|${username || ''}|${password || ''}`).digest('hex');
+    return `broker_${hash.substring(0, 12)}`;
+  }
+
+  /**
+   * Topics a device publishes/listens on
+   * @returns {{data: String, commands: String, status: String|null}}
+   */
+  getDeviceTopics(device) {
+    const config = device.mqtt || {};
+    const topics = config.topics || {};
+    const prefix = (config.topicPrefix || `devices/${device.deviceId}`).replace(/\/+$/, '');
+
+    return {
+      data: topics.data || `${prefix}/data`,
+      commands: topics.control || `${prefix}/commands`,
+      status: topics.status || null
+    };
+  }
+
+  /**
+   * MQTT topic filter match (+ and # wildcards)
+   */
+  topicMatches(filter, topic) {
+    const filterParts = filter.split('/');
+    const topicParts = topic.split('/');
+    for (let i = 0; i < filterParts.length; i++) {
+      if (filterParts[i] === '#') return true;
+      if (i >= topicParts.length) return false;
+      if (filterParts[i] !== '+' && filterParts[i] !== topicParts[i]) return false;
+    }
+    return filterParts.length === topicParts.length;
+  }
+
+  createConnection(key, url, username, password) {
+    return {
+      key,
+      url,
+      username: username || null,
+      password: password || null,
+      client: null,
+      owned: true,
+      routes: new Map(), // topic -> { deviceId, type }
+      subscribed: new Set(),
+      messages: 0,
+      lastMessageAt: null,
+      lastError: null,
+      connectedAt: null
+    };
+  }
+
+  /**
+   * Open an MQTT client for a per-device broker
+   */
+  connect(connection) {
+    const options = {
+      ...deviceBroker.options,
+      clientId: `${deviceBroker.options.clientId}_${connection.key}`,
+      username: connection.username || undefined,
+      password: connection.password || undefined
+    };
+    delete options.will; // the backend's last-will topic belongs to the default broker
+
+    console.log(`[Broker Manager] 🔌 Connecting to ${connection.url} (${connection.key}, user: ${connection.username || 'none'})`);
+    const client = mqtt.connect(connection.url, options);
+    connection.client = client;
+
+    client.on('connect', () => {
+      connection.connectedAt = new Date();
+      connection.lastError = null;
+      console.log(`[Broker Manager] ✅ Connected to ${connection.url} (${connection.routes.size} topic(s))`);
+      this.subscribeAll(connection);
+    });
+
+    client.on('message', (topic, message, packet) => {
+      const route = connection.routes.get(topic);
+      if (!route && topic !== deviceBroker.replyTopic) return;
+      connection.messages += 1;
+      connection.lastMessageAt = new Date();
+      this.processor.handleBrokerMessage(topic, message, route || null, packet);
+    });
+
+    client.on('error', error => {
+      connection.lastError = error.message;
+      console.error(`[Broker Manager] ❌ ${connection.url} (${connection.key}):`, error.message);
+    });
+
+    client.on('close', () => {
+      connection.connectedAt = null;
+    });
+  }
+
+  /**
+   * Topics of a connection that need their own subscription
+   */
+  getSubscriptionTopics(connection) {
+    let topics = Array.from(connection.routes.keys());
+    if (connection.key === 'default') {
+      topics = topics.filter(topic => !DEFAULT_SUBSCRIPTIONS.some(filter => this.topicMatches(filter, topic)));
+    }
+    // MQTT v5: device replies to this instance's commands
+    if (deviceBroker.replyTopic) topics.push(deviceBroker.replyTopic);
+    return topics;
+  }
+
+  subscribeAll(connection) {
+    connection.subscribed.clear();
+    this.syncSubscriptions(connection);
+  }
+
+  /**
+   * Subscribe new topics and unsubscribe topics no device uses anymore
+   */
+  syncSubscriptions(connection) {
+    const client = connection.client;
+    if (!client || !client.connected) return;
+
+    const wanted = new Set(this.getSubscriptionTopics(connection));
+    const added = Array.from(wanted).filter(topic => !connection.subscribed.has(topic));
+    const removed = Array.from(connection.subscribed).filter(topic => !wanted.has(topic));
+
+    if (added.length > 0) {
+      client.subscribe(added, { qos: 1 }, err => {
+        if (err) {
+          console.error(`[Broker Manager] ❌ Subscription error on ${connection.url}:`, err.message);
+          return;
+        }
+        added.forEach(topic => connection.subscribed.add(topic));
+        console.log(`[Broker Manager] 📥 Subscribed on ${connection.url}: ${added.join(', ')}`);
+      });
+    }
+
+    if (removed.length > 0) {
+      client.unsubscribe(removed);
+      removed.forEach(topic => connection.subscribed.delete(topic));
+    }
+  }
+
+  /**
+   * Rebuild routes from Device.mqtt and open/close broker connections to match
+   */
+  async refresh() {
+    if (this.isRefreshing || !this.processor) return;
+    this.isRefreshing = true;
+
+    try {
+      const devices = await Device.find({}).select('deviceId mqtt').lean();
+      const plan = new Map(); // key -> { url, username, password, routes }
+      const deviceRoutes = new Map();
+
+      devices.forEach(device => {
+        const key = this.getBrokerKey(device);
+        const topics = this.getDeviceTopics(device);
+        const config = device.mqtt || {};
+
+        if (!plan.has(key)) {
+          plan.set(key, {
+            url: key === 'default' ? deviceBroker.url : config.brokerUrl || deviceBroker.url,
+            username: config.credentials && config.credentials.username,
+            password: config.credentials && config.credentials.password,
+            routes: new Map()
+          });
+        }
+
+        const routes = plan.get(key).routes;
+        [['data', topics.data], ['commands', topics.commands], ['status', topics.status]].forEach(([type, topic]) => {
+          if (!topic) return;
+          if (/[+#]/.test(topic)) {
+            console.warn(`[Broker Manager] ⚠️ Ignoring wildcard ${type} topic '${topic}' of device ${device.deviceId}`);
+            return;
+          }
+          if (routes.has(topic) && routes.get(topic).deviceId !== device.deviceId) {
+            console.warn(`[Broker Manager] ⚠️ Topic '${topic}' is configured for devices ${routes.get(topic).deviceId} and ${device.deviceId}`);
+            return;
+          }
+          routes.set(topic, { deviceId: device.deviceId, type });
+        });
+
+        deviceRoutes.set(device.deviceId, { key, topics });
+      });
+
+      // Close connections no device uses anymore
+      this.connections.forEach((connection, key) => {
+        if (key === 'default' || plan.has(key)) return;
+        console.log(`[Broker Manager] 🔌 Closing unused connection to ${connection.url} (${key})`);
+        if (connection.client) connection.client.end(true);
+        this.connections.delete(key);
+      });
+
+      plan.forEach((target, key) => {
+        let connection = this.connections.get(key);
+        if (!connection) {
+          connection = this.createConnection(key, target.url, target.username, target.password);
+          this.connections.set(key, connection);
+          connection.routes = target.routes;
+          this.connect(connection);
+          return;
+        }
+        connection.routes = target.routes;
+        this.syncSubscriptions(connection);
+      });
+
+      const defaultConnection = this.connections.get('default');
+      if (defaultConnection && !plan.has('default')) {
+        defaultConnection.routes = new Map();
+        this.syncSubscriptions(defaultConnection);
+      }
+
+      this.deviceRoutes = deviceRoutes;
+      this.lastRefreshAt = new Date();
+      console.log(`[Broker Manager] 🔄 ${devices.length} device(s) on ${plan.size} broker connection(s)`);
+    } catch (error) {
+      console.error('[Broker Manager] ❌ Error refreshing broker connections:', error.message);
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  /**
+   * Device and topic type for a message received by MQTTService's own client
+   * @returns {{deviceId: String, type: String}|null}
+   */
+  resolveTopic(topic) {
+    const connection = this.connections.get('default');
+    return connection ? connection.routes.get(topic) || null : null;
+  }
+
+  /**
+   * Client and topic to publish commands for a device
+   * @returns {{client: Object, topic: String, broker: String}}
+   */
+  getCommandRoute(deviceId) {
+    const route = this.deviceRoutes.get(String(deviceId));
+    const connection = route ? this.connections.get(route.key) : null;
+
+    if (route && connection && connection.client) {
+      return { client: connection.client, topic: route.topics.commands, broker: connection.url };
+    }
+    return {
+      client: this.processor ? this.processor.client : null,
+      topic: route ? route.topics.commands : `devices/${deviceId}/commands`,
+      broker: deviceBroker.url
+    };
+  }
+
+  /**
+   * Connection state per broker (credentials omitted)
+   */
+  getStatus() {
+    return {
+      last_refresh_at: this.lastRefreshAt,
+      protocol_version: deviceBroker.options.protocolVersion,
+      reply_topic: deviceBroker.replyTopic,
+      connections: Array.from(this.connections.values()).map(connection => ({
+        key: connection.key,
+        url: connection.url,
+        username: connection.username,
+        connected: !!(connection.client && connection.client.connected),
+        connected_at: connection.connectedAt,
+        devices: [...new Set(Array.from(connection.routes.values()).map(route => route.deviceId))],
+        topics: Array.from(connection.routes.keys()),
+        subscribed: Array.from(connection.subscribed),
+        messages: connection.messages,
+        last_message_at: connection.lastMessageAt,
+        last_error: connection.lastError
+      }))
+    };
+  }
+}
+
+module.exports = new BrokerConnectionManager();
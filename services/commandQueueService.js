@@ -0,0 +1,419 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Device = require('../models/Device');
+const DeviceAcknowledgment = require('../models/deviceAcknowledgment');
+
+/**
+ * Command Queue Service
+ * Persistent per-device command queue on top of DeviceAcknowledgment:
+ *   - commands for offline devices are stored as QUEUED and sent when the device's next data frame arrives
+ *   - sent commands are PENDING until the device acknowledges them (any backend instance records the ACK)
+ *   - unacknowledged commands go back to QUEUED with exponential backoff until maxRetries is used up (TIMEOUT)
+ *   - queued commands not delivered within the TTL are EXPIRED
+ * Everything lives in MongoDB so queued and in-flight commands survive backend restarts. Sends are
+ * claimed with a conditional update so only one PM2 worker publishes each attempt.
+ *
+ * Settings commands always send the device's current complete settings, so a newer settings
+ * command supersedes the ones still queued for the same device.
+ *
+ * Configuration (env):
+ *   COMMAND_RETRY_BASE_MS    - first retry delay, doubled per retry (default 30000)
+ *   COMMAND_RETRY_MAX_MS     - longest retry delay (default 900000)
+ *   COMMAND_QUEUE_TTL_HOURS  - how long a command may wait for its device (default 72)
+ *   COMMAND_QUEUE_SWEEP_MS   - timeout/retry sweep interval (default 10000)
+ */
+class CommandQueueService {
+  constructor() {
+    this.retryBaseMs = parseInt(process.env.COMMAND_RETRY_BASE_MS) || 30 * 1000;
+    this.retryMaxMs = parseInt(process.env.COMMAND_RETRY_MAX_MS) || 15 * 60 * 1000;
+    this.ttlMs = (parseFloat(process.env.COMMAND_QUEUE_TTL_HOURS) || 72) * 60 * 60 * 1000;
+    this.sweepIntervalMs = parseInt(process.env.COMMAND_QUEUE_SWEEP_MS) || 10 * 1000;
+    this.instanceId = `${os.hostname()}_${process.pid}`;
+
+    this.processor = null; // MQTTService instance (publishes commands, knows which devices are online)
+    this.sweepInterval = null;
+    this.isProcessing = false;
+    this.queuedDevices = new Set(); // deviceIds with QUEUED commands (refreshed every sweep)
+    this.delivering = new Set(); // deviceIds currently being delivered to by this instance
+    // Outcomes handled by this instance since start (GET /metrics); ack_timeout counts every
+    // attempt that was not acknowledged in time, gave_up the commands that ended as TIMEOUT
+    this.metrics = { sent: 0, publish_error: 0, ack_timeout: 0, gave_up: 0, acknowledged: 0, failed: 0 };
+  }
+
+  /**
+   * Start the timeout/retry sweep
+   * @param {Object} processor - MQTTService (passed in to avoid a circular require)
+   */
+  start(processor) {
+    this.processor = processor;
+    if (this.sweepInterval) {
+      console.log('[Command Queue] ⚠️ Already running');
+      return;
+    }
+
+    this.sweepInterval = setInterval(() => this.sweep(), this.sweepIntervalMs);
+    // Pick up commands left queued or in flight by a previous run
+    setTimeout(() => this.sweep(), 5000);
+    console.log(`[Command Queue] ✅ Started (retry ${this.retryBaseMs}ms..${this.retryMaxMs}ms, TTL ${this.ttlMs / 3600000}h)`);
+  }
+
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+      console.log('[Command Queue] 🛑 Stopped');
+    }
+  }
+
+  /**
+   * Delay before retry number `retryCount` (1-based)
+   */
+  getBackoffMs(retryCount) {
+    return Math.min(this.retryBaseMs * Math.pow(2, Math.max(0, retryCount - 1)), this.retryMaxMs);
+  }
+
+  /**
+   * Resolve a MongoDB _id to the device's deviceId (the id used on MQTT topics)
+   */
+  async resolveDeviceId(deviceRef) {
+    if (mongoose.isValidObjectId(deviceRef) && String(deviceRef).length === 24) {
+      const device = await Device.findById(deviceRef).select('deviceId').lean();
+      if (device && device.deviceId) return device.deviceId;
+    }
+    return String(deviceRef);
+  }
+
+  /**
+   * Add a command to the device's queue and send it right away when the device is online
+   * @param {Object} command
+   * @param {String} command.deviceId - deviceId or MongoDB _id
+   * @param {String} command.commandType - 'settings' or 'configuration'
+   * @param {String} command.originalCommand - Command name (configuration Message Type)
+   * @param {Object} command.commandPayload - Parameters for configuration commands
+   * @param {String} command.commandId - Optional, generated when missing
+   * @param {Number} command.ttlMs - Optional, how long the command may wait for the device (default COMMAND_QUEUE_TTL_HOURS)
+   * @returns {Promise<Object>} { success, commandId, status, message }
+   */
+  async enqueue({ deviceId, commandType = 'configuration', originalCommand, commandPayload = {}, commandId = null, timeout = 30000, maxRetries, requestedBy = null, ttlMs = null }) {
+    const actualDeviceId = await this.resolveDeviceId(deviceId);
+    const now = new Date();
+
+    const command = await DeviceAcknowledgment.create({
+      commandId: commandId || uuidv4(),
+      deviceId: actualDeviceId,
+      commandType,
+      originalCommand: originalCommand || commandType,
+      // Settings are read when the command is sent; keep the reference the caller used to store them
+      commandPayload: commandType === 'settings' ? { deviceRef: String(deviceId) } : commandPayload,
+      status: 'QUEUED',
+      queuedAt: now,
+      sentAt: null,
+      nextAttemptAt: now,
+      expiresAt: new Date(now.getTime() + (ttlMs || this.ttlMs)),
+      timeout,
+      ...(maxRetries !== undefined && { maxRetries }),
+      requestedBy
+    });
+
+    this.queuedDevices.add(actualDeviceId);
+
+    if (this.processor && this.processor.isDeviceConnected(actualDeviceId)) {
+      const result = await this.dispatch(command);
+      if (result) return result;
+    }
+
+    console.log(`[Command Queue] 📥 ${command.originalCommand} command ${command.commandId} queued for offline device ${actualDeviceId}`);
+    this.processor?.socketIO?.emit('deviceCommandQueued', {
+      commandId: command.commandId,
+      deviceId: actualDeviceId,
+      command: command.originalCommand,
+      queuedAt: command.queuedAt,
+      expiresAt: command.expiresAt,
+      status: 'QUEUED'
+    });
+
+    return {
+      success: true,
+      command: command.originalCommand,
+      commandId: command.commandId,
+      status: 'QUEUED',
+      message: 'Device is offline, command queued for delivery when it reconnects'
+    };
+  }
+
+  /**
+   * Claim a QUEUED command and publish it
+   * @returns {Promise<Object|null>} Send result, or null when another instance claimed it first
+   */
+  async dispatch(command) {
+    const now = new Date();
+    const claimed = await DeviceAcknowledgment.findOneAndUpdate(
+      { _id: command._id, status: 'QUEUED' },
+      { $set: { status: 'PENDING', sentAt: now, nextAttemptAt: null, sentBy: this.instanceId } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    try {
+      let result;
+      if (claimed.commandType === 'settings') {
+        result = await this.processor.sendCompleteSettingsPayload(claimed.commandPayload.deviceRef || claimed.deviceId, claimed.commandId, claimed.timeout, { queued: true });
+        await this.supersedeQueuedSettings(claimed);
+      } else {
+        result = await this.processor.sendDeviceConfigurationWithAck(claimed.deviceId, claimed.originalCommand, claimed.commandPayload, claimed.timeout, claimed.commandId, { queued: true });
+      }
+
+      this.metrics.sent += 1;
+      console.log(`[Command Queue] 📤 Sent ${claimed.originalCommand} command ${claimed.commandId} to device ${claimed.deviceId} (attempt ${claimed.retryCount + 1}/${claimed.maxRetries + 1})`);
+      return { ...result, attempt: claimed.retryCount + 1 };
+    } catch (error) {
+      this.metrics.publish_error += 1;
+      console.error(`[Command Queue] ❌ Failed to send command ${claimed.commandId}:`, error.message);
+      await this.scheduleRetry(claimed, `Publish failed: ${error.message}`);
+      return {
+        success: true,
+        command: claimed.originalCommand,
+        commandId: claimed.commandId,
+        status: 'QUEUED',
+        message: 'Command could not be published, queued for retry'
+      };
+    }
+  }
+
+  /**
+   * The settings frame is built from the stored settings at send time, so it already
+   * includes every change still queued for the device
+   */
+  async supersedeQueuedSettings(sent) {
+    const result = await DeviceAcknowledgment.updateMany(
+      { deviceId: sent.deviceId, commandType: 'settings', status: 'QUEUED' },
+      { $set: { status: 'SUPERSEDED', supersededBy: sent.commandId, nextAttemptAt: null } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`[Command Queue] 🔁 ${result.modifiedCount} queued settings command(s) for device ${sent.deviceId} superseded by ${sent.commandId}`);
+    }
+  }
+
+  /**
+   * Put an unacknowledged command back in the queue, or give up once maxRetries is used up
+   */
+  async scheduleRetry(command, reason) {
+    const exhausted = command.retryCount >= command.maxRetries;
+    const update = exhausted
+      ? { $set: { status: 'TIMEOUT', acknowledgedAt: new Date(), nextAttemptAt: null, lastError: reason } }
+      : {
+          $set: { status: 'QUEUED', nextAttemptAt: new Date(Date.now() + this.getBackoffMs(command.retryCount + 1)), lastError: reason },
+          $inc: { retryCount: 1 }
+        };
+
+    const updated = await DeviceAcknowledgment.findOneAndUpdate(
+      { _id: command._id, status: 'PENDING', sentAt: command.sentAt },
+      update,
+      { new: true }
+    );
+    if (!updated) return null; // acknowledged meanwhile or handled by another instance
+
+    if (exhausted) {
+      this.metrics.gave_up += 1;
+      console.warn(`[Command Queue] ⏰ Command ${updated.commandId} for device ${updated.deviceId} gave up after ${updated.retryCount + 1} attempt(s): ${reason}`);
+      this.processor?.socketIO?.emit('deviceCommandTimeout', {
+        commandId: updated.commandId,
+        deviceId: updated.deviceId,
+        command: updated.originalCommand,
+        attempts: updated.retryCount + 1,
+        message: 'Device did not acknowledge the command after all retries'
+      });
+      this.processor?.dropPendingCommand(updated.commandId);
+    } else {
+      this.queuedDevices.add(updated.deviceId);
+      console.log(`[Command Queue] 🔄 Command ${updated.commandId} retry ${updated.retryCount}/${updated.maxRetries} at ${updated.nextAttemptAt.toISOString()}`);
+      this.processor?.socketIO?.emit('deviceCommandRetry', {
+        commandId: updated.commandId,
+        deviceId: updated.deviceId,
+        command: updated.originalCommand,
+        retryCount: updated.retryCount,
+        maxRetries: updated.maxRetries,
+        nextAttemptAt: updated.nextAttemptAt,
+        reason
+      });
+    }
+    return updated;
+  }
+
+  /**
+   * Record a device ACK. Called for every ACK on every instance; only the first one changes the command.
+   * A late ACK for a command waiting to be retried still completes it.
+   */
+  async recordAcknowledgment(commandId, payload = {}, acknowledgedVia = 'command_id') {
+    const { status, message, error, errorCode } = payload;
+    const succeeded = status === 'SUCCESS' || status === 'OK';
+
+    const command = await DeviceAcknowledgment.findOneAndUpdate(
+      { commandId, status: { $in: ['PENDING', 'QUEUED'] } },
+      {
+        $set: {
+          status: succeeded ? 'SUCCESS' : 'FAILED',
+          acknowledgedAt: new Date(),
+          acknowledgedVia,
+          nextAttemptAt: null,
+          deviceResponse: {
+            message: message || null,
+            errorCode: errorCode || error || null,
+            additionalData: payload
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (command) {
+      this.metrics[command.status === 'SUCCESS' ? 'acknowledged' : 'failed'] += 1;
+      console.log(`[Command Queue] ✅ Command ${commandId} for device ${command.deviceId} ${command.status} (via ${acknowledgedVia})`);
+    }
+    return command;
+  }
+
+  /**
+   * Called for every data frame: a device that reports data is online, so send what is waiting for it
+   */
+  onDeviceFrame(deviceId) {
+    if (!this.queuedDevices.has(deviceId) || this.delivering.has(deviceId)) return;
+
+    this.deliverQueued(deviceId).catch(error => {
+      console.error(`[Command Queue] ❌ Error delivering queued commands to device ${deviceId}:`, error.message);
+    });
+  }
+
+  /**
+   * Send the device's due QUEUED commands in the order they were queued
+   */
+  async deliverQueued(deviceId) {
+    if (this.delivering.has(deviceId)) return 0;
+    this.delivering.add(deviceId);
+
+    try {
+      const due = await DeviceAcknowledgment.find({
+        deviceId,
+        status: 'QUEUED',
+        nextAttemptAt: { $lte: new Date() }
+      }).sort({ queuedAt: 1 });
+
+      let sent = 0;
+      for (const command of due) {
+        // An earlier settings command in this loop may have superseded this one
+        if (command.commandType === 'settings') {
+          const current = await DeviceAcknowledgment.exists({ _id: command._id, status: 'QUEUED' });
+          if (!current) continue;
+        }
+        const result = await this.dispatch(command);
+        if (result && result.status === 'PENDING') sent += 1;
+      }
+
+      const remaining = await DeviceAcknowledgment.exists({ deviceId, status: 'QUEUED' });
+      if (!remaining) this.queuedDevices.delete(deviceId);
+
+      if (sent > 0) {
+        console.log(`[Command Queue] 📬 Delivered ${sent} queued command(s) to device ${deviceId}`);
+      }
+      return sent;
+    } finally {
+      this.delivering.delete(deviceId);
+    }
+  }
+
+  /**
+   * Periodic work: retry unacknowledged commands, expire stale ones and deliver due retries to online devices
+   */
+  async sweep() {
+    if (this.isProcessing || !this.processor) return;
+    this.isProcessing = true;
+
+    try {
+      const now = new Date();
+
+      // Sent but not acknowledged within the command's timeout
+      const unacknowledged = await DeviceAcknowledgment.find({
+        status: 'PENDING',
+        $expr: { $lt: [{ $add: ['$sentAt', '$timeout'] }, now] }
+      }).limit(500);
+      for (const command of unacknowledged) {
+        if (await this.scheduleRetry(command, `No acknowledgment within ${command.timeout}ms`)) {
+          this.metrics.ack_timeout += 1;
+        }
+      }
+
+      const expired = await DeviceAcknowledgment.updateMany(
+        { status: 'QUEUED', expiresAt: { $ne: null, $lt: now } },
+        { $set: { status: 'EXPIRED', nextAttemptAt: null, lastError: 'Device did not come online before the command expired' } }
+      );
+      if (expired.modifiedCount > 0) {
+        console.warn(`[Command Queue] ⌛ ${expired.modifiedCount} queued command(s) expired`);
+      }
+
+      const queuedDeviceIds = await DeviceAcknowledgment.distinct('deviceId', { status: 'QUEUED' });
+      this.queuedDevices = new Set(queuedDeviceIds);
+
+      for (const deviceId of queuedDeviceIds) {
+        if (this.processor.isDeviceConnected(deviceId)) {
+          await this.deliverQueued(deviceId);
+        }
+      }
+    } catch (error) {
+      console.error('[Command Queue] ❌ Sweep error:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Queue a finished (FAILED/TIMEOUT/EXPIRED/CANCELLED) command again with a fresh retry budget
+   */
+  async retry(commandId) {
+    const command = await DeviceAcknowledgment.findOneAndUpdate(
+      { commandId, status: { $in: ['FAILED', 'TIMEOUT', 'EXPIRED', 'CANCELLED'] } },
+      {
+        $set: {
+          status: 'QUEUED',
+          retryCount: 0,
+          queuedAt: new Date(),
+          nextAttemptAt: new Date(),
+          expiresAt: new Date(Date.now() + this.ttlMs),
+          acknowledgedAt: null,
+          acknowledgedVia: null,
+          lastError: null
+        }
+      },
+      { new: true }
+    );
+    if (!command) return null;
+
+    this.queuedDevices.add(command.deviceId);
+    if (this.processor && this.processor.isDeviceConnected(command.deviceId)) {
+      const result = await this.dispatch(command);
+      if (result) return result;
+    }
+    return { success: true, command: command.originalCommand, commandId, status: 'QUEUED', message: 'Command queued for retry' };
+  }
+
+  /**
+   * Remove a command from the queue before it is sent
+   */
+  async cancel(commandId) {
+    return DeviceAcknowledgment.findOneAndUpdate(
+      { commandId, status: 'QUEUED' },
+      { $set: { status: 'CANCELLED', nextAttemptAt: null } },
+      { new: true }
+    );
+  }
+
+  async getCommand(commandId) {
+    return DeviceAcknowledgment.findOne({ commandId }).lean();
+  }
+
+  async getQueuedCommands(deviceId) {
+    return DeviceAcknowledgment.getQueuedForDevice(deviceId).lean();
+  }
+}
+
+module.exports = new CommandQueueService();
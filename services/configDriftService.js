@@ -0,0 +1,349 @@
+const Device = require('../models/Device');
+const DeviceConfiguration = require('../models/DeviceConfiguration');
+const commandQueueService = require('./commandQueueService');
+const { compareConfigurations } = require('../utils/configDrift');
+
+/**
+ * Config Drift Service
+ * Keeps the desired configuration (complete settings we sent) and the reported configuration
+ * (settings in the device's data frames) in separate documents and compares them on every frame.
+ *
+ * Drift status per device:
+ *   unknown  - nothing sent yet, or the device reports none of the sent parameters
+ *   pending  - parameters differ but were sent less than the grace period ago
+ *   in_sync  - every reported parameter matches what we sent
+ *   drifted  - at least one parameter differs after the grace period
+ *
+ * When auto re-push is enabled (per device, or CONFIG_DRIFT_AUTO_REPUSH=true for all) a drifted device
+ * gets its desired configuration sent again through the command queue, at most once per cooldown and
+ * CONFIG_DRIFT_MAX_REPUSH times until it is back in sync.
+ *
+ * Configuration (env):
+ *   CONFIG_DRIFT_GRACE_MS               - time a device gets to apply new settings (default 120000)
+ *   CONFIG_DRIFT_AUTO_REPUSH            - 'true' enables auto re-push for devices without their own setting
+ *   CONFIG_DRIFT_REPUSH_COOLDOWN_MS     - minimum time between re-pushes (default 900000)
+ *   CONFIG_DRIFT_MAX_REPUSH             - re-pushes before giving up until the device is in sync (default 3)
+ */
+class ConfigDriftService {
+  constructor() {
+    this.graceMs = parseInt(process.env.CONFIG_DRIFT_GRACE_MS) || 2 * 60 * 1000;
+    this.autoRepushDefault = process.env.CONFIG_DRIFT_AUTO_REPUSH === 'true';
+    this.repushCooldownMs = parseInt(process.env.CONFIG_DRIFT_REPUSH_COOLDOWN_MS) || 15 * 60 * 1000;
+    this.maxRepushAttempts = parseInt(process.env.CONFIG_DRIFT_MAX_REPUSH) || 3;
+
+    this.cacheTtlMs = 30 * 1000;
+    this.desiredCache = new Map(); // deviceId -> { desired, at }
+    this.io = null;
+  }
+
+  /**
+   * Initialize with Socket.IO instance for drift notifications
+   */
+  initialize(io) {
+    this.io = io;
+  }
+
+  invalidateCache(deviceId) {
+    this.desiredCache.delete(deviceId);
+  }
+
+  async getDesired(deviceId) {
+    const cached = this.desiredCache.get(deviceId);
+    if (cached && Date.now() - cached.at < this.cacheTtlMs) return cached.desired;
+
+    const desired = await DeviceConfiguration.findOne({ deviceId, type: 'desired' }).lean();
+    this.desiredCache.set(deviceId, { desired, at: Date.now() });
+    return desired;
+  }
+
+  isAutoRepushEnabled(desired) {
+    const enabled = desired && desired.autoRepush ? desired.autoRepush.enabled : null;
+    return enabled === null || enabled === undefined ? this.autoRepushDefault : enabled;
+  }
+
+  /**
+   * Store the complete settings just published to a device
+   * @param {String} deviceId - Device ID (as used on MQTT topics)
+   * @param {Object} parameters - Parameters exactly as sent
+   */
+  async recordDesired(deviceId, parameters, { source = 'settings_command', commandId = null } = {}) {
+    const now = new Date();
+    const desired = await DeviceConfiguration.findOneAndUpdate(
+      { deviceId, type: 'desired' },
+      {
+        $set: {
+          parameters,
+          source,
+          commandId,
+          sentAt: now,
+          'autoRepush.attempts': 0,
+          'drift.status': 'pending',
+          'drift.fields': [],
+          'drift.checkedAt': now
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    this.desiredCache.set(deviceId, { desired, at: Date.now() });
+    return desired;
+  }
+
+  /**
+   * Compare desired against reported parameters
+   */
+  evaluate(desired, reportedParameters, now = Date.now()) {
+    const comparison = compareConfigurations(desired.parameters || {}, reportedParameters || {});
+    let status;
+    if (comparison.compared === 0) {
+      status = 'unknown';
+    } else if (comparison.in_sync) {
+      status = 'in_sync';
+    } else if (desired.sentAt && now - new Date(desired.sentAt).getTime() < this.graceMs) {
+      status = 'pending';
+    } else {
+      status = 'drifted';
+    }
+    return { status, ...comparison };
+  }
+
+  /**
+   * Store the settings from a data frame and compare them with the desired configuration
+   * @param {String} deviceId - Device ID
+   * @param {Object} parameters - Reported parameters (see utils/configDrift extractConfigParameters)
+   * @returns {Promise<Object|null>} Evaluation, or null when the frame has no settings
+   */
+  async recordReported(deviceId, parameters, reportedAt = new Date()) {
+    if (!parameters || Object.keys(parameters).length === 0) return null;
+
+    await DeviceConfiguration.updateOne(
+      { deviceId, type: 'reported' },
+      { $set: { parameters, source: 'device_frame', reportedAt } },
+      { upsert: true }
+    );
+
+    const desired = await this.getDesired(deviceId);
+    if (!desired) return { status: 'unknown', in_sync: null, fields: [], compared: 0, not_reported: [] };
+
+    const evaluation = this.evaluate(desired, parameters);
+    await this.updateDriftState(desired, evaluation);
+    return evaluation;
+  }
+
+  /**
+   * Save the comparison on the desired document (skipped when nothing changed), notify and re-push
+   */
+  async updateDriftState(desired, evaluation) {
+    const previous = desired.drift || {};
+    const unchanged = previous.status === evaluation.status &&
+      JSON.stringify(previous.fields || []) === JSON.stringify(evaluation.fields) &&
+      previous.checkedAt && Date.now() - new Date(previous.checkedAt).getTime() < this.cacheTtlMs;
+
+    if (!unchanged) {
+      const now = new Date();
+      const set = {
+        'drift.status': evaluation.status,
+        'drift.fields': evaluation.fields,
+        'drift.compared': evaluation.compared,
+        'drift.checkedAt': now
+      };
+      if (evaluation.status === 'in_sync') {
+        set['drift.lastInSyncAt'] = now;
+        set['drift.driftedSince'] = null;
+        set['autoRepush.attempts'] = 0;
+      } else if (evaluation.status === 'drifted' && previous.status !== 'drifted') {
+        set['drift.driftedSince'] = now;
+      }
+
+      const updated = await DeviceConfiguration.findOneAndUpdate(
+        { _id: desired._id },
+        { $set: set },
+        { new: true }
+      ).lean();
+      if (updated) this.desiredCache.set(desired.deviceId, { desired: updated, at: Date.now() });
+
+      if (evaluation.status === 'drifted' && previous.status !== 'drifted') {
+        console.warn(`[Config Drift] ⚠️ Device ${desired.deviceId} drifted: ${evaluation.fields.map(f => `${f.parameter} ${JSON.stringify(f.desired)} → ${JSON.stringify(f.reported)}`).join(', ')}`);
+        this.io?.emit('deviceConfigDrift', {
+          deviceId: desired.deviceId,
+          status: 'drifted',
+          fields: evaluation.fields,
+          detectedAt: now
+        });
+      } else if (evaluation.status === 'in_sync' && previous.status === 'drifted') {
+        console.log(`[Config Drift] ✅ Device ${desired.deviceId} is back in sync`);
+        this.io?.emit('deviceConfigDrift', { deviceId: desired.deviceId, status: 'in_sync', fields: [], detectedAt: now });
+      }
+    }
+
+    if (evaluation.status === 'drifted' && this.isAutoRepushEnabled(desired)) {
+      await this.autoRepush(desired.deviceId);
+    }
+  }
+
+  /**
+   * Re-push a drifted device's desired configuration, claimed atomically so one backend
+   * instance sends it once per cooldown
+   */
+  async autoRepush(deviceId) {
+    const claimed = await DeviceConfiguration.findOneAndUpdate(
+      {
+        deviceId,
+        type: 'desired',
+        'drift.status': 'drifted',
+        'autoRepush.attempts': { $lt: this.maxRepushAttempts },
+        $or: [
+          { 'autoRepush.lastRepushAt': null },
+          { 'autoRepush.lastRepushAt': { $lt: new Date(Date.now() - this.repushCooldownMs) } }
+        ]
+      },
+      { $set: { 'autoRepush.lastRepushAt': new Date() }, $inc: { 'autoRepush.attempts': 1 } },
+      { new: true }
+    ).lean();
+    if (!claimed) return null;
+
+    console.log(`[Config Drift] 🔁 Auto re-push ${claimed.autoRepush.attempts}/${this.maxRepushAttempts} of desired configuration to device ${deviceId}`);
+    return this.repush(deviceId, { source: 'drift_repush' });
+  }
+
+  /**
+   * Send the desired configuration again (exactly as stored, not rebuilt from the mixed device settings)
+   */
+  async repush(deviceId, { source = 'manual_repush', requestedBy = null } = {}) {
+    const desired = await DeviceConfiguration.findOne({ deviceId, type: 'desired' }).lean();
+    if (!desired) {
+      throw new Error(`No desired configuration recorded for device ${deviceId}`);
+    }
+
+    const result = await commandQueueService.enqueue({
+      deviceId,
+      commandType: 'configuration',
+      originalCommand: 'settings',
+      commandPayload: desired.parameters,
+      requestedBy
+    });
+
+    const updated = await DeviceConfiguration.findOneAndUpdate(
+      { _id: desired._id },
+      {
+        $set: {
+          sentAt: new Date(),
+          commandId: result.commandId,
+          'autoRepush.lastCommandId': result.commandId,
+          'drift.status': 'pending'
+        }
+      },
+      { new: true }
+    ).lean();
+    this.desiredCache.set(deviceId, { desired: updated, at: Date.now() });
+
+    console.log(`[Config Drift] 📤 Desired configuration re-pushed to device ${deviceId} (${source}, command ${result.commandId}, ${result.status})`);
+    return result;
+  }
+
+  /**
+   * Enable/disable auto re-push for a device (null = use the CONFIG_DRIFT_AUTO_REPUSH default)
+   */
+  async setAutoRepush(deviceId, enabled) {
+    const desired = await DeviceConfiguration.findOneAndUpdate(
+      { deviceId, type: 'desired' },
+      { $set: { 'autoRepush.enabled': enabled, 'autoRepush.attempts': 0 } },
+      { new: true }
+    ).lean();
+    if (desired) this.desiredCache.set(deviceId, { desired, at: Date.now() });
+    return desired;
+  }
+
+  /**
+   * Desired vs reported configuration of one device, compared now
+   */
+  async getDeviceDrift(deviceId) {
+    const [desired, reported] = await Promise.all([
+      DeviceConfiguration.findOne({ deviceId, type: 'desired' }).lean(),
+      DeviceConfiguration.findOne({ deviceId, type: 'reported' }).lean()
+    ]);
+
+    const evaluation = desired && reported
+      ? this.evaluate(desired, reported.parameters)
+      : { status: 'unknown', in_sync: null, fields: [], compared: 0, not_reported: [] };
+
+    return {
+      deviceId,
+      status: evaluation.status,
+      in_sync: evaluation.status === 'in_sync',
+      fields: evaluation.fields,
+      compared: evaluation.compared,
+      not_reported: evaluation.not_reported,
+      drifted_since: desired?.drift?.driftedSince || null,
+      last_in_sync_at: desired?.drift?.lastInSyncAt || null,
+      desired: desired ? {
+        parameters: desired.parameters,
+        sent_at: desired.sentAt,
+        source: desired.source,
+        command_id: desired.commandId
+      } : null,
+      reported: reported ? {
+        parameters: reported.parameters,
+        reported_at: reported.reportedAt
+      } : null,
+      auto_repush: {
+        enabled: desired?.autoRepush?.enabled ?? null,
+        effective: this.isAutoRepushEnabled(desired),
+        attempts: desired?.autoRepush?.attempts || 0,
+        max_attempts: this.maxRepushAttempts,
+        last_repush_at: desired?.autoRepush?.lastRepushAt || null,
+        last_command_id: desired?.autoRepush?.lastCommandId || null
+      }
+    };
+  }
+
+  /**
+   * Fleet-wide drift report from the stored comparisons
+   * @param {Object} filters - { status, zoneId }
+   */
+  async getFleetReport({ status = null, zoneId = null } = {}) {
+    const deviceQuery = zoneId ? { zoneId } : {};
+    const devices = await Device.find(deviceQuery).select('deviceId deviceName zoneId status').lean();
+    const desiredDocs = await DeviceConfiguration.find({
+      type: 'desired',
+      deviceId: { $in: devices.map(d => d.deviceId) }
+    }).select('deviceId sentAt drift autoRepush').lean();
+    const desiredByDevice = new Map(desiredDocs.map(d => [d.deviceId, d]));
+
+    const summary = { total: devices.length, in_sync: 0, drifted: 0, pending: 0, unknown: 0 };
+    const rows = devices.map(device => {
+      const desired = desiredByDevice.get(device.deviceId);
+      const driftStatus = desired?.drift?.status || 'unknown';
+      summary[driftStatus] += 1;
+      return {
+        deviceId: device.deviceId,
+        deviceName: device.deviceName || device.deviceId,
+        zoneId: device.zoneId || null,
+        online: device.status?.state === 'online',
+        status: driftStatus,
+        fields: desired?.drift?.fields || [],
+        drifted_since: desired?.drift?.driftedSince || null,
+        checked_at: desired?.drift?.checkedAt || null,
+        desired_sent_at: desired?.sentAt || null,
+        auto_repush: this.isAutoRepushEnabled(desired),
+        repush_attempts: desired?.autoRepush?.attempts || 0
+      };
+    });
+
+    const order = { drifted: 0, pending: 1, unknown: 2, in_sync: 3 };
+    const filtered = rows
+      .filter(row => !status || row.status === status)
+      .sort((a, b) => order[a.status] - order[b.status] || String(a.deviceId).localeCompare(String(b.deviceId)));
+
+    return {
+      generated_at: new Date(),
+      summary: {
+        ...summary,
+        drift_rate: summary.total > 0 ? Math.round((summary.drifted / summary.total) * 1000) / 10 : 0
+      },
+      devices: filtered
+    };
+  }
+}
+
+module.exports = new ConfigDriftService();
@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const ConfigTemplate = require('../models/ConfigTemplate');
+const DeviceFilter = require('../models/DeviceFilter');
+const TemplateRollout = require('../models/TemplateRollout');
+const DeviceAcknowledgment = require('../models/deviceAcknowledgment');
+const Device = require('../models/Device');
+const Zone = require('../models/Zone');
+const deviceManagementService = require('./deviceManagementService');
+const configVersionService = require('./configVersionService');
+const { CONFIG_PARAMETERS, PARAMETER_ALIASES } = require('../utils/configDrift');
+const { toElectrodeCode, resolveElectrode, validateReferenceParameters } = require('../utils/electrodeRules');
+const { secondsToHHMMSS } = require('../utils/timeConverter');
+
+/**
+ * Config Template Service
+ * Named configuration templates and their rollout to a zone, a saved device filter
+ * or a list of devices. Each device gets its own complete-settings command through
+ * the command queue, so offline devices receive the template when they reconnect
+ * and rollout progress follows the devices' acknowledgments.
+ */
+
+const HHMMSS_PATTERN = /^\d{2}:[0-5]\d:[0-5]\d$/;
+
+class ConfigTemplateService {
+  /**
+   * Normalize and validate template parameters
+   * - parameter names must be configuration parameters (aliases are renamed)
+   * - Electrode names are converted to codes
+   * - logging_interval seconds are converted to hh:mm:ss
+   * - reference values are checked against the template's electrode; templates without
+   *   an Electrode are checked per device when applied
+   * @returns {{parameters: Object, electrode: Number|null, errors: Array}}
+   */
+  validateParameters(parameters) {
+    const errors = [];
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters) || Object.keys(parameters).length === 0) {
+      return { parameters: {}, electrode: null, errors: [{ parameter: null, message: 'parameters must be a non-empty object' }] };
+    }
+
+    const normalized = {};
+    Object.entries(parameters).forEach(([key, value]) => {
+      const name = PARAMETER_ALIASES[key] || key;
+      if (!CONFIG_PARAMETERS.includes(name)) {
+        errors.push({ parameter: key, message: `Unknown configuration parameter "${key}"` });
+        return;
+      }
+      if (value === undefined || value === null || value === '') {
+        errors.push({ parameter: key, message: `"${key}" must have a value` });
+        return;
+      }
+      normalized[name] = value;
+    });
+
+    let electrode = null;
+    if (normalized['Electrode'] !== undefined) {
+      electrode = toElectrodeCode(normalized['Electrode']);
+      if (electrode === null) {
+        errors.push({ parameter: 'Electrode', message: `Unknown electrode "${normalized['Electrode']}"` });
+      } else {
+        normalized['Electrode'] = electrode;
+      }
+    }
+
+    if (normalized['logging_interval'] !== undefined) {
+      const interval = normalized['logging_interval'];
+      if (typeof interval === 'number' && interval > 0) {
+        normalized['logging_interval'] = secondsToHHMMSS(interval);
+      } else if (typeof interval !== 'string' || !HHMMSS_PATTERN.test(interval)) {
+        errors.push({ parameter: 'logging_interval', message: 'logging_interval must be seconds or hh:mm:ss' });
+      }
+    }
+
+    ['Interrupt ON Time', 'Interrupt OFF Time'].forEach(parameter => {
+      if (normalized[parameter] === undefined) return;
+      const seconds = Number(normalized[parameter]);
+      if (!Number.isFinite(seconds) || seconds < 0) {
+        errors.push({ parameter, message: `${parameter} must be a number of seconds` });
+      } else {
+        normalized[parameter] = seconds;
+      }
+    });
+
+    if (electrode !== null) {
+      errors.push(...validateReferenceParameters(normalized, electrode));
+    }
+
+    return { parameters: normalized, electrode, errors };
+  }
+
+  async listTemplates() {
+    return ConfigTemplate.find({}).sort({ name: 1 }).lean();
+  }
+
+  async getTemplate(templateId) {
+    if (!mongoose.Types.ObjectId.isValid(templateId)) return null;
+    return ConfigTemplate.findById(templateId);
+  }
+
+  /**
+   * Create a template
+   * @throws Error with .validation when the parameters are invalid
+   */
+  async createTemplate({ name, description, parameters }, author = null) {
+    const { parameters: normalized, electrode, errors } = this.validateParameters(parameters);
+    if (errors.length > 0) throw this.validationError(errors);
+
+    const resolvedAuthor = configVersionService.resolveAuthor(author);
+    const template = await ConfigTemplate.create({
+      name,
+      description,
+      parameters: normalized,
+      electrode,
+      createdBy: resolvedAuthor,
+      updatedBy: resolvedAuthor
+    });
+    console.log(`📐 Config template "${template.name}" created (${Object.keys(normalized).length} parameters)`);
+    return template;
+  }
+
+  /**
+   * Update a template (only name, description and parameters)
+   * @returns {Promise<Object|null>} Updated template, null when not found
+   */
+  async updateTemplate(templateId, { name, description, parameters }, author = null) {
+    const template = await this.getTemplate(templateId);
+    if (!template) return null;
+
+    if (parameters !== undefined) {
+      const { parameters: normalized, electrode, errors } = this.validateParameters(parameters);
+      if (errors.length > 0) throw this.validationError(errors);
+      template.parameters = normalized;
+      template.electrode = electrode;
+      template.markModified('parameters');
+    }
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    template.updatedBy = configVersionService.resolveAuthor(author);
+
+    await template.save();
+    return template;
+  }
+
+  async deleteTemplate(templateId) {
+    if (!mongoose.Types.ObjectId.isValid(templateId)) return null;
+    return ConfigTemplate.findByIdAndDelete(templateId);
+  }
+
+  validationError(errors) {
+    const error = new Error(errors.map(e => e.message).join('; '));
+    error.validation = errors;
+    return error;
+  }
+
+  /**
+   * Resolve the devices a template should be applied to
+   * @param {Object} target - { zoneId } | { filterId } | { deviceIds: [] }
+   * @returns {Promise<{target: Object, devices: Array}>}
+   * @throws Error ending in "not found" for unknown zones/filters
+   */
+  async resolveTargetDevices({ zoneId, filterId, deviceIds } = {}) {
+    const select = 'deviceId deviceName zoneId configuration.deviceSettings.electrode';
+
+    if (zoneId) {
+      let zone = await Zone.findOne({ id: zoneId });
+      if (!zone && mongoose.Types.ObjectId.isValid(zoneId)) {
+        zone = await Zone.findById(zoneId);
+      }
+      if (!zone) throw new Error(`Zone ${zoneId} not found`);
+
+      const devices = await Device.find({ zoneId: { $in: [zone.id, zone._id.toString()] } }).select(select).lean();
+      return { target: { type: 'zone', id: zone.id, name: zone.name }, devices };
+    }
+
+    if (filterId) {
+      const filter = mongoose.Types.ObjectId.isValid(filterId) ? await DeviceFilter.findById(filterId) : null;
+      if (!filter) throw new Error(`Device filter ${filterId} not found`);
+
+      const devices = await Device.find(DeviceFilter.buildDeviceQuery(filter.criteria)).select(select).lean();
+      return { target: { type: 'filter', id: filter._id.toString(), name: filter.name }, devices };
+    }
+
+    if (Array.isArray(deviceIds) && deviceIds.length > 0) {
+      const devices = await Device.find({ deviceId: { $in: deviceIds } }).select(select).lean();
+      return { target: { type: 'devices', id: null, name: `${deviceIds.length} device(s)` }, devices };
+    }
+
+    throw new Error('zoneId, filterId or deviceIds is required');
+  }
+
+  /**
+   * Apply a template to every device of a zone, saved filter or device list.
+   * Devices whose electrode does not allow the template's reference values are
+   * skipped (INVALID); the others get the settings stored and a complete-settings
+   * command queued.
+   * @returns {Promise<Object|null>} TemplateRollout, null when the template does not exist
+   */
+  async applyTemplate(templateId, target, author = null) {
+    const template = await this.getTemplate(templateId);
+    if (!template) return null;
+
+    const { target: resolvedTarget, devices } = await this.resolveTargetDevices(target);
+    if (devices.length === 0) {
+      throw new Error(`No devices found for ${resolvedTarget.type} ${resolvedTarget.name || resolvedTarget.id}`);
+    }
+
+    const mqttService = require('./mqttService');
+    const parameters = template.parameters;
+    const results = [];
+
+    for (const device of devices) {
+      const deviceElectrode = device.configuration && device.configuration.deviceSettings
+        ? device.configuration.deviceSettings.electrode
+        : null;
+      const electrode = template.electrode !== null && template.electrode !== undefined ? template.electrode : resolveElectrode(deviceElectrode);
+      const entry = { deviceId: device.deviceId, deviceName: device.deviceName || null, electrode, commandId: null, updatedAt: new Date() };
+
+      const validation = validateReferenceParameters(parameters, electrode);
+      if (validation.length > 0) {
+        results.push({ ...entry, status: 'INVALID', error: validation.map(v => v.message).join('; '), validation });
+        continue;
+      }
+
+      try {
+        const commandId = uuidv4();
+        await deviceManagementService.updateDeviceParameters(device.deviceId, parameters, commandId, author);
+        mqttService.deviceSettings.delete(device.deviceId);
+        const command = await mqttService.queueCompleteSettings(device.deviceId, commandId);
+        results.push({ ...entry, commandId, status: command.status === 'QUEUED' ? 'QUEUED' : 'PENDING' });
+      } catch (error) {
+        console.error(`📐 Template "${template.name}" could not be applied to ${device.deviceId}:`, error.message);
+        results.push({ ...entry, status: 'ERROR', error: error.message });
+      }
+    }
+
+    const rollout = await TemplateRollout.create({
+      templateId: template._id,
+      templateName: template.name,
+      parameters,
+      target: resolvedTarget,
+      devices: results,
+      summary: TemplateRollout.summarize(results),
+      createdBy: configVersionService.resolveAuthor(author)
+    });
+
+    console.log(`📐 Template "${template.name}" applied to ${resolvedTarget.type} ${resolvedTarget.name}: ${JSON.stringify(rollout.summary)}`);
+    return this.refreshRollout(rollout);
+  }
+
+  /**
+   * Update per-device statuses from the devices' command acknowledgments
+   * @param {Document} rollout - TemplateRollout document
+   */
+  async refreshRollout(rollout) {
+    if (rollout.status === 'completed') return rollout;
+
+    const open = rollout.devices.filter(d => d.commandId && !TemplateRollout.TERMINAL_STATUSES.includes(d.status));
+    if (open.length > 0) {
+      const commands = await DeviceAcknowledgment.find({ commandId: { $in: open.map(d => d.commandId) } })
+        .select('commandId status lastError retryCount')
+        .lean();
+      const byCommandId = new Map(commands.map(c => [c.commandId, c]));
+
+      rollout.devices.forEach(device => {
+        const command = byCommandId.get(device.commandId);
+        if (!command || TemplateRollout.TERMINAL_STATUSES.includes(device.status)) return;
+        if (command.status !== device.status || command.retryCount !== device.retryCount) {
+          device.status = command.status;
+          device.error = command.lastError || null;
+          device.retryCount = command.retryCount || 0;
+          device.updatedAt = new Date();
+        }
+      });
+    }
+
+    rollout.summary = TemplateRollout.summarize(rollout.devices);
+    if (rollout.devices.every(d => TemplateRollout.TERMINAL_STATUSES.includes(d.status))) {
+      rollout.status = 'completed';
+      rollout.completedAt = new Date();
+    }
+
+    if (rollout.isModified()) await rollout.save();
+    return rollout;
+  }
+
+  async getRollout(rolloutId) {
+    if (!mongoose.Types.ObjectId.isValid(rolloutId)) return null;
+    const rollout = await TemplateRollout.findById(rolloutId);
+    return rollout ? this.refreshRollout(rollout) : null;
+  }
+
+  /**
+   * Rollouts, newest first (without the per-device list)
+   */
+  async listRollouts({ templateId, status, limit = 50 } = {}) {
+    const query = {};
+    if (templateId) query.templateId = templateId;
+    if (status) query.status = status;
+    return TemplateRollout.find(query).sort({ createdAt: -1 }).limit(limit).select('-devices').lean();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Saved device filters
+  // ---------------------------------------------------------------------------
+
+  async listFilters() {
+    return DeviceFilter.find({}).sort({ name: 1 }).lean();
+  }
+
+  async getFilter(filterId) {
+    if (!mongoose.Types.ObjectId.isValid(filterId)) return null;
+    return DeviceFilter.findById(filterId);
+  }
+
+  async createFilter({ name, description, criteria }, author = null) {
+    return DeviceFilter.create({
+      name,
+      description,
+      criteria: criteria || {},
+      createdBy: configVersionService.resolveAuthor(author)
+    });
+  }
+
+  async updateFilter(filterId, { name, description, criteria }) {
+    const filter = await this.getFilter(filterId);
+    if (!filter) return null;
+    if (name !== undefined) filter.name = name;
+    if (description !== undefined) filter.description = description;
+    if (criteria !== undefined) filter.criteria = criteria;
+    await filter.save();
+    return filter;
+  }
+
+  async deleteFilter(filterId) {
+    if (!mongoose.Types.ObjectId.isValid(filterId)) return null;
+    return DeviceFilter.findByIdAndDelete(filterId);
+  }
+
+  /**
+   * Devices currently matched by a saved filter
+   */
+  async getFilterDevices(filterId) {
+    const filter = await this.getFilter(filterId);
+    if (!filter) return null;
+    return Device.find(DeviceFilter.buildDeviceQuery(filter.criteria))
+      .select('deviceId deviceName zoneId deviceType status location')
+      .lean();
+  }
+}
+
+module.exports = new ConfigTemplateService();
@@ -0,0 +1,170 @@
+const DeviceConfigVersion = require('../models/DeviceConfigVersion');
+
+/**
+ * Config Version Service
+ * Stores every change of Device.configuration.deviceSettings as a new immutable version
+ * and compares versions field by field. Saves that leave the settings unchanged (e.g. the
+ * same settings reported in every data frame) do not create a version.
+ */
+
+// storeDeviceSettings / mergeAndSaveDeviceSettings source -> version source
+const SOURCE_MAP = {
+  command_sent: 'user',
+  user_config: 'user',
+  user: 'user',
+  mqtt_incoming: 'device',
+  device: 'device',
+  api_request: 'sync',
+  sync: 'sync',
+  rollback: 'rollback',
+  system: 'system'
+};
+
+// Stable JSON (sorted keys) so key order does not count as a change
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class ConfigVersionService {
+  /**
+   * Map a settings source to a version source
+   * @returns {{source: String, sourceDetail: String}}
+   */
+  resolveSource(source) {
+    const key = String(source || 'system');
+    return { source: SOURCE_MAP[key] || 'user', sourceDetail: key };
+  }
+
+  /**
+   * Normalize an author (req.user, username string or { user_id, username })
+   */
+  resolveAuthor(author) {
+    if (!author) return { user_id: null, username: null };
+    if (typeof author === 'string') return { user_id: null, username: author };
+    return {
+      user_id: author.user_id || (author.userId ? author.userId.toString() : null),
+      username: author.username || author.email || null
+    };
+  }
+
+  toPlainSettings(settings) {
+    const plain = settings && typeof settings.toObject === 'function' ? settings.toObject() : settings;
+    return JSON.parse(JSON.stringify(plain || {}));
+  }
+
+  /**
+   * Field-by-field differences between two settings objects
+   * @returns {Array<{field, from, to, change: 'added'|'removed'|'changed'}>}
+   */
+  diffSettings(from = {}, to = {}) {
+    const fields = Array.from(new Set([...Object.keys(from), ...Object.keys(to)])).sort();
+    return fields.reduce((changes, field) => {
+      const hasFrom = from[field] !== undefined;
+      const hasTo = to[field] !== undefined;
+      if (hasFrom && hasTo && stableStringify(from[field]) === stableStringify(to[field])) return changes;
+      changes.push({
+        field,
+        from: hasFrom ? from[field] : null,
+        to: hasTo ? to[field] : null,
+        change: !hasFrom ? 'added' : (!hasTo ? 'removed' : 'changed')
+      });
+      return changes;
+    }, []);
+  }
+
+  async getLatestVersion(deviceId) {
+    return DeviceConfigVersion.findOne({ deviceId }).sort({ version: -1 }).lean();
+  }
+
+  /**
+   * Store the device's settings as a new version if they changed. Never throws -
+   * versioning must not break saving the settings themselves.
+   * @param {String} deviceId - Device ID
+   * @param {Object} settings - Complete deviceSettings after the change
+   * @param {Object} meta - { source, author, commandId, rolledBackFrom }
+   * @returns {Promise<Object|null>} New version, the latest version when unchanged, or null on error
+   */
+  async recordVersion(deviceId, settings, { source = 'system', author = null, commandId = null, rolledBackFrom = null } = {}) {
+    try {
+      const snapshot = this.toPlainSettings(settings);
+      const resolvedSource = this.resolveSource(source);
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const latest = await this.getLatestVersion(deviceId);
+        if (latest && rolledBackFrom === null && stableStringify(latest.settings) === stableStringify(snapshot)) {
+          return latest;
+        }
+
+        try {
+          const version = await DeviceConfigVersion.create({
+            deviceId,
+            version: latest ? latest.version + 1 : 1,
+            settings: snapshot,
+            changedFields: this.diffSettings(latest ? latest.settings : {}, snapshot).map(change => change.field),
+            source: resolvedSource.source,
+            sourceDetail: resolvedSource.sourceDetail,
+            author: this.resolveAuthor(author),
+            commandId,
+            rolledBackFrom
+          });
+          console.log(`[Config Versions] 🗂️ Device ${deviceId} configuration v${version.version} (${version.source}, ${version.changedFields.length} field(s) changed)`);
+          return version.toObject();
+        } catch (error) {
+          // Another save took this version number - read the new latest and try again
+          if (error.code !== 11000) throw error;
+        }
+      }
+      throw new Error('could not allocate a version number');
+    } catch (error) {
+      console.error(`[Config Versions] ❌ Error recording configuration version for device ${deviceId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Versions of a device, newest first (without the settings snapshots)
+   */
+  async listVersions(deviceId, { limit = 50, offset = 0 } = {}) {
+    const [versions, total] = await Promise.all([
+      DeviceConfigVersion.find({ deviceId })
+        .sort({ version: -1 })
+        .skip(offset)
+        .limit(limit)
+        .select('-settings')
+        .lean(),
+      DeviceConfigVersion.countDocuments({ deviceId })
+    ]);
+    return { total, versions };
+  }
+
+  async getVersion(deviceId, version) {
+    return DeviceConfigVersion.findOne({ deviceId, version }).lean();
+  }
+
+  /**
+   * Compare two versions of a device
+   * @returns {Promise<Object|null>} null when either version does not exist
+   */
+  async diffVersions(deviceId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(deviceId, fromVersion),
+      this.getVersion(deviceId, toVersion)
+    ]);
+    if (!from || !to) return null;
+
+    const changes = this.diffSettings(from.settings, to.settings);
+    return {
+      deviceId,
+      from: { version: from.version, source: from.source, author: from.author, created_at: from.created_at },
+      to: { version: to.version, source: to.source, author: to.author, created_at: to.created_at },
+      changed: changes.length,
+      changes
+    };
+  }
+}
+
+module.exports = new ConfigVersionService();
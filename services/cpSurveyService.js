@@ -0,0 +1,588 @@
+const Telemetry = require('../models/telemetry');
+const Device = require('../models/Device');
+const { ELECTRODE_NAMES, toElectrodeCode, resolveElectrode } = require('../utils/electrodeRules');
+
+/**
+ * Cathodic Protection Survey Service
+ * Interrupted-survey (INT ON/OFF) analysis of telemetry. Each "INT ON" frame is paired
+ * with the next "INT OFF" frame of the same device into an interruption cycle. For every
+ * reference electrode (REF1-3) a cycle gives:
+ *   on-potential          - reading with the CP current on (includes the IR drop)
+ *   instant-off potential - reading right after the current is interrupted
+ *   IR drop               - instant-off - on (positive while the current drives the potential negative)
+ * and is checked against the usual criteria:
+ *   - instant-off potential at or more negative than the limit (-850 mV vs Cu/CuSO4)
+ *   - at least 100 mV polarization shift from the native (depolarized) potential
+ * A reading meets protection when either criterion is met.
+ *
+ * Depolarization (DPOL) analysis: consecutive DPOL frames of a device form a session
+ * that starts at the instant-off potential. For every reference the decay is fitted
+ * with E(t) = E_final + (E0 - E_final) * exp(-t / tau) and the session is checked
+ * against the 100 mV depolarization criterion (E(t) - E0 >= 100 mV).
+ *
+ * REF values are stored in volts; results are in mV.
+ */
+
+const REFERENCES = ['REF1', 'REF2', 'REF3'];
+
+// Reference readings are looked up by canonical name first, then by older aliases
+const REFERENCE_KEYS = {
+  REF1: ['REF1', 'ref1', 'Ref1', 'REF 1'],
+  REF2: ['REF2', 'ref2', 'Ref2', 'REF 2'],
+  REF3: ['REF3', 'ref3', 'Ref3', 'REF 3']
+};
+const STATUS_KEYS = {
+  REF1: ['REF1 STS', 'REF1STS', 'REF1_STS', 'REF1Status', 'ref1Status', 'REF1STATUS'],
+  REF2: ['REF2 STS', 'REF2STS', 'REF2_STS', 'REF2Status', 'ref2Status', 'REF2STATUS'],
+  REF3: ['REF3 STS', 'REF3STS', 'REF3_STS', 'REF3Status', 'ref3Status', 'REF3STATUS']
+};
+
+// -850 mV vs Cu/CuSO4 expressed against each electrode type
+const INSTANT_OFF_LIMITS_MV = {
+  0: -850, // Cu/CuSO4
+  1: 250, // Zinc
+  2: -800 // Ag/AgCl (seawater)
+};
+
+// DPOL frames, as matched by the exporters
+const DPOL_EVENT_CONDITIONS = [
+  { event: { $in: [3, '3', 'DPOL', 'DEPOL', 'DPOL_MODE'] } },
+  { event: { $regex: '^(DPOL|DEPOL)', $options: 'i' } }
+];
+
+const DEFAULT_MIN_SHIFT_MV = 100;
+const DEFAULT_MAX_PAIR_GAP_SECONDS = 300;
+const DEFAULT_MIN_DEPOLARIZATION_MV = 100;
+const DEFAULT_MAX_SESSION_GAP_MINUTES = 30;
+
+const round = (value, digits = 1) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+class CpSurveyService {
+  /**
+   * 'ON' / 'OFF' for interrupt frames ("INT ON", "INT_OFF", "INTERRUPT OFF"), otherwise null
+   */
+  getInterruptPhase(event) {
+    const match = /^INT(?:ERRUPT)?[\s_-]*(ON|OFF)$/i.exec(String(event || '').trim());
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  getDataValue(record, keys) {
+    const data = record.data;
+    if (!data) return undefined;
+    for (const key of keys) {
+      const value = data instanceof Map ? data.get(key) : data[key];
+      if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return undefined;
+  }
+
+  /**
+   * Reference reading of a frame in mV (null when missing or not numeric)
+   */
+  getReferenceMv(record, reference) {
+    const raw = this.getDataValue(record, REFERENCE_KEYS[reference]);
+    const volts = typeof raw === 'number' ? raw : parseFloat(raw);
+    return Number.isFinite(volts) ? volts * 1000 : null;
+  }
+
+  getReferenceStatus(record, reference) {
+    const status = this.getDataValue(record, STATUS_KEYS[reference]);
+    return status !== undefined ? String(status) : null;
+  }
+
+  getLog(record) {
+    const log = this.getDataValue(record, ['LOG', 'log', 'Log', 'logNo']);
+    return log !== undefined ? Number(log) : null;
+  }
+
+  getEvent(record) {
+    return record.event !== undefined && record.event !== null ? record.event : this.getDataValue(record, ['EVENT']);
+  }
+
+  /**
+   * Instant-off limit for an electrode type (null for custom electrodes without an explicit limit)
+   */
+  getInstantOffLimit(electrode, override = null) {
+    if (override !== null && override !== undefined && Number.isFinite(Number(override))) return Number(override);
+    const limit = INSTANT_OFF_LIMITS_MV[toElectrodeCode(electrode)];
+    return limit !== undefined ? limit : null;
+  }
+
+  /**
+   * Pair each OFF frame with the latest preceding ON frame of the same device
+   * @param {Array} frames - One device's frames in ascending time order
+   * @param {Number} maxGapMs - Longest ON -> OFF gap that still counts as one cycle
+   * @returns {{pairs: Array<{on, off}>, unpairedOn: Number, unpairedOff: Number}}
+   */
+  pairInterruptionCycles(frames, maxGapMs = DEFAULT_MAX_PAIR_GAP_SECONDS * 1000) {
+    const pairs = [];
+    let pendingOn = null;
+    let unpairedOn = 0;
+    let unpairedOff = 0;
+
+    frames.forEach(frame => {
+      const phase = this.getInterruptPhase(this.getEvent(frame));
+      if (phase === 'ON') {
+        if (pendingOn) unpairedOn++;
+        pendingOn = frame;
+      } else if (phase === 'OFF') {
+        if (pendingOn && new Date(frame.timestamp) - new Date(pendingOn.timestamp) <= maxGapMs) {
+          pairs.push({ on: pendingOn, off: frame });
+        } else {
+          if (pendingOn) unpairedOn++;
+          unpairedOff++;
+        }
+        pendingOn = null;
+      }
+    });
+    if (pendingOn) unpairedOn++;
+
+    return { pairs, unpairedOn, unpairedOff };
+  }
+
+  /**
+   * Potentials and criteria for one interruption cycle
+   * @param {Object} pair - { on, off } frames
+   * @param {Object} criteria - { instantOffLimitMv, minShiftMv, nativeMv: { REF1: mV } }
+   */
+  evaluateCycle(pair, { instantOffLimitMv, minShiftMv = DEFAULT_MIN_SHIFT_MV, nativeMv = {} }) {
+    const references = {};
+
+    REFERENCES.forEach(reference => {
+      const onMv = this.getReferenceMv(pair.on, reference);
+      const instantOffMv = this.getReferenceMv(pair.off, reference);
+      if (onMv === null || instantOffMv === null) return;
+
+      const native = nativeMv[reference] !== undefined ? nativeMv[reference] : null;
+      const shiftMv = native !== null ? native - instantOffMv : null;
+      const meetsInstantOff = instantOffLimitMv !== null ? instantOffMv <= instantOffLimitMv : null;
+      const meetsShift = shiftMv !== null ? shiftMv >= minShiftMv : null;
+
+      references[reference] = {
+        onMv: round(onMv),
+        instantOffMv: round(instantOffMv),
+        irDropMv: round(instantOffMv - onMv),
+        nativeMv: round(native),
+        shiftMv: round(shiftMv),
+        meetsInstantOff,
+        meetsShift,
+        protected: meetsInstantOff === true || meetsShift === true
+          ? true
+          : (meetsInstantOff === null && meetsShift === null ? null : false),
+        status: this.getReferenceStatus(pair.off, reference)
+      };
+    });
+
+    return {
+      onAt: pair.on.timestamp,
+      offAt: pair.off.timestamp,
+      onLog: this.getLog(pair.on),
+      offLog: this.getLog(pair.off),
+      references
+    };
+  }
+
+  /**
+   * Per-reference summary of a device's cycles
+   */
+  summarizeCycles(cycles) {
+    const summary = {};
+
+    REFERENCES.forEach(reference => {
+      const readings = cycles.map(cycle => cycle.references[reference]).filter(Boolean);
+      if (readings.length === 0) return;
+
+      const instantOff = readings.map(r => r.instantOffMv);
+      const evaluated = readings.filter(r => r.protected !== null);
+      const protectedCount = evaluated.filter(r => r.protected).length;
+
+      summary[reference] = {
+        cycles: readings.length,
+        protected: protectedCount,
+        protectedRate: evaluated.length > 0 ? round(protectedCount / evaluated.length, 3) : null,
+        minInstantOffMv: Math.min(...instantOff),
+        maxInstantOffMv: Math.max(...instantOff),
+        avgInstantOffMv: round(instantOff.reduce((sum, v) => sum + v, 0) / instantOff.length),
+        avgIrDropMv: round(readings.reduce((sum, r) => sum + r.irDropMv, 0) / readings.length),
+        latestInstantOffMv: readings[readings.length - 1].instantOffMv,
+        latestProtected: readings[readings.length - 1].protected
+      };
+    });
+
+    return summary;
+  }
+
+  /**
+   * Frames matching an event condition, one device at a time in ascending time order.
+   * Only the current device's frames are held in memory.
+   * @param {Function} onDevice - async (deviceId, frames) => {}
+   */
+  async forEachDeviceFrames({ deviceId, startDate, endDate, event, $or }, onDevice) {
+    const query = { timestamp: { $gte: startDate, $lte: endDate } };
+    if (event) query.event = event;
+    if ($or) query.$or = $or;
+    if (Array.isArray(deviceId) && deviceId.length > 0) {
+      query.deviceId = { $in: deviceId };
+    } else if (deviceId && !Array.isArray(deviceId)) {
+      query.deviceId = deviceId;
+    }
+
+    const cursor = Telemetry.find(query)
+      .select('deviceId timestamp event data')
+      .sort({ deviceId: 1, timestamp: 1 })
+      .lean()
+      .cursor();
+
+    let currentId = null;
+    let frames = [];
+    try {
+      for await (const frame of cursor) {
+        if (frame.deviceId !== currentId) {
+          if (frames.length > 0) await onDevice(currentId, frames);
+          currentId = frame.deviceId;
+          frames = [];
+        }
+        frames.push(frame);
+      }
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+    if (frames.length > 0) await onDevice(currentId, frames);
+  }
+
+  async loadDevices(deviceIds) {
+    const deviceDocs = deviceIds.length > 0
+      ? await Device.find({ deviceId: { $in: deviceIds } }).select('deviceId deviceName configuration.deviceSettings.electrode').lean()
+      : [];
+    return new Map(deviceDocs.map(d => [d.deviceId, d]));
+  }
+
+  getDeviceElectrode(deviceDoc) {
+    return resolveElectrode(deviceDoc && deviceDoc.configuration && deviceDoc.configuration.deviceSettings
+      ? deviceDoc.configuration.deviceSettings.electrode
+      : null);
+  }
+
+  /**
+   * Native potentials (mV) from the last depolarization frame at or before `before`
+   * @returns {Promise<{nativeMv: Object, at: Date|null}>}
+   */
+  async getNativePotentials(deviceId, before) {
+    const frame = await Telemetry.findOne({
+      deviceId,
+      timestamp: { $lte: before },
+      $or: DPOL_EVENT_CONDITIONS
+    }).sort({ timestamp: -1 }).lean();
+
+    const nativeMv = {};
+    if (frame) {
+      REFERENCES.forEach(reference => {
+        const value = this.getReferenceMv(frame, reference);
+        if (value !== null) nativeMv[reference] = value;
+      });
+    }
+    return { nativeMv, at: frame ? frame.timestamp : null };
+  }
+
+  /**
+   * Interrupted-survey analysis for one or more devices
+   * @param {Object} options
+   * @param {String|Array} options.deviceId - Device ID(s); all devices with INT frames when omitted
+   * @param {Date} options.startDate
+   * @param {Date} options.endDate
+   * @param {Number} options.instantOffMv - Instant-off limit override (default by electrode)
+   * @param {Number} options.minShiftMv - Polarization shift criterion (default 100)
+   * @param {Object} options.nativePotentials - Native potentials in mV { REF1: -620 } (default: last DPOL frame)
+   * @param {Number} options.maxPairGapSeconds - Longest ON -> OFF gap of a cycle (default 300)
+   * @param {Boolean} options.includeCycles - Include every cycle (default true)
+   * @param {Function} options.onDevice - Receives each device's result instead of `devices` (one device in memory at a time)
+   */
+  async analyzeInterruptedSurvey({
+    deviceId,
+    startDate,
+    endDate,
+    instantOffMv = null,
+    minShiftMv = DEFAULT_MIN_SHIFT_MV,
+    nativePotentials = null,
+    maxPairGapSeconds = DEFAULT_MAX_PAIR_GAP_SECONDS,
+    includeCycles = true,
+    onDevice = null
+  } = {}) {
+    const devices = [];
+    let deviceCount = 0;
+    let cycleCount = 0;
+
+    await this.forEachDeviceFrames({
+      deviceId,
+      startDate,
+      endDate,
+      event: { $regex: '^INT(ERRUPT)?[\\s_-]*(ON|OFF)$', $options: 'i' }
+    }, async (id, frames) => {
+      const deviceDoc = (await this.loadDevices([id])).get(id);
+      const electrode = this.getDeviceElectrode(deviceDoc);
+
+      let native = { nativeMv: {}, at: null, source: null };
+      if (nativePotentials && Object.keys(nativePotentials).length > 0) {
+        native = { nativeMv: nativePotentials, at: null, source: 'request' };
+      } else {
+        const stored = await this.getNativePotentials(id, endDate);
+        native = { ...stored, source: Object.keys(stored.nativeMv).length > 0 ? 'dpol' : null };
+      }
+
+      const criteria = {
+        instantOffLimitMv: this.getInstantOffLimit(electrode, instantOffMv),
+        minShiftMv,
+        nativeMv: native.nativeMv
+      };
+      const { pairs, unpairedOn, unpairedOff } = this.pairInterruptionCycles(frames, maxPairGapSeconds * 1000);
+      const cycles = pairs.map(pair => this.evaluateCycle(pair, criteria));
+
+      const device = {
+        deviceId: id,
+        deviceName: deviceDoc ? deviceDoc.deviceName : null,
+        electrode,
+        electrodeName: ELECTRODE_NAMES[electrode] || null,
+        criteria: {
+          instantOffLimitMv: criteria.instantOffLimitMv,
+          minShiftMv,
+          nativeMv: Object.fromEntries(Object.entries(native.nativeMv).map(([ref, value]) => [ref, round(value)])),
+          nativeSource: native.source,
+          nativeAt: native.at
+        },
+        frames: frames.length,
+        cycleCount: cycles.length,
+        unpairedOn,
+        unpairedOff,
+        summary: this.summarizeCycles(cycles),
+        ...(includeCycles && { cycles })
+      };
+
+      deviceCount += 1;
+      cycleCount += cycles.length;
+      if (onDevice) {
+        await onDevice(device);
+      } else {
+        devices.push(device);
+      }
+    });
+
+    return {
+      startDate,
+      endDate,
+      generatedAt: new Date(),
+      deviceCount,
+      cycleCount,
+      devices
+    };
+  }
+
+  /**
+   * Split one device's DPOL frames into sessions at gaps longer than maxGapMs
+   */
+  splitSessions(frames, maxGapMs = DEFAULT_MAX_SESSION_GAP_MINUTES * 60 * 1000) {
+    const sessions = [];
+    let current = [];
+
+    frames.forEach(frame => {
+      const previous = current[current.length - 1];
+      if (previous && new Date(frame.timestamp) - new Date(previous.timestamp) > maxGapMs) {
+        sessions.push(current);
+        current = [];
+      }
+      current.push(frame);
+    });
+    if (current.length > 0) sessions.push(current);
+
+    return sessions;
+  }
+
+  /**
+   * Least-squares fit of E(t) = E_final + A * exp(-t / tau)
+   * tau is searched on a log grid; E_final and A are solved linearly for each tau.
+   * @param {Array<{t: Number, v: Number}>} points - t in minutes from the session start, v in mV
+   * @returns {Object|null} { finalMv, amplitudeMv, timeConstantMinutes, r2 } (null with fewer than 3 points)
+   */
+  fitExponentialDecay(points) {
+    if (points.length < 3) return null;
+
+    const duration = points[points.length - 1].t;
+    if (duration <= 0) return null;
+
+    const mean = points.reduce((sum, p) => sum + p.v, 0) / points.length;
+    const totalSS = points.reduce((sum, p) => sum + (p.v - mean) ** 2, 0);
+
+    let best = null;
+    const minTau = duration / 100;
+    const maxTau = duration * 20;
+    for (let step = 0; step <= 120; step++) {
+      const tau = minTau * (maxTau / minTau) ** (step / 120);
+      const xs = points.map(p => Math.exp(-p.t / tau));
+
+      // Linear regression v = finalMv + amplitude * x
+      const n = points.length;
+      const sumX = xs.reduce((sum, x) => sum + x, 0);
+      const sumV = points.reduce((sum, p) => sum + p.v, 0);
+      const sumXX = xs.reduce((sum, x) => sum + x * x, 0);
+      const sumXV = xs.reduce((sum, x, i) => sum + x * points[i].v, 0);
+      const denominator = n * sumXX - sumX * sumX;
+      if (Math.abs(denominator) < 1e-12) continue;
+
+      const amplitude = (n * sumXV - sumX * sumV) / denominator;
+      const finalMv = (sumV - amplitude * sumX) / n;
+      const residualSS = xs.reduce((sum, x, i) => sum + (points[i].v - finalMv - amplitude * x) ** 2, 0);
+
+      if (!best || residualSS < best.residualSS) {
+        best = { finalMv, amplitude, tau, residualSS };
+      }
+    }
+    if (!best) return null;
+
+    return {
+      finalMv: round(best.finalMv),
+      amplitudeMv: round(best.amplitude),
+      timeConstantMinutes: round(best.tau, 2),
+      r2: totalSS > 0 ? round(1 - best.residualSS / totalSS, 4) : null
+    };
+  }
+
+  /**
+   * Decay of one reference over a session
+   * @returns {Object|null} null when the reference has no readings
+   */
+  evaluateDecay(frames, reference, minDepolarizationMv = DEFAULT_MIN_DEPOLARIZATION_MV) {
+    const startTime = new Date(frames[0].timestamp).getTime();
+    const points = frames
+      .map(frame => ({ t: (new Date(frame.timestamp).getTime() - startTime) / 60000, v: this.getReferenceMv(frame, reference) }))
+      .filter(p => p.v !== null);
+    if (points.length === 0) return null;
+
+    const startMv = points[0].v;
+    const endMv = points[points.length - 1].v;
+    const depolarizationMv = endMv - startMv;
+
+    // First time the depolarization reaches the criterion, interpolated between readings
+    let minutesToCriterion = null;
+    for (let i = 1; i < points.length; i++) {
+      const reached = points[i].v - startMv;
+      if (reached >= minDepolarizationMv) {
+        const before = points[i - 1].v - startMv;
+        const fraction = reached === before ? 1 : (minDepolarizationMv - before) / (reached - before);
+        minutesToCriterion = round(points[i - 1].t + fraction * (points[i].t - points[i - 1].t), 2);
+        break;
+      }
+    }
+
+    const fit = this.fitExponentialDecay(points);
+    const projectedDepolarizationMv = fit ? round(fit.finalMv - startMv) : null;
+
+    return {
+      readings: points.length,
+      startMv: round(startMv),
+      endMv: round(endMv),
+      depolarizationMv: round(depolarizationMv),
+      minutesToCriterion,
+      meetsCriterion: depolarizationMv >= minDepolarizationMv,
+      fit,
+      projectedDepolarizationMv,
+      // Not there yet, but the fitted curve gets there: the session was probably too short
+      projectedMeetsCriterion: projectedDepolarizationMv !== null ? projectedDepolarizationMv >= minDepolarizationMv : null,
+      status: this.getReferenceStatus(frames[frames.length - 1], reference)
+    };
+  }
+
+  /**
+   * Depolarization (DPOL) decay analysis for one or more devices
+   * @param {Object} options
+   * @param {String|Array} options.deviceId - Device ID(s); all devices with DPOL frames when omitted
+   * @param {Date} options.startDate
+   * @param {Date} options.endDate
+   * @param {Number} options.minDepolarizationMv - Depolarization criterion (default 100)
+   * @param {Number} options.maxGapMinutes - Gap between DPOL frames that starts a new session (default 30)
+   * @param {Boolean} options.includeSamples - Include each session's readings (default false)
+   * @param {Function} options.onDevice - Receives each device's result instead of `devices` (one device in memory at a time)
+   */
+  async analyzeDepolarization({
+    deviceId,
+    startDate,
+    endDate,
+    minDepolarizationMv = DEFAULT_MIN_DEPOLARIZATION_MV,
+    maxGapMinutes = DEFAULT_MAX_SESSION_GAP_MINUTES,
+    includeSamples = false,
+    onDevice = null
+  } = {}) {
+    const devices = [];
+    let deviceCount = 0;
+    let sessionCount = 0;
+    let failedSessions = 0;
+
+    await this.forEachDeviceFrames({ deviceId, startDate, endDate, $or: DPOL_EVENT_CONDITIONS }, async (id, frames) => {
+      const deviceDoc = (await this.loadDevices([id])).get(id);
+      const electrode = this.getDeviceElectrode(deviceDoc);
+
+      const sessions = this.splitSessions(frames, maxGapMinutes * 60 * 1000).map(sessionFrames => {
+        const references = {};
+        REFERENCES.forEach(reference => {
+          const decay = this.evaluateDecay(sessionFrames, reference, minDepolarizationMv);
+          if (decay) references[reference] = decay;
+        });
+
+        const evaluated = Object.values(references);
+        const failedReferences = Object.keys(references).filter(reference => !references[reference].meetsCriterion);
+        const startedAt = sessionFrames[0].timestamp;
+        const endedAt = sessionFrames[sessionFrames.length - 1].timestamp;
+
+        return {
+          startedAt,
+          endedAt,
+          durationMinutes: round((new Date(endedAt) - new Date(startedAt)) / 60000, 2),
+          frames: sessionFrames.length,
+          startLog: this.getLog(sessionFrames[0]),
+          endLog: this.getLog(sessionFrames[sessionFrames.length - 1]),
+          passed: evaluated.length > 0 ? failedReferences.length === 0 : null,
+          failedReferences,
+          references,
+          ...(includeSamples && {
+            samples: sessionFrames.map(frame => ({
+              timestamp: frame.timestamp,
+              ...Object.fromEntries(REFERENCES.map(reference => [reference, round(this.getReferenceMv(frame, reference))]))
+            }))
+          })
+        };
+      });
+
+      const device = {
+        deviceId: id,
+        deviceName: deviceDoc ? deviceDoc.deviceName : null,
+        electrode,
+        electrodeName: ELECTRODE_NAMES[electrode] || null,
+        frames: frames.length,
+        sessionCount: sessions.length,
+        passedSessions: sessions.filter(session => session.passed === true).length,
+        failedSessions: sessions.filter(session => session.passed === false).length,
+        sessions
+      };
+
+      deviceCount += 1;
+      sessionCount += device.sessionCount;
+      failedSessions += device.failedSessions;
+      if (onDevice) {
+        await onDevice(device);
+      } else {
+        devices.push(device);
+      }
+    });
+
+    return {
+      startDate,
+      endDate,
+      generatedAt: new Date(),
+      criteria: { minDepolarizationMv, maxGapMinutes },
+      deviceCount,
+      sessionCount,
+      failedSessions,
+      devices
+    };
+  }
+}
+
+module.exports = new CpSurveyService();
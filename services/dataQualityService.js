@@ -0,0 +1,424 @@
+const Telemetry = require('../models/telemetry');
+const Device = require('../models/Device');
+const DataQualityEvent = require('../models/DataQualityEvent');
+const { getFieldValue } = require('../utils/telemetryFields');
+
+/**
+ * Data Quality Service
+ * Checks the sequential LOG counter and device timestamps of every stored frame against
+ * the previous frame of the same device:
+ *   LOG + 1            - in sequence
+ *   LOG + n (n > 1)    - gap, n - 1 frames lost
+ *   same LOG           - duplicate
+ *   lower LOG, newer   - reset (device restarted or the counter wrapped)
+ *   older timestamp    - out_of_order; a lower LOG with an older timestamp is a late frame
+ *                        and does not move the device's position
+ * Each problem is stored as a DataQualityEvent. The last LOG/timestamp per device is kept in
+ * memory and seeded from the latest stored frame the first time a device is seen.
+ *
+ * Backfilled frames (sent late by the device after a link outage) are checked first, in device
+ * time order, before the live frames of the same batch. A backfilled frame older than the last
+ * frame seen is expected and fills an earlier gap, so it is not reported as out of order; when
+ * its LOG falls inside a recorded gap the gap counts one frame less (framesRecovered on the event).
+ *
+ * Lost frames are remembered for MAX_WINDOW_MINUTES so "more than N frames lost in the last
+ * M minutes" alarms (FRAMES_LOST_WINDOW) can be evaluated without a query per frame.
+ *
+ * The completeness report works from the stored telemetry instead of the events, so frames
+ * that arrive late still count as received.
+ */
+
+const MAX_WINDOW_MINUTES = 24 * 60;
+const DEFAULT_WINDOW_MINUTES = 60;
+
+const round = (value, digits = 3) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+class DataQualityService {
+  constructor() {
+    this.lastFrames = new Map(); // deviceId -> { log, timestamp }
+    this.recentLosses = new Map(); // deviceId -> [{ timestamp, framesLost, fromLog, toLog }]
+  }
+
+  getLog(data) {
+    const log = getFieldValue(data, 'LOG');
+    if (log === null || log === '') return null;
+    const value = Number(log);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Compare a frame with the previous frame of the device
+   * @param {Object|null} previous - { log, timestamp } or null for the first frame
+   * @param {Object} current - { log, timestamp, backfill }
+   * @returns {Object} { events: [{ type, framesLost, expectedLog }], framesLost, advance }
+   */
+  classifyFrame(previous, current) {
+    const events = [];
+    if (!previous) {
+      return { events, framesLost: 0, advance: true };
+    }
+
+    const olderTimestamp = previous.timestamp && current.timestamp < previous.timestamp;
+    if (olderTimestamp && current.backfill) {
+      return { events, framesLost: 0, advance: false };
+    }
+    const outOfOrder = { type: 'out_of_order', framesLost: 0, expectedLog: null };
+
+    if (current.log === null || previous.log === null) {
+      if (olderTimestamp) events.push(outOfOrder);
+      return { events, framesLost: 0, advance: !olderTimestamp };
+    }
+
+    const expectedLog = previous.log + 1;
+    if (current.log === previous.log) {
+      events.push({ type: 'duplicate', framesLost: 0, expectedLog });
+      return { events, framesLost: 0, advance: false };
+    }
+
+    if (current.log < previous.log) {
+      if (olderTimestamp) {
+        events.push(outOfOrder);
+        return { events, framesLost: 0, advance: false };
+      }
+      events.push({ type: 'reset', framesLost: 0, expectedLog });
+      return { events, framesLost: 0, advance: true };
+    }
+
+    const framesLost = current.log - expectedLog;
+    if (framesLost > 0) events.push({ type: 'gap', framesLost, expectedLog });
+    if (olderTimestamp) events.push(outOfOrder);
+    return { events, framesLost, advance: true };
+  }
+
+  /**
+   * Last LOG/timestamp of a device before the current batch, plus the losses of the last day
+   */
+  async seedDevice(deviceId, batchIds) {
+    const latest = await Telemetry.findOne({ deviceId, _id: { $nin: batchIds } })
+      .sort({ timestamp: -1 })
+      .select('timestamp data')
+      .lean();
+    if (!latest) return null;
+
+    const since = new Date(new Date(latest.timestamp).getTime() - MAX_WINDOW_MINUTES * 60 * 1000);
+    const gaps = await DataQualityEvent.find({ deviceId, type: 'gap', timestamp: { $gte: since } })
+      .select('timestamp framesLost framesRecovered expectedLog')
+      .sort({ timestamp: 1 })
+      .lean();
+    this.recentLosses.set(deviceId, gaps.map(gap => ({
+      timestamp: new Date(gap.timestamp),
+      framesLost: Math.max(gap.framesLost - (gap.framesRecovered || 0), 0),
+      fromLog: gap.expectedLog,
+      toLog: gap.expectedLog === null ? null : gap.expectedLog + gap.framesLost - 1
+    })));
+
+    return { log: this.getLog(latest.data), timestamp: new Date(latest.timestamp) };
+  }
+
+  /**
+   * Remember a gap of framesLost frames, LOG fromLog onwards, found at timestamp
+   */
+  recordLoss(deviceId, timestamp, framesLost, fromLog = null) {
+    const losses = this.recentLosses.get(deviceId) || [];
+    losses.push({ timestamp, framesLost, fromLog, toLog: fromLog === null ? null : fromLog + framesLost - 1 });
+    const cutoff = timestamp.getTime() - MAX_WINDOW_MINUTES * 60 * 1000;
+    this.recentLosses.set(deviceId, losses.filter(loss => loss.timestamp.getTime() > cutoff));
+  }
+
+  /**
+   * A backfilled frame arrived with a LOG number that was counted as lost
+   * @returns {Object|null} The gap it belongs to, or null when it was not inside a remembered gap
+   */
+  recoverLoss(deviceId, log) {
+    const loss = (this.recentLosses.get(deviceId) || []).find(candidate =>
+      candidate.framesLost > 0 && candidate.fromLog !== null && log >= candidate.fromLog && log <= candidate.toLog
+    );
+    if (!loss) return null;
+
+    loss.framesLost -= 1;
+    return loss;
+  }
+
+  /**
+   * Frames lost by a device in the window ending at asOf (device time)
+   */
+  getFramesLost(deviceId, windowMinutes = DEFAULT_WINDOW_MINUTES, asOf = new Date()) {
+    const minutes = Math.min(Math.max(Number(windowMinutes) || DEFAULT_WINDOW_MINUTES, 1), MAX_WINDOW_MINUTES);
+    const end = asOf.getTime();
+    const start = end - minutes * 60 * 1000;
+    return (this.recentLosses.get(deviceId) || [])
+      .filter(loss => loss.timestamp.getTime() > start && loss.timestamp.getTime() <= end)
+      .reduce((sum, loss) => sum + loss.framesLost, 0);
+  }
+
+  /**
+   * Check the stored frames of an ingest batch (live frames in arrival order) and store the events.
+   * Sets built.quality = { log, timestamp, framesLost, events } on every entry for the alarm checks.
+   * @param {Array} entries - [{ frame: { deviceId }, built: { record, data } }]
+   */
+  async checkFrames(entries) {
+    const byDevice = new Map();
+    entries.forEach(entry => {
+      if (!byDevice.has(entry.frame.deviceId)) byDevice.set(entry.frame.deviceId, []);
+      byDevice.get(entry.frame.deviceId).push(entry);
+    });
+
+    const events = [];
+    const recoveries = [];
+    for (const [deviceId, deviceEntries] of byDevice) {
+      if (!this.lastFrames.has(deviceId)) {
+        try {
+          const seed = await this.seedDevice(deviceId, deviceEntries.map(entry => entry.built.record._id));
+          if (seed) this.lastFrames.set(deviceId, seed);
+        } catch (error) {
+          console.error(`[Data Quality] ❌ Error loading last frame of device ${deviceId}:`, error.message);
+        }
+      }
+
+      const ordered = [
+        ...deviceEntries.filter(entry => entry.frame.backfill)
+          .sort((a, b) => new Date(a.built.record.timestamp) - new Date(b.built.record.timestamp)),
+        ...deviceEntries.filter(entry => !entry.frame.backfill)
+      ];
+
+      for (const entry of ordered) {
+        const current = {
+          log: this.getLog(entry.built.data),
+          timestamp: new Date(entry.built.record.timestamp),
+          backfill: !!entry.frame.backfill
+        };
+        const previous = this.lastFrames.get(deviceId) || null;
+        const result = this.classifyFrame(previous, current);
+
+        result.events.forEach(event => {
+          events.push({
+            deviceId,
+            type: event.type,
+            timestamp: current.timestamp,
+            receivedAt: entry.frame.receivedAt || new Date(),
+            log: current.log,
+            previousLog: previous.log,
+            expectedLog: event.expectedLog,
+            previousTimestamp: previous.timestamp,
+            framesLost: event.framesLost,
+            telemetryId: entry.built.record._id
+          });
+          console.warn(`[Data Quality] ⚠️ Device ${deviceId}: ${event.type}${event.framesLost ? ` (${event.framesLost} frame(s) lost)` : ''} - LOG ${previous.log} → ${current.log}`);
+        });
+
+        if (result.framesLost > 0) {
+          this.recordLoss(deviceId, current.timestamp, result.framesLost, result.events.find(event => event.type === 'gap').expectedLog);
+        }
+        if (current.backfill && !result.advance && current.log !== null) {
+          const loss = this.recoverLoss(deviceId, current.log);
+          if (loss) recoveries.push({ deviceId, timestamp: loss.timestamp, expectedLog: loss.fromLog });
+        }
+        if (result.advance) {
+          // A frame without a LOG number keeps the last known LOG for the next comparison
+          this.lastFrames.set(deviceId, {
+            log: current.log !== null ? current.log : (previous ? previous.log : null),
+            timestamp: current.timestamp
+          });
+        }
+
+        entry.built.quality = {
+          log: current.log,
+          timestamp: current.timestamp,
+          framesLost: result.framesLost,
+          events: result.events.map(event => event.type)
+        };
+      }
+    }
+
+    if (events.length > 0) {
+      try {
+        await DataQualityEvent.insertMany(events, { ordered: false });
+      } catch (error) {
+        console.error('[Data Quality] ❌ Error storing data quality events:', error.message);
+      }
+    }
+    if (recoveries.length > 0) {
+      try {
+        await DataQualityEvent.bulkWrite(recoveries.map(({ deviceId, timestamp, expectedLog }) => ({
+          updateOne: {
+            filter: { deviceId, type: 'gap', timestamp, expectedLog },
+            update: { $inc: { framesRecovered: 1 } }
+          }
+        })), { ordered: false });
+        console.log(`[Data Quality] ♻️ ${recoveries.length} lost frame(s) recovered from backfill`);
+      } catch (error) {
+        console.error('[Data Quality] ❌ Error recording recovered frames:', error.message);
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Stored data quality events, newest first
+   * @param {Object} options - { deviceId, type, startDate, endDate, limit }
+   */
+  async getEvents({ deviceId = null, type = null, startDate, endDate, limit = 500 }) {
+    const query = { timestamp: { $gte: startDate, $lte: endDate } };
+    if (deviceId) query.deviceId = Array.isArray(deviceId) ? { $in: deviceId } : deviceId;
+    if (type) query.type = type;
+
+    return DataQualityEvent.find(query)
+      .sort({ timestamp: -1 })
+      .limit(Math.min(parseInt(limit) || 500, 5000))
+      .lean();
+  }
+
+  /**
+   * Data completeness per device: frames expected from the LOG numbers in the range against
+   * frames received. Frames are put in device-time order; a step of n > 1 between consecutive
+   * LOG numbers is n - 1 lost frames, a step of 0 a duplicate and a step back a counter reset
+   * (which starts a new sequence). Frames without a LOG number are counted but not checked.
+   * @param {Object} options - { deviceId (string or array), startDate, endDate }
+   */
+  async getCompletenessReport({ deviceId = null, startDate, endDate }) {
+    const deviceQuery = {};
+    if (deviceId) deviceQuery.deviceId = Array.isArray(deviceId) ? { $in: deviceId } : deviceId;
+
+    const devices = await Device.find(deviceQuery).select('deviceId deviceName').sort({ deviceId: 1 }).lean();
+    const deviceIds = devices.map(device => device.deviceId);
+    const range = { $gte: startDate, $lte: endDate };
+
+    const stepIs = (condition) => ({ $and: [{ $ne: ['$step', null] }, condition] });
+    const [stats, eventCounts] = await Promise.all([
+      Telemetry.aggregate([
+        { $match: { deviceId: { $in: deviceIds }, timestamp: range } },
+        {
+          $project: {
+            _id: 0,
+            deviceId: 1,
+            timestamp: 1,
+            log: {
+              $convert: {
+                input: { $ifNull: ['$data.LOG', '$data.log', '$data.Log', '$data.logNo', null] },
+                to: 'double',
+                onError: null,
+                onNull: null
+              }
+            }
+          }
+        },
+        {
+          // Frames with and without a LOG number are separate partitions, so a frame without
+          // one does not break the sequence
+          $setWindowFields: {
+            partitionBy: { deviceId: '$deviceId', hasLog: { $ne: ['$log', null] } },
+            sortBy: { timestamp: 1 },
+            output: {
+              previousLog: { $shift: { output: '$log', by: -1, default: null } },
+              previousTimestamp: { $shift: { output: '$timestamp', by: -1, default: null } }
+            }
+          }
+        },
+        {
+          $project: {
+            deviceId: 1,
+            timestamp: 1,
+            log: 1,
+            previousLog: 1,
+            previousTimestamp: 1,
+            step: {
+              $cond: [
+                { $or: [{ $eq: ['$log', null] }, { $eq: ['$previousLog', null] }] },
+                null,
+                { $subtract: ['$log', '$previousLog'] }
+              ]
+            }
+          }
+        },
+        {
+          $group: {
+            _id: '$deviceId',
+            frames: { $sum: 1 },
+            framesWithLog: { $sum: { $cond: [{ $ne: ['$log', null] }, 1, 0] } },
+            framesLost: { $sum: { $cond: [stepIs({ $gt: ['$step', 1] }), { $subtract: ['$step', 1] }, 0] } },
+            gaps: { $sum: { $cond: [stepIs({ $gt: ['$step', 1] }), 1, 0] } },
+            duplicates: { $sum: { $cond: [stepIs({ $eq: ['$step', 0] }), 1, 0] } },
+            resets: { $sum: { $cond: [stepIs({ $lt: ['$step', 0] }), 1, 0] } },
+            first: { $min: '$timestamp' },
+            last: { $max: '$timestamp' },
+            // Documents compare field by field, so this is the gap with the most lost frames
+            largestGap: {
+              $max: {
+                $cond: [
+                  stepIs({ $gt: ['$step', 1] }),
+                  {
+                    framesLost: { $subtract: ['$step', 1] },
+                    fromLog: '$previousLog',
+                    toLog: '$log',
+                    from: '$previousTimestamp',
+                    to: '$timestamp'
+                  },
+                  null
+                ]
+              }
+            }
+          }
+        }
+      ]).allowDiskUse(true),
+      DataQualityEvent.aggregate([
+        { $match: { deviceId: { $in: deviceIds }, timestamp: range } },
+        { $group: { _id: { deviceId: '$deviceId', type: '$type' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const statsByDevice = new Map(stats.map(entry => [entry._id, entry]));
+    const eventsByDevice = new Map();
+    eventCounts.forEach(({ _id, count }) => {
+      if (!eventsByDevice.has(_id.deviceId)) {
+        eventsByDevice.set(_id.deviceId, Object.fromEntries(DataQualityEvent.TYPES.map(type => [type, 0])));
+      }
+      eventsByDevice.get(_id.deviceId)[_id.type] = count;
+    });
+
+    const reports = devices.map(device => {
+      const entry = statsByDevice.get(device.deviceId);
+      const framesWithLog = entry ? entry.framesWithLog : 0;
+      const framesLost = entry ? entry.framesLost : 0;
+      const duplicates = entry ? entry.duplicates : 0;
+      const framesExpected = framesWithLog > 0 ? framesWithLog - duplicates + framesLost : 0;
+
+      return {
+        deviceId: device.deviceId,
+        deviceName: device.deviceName || device.deviceId,
+        frames: entry ? entry.frames : 0,
+        framesWithLog,
+        framesExpected,
+        framesLost,
+        completenessPercent: framesExpected > 0 ? round(((framesExpected - framesLost) / framesExpected) * 100) : null,
+        gaps: entry ? entry.gaps : 0,
+        duplicates,
+        resets: entry ? entry.resets : 0,
+        largestGap: entry && entry.largestGap ? entry.largestGap : null,
+        firstFrame: entry ? entry.first : null,
+        lastFrame: entry ? entry.last : null,
+        events: eventsByDevice.get(device.deviceId) || Object.fromEntries(DataQualityEvent.TYPES.map(type => [type, 0]))
+      };
+    });
+
+    const framesExpected = reports.reduce((sum, report) => sum + report.framesExpected, 0);
+    const framesLost = reports.reduce((sum, report) => sum + report.framesLost, 0);
+
+    return {
+      startDate,
+      endDate,
+      generatedAt: new Date(),
+      fleet: {
+        devices: reports.length,
+        frames: reports.reduce((sum, report) => sum + report.frames, 0),
+        framesExpected,
+        framesLost,
+        completenessPercent: framesExpected > 0 ? round(((framesExpected - framesLost) / framesExpected) * 100) : null,
+        duplicates: reports.reduce((sum, report) => sum + report.duplicates, 0),
+        resets: reports.reduce((sum, report) => sum + report.resets, 0)
+      },
+      devices: reports
+    };
+  }
+}
+
+module.exports = new DataQualityService();
@@ -1,5 +1,6 @@
 const Device = require('../models/Device');
 const { v4: uuidv4 } = require('uuid');
+const configVersionService = require('./configVersionService');
 
 /**
  * Core Device Management Service
@@ -76,9 +77,10 @@ class DeviceManagementService {
    * @param {String} deviceId - Device identifier
    * @param {Object} settings - Complete device settings
    * @param {String} source - Source of the settings update
+   * @param {Object} meta - Version info: { author, commandId, rolledBackFrom }
    * @returns {Object} Updated device object
    */
-  async storeDeviceSettings(deviceId, settings, source = 'command_sent') {
+  async storeDeviceSettings(deviceId, settings, source = 'command_sent', meta = {}) {
     try {
       const device = await Device.findByDeviceId(deviceId);
       if (!device) {
@@ -176,6 +178,8 @@ class DeviceManagementService {
 
       const savedDevice = await device.save();
       console.log(`✅ Device settings stored for ${deviceId}`);
+
+      await configVersionService.recordVersion(deviceId, savedDevice.configuration.deviceSettings, { source, ...meta });
       
       // Log saved DPOL values for verification
       if (savedDevice.configuration.deviceSettings.depolarizationStartTimeStamp || 
@@ -328,9 +332,10 @@ class DeviceManagementService {
    * @param {String} deviceId - Device identifier
    * @param {Object} parameters - Parameters to update
    * @param {String} commandId - Optional command tracking ID
+   * @param {Object|String} author - User making the change (req.user or username)
    * @returns {Object} Complete updated settings
    */
-  async updateDeviceParameters(deviceId, parameters, commandId = null) {
+  async updateDeviceParameters(deviceId, parameters, commandId = null, author = null) {
     try {
       const device = await Device.findByDeviceId(deviceId);
       if (!device) {
@@ -406,7 +411,7 @@ class DeviceManagementService {
       };
 
       // Store complete updated settings
-      await this.storeDeviceSettings(deviceId, updatedSettings, 'command_sent');
+      await this.storeDeviceSettings(deviceId, updatedSettings, 'command_sent', { commandId, author });
 
       // Track command if provided
       if (commandId) {
@@ -421,6 +426,38 @@ class DeviceManagementService {
     }
   }
 
+  /**
+   * Restore the settings of an earlier configuration version and push them to the device
+   * with the complete-settings command (queued when the device is offline)
+   * @param {String} deviceId - Device identifier
+   * @param {Number} version - Version to restore
+   * @param {Object|String} author - User requesting the rollback
+   * @returns {Object} { version, command }
+   */
+  async rollbackToVersion(deviceId, version, author = null) {
+    const target = await configVersionService.getVersion(deviceId, version);
+    if (!target) {
+      throw new Error(`Configuration version ${version} not found for device ${deviceId}`);
+    }
+
+    const commandId = uuidv4();
+    await this.storeDeviceSettings(deviceId, target.settings, 'rollback', {
+      author,
+      commandId,
+      rolledBackFrom: target.version
+    });
+
+    // Rebuild the MQTT settings cache from the restored settings before sending
+    const mqttService = require('./mqttService');
+    mqttService.deviceSettings.delete(deviceId);
+    const command = await mqttService.queueCompleteSettings(deviceId, commandId);
+
+    const latest = await configVersionService.getLatestVersion(deviceId);
+    console.log(`⏪ Device ${deviceId} rolled back to configuration v${target.version} (now v${latest ? latest.version : '?'}), command ${commandId} ${command.status}`);
+
+    return { version: latest, restoredVersion: target.version, command };
+  }
+
   /**
    * Get all devices with their current settings
    * @returns {Array} Array of devices with settings
@@ -594,7 +631,8 @@ class DeviceManagementService {
       "Depolarization_interval": "dpolInterval",
       "Instant Mode": "instantMode",
       "Instant Start TimeStamp": "instantStartTimeStamp",
-      "Instant End TimeStamp": "instantEndTimeStamp"
+      "Instant End TimeStamp": "instantEndTimeStamp",
+      "logging_interval": "loggingInterval"
     };
 
     const mapped = {};
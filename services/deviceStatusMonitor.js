@@ -2,16 +2,48 @@
  * Device Status Monitor
  * Periodically checks device status based on lastSeen timestamp
  * Updates device status to online/warning/offline
+ *
+ * Deadlines are per device, derived from its logging interval (the interval reported in
+ * its frames - mqttService.deviceLoggingIntervals - else configuration.deviceSettings.loggingInterval):
+ *   warning after DEVICE_WARNING_INTERVALS intervals without a frame (default 2)
+ *   offline after DEVICE_OFFLINE_INTERVALS intervals without a frame (default 4)
+ * plus DEVICE_STATUS_GRACE_MS (default 30000) for network and clock jitter. Devices with no
+ * known interval fall back to the fixed 3 / 5 minute thresholds.
+ *
+ * Every online/warning/offline transition is recorded in DeviceStatusHistory as a period
+ * with its start, end and duration (see getStatusHistory).
+ *
+ * Configuration (env):
+ *   DEVICE_MONITOR_CHECK_MS     - how often devices are checked (default 30000)
+ *   DEVICE_WARNING_INTERVALS    - logging intervals until warning (default 2)
+ *   DEVICE_OFFLINE_INTERVALS    - logging intervals until offline (default 4)
+ *   DEVICE_STATUS_GRACE_MS      - slack added to both deadlines (default 30000)
  */
 
 const Device = require('../models/Device');
+const DeviceStatusHistory = require('../models/DeviceStatusHistory');
+const { hhmmssToSeconds } = require('../utils/timeConverter');
 
 class DeviceStatusMonitor {
   constructor() {
     this.interval = null;
-    this.checkIntervalMs = 2 * 60 * 1000; // 2 minutes
-    this.warningThresholdMs = 3 * 60 * 1000; // 3 minutes
-    this.offlineThresholdMs = 5 * 60 * 1000; // 5 minutes
+    this.checkIntervalMs = parseInt(process.env.DEVICE_MONITOR_CHECK_MS) || 30 * 1000;
+    this.warningThresholdMs = 3 * 60 * 1000; // 3 minutes (devices without a logging interval)
+    this.offlineThresholdMs = 5 * 60 * 1000; // 5 minutes (devices without a logging interval)
+    this.warningIntervals = parseFloat(process.env.DEVICE_WARNING_INTERVALS) || 2;
+    this.offlineIntervals = parseFloat(process.env.DEVICE_OFFLINE_INTERVALS) || 4;
+    this.graceMs = 30 * 1000;
+    const graceSetting = process.env.DEVICE_STATUS_GRACE_MS;
+    if (graceSetting !== undefined && graceSetting.trim() !== '') {
+      const graceMs = Number(graceSetting);
+      if (Number.isFinite(graceMs) && graceMs >= 0) {
+        this.graceMs = graceMs;
+      } else {
+        console.warn(`[Device Monitor] ⚠️ Invalid DEVICE_STATUS_GRACE_MS "${graceSetting}", using ${this.graceMs}ms`);
+      }
+    }
+    this.deadlines = new Map(); // deviceId -> deadlines from the last check
+    this.isChecking = false;
   }
 
   /**
@@ -20,8 +52,8 @@ class DeviceStatusMonitor {
   start() {
     console.log('[Device Monitor] 🚀 Starting device status monitor...');
     console.log(`[Device Monitor] Check interval: ${this.checkIntervalMs / 1000}s`);
-    console.log(`[Device Monitor] Warning threshold: ${this.warningThresholdMs / 1000}s`);
-    console.log(`[Device Monitor] Offline threshold: ${this.offlineThresholdMs / 1000}s`);
+    console.log(`[Device Monitor] Warning after ${this.warningIntervals} / offline after ${this.offlineIntervals} logging intervals (+${this.graceMs / 1000}s grace)`);
+    console.log(`[Device Monitor] Without a logging interval: warning ${this.warningThresholdMs / 1000}s, offline ${this.offlineThresholdMs / 1000}s`);
 
     // Run initial check
     this.checkDeviceStatus();
@@ -43,66 +75,115 @@ class DeviceStatusMonitor {
     }
   }
 
+  /**
+   * Logging interval of a device in seconds: as reported in its frames, else as configured
+   * @returns {{seconds: Number, source: 'reported'|'configured'}|null}
+   */
+  getLoggingInterval(device) {
+    const mqttService = require('./mqttService');
+    const reported = mqttService.deviceLoggingIntervals && mqttService.deviceLoggingIntervals.get(device.deviceId);
+    if (reported && reported.intervalSeconds > 0) {
+      return { seconds: reported.intervalSeconds, source: 'reported' };
+    }
+
+    const configured = device.configuration?.deviceSettings?.loggingInterval;
+    let seconds = 0;
+    if (typeof configured === 'number') {
+      seconds = configured;
+    } else if (typeof configured === 'string' && configured.includes(':')) {
+      seconds = hhmmssToSeconds(configured);
+    } else if (configured && !isNaN(Number(configured))) {
+      seconds = Number(configured);
+    }
+    return seconds > 0 ? { seconds, source: 'configured' } : null;
+  }
+
+  /**
+   * Warning / offline deadlines (time since lastSeen) for a device
+   */
+  getDeadlines(device) {
+    const interval = this.getLoggingInterval(device);
+    if (!interval) {
+      return {
+        expectedIntervalSeconds: null,
+        source: 'default',
+        warningAfterMs: this.warningThresholdMs,
+        offlineAfterMs: this.offlineThresholdMs
+      };
+    }
+
+    return {
+      expectedIntervalSeconds: interval.seconds,
+      source: interval.source,
+      warningAfterMs: Math.round(interval.seconds * 1000 * this.warningIntervals + this.graceMs),
+      offlineAfterMs: Math.round(interval.seconds * 1000 * this.offlineIntervals + this.graceMs)
+    };
+  }
+
+  /**
+   * Offline deadline from the last check (used by mqttService for device activity)
+   * @returns {Number|null} Milliseconds, or null when the device has not been checked yet
+   */
+  getOfflineAfterMs(deviceId) {
+    const deadlines = this.deadlines.get(deviceId);
+    return deadlines ? deadlines.offlineAfterMs : null;
+  }
+
+  /**
+   * State a device should be in, and since when
+   * @returns {{state, since: Date|null, reason}}
+   */
+  evaluate(lastSeen, deadlines, now) {
+    if (!lastSeen) {
+      return { state: 'offline', since: null, reason: 'no_data' };
+    }
+
+    const timeSinceLastSeen = now.getTime() - lastSeen.getTime();
+    if (timeSinceLastSeen > deadlines.offlineAfterMs) {
+      return { state: 'offline', since: new Date(lastSeen.getTime() + deadlines.offlineAfterMs), reason: 'missed_frames' };
+    }
+    if (timeSinceLastSeen > deadlines.warningAfterMs) {
+      return { state: 'warning', since: new Date(lastSeen.getTime() + deadlines.warningAfterMs), reason: 'missed_frames' };
+    }
+    // Back online: lastSeen is the first frame after the outage, give or take one check interval
+    return { state: 'online', since: lastSeen, reason: 'frame_received' };
+  }
+
   /**
    * Check all devices and update their status
    */
   async checkDeviceStatus() {
-    try {
-      console.log('[Device Monitor] 🔍 Checking device status...');
+    if (this.isChecking) return;
+    this.isChecking = true;
 
+    try {
       const now = new Date();
       
       // Query all devices from MongoDB
-      const devices = await Device.find({}).lean();
+      const devices = await Device.find({})
+        .select('deviceId deviceName status configuration.deviceSettings.loggingInterval')
+        .lean();
       
       if (devices.length === 0) {
-        console.log('[Device Monitor] ℹ️ No devices found in database');
         return;
       }
 
-      console.log(`[Device Monitor] Found ${devices.length} device(s) to check`);
+      const openPeriods = new Map(
+        (await DeviceStatusHistory.find({ until: null }).lean()).map(period => [period.deviceId, period])
+      );
 
       const bulkUpdates = [];
       const statusChanges = [];
 
       // Check each device
       for (const device of devices) {
-        const lastSeen = device.status?.lastSeen;
-        const currentStatus = device.status?.state || 'offline';
-        
-        if (!lastSeen) {
-          // No lastSeen timestamp, mark as offline
-          if (currentStatus !== 'offline') {
-            bulkUpdates.push({
-              updateOne: {
-                filter: { _id: device._id },
-                update: { $set: { 'status.state': 'offline' } }
-              }
-            });
-            statusChanges.push({
-              deviceId: device.deviceId,
-              oldStatus: currentStatus,
-              newStatus: 'offline',
-              reason: 'No lastSeen timestamp'
-            });
-          }
-          continue;
-        }
+        const deadlines = this.getDeadlines(device);
+        this.deadlines.set(device.deviceId, deadlines);
 
-        const timeSinceLastSeen = now.getTime() - new Date(lastSeen).getTime();
-        let newStatus = currentStatus;
-
-        // Determine new status based on lastSeen
-        if (timeSinceLastSeen > this.offlineThresholdMs) {
-          // Offline: lastSeen > 5 minutes
-          newStatus = 'offline';
-        } else if (timeSinceLastSeen > this.warningThresholdMs) {
-          // Warning: lastSeen between 3-5 minutes
-          newStatus = 'warning';
-        } else {
-          // Online: lastSeen < 3 minutes
-          newStatus = 'online';
-        }
+        const lastSeen = device.status?.lastSeen ? new Date(device.status.lastSeen) : null;
+        const currentStatus = device.status?.state || 'offline';
+        const evaluation = this.evaluate(lastSeen, deadlines, now);
+        const newStatus = evaluation.state;
 
         // Only update if status has changed
         if (newStatus !== currentStatus) {
@@ -119,9 +200,18 @@ class DeviceStatusMonitor {
             oldStatus: currentStatus,
             newStatus: newStatus,
             lastSeen: lastSeen,
-            timeSinceLastSeen: Math.round(timeSinceLastSeen / 1000) + 's'
+            timeSinceLastSeen: lastSeen ? Math.round((now - lastSeen) / 1000) + 's' : 'never',
+            deadlines
           });
         }
+
+        // History follows the evaluated state, not status.state: frames set a device
+        // back to online directly, which still has to close its offline period
+        try {
+          await this.recordTransition(device.deviceId, openPeriods.get(device.deviceId), evaluation, { lastSeen, deadlines, now });
+        } catch (historyError) {
+          console.error(`[Device Monitor] ❌ Error recording status history for ${device.deviceId}:`, historyError.message);
+        }
       }
 
       // Perform bulk update if there are changes
@@ -133,28 +223,161 @@ class DeviceStatusMonitor {
         statusChanges.forEach(change => {
           const emoji = change.newStatus === 'online' ? '✅' : 
                        change.newStatus === 'warning' ? '⚠️' : '❌';
+          const interval = change.deadlines.expectedIntervalSeconds
+            ? `${change.deadlines.expectedIntervalSeconds}s interval`
+            : 'no logging interval';
           console.log(
             `[Device Monitor] ${emoji} ${change.deviceName} (${change.deviceId}): ` +
             `${change.oldStatus} → ${change.newStatus} ` +
-            `(Last seen: ${change.timeSinceLastSeen} ago)`
+            `(Last seen: ${change.timeSinceLastSeen} ago, ${interval}, ` +
+            `offline after ${Math.round(change.deadlines.offlineAfterMs / 1000)}s)`
           );
         });
-      } else {
-        console.log('[Device Monitor] ✓ No status changes detected');
-      }
 
-      // Summary
-      const statusSummary = await this.getStatusSummary();
-      console.log(
-        `[Device Monitor] 📊 Summary: ` +
-        `${statusSummary.online} online, ` +
-        `${statusSummary.warning} warning, ` +
-        `${statusSummary.offline} offline`
-      );
+        // Summary
+        const statusSummary = await this.getStatusSummary();
+        console.log(
+          `[Device Monitor] 📊 Summary: ` +
+          `${statusSummary.online} online, ` +
+          `${statusSummary.warning} warning, ` +
+          `${statusSummary.offline} offline`
+        );
+      }
 
     } catch (error) {
       console.error('[Device Monitor] ❌ Error checking device status:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Close the device's open history period and open the new one when its state changed.
+   * A device that went from online straight to offline between two checks also gets
+   * the warning period in between.
+   */
+  async recordTransition(deviceId, open, evaluation, { lastSeen, deadlines, now }) {
+    if (open && open.state === evaluation.state) return;
+
+    const steps = [];
+    if (open && open.state === 'online' && evaluation.state === 'offline' && lastSeen) {
+      steps.push({ state: 'warning', since: new Date(lastSeen.getTime() + deadlines.warningAfterMs), reason: 'missed_frames' });
     }
+    steps.push({ state: evaluation.state, since: evaluation.since || now, reason: open ? evaluation.reason : 'initial' });
+
+    let previous = open;
+    for (const step of steps) {
+      // Transitions never go back before the period they end, nor into the future
+      let since = step.since;
+      if (previous && since < previous.since) since = new Date(previous.since);
+      if (since > now) since = now;
+
+      if (previous) {
+        // Only one instance closes a period (PM2): the others see it already closed.
+        // Opening is guarded by the unique index on open periods.
+        const closed = await DeviceStatusHistory.findOneAndUpdate(
+          { _id: previous._id, until: null },
+          { $set: { until: since, durationMs: since - new Date(previous.since) } },
+          { new: true }
+        );
+        if (!closed) return;
+      }
+
+      let period;
+      try {
+        period = await DeviceStatusHistory.findOneAndUpdate(
+          { deviceId, until: null },
+          {
+            $setOnInsert: {
+              deviceId,
+              state: step.state,
+              previousState: previous ? previous.state : null,
+              since,
+              until: null,
+              reason: step.reason,
+              lastSeen,
+              expectedIntervalSeconds: deadlines.expectedIntervalSeconds,
+              warningAfterMs: deadlines.warningAfterMs,
+              offlineAfterMs: deadlines.offlineAfterMs
+            }
+          },
+          { upsert: true, new: true }
+        ).lean();
+      } catch (error) {
+        // Another instance opened the period first - the unique index let one win
+        if (error.code !== 11000) throw error;
+        period = await DeviceStatusHistory.findOne({ deviceId, until: null }).lean();
+        if (!period) return;
+      }
+      previous = period;
+    }
+  }
+
+  /**
+   * State periods of a device overlapping a time range, with durations clipped to the
+   * range and totals per state
+   * @param {String} deviceId
+   * @param {Object} options - { startDate, endDate (default now), limit: periods returned (default 500) }
+   */
+  async getStatusHistory(deviceId, { startDate, endDate = new Date(), limit = 500 } = {}) {
+    const now = new Date();
+    const end = endDate > now ? now : endDate;
+    const start = startDate || new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    const periods = await DeviceStatusHistory.find({
+      deviceId,
+      since: { $lt: end },
+      $or: [{ until: null }, { until: { $gt: start } }]
+    }).sort({ since: -1 }).lean();
+
+    const totals = {};
+    DeviceStatusHistory.STATES.forEach(state => { totals[state] = { durationMs: 0, periods: 0, percent: 0 }; });
+
+    const rangeMs = Math.max(0, end - start);
+    let coveredMs = 0;
+    periods.forEach(period => {
+      const from = Math.max(new Date(period.since).getTime(), start.getTime());
+      const to = Math.min(period.until ? new Date(period.until).getTime() : now.getTime(), end.getTime());
+      const clipped = Math.max(0, to - from);
+      totals[period.state].durationMs += clipped;
+      totals[period.state].periods++;
+      coveredMs += clipped;
+    });
+    Object.values(totals).forEach(total => {
+      total.percent = rangeMs > 0 ? Math.round((total.durationMs / rangeMs) * 10000) / 100 : 0;
+    });
+
+    const current = periods.find(period => !period.until) || null;
+    const device = await Device.findOne({ deviceId })
+      .select('deviceId configuration.deviceSettings.loggingInterval')
+      .lean();
+
+    return {
+      deviceId,
+      startDate: start,
+      endDate: end,
+      current: current ? {
+        state: current.state,
+        since: current.since,
+        durationMs: now - new Date(current.since)
+      } : null,
+      deadlines: device ? this.getDeadlines(device) : null,
+      totals,
+      // Time in the range before the first recorded period
+      untrackedMs: Math.max(0, rangeMs - coveredMs),
+      transitions: periods.filter(period => period.previousState).length,
+      periods: periods.slice(0, limit).map(period => ({
+        state: period.state,
+        previousState: period.previousState,
+        since: period.since,
+        until: period.until,
+        durationMs: period.until ? period.durationMs : now - new Date(period.since),
+        reason: period.reason,
+        expectedIntervalSeconds: period.expectedIntervalSeconds,
+        warningAfterMs: period.warningAfterMs,
+        offlineAfterMs: period.offlineAfterMs
+      }))
+    };
   }
 
   /**
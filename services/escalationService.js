@@ -0,0 +1,258 @@
+/**
+ * Alarm Escalation Service
+ * Walks unacknowledged alarm incidents through the tiers of their EscalationPolicy.
+ * - Tier delays are measured from the trigger that raised the incident
+ * - Escalation stops once the incident is acknowledged or cleared
+ * - Every delivery attempt is logged on the AlarmTrigger (notification_attempts)
+ */
+
+const AlarmTrigger = require('../models/AlarmTrigger');
+const AlarmIncident = require('../models/AlarmIncident');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const EmailService = require('./emailService');
+const SmsService = require('./smsService');
+
+class EscalationService {
+  constructor() {
+    this.emailService = new EmailService();
+    this.smsService = new SmsService();
+    this.interval = null;
+    this.checkIntervalMs = 60 * 1000; // 1 minute
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start the escalation scheduler
+   */
+  start() {
+    console.log(`[Escalation] 🚀 Starting escalation scheduler (check interval: ${this.checkIntervalMs / 1000}s)`);
+
+    // Catch up on tiers that came due while the server was down
+    this.processDueEscalations();
+
+    this.interval = setInterval(() => {
+      this.processDueEscalations();
+    }, this.checkIntervalMs);
+  }
+
+  /**
+   * Stop the escalation scheduler
+   */
+  stop() {
+    if (this.interval) {
+      console.log('[Escalation] 🛑 Stopping escalation scheduler...');
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Start an escalation chain for a trigger that raised a new incident.
+   * Tiers with delay_minutes 0 are notified immediately.
+   * @param {Object} alarm - Alarm configuration (must have escalation_policy_id)
+   * @param {Object} trigger - AlarmTrigger document
+   * @returns {Promise<Boolean>} false when the policy is missing/disabled (caller falls back to flat list)
+   */
+  async startEscalation(alarm, trigger) {
+    try {
+      const policy = await EscalationPolicy.findById(alarm.escalation_policy_id).lean();
+      if (!policy || !policy.enabled) {
+        console.warn(`[Escalation] ⚠️ Policy ${alarm.escalation_policy_id} for alarm '${alarm.name}' missing or disabled, using flat notification list`);
+        return false;
+      }
+
+      const tiers = [...policy.tiers].sort((a, b) => a.level - b.level);
+      await AlarmTrigger.updateOne(
+        { _id: trigger._id },
+        {
+          $set: {
+            escalation: {
+              policy_id: policy._id,
+              policy_name: policy.name,
+              state: 'active',
+              current_tier: 0,
+              next_tier_at: this.getTierDueAt(trigger.triggered_at, tiers[0]),
+              stopped_reason: null
+            }
+          }
+        }
+      );
+
+      console.log(`[Escalation] 📈 Escalation '${policy.name}' started for alarm '${alarm.name}' (${tiers.length} tier(s))`);
+
+      await this.advanceTrigger(trigger._id);
+      return true;
+    } catch (error) {
+      console.error('[Escalation] Error starting escalation:', error);
+      return false;
+    }
+  }
+
+  getTierDueAt(triggeredAt, tier) {
+    return new Date(new Date(triggeredAt).getTime() + (tier.delay_minutes || 0) * 60 * 1000);
+  }
+
+  /**
+   * Notify every tier that is due for all active escalations
+   */
+  async processDueEscalations() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const due = await AlarmTrigger.find({
+        'escalation.state': 'active',
+        'escalation.next_tier_at': { $lte: new Date() }
+      }).select('_id').lean();
+
+      for (const trigger of due) {
+        await this.advanceTrigger(trigger._id);
+      }
+    } catch (error) {
+      console.error('[Escalation] ❌ Error processing escalations:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Notify all tiers of a trigger that are due, stopping if the incident was handled
+   * @param {ObjectId} triggerId - AlarmTrigger carrying the escalation
+   */
+  async advanceTrigger(triggerId) {
+    let trigger = await AlarmTrigger.findById(triggerId).lean();
+
+    while (trigger && trigger.escalation?.state === 'active' && trigger.escalation.next_tier_at <= new Date()) {
+      const policy = await EscalationPolicy.findById(trigger.escalation.policy_id).lean();
+      if (!policy || !policy.enabled) {
+        await this.finishEscalation(trigger, 'stopped', 'Escalation policy removed or disabled');
+        return;
+      }
+
+      // Stop as soon as an operator has picked up the incident
+      if (trigger.incident_id) {
+        const incident = await AlarmIncident.findById(trigger.incident_id).select('state').lean();
+        if (!incident || incident.state !== 'raised') {
+          await this.finishEscalation(trigger, 'stopped', `Incident ${incident ? incident.state : 'deleted'}`);
+          return;
+        }
+      }
+
+      const tiers = [...policy.tiers].sort((a, b) => a.level - b.level);
+      const tierIndex = trigger.escalation.current_tier;
+      const tier = tiers[tierIndex];
+      if (!tier) {
+        await this.finishEscalation(trigger, 'completed', null);
+        return;
+      }
+
+      // Claim this tier atomically so parallel schedulers never notify it twice
+      const nextTier = tiers[tierIndex + 1];
+      const claimed = await AlarmTrigger.findOneAndUpdate(
+        { _id: trigger._id, 'escalation.state': 'active', 'escalation.current_tier': tierIndex },
+        {
+          $set: {
+            'escalation.current_tier': tierIndex + 1,
+            'escalation.next_tier_at': nextTier ? this.getTierDueAt(trigger.triggered_at, nextTier) : null,
+            'escalation.state': nextTier ? 'active' : 'completed'
+          }
+        },
+        { new: true }
+      ).lean();
+
+      if (!claimed) return;
+
+      await this.notifyTier(trigger, tier);
+      trigger = claimed;
+    }
+  }
+
+  async finishEscalation(trigger, state, reason) {
+    await AlarmTrigger.updateOne(
+      { _id: trigger._id },
+      { $set: { 'escalation.state': state, 'escalation.next_tier_at': null, 'escalation.stopped_reason': reason } }
+    );
+    console.log(`[Escalation] ⏹️ Escalation for '${trigger.alarm_name}' on ${trigger.device_name} ${state}${reason ? `: ${reason}` : ''}`);
+  }
+
+  /**
+   * Build alarm email/SMS data from a trigger record
+   */
+  buildAlarmData(trigger, tier) {
+    const values = trigger.triggered_values || {};
+    return {
+      alarmName: trigger.alarm_name,
+      deviceName: trigger.device_name,
+      parameter: trigger.alarm_config?.parameter || 'N/A',
+      severity: trigger.alarm_config?.severity || 'warning',
+      reason: tier.level > 1
+        ? `[Escalation tier ${tier.level}${tier.label ? ` - ${tier.label}` : ''}] ${trigger.trigger_reason}`
+        : trigger.trigger_reason,
+      timestamp: new Date(trigger.triggered_at).toLocaleString(),
+      device_params: {
+        ref_1: parseFloat(values.REF1 || 0),
+        ref_2: parseFloat(values.REF2 || 0),
+        ref_3: parseFloat(values.REF3 || 0),
+        dcv: parseFloat(values.DCV || 0),
+        dci: parseFloat(values.DCI || 0),
+        acv: parseFloat(values.ACV || 0),
+        event: values.EVENT || trigger.event_status || 'NORMAL'
+      }
+    };
+  }
+
+  /**
+   * Send one tier's notifications and log every attempt on the trigger
+   * @param {Object} trigger - AlarmTrigger (lean)
+   * @param {Object} tier - Escalation tier definition
+   */
+  async notifyTier(trigger, tier) {
+    const alarmData = this.buildAlarmData(trigger, tier);
+    const attempts = [];
+
+    console.log(`[Escalation] 📣 Notifying tier ${tier.level}${tier.label ? ` (${tier.label})` : ''} for '${trigger.alarm_name}' on ${trigger.device_name}`);
+
+    if ((tier.channels || []).includes('email')) {
+      for (const email of tier.email_ids || []) {
+        try {
+          const result = await this.emailService.sendEmail({
+            to: email,
+            subject: `🚨 ALARM${tier.level > 1 ? ` [ESCALATION ${tier.level}]` : ''}: ${trigger.alarm_name} - ${trigger.device_name}`,
+            template: 'alarm',
+            data: alarmData
+          });
+          attempts.push({ tier: tier.level, channel: 'email', recipient: email, status: 'SENT', message_id: result?.messageId || null });
+        } catch (error) {
+          attempts.push({ tier: tier.level, channel: 'email', recipient: email, status: 'FAILED', error: error.message });
+        }
+      }
+    }
+
+    if ((tier.channels || []).includes('sms')) {
+      const body = this.smsService.formatAlarmMessage(alarmData);
+      for (const number of tier.sms_numbers || []) {
+        try {
+          const result = await this.smsService.sendSMS({ to: number, body });
+          attempts.push({ tier: tier.level, channel: 'sms', recipient: number, status: 'SENT', message_id: result.messageId });
+        } catch (error) {
+          attempts.push({ tier: tier.level, channel: 'sms', recipient: number, status: 'FAILED', error: error.message });
+        }
+      }
+    }
+
+    await AlarmTrigger.logNotificationAttempts(trigger._id, attempts);
+
+    const sent = attempts.filter(a => a.status === 'SENT').length;
+    if (sent > 0) {
+      await AlarmTrigger.updateOne({ _id: trigger._id }, { $set: { notification_status: 'SENT' } });
+    } else if (attempts.length > 0 && trigger.notification_status !== 'SENT') {
+      await AlarmTrigger.updateOne({ _id: trigger._id }, { $set: { notification_status: 'FAILED' } });
+    }
+
+    console.log(`[Escalation] ✉️ Tier ${tier.level}: ${sent}/${attempts.length} notification(s) delivered`);
+    return attempts;
+  }
+}
+
+// Export singleton instance
+module.exports = new EscalationService();
@@ -1,6 +1,37 @@
 const ExcelJS = require('exceljs');
 const Telemetry = require('../models/telemetry');
 const Device = require('../models/Device');
+const cpSurveyService = require('./cpSurveyService');
+
+// Flush a finished sheet of a streaming WorkbookWriter to the file (in-memory worksheets have no commit)
+const commitSheet = (sheet) => {
+  if (typeof sheet.commit === 'function') sheet.commit();
+};
+
+// Columns of the report page UI (Excel sheet, CSV and columnar exports)
+const REPORT_COLUMNS = [
+  { header: 'Device ID', key: 'deviceId', width: 15 },
+  { header: 'Location', key: 'location', width: 30 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Log No', key: 'logNo', width: 12 },
+  { header: 'Timestamp', key: 'timestamp', width: 25 },
+  { header: 'Mode', key: 'event', width: 15 },
+  { header: 'ACV', key: 'acv', width: 12 },
+  { header: 'ACI', key: 'aci', width: 12 },
+  { header: 'DCV', key: 'dcv', width: 12 },
+  { header: 'DCI', key: 'dci', width: 12 },
+  { header: 'Ref 1', key: 'ref1', width: 12 },
+  { header: 'Ref 2', key: 'ref2', width: 12 },
+  { header: 'Ref 3', key: 'ref3', width: 12 },
+  { header: 'DI 1', key: 'di1', width: 12 },
+  { header: 'DI 2', key: 'di2', width: 12 },
+  { header: 'DI 3', key: 'di3', width: 12 },
+  { header: 'DI 4', key: 'di4', width: 12 },
+  { header: 'DO', key: 'do', width: 12 },
+  { header: 'Ref Status 1', key: 'ref1Status', width: 15 },
+  { header: 'Ref Status 2', key: 'ref2Status', width: 15 },
+  { header: 'Ref Status 3', key: 'ref3Status', width: 15 }
+];
 
 class ExcelExportService {
   /**
@@ -39,6 +70,319 @@ class ExcelExportService {
     return `${year}/${month}/${day}  ${hours}:${minutes}:${seconds}`;
   }
 
+  /**
+   * Telemetry query for the export filters (shared by all export formats)
+   * @param {Object} filters
+   * @param {String} filters.deviceId - Device ID (optional, all devices if not provided)
+   * @param {Date} filters.startDate - Start of the range (inclusive)
+   * @param {Date} filters.endDate - End of the range (inclusive)
+   * @param {Array} filters.modes - Event modes: NORMAL, DPOL, INT, INST (optional, all modes if empty)
+   */
+  static buildTelemetryQuery({ deviceId, startDate, endDate, modes = [] }) {
+    // Build query with proper date handling
+    const query = {
+      timestamp: {
+        $gte: startDate,
+        $lte: endDate
+      }
+    };
+
+    if (deviceId) {
+      query.deviceId = deviceId;
+    }
+
+    // Add event mode filter if provided
+    if (modes && modes.length > 0) {
+      const normalizedModes = modes.map(m => String(m).toUpperCase().trim());
+      const modeQueries = [];
+
+      // Map mode names to event values - includes all variations and substatus
+      if (normalizedModes.includes('NORMAL')) {
+        modeQueries.push({ event: { $in: [0, 'NORMAL', 'NORMAL_MODE', 'normal'] } });
+      }
+      if (normalizedModes.includes('DPOL')) {
+        // Include DEPOL as alternate spelling and also check with regex for variations
+        modeQueries.push({ $or: [
+          { event: { $in: [3, 'DPOL', 'DEPOL', 'DPOL_MODE'] } },
+          { event: { $regex: '^DPOL', $options: 'i' } }
+        ]});
+      }
+      if (normalizedModes.includes('INT')) {
+        // Include INT ON, INT OFF variations
+        modeQueries.push({ $or: [
+          { event: { $in: [1, 'INT', 'INTERRUPT', 'INT_MODE'] } },
+          { event: { $regex: '^INT', $options: 'i' } }  // Catches INT ON, INT OFF, etc.
+        ]});
+      }
+      if (normalizedModes.includes('INST')) {
+        // Include INST ON, INST OFF variations
+        modeQueries.push({ $or: [
+          { event: { $in: [4, 'INST', 'INSTANT', 'INST_MODE'] } },
+          { event: { $regex: '^INST', $options: 'i' } }  // Catches INST ON, INST OFF, etc.
+        ]});
+      }
+
+      // Use $or to match any of the selected modes
+      if (modeQueries.length > 0) {
+        query.$or = modeQueries;
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Get a field value from a telemetry record with multiple key variations
+   * Checks the top level of the record first, then the data fields (Map or plain object)
+   */
+  static getFieldValue(record, ...possibleKeys) {
+    // First check top level of record
+    for (const key of possibleKeys) {
+      if (record[key] !== undefined && record[key] !== null) {
+        return record[key];
+      }
+    }
+
+    // Then check inside data (where actual sensor data is stored)
+    if (record.data) {
+      const dataMap = record.data instanceof Map ? record.data : new Map(Object.entries(record.data));
+
+      // Try exact matches with the provided keys (case-insensitive)
+      for (const key of possibleKeys) {
+        // Try uppercase
+        const upperKey = key.toUpperCase();
+        if (dataMap.has(upperKey)) {
+          return dataMap.get(upperKey);
+        }
+        // Try the key as-is
+        if (dataMap.has(key)) {
+          return dataMap.get(key);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Telemetry record as a report row (REPORT_COLUMNS keys, same values as the report page UI)
+   */
+  static toReportRow(record) {
+    const getFieldValue = ExcelExportService.getFieldValue;
+
+    // Extract location - use geo-reversed location name if available
+    let locationDisplay = 'N/A';
+    const locationField = getFieldValue(record, 'location');
+
+    if (locationField) {
+      // If location is a JSON string (from geo-reverse), parse it
+      if (typeof locationField === 'string' && locationField.startsWith('{')) {
+        try {
+          const locObj = JSON.parse(locationField);
+          locationDisplay = locObj.city_name || locObj.display_name || locationField;
+        } catch (e) {
+          locationDisplay = locationField;
+        }
+      } else {
+        locationDisplay = locationField;
+      }
+    }
+
+    return {
+      deviceId: record.deviceId,
+      location: locationDisplay,
+      status: getFieldValue(record, 'status') || 'online',
+      logNo: getFieldValue(record, 'logNo', 'log', 'LOG') ?? '',
+      timestamp: ExcelExportService.formatDate(record.timestamp), // This will be set as text explicitly
+      event: record.event || 'NORMAL',
+      acv: getFieldValue(record, 'ACV', 'acv') ?? '',
+      aci: getFieldValue(record, 'ACI', 'aci') ?? '',
+      dcv: getFieldValue(record, 'DCV', 'dcv') ?? '',
+      dci: getFieldValue(record, 'DCI', 'dci') ?? '',
+      ref1: getFieldValue(record, 'REF1', 'ref1') ?? '',
+      ref2: getFieldValue(record, 'REF2', 'ref2') ?? '',
+      ref3: getFieldValue(record, 'REF3', 'ref3') ?? '',
+      di1: getFieldValue(record, 'DI1', 'di1', 'DIGITAL INPUT 1', 'Digital Input 1') ?? '',
+      di2: getFieldValue(record, 'DI2', 'di2', 'DIGITAL INPUT 2', 'Digital Input 2') ?? '',
+      di3: getFieldValue(record, 'DI3', 'di3', 'DIGITAL INPUT 3', 'Digital Input 3') ?? '',
+      di4: getFieldValue(record, 'DI4', 'di4', 'DIGITAL INPUT 4', 'Digital Input 4') ?? '',
+      do: getFieldValue(record, 'DO1', 'DO', 'do', 'DIGITAL OUTPUT', 'Digital Output') ?? '',
+      ref1Status: getFieldValue(record, 'REF1Status', 'ref1Status', 'REF1 STS', 'REF1STATUS') ?? '',
+      ref2Status: getFieldValue(record, 'REF2Status', 'ref2Status', 'REF2 STS', 'REF2STATUS') ?? '',
+      ref3Status: getFieldValue(record, 'REF3Status', 'ref3Status', 'REF3 STS', 'REF3STATUS') ?? ''
+    };
+  }
+
+  /**
+   * Style the header row of a report worksheet
+   */
+  static styleReportHeader(worksheet) {
+    const mainHeaderRow = worksheet.getRow(1);
+    mainHeaderRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+    mainHeaderRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: '366092' }
+    };
+    // Center align header
+    mainHeaderRow.eachCell((cell) => {
+      cell.alignment = {
+        horizontal: 'center',
+        vertical: 'middle',
+        wrapText: true
+      };
+    });
+  }
+
+  /**
+   * Add one telemetry frame to a report worksheet (in-memory or streaming)
+   * @returns {ExcelJS.Row} The added row
+   */
+  static addReportRow(worksheet, record) {
+    const excelRow = worksheet.addRow(ExcelExportService.toReportRow(record));
+
+    // Center align all data cells for better readability
+    excelRow.eachCell((cell, colNumber) => {
+      cell.alignment = {
+        horizontal: 'center',
+        vertical: 'middle',
+        wrapText: false
+      };
+
+      // CRITICAL: Set timestamp column as TEXT to prevent Excel auto-formatting
+      // Column 5 = Timestamp (Device ID, Location, Status, Log No, Timestamp)
+      if (colNumber === 5) {
+        // Force as text to preserve "YYYY/MM/DD  HH:MM:SS" format
+        cell.dataType = 'string'; // ExcelJS dataType for text
+        cell.numFmt = '@'; // Excel format code for text
+        // Also set the value directly to ensure it's a string
+        cell.value = String(cell.value);
+      }
+    });
+
+    return excelRow;
+  }
+
+  /**
+   * Count a frame in the summary's event counters ({ normal, dpol, int, inst })
+   */
+  static countEvent(eventCounts, record) {
+    const evt = String(record.event || '').toUpperCase().trim();
+    const eventNum = Number(record.event);
+
+    if (eventNum === 0 || evt === 'NORMAL' || evt.startsWith('NORMAL')) eventCounts.normal++;
+    else if (eventNum === 3 || evt === 'DPOL' || evt === 'DEPOL') eventCounts.dpol++;
+    else if (eventNum === 1 || evt === 'INT' || evt === 'INTERRUPT') eventCounts.int++;
+    else if (eventNum === 4 || evt === 'INST' || evt === 'INSTANT') eventCounts.inst++;
+  }
+
+  /**
+   * Add the summary worksheet (totals, event counts, records per device)
+   */
+  static addSummarySheet(workbook, { startDate, endDate, recordCount, deviceCounts, eventCounts }) {
+    const summarySheet = workbook.addWorksheet('Summary');
+
+    summarySheet.columns = [
+      { header: 'Metric', key: 'metric', width: 25 },
+      { header: 'Value', key: 'value', width: 20 }
+    ];
+
+    summarySheet.getRow(1).font = { bold: true };
+
+    // addRow rather than addRows: streaming worksheets only support addRow
+    [
+      { metric: 'Export Date', value: new Date().toISOString() },
+      { metric: 'Date Range', value: `${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}` },
+      { metric: 'Total Records', value: recordCount },
+      { metric: 'Unique Devices', value: Object.keys(deviceCounts).length },
+      { metric: 'NORMAL Events', value: eventCounts.normal },
+      { metric: 'DPOL Events', value: eventCounts.dpol },
+      { metric: 'INT Events', value: eventCounts.int },
+      { metric: 'INST Events', value: eventCounts.inst }
+    ].forEach(row => summarySheet.addRow(row));
+
+    summarySheet.addRow({ metric: '', value: '' });
+    summarySheet.addRow({ metric: 'Records per Device:', value: '' });
+
+    Object.entries(deviceCounts).forEach(([deviceId, count]) => {
+      summarySheet.addRow({ metric: `  ${deviceId}`, value: count });
+    });
+
+    return summarySheet;
+  }
+
+  /**
+   * Survey analysis sheets when the export covers INT / DPOL frames
+   * (extras - never fail the export because of them). The analyses run one device at a time
+   * and each device's rows are written as it is analysed, so with a streaming WorkbookWriter
+   * only one device's frames are in memory.
+   * @param {Function} onDevice - Called after each analysed device (background jobs renew their lease)
+   * @returns {Promise<{surveyCycles: Number, dpolSessions: Number}>}
+   */
+  static async addAnalysisSheets(workbook, { deviceId, startDate, endDate, modes = [], includeSurvey = true }, { onDevice = null } = {}) {
+    const exportedModes = modes.map(m => String(m).toUpperCase().trim());
+    let surveyCycles = 0;
+    let dpolSessions = 0;
+    if (includeSurvey && (exportedModes.length === 0 || exportedModes.includes('INT'))) {
+      try {
+        let sheet = null;
+        const summaries = [];
+        const analysis = await cpSurveyService.analyzeInterruptedSurvey({
+          deviceId,
+          startDate,
+          endDate,
+          onDevice: async (device) => {
+            if (device.cycleCount > 0) {
+              sheet = sheet || ExcelExportService.addInterruptedSurveySheet(workbook);
+              ExcelExportService.addInterruptedSurveyRows(sheet, device);
+            }
+            // Only the per-reference summary is kept for the summary sheet
+            const { cycles, ...summary } = device;
+            summaries.push(summary);
+            if (onDevice) await onDevice(device);
+          }
+        });
+        if (sheet) {
+          commitSheet(sheet);
+          commitSheet(ExcelExportService.addInterruptedSurveySummarySheet(workbook, summaries));
+          surveyCycles = analysis.cycleCount;
+          console.log(`✅ INT Survey sheet added: ${analysis.cycleCount} cycle(s) from ${analysis.deviceCount} device(s)`);
+        }
+      } catch (surveyError) {
+        console.error('⚠️ Interrupted survey sheet skipped:', surveyError.message);
+      }
+    }
+    if (includeSurvey && (exportedModes.length === 0 || exportedModes.includes('DPOL'))) {
+      try {
+        let sheet = null;
+        const analysis = await cpSurveyService.analyzeDepolarization({
+          deviceId,
+          startDate,
+          endDate,
+          onDevice: async (device) => {
+            if (device.sessionCount > 0) {
+              sheet = sheet || ExcelExportService.addDepolarizationSheet(workbook);
+              ExcelExportService.addDepolarizationRows(sheet, device);
+            }
+            if (onDevice) await onDevice(device);
+          }
+        });
+        if (sheet) {
+          sheet.addRow({}).commit();
+          const criterionRow = sheet.addRow({ deviceId: 'Criterion', electrode: `${analysis.criteria.minDepolarizationMv} mV depolarization` });
+          criterionRow.font = { bold: true };
+          criterionRow.commit();
+          commitSheet(sheet);
+          dpolSessions = analysis.sessionCount;
+          console.log(`✅ DPOL Decay sheet added: ${analysis.sessionCount} session(s), ${analysis.failedSessions} failed`);
+        }
+      } catch (dpolError) {
+        console.error('⚠️ DPOL decay sheet skipped:', dpolError.message);
+      }
+    }
+    return { surveyCycles, dpolSessions };
+  }
+
   /**
    * Export telemetry data to Excel - Matches report page UI exactly
    * Main telemetry sheet + separate sheets for each event type
@@ -56,57 +400,11 @@ class ExcelExportService {
         endDate = new Date(),
         filename = `telemetry_export_${new Date().toISOString().split('T')[0]}.xlsx`,
         modes = [], // Event mode filter: NORMAL, DPOL, INT, INST
-        maxRecords = 10000 // Increased to 10000 since filtered data is smaller
+        maxRecords = 10000, // Increased to 10000 since filtered data is smaller
+        includeSurvey = true // Add the "INT Survey" / "DPOL Decay" analysis sheets when INT / DPOL frames are exported
       } = options;
 
-      // Build query with proper date handling
-      const query = {
-        timestamp: {
-          $gte: startDate,
-          $lte: endDate
-        }
-      };
-
-      if (deviceId) {
-        query.deviceId = deviceId;
-      }
-
-      // Add event mode filter if provided
-      if (modes && modes.length > 0) {
-        const normalizedModes = modes.map(m => String(m).toUpperCase().trim());
-        const modeQueries = [];
-        
-        // Map mode names to event values - includes all variations and substatus
-        if (normalizedModes.includes('NORMAL')) {
-          modeQueries.push({ event: { $in: [0, 'NORMAL', 'NORMAL_MODE', 'normal'] } });
-        }
-        if (normalizedModes.includes('DPOL')) {
-          // Include DEPOL as alternate spelling and also check with regex for variations
-          modeQueries.push({ $or: [
-            { event: { $in: [3, 'DPOL', 'DEPOL', 'DPOL_MODE'] } },
-            { event: { $regex: '^DPOL', $options: 'i' } }
-          ]});
-        }
-        if (normalizedModes.includes('INT')) {
-          // Include INT ON, INT OFF variations
-          modeQueries.push({ $or: [
-            { event: { $in: [1, 'INT', 'INTERRUPT', 'INT_MODE'] } },
-            { event: { $regex: '^INT', $options: 'i' } }  // Catches INT ON, INT OFF, etc.
-          ]});
-        }
-        if (normalizedModes.includes('INST')) {
-          // Include INST ON, INST OFF variations  
-          modeQueries.push({ $or: [
-            { event: { $in: [4, 'INST', 'INSTANT', 'INST_MODE'] } },
-            { event: { $regex: '^INST', $options: 'i' } }  // Catches INST ON, INST OFF, etc.
-          ]});
-        }
-
-        // Use $or to match any of the selected modes
-        if (modeQueries.length > 0) {
-          query.$or = modeQueries;
-        }
-      }
+      const query = ExcelExportService.buildTelemetryQuery({ deviceId, startDate, endDate, modes });
 
       console.log('📊 Exporting telemetry data with query:', {
         dateRange: {
@@ -282,147 +580,19 @@ class ExcelExportService {
       ]);
 
       // Define columns matching the report UI exactly
-      const baseColumns = [
-        { header: 'Device ID', key: 'deviceId', width: 15 },
-        { header: 'Location', key: 'location', width: 30 },
-        { header: 'Status', key: 'status', width: 12 },
-        { header: 'Log No', key: 'logNo', width: 12 },
-        { header: 'Timestamp', key: 'timestamp', width: 25 },
-        { header: 'Mode', key: 'event', width: 15 },
-        { header: 'ACV', key: 'acv', width: 12 },
-        { header: 'ACI', key: 'aci', width: 12 },
-        { header: 'DCV', key: 'dcv', width: 12 },
-        { header: 'DCI', key: 'dci', width: 12 },
-        { header: 'Ref 1', key: 'ref1', width: 12 },
-        { header: 'Ref 2', key: 'ref2', width: 12 },
-        { header: 'Ref 3', key: 'ref3', width: 12 },
-        { header: 'DI 1', key: 'di1', width: 12 },
-        { header: 'DI 2', key: 'di2', width: 12 },
-        { header: 'DI 3', key: 'di3', width: 12 },
-        { header: 'DI 4', key: 'di4', width: 12 },
-        { header: 'DO', key: 'do', width: 12 },
-        { header: 'Ref Status 1', key: 'ref1Status', width: 15 },
-        { header: 'Ref Status 2', key: 'ref2Status', width: 15 },
-        { header: 'Ref Status 3', key: 'ref3Status', width: 15 }
-      ];
+      const baseColumns = REPORT_COLUMNS.map(column => ({ ...column }));
 
       worksheet.columns = baseColumns;
 
       console.log(`📋 Columns configured: ${baseColumns.length} columns matching report UI`);
 
-      // Style the header row
-      const mainHeaderRow = worksheet.getRow(1);
-      mainHeaderRow.font = { bold: true, color: { argb: 'FFFFFF' } };
-      mainHeaderRow.fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: '366092' }
-      };
-      // Center align header
-      mainHeaderRow.eachCell((cell) => {
-        cell.alignment = {
-          horizontal: 'center',
-          vertical: 'middle',
-          wrapText: true
-        };
-      });
-
-      // Helper function to get field value with multiple key variations
-      const getFieldValue = (record, ...possibleKeys) => {
-        // First check top level of record
-        for (const key of possibleKeys) {
-          if (record[key] !== undefined && record[key] !== null) {
-            return record[key];
-          }
-        }
-        
-        // Then check inside data Map (where actual sensor data is stored)
-        if (record.data) {
-          const dataMap = record.data;
-          
-          // Try exact matches with the provided keys (case-insensitive)
-          for (const key of possibleKeys) {
-            // Try uppercase
-            const upperKey = key.toUpperCase();
-            if (dataMap.has(upperKey)) {
-              return dataMap.get(upperKey);
-            }
-            // Try the key as-is
-            if (dataMap.has(key)) {
-              return dataMap.get(key);
-            }
-          }
-        }
-        
-        return null;
-      };
+      ExcelExportService.styleReportHeader(worksheet);
 
       // Add data rows
       try {
         telemetryData.forEach((record, index) => {
-          // Extract location - use geo-reversed location name if available
-          let locationDisplay = 'N/A';
-          const locationField = getFieldValue(record, 'location');
-          
-          if (locationField) {
-            // If location is a JSON string (from geo-reverse), parse it
-            if (typeof locationField === 'string' && locationField.startsWith('{')) {
-              try {
-                const locObj = JSON.parse(locationField);
-                locationDisplay = locObj.city_name || locObj.display_name || locationField;
-              } catch (e) {
-                locationDisplay = locationField;
-              }
-            } else {
-              locationDisplay = locationField;
-            }
-          }
+          ExcelExportService.addReportRow(worksheet, record);
 
-          const row = {
-            deviceId: record.deviceId,
-            location: locationDisplay,
-            status: getFieldValue(record, 'status') || 'online',
-            logNo: getFieldValue(record, 'logNo', 'log', 'LOG') || '',
-            timestamp: ExcelExportService.formatDate(record.timestamp), // This will be set as text explicitly
-            event: record.event || 'NORMAL',
-            acv: getFieldValue(record, 'ACV', 'acv') || '',
-            aci: getFieldValue(record, 'ACI', 'aci') || '',
-            dcv: getFieldValue(record, 'DCV', 'dcv') || '',
-            dci: getFieldValue(record, 'DCI', 'dci') || '',
-            ref1: getFieldValue(record, 'REF1', 'ref1') || '',
-            ref2: getFieldValue(record, 'REF2', 'ref2') || '',
-            ref3: getFieldValue(record, 'REF3', 'ref3') || '',
-            di1: getFieldValue(record, 'DI1', 'di1', 'DIGITAL INPUT 1', 'Digital Input 1') || '',
-            di2: getFieldValue(record, 'DI2', 'di2', 'DIGITAL INPUT 2', 'Digital Input 2') || '',
-            di3: getFieldValue(record, 'DI3', 'di3', 'DIGITAL INPUT 3', 'Digital Input 3') || '',
-            di4: getFieldValue(record, 'DI4', 'di4', 'DIGITAL INPUT 4', 'Digital Input 4') || '',
-            do: getFieldValue(record, 'DO', 'do', 'DIGITAL OUTPUT', 'Digital Output') || '',
-            ref1Status: getFieldValue(record, 'REF1Status', 'ref1Status', 'REF1 STS', 'REF1STATUS') || '',
-            ref2Status: getFieldValue(record, 'REF2Status', 'ref2Status', 'REF2 STS', 'REF2STATUS') || '',
-            ref3Status: getFieldValue(record, 'REF3Status', 'ref3Status', 'REF3 STS', 'REF3STATUS') || ''
-          };
-
-          const excelRow = worksheet.addRow(row);
-
-          // Center align all data cells for better readability
-          excelRow.eachCell((cell, colNumber) => {
-            cell.alignment = {
-              horizontal: 'center',
-              vertical: 'middle',
-              wrapText: false
-            };
-            
-            // CRITICAL: Set timestamp column as TEXT to prevent Excel auto-formatting
-            // Column 5 = Timestamp (Device ID, Location, Status, Log No, Timestamp)
-            if (colNumber === 5) {
-              // Force as text to preserve "YYYY/MM/DD  HH:MM:SS" format
-              cell.dataType = 'string'; // ExcelJS dataType for text
-              cell.numFmt = '@'; // Excel format code for text
-              // Also set the value directly to ensure it's a string
-              cell.value = String(cell.value);
-            }
-          });
-          
           // Log progress every 500 rows
           if ((index + 1) % 500 === 0) {
             console.log(`   Added ${index + 1} rows to worksheet...`);
@@ -450,54 +620,30 @@ class ExcelExportService {
       // Event statistics are still tracked and shown in Summary sheet
       console.log('ℹ️  Event-specific worksheets disabled for performance. Summary sheet includes event type counts.');
 
-      let eventCounts = {
-        normal: 0,
-        dpol: 0,
-        int: 0,
-        inst: 0
-      };
+      const eventCounts = { normal: 0, dpol: 0, int: 0, inst: 0 };
+      const deviceCounts = {};
 
-      // Count events in main data during single pass
+      // Count events and records per device in a single pass
       telemetryData.forEach(record => {
-        const evt = String(record.event || '').toUpperCase().trim();
-        const eventNum = Number(record.event);
-        
-        if (eventNum === 0 || evt === 'NORMAL' || evt.startsWith('NORMAL')) eventCounts.normal++;
-        else if (eventNum === 3 || evt === 'DPOL' || evt === 'DEPOL') eventCounts.dpol++;
-        else if (eventNum === 1 || evt === 'INT' || evt === 'INTERRUPT') eventCounts.int++;
-        else if (eventNum === 4 || evt === 'INST' || evt === 'INSTANT') eventCounts.inst++;
+        ExcelExportService.countEvent(eventCounts, record);
+        deviceCounts[record.deviceId] = (deviceCounts[record.deviceId] || 0) + 1;
       });
 
       // Add summary worksheet
-      const summarySheet = workbook.addWorksheet('Summary');
-      const deviceCounts = {};
-      telemetryData.forEach(record => {
-        deviceCounts[record.deviceId] = (deviceCounts[record.deviceId] || 0) + 1;
+      ExcelExportService.addSummarySheet(workbook, {
+        startDate,
+        endDate,
+        recordCount: telemetryData.length,
+        deviceCounts,
+        eventCounts
       });
 
-      summarySheet.columns = [
-        { header: 'Metric', key: 'metric', width: 25 },
-        { header: 'Value', key: 'value', width: 20 }
-      ];
-
-      summarySheet.getRow(1).font = { bold: true };
-
-      summarySheet.addRows([
-        { metric: 'Export Date', value: new Date().toISOString() },
-        { metric: 'Date Range', value: `${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}` },
-        { metric: 'Total Records', value: telemetryData.length },
-        { metric: 'Unique Devices', value: Object.keys(deviceCounts).length },
-        { metric: 'NORMAL Events', value: eventCounts.normal },
-        { metric: 'DPOL Events', value: eventCounts.dpol },
-        { metric: 'INT Events', value: eventCounts.int },
-        { metric: 'INST Events', value: eventCounts.inst }
-      ]);
-
-      summarySheet.addRow({ metric: '', value: '' });
-      summarySheet.addRow({ metric: 'Records per Device:', value: '' });
-      
-      Object.entries(deviceCounts).forEach(([deviceId, count]) => {
-        summarySheet.addRow({ metric: `  ${deviceId}`, value: count });
+      const { surveyCycles, dpolSessions } = await ExcelExportService.addAnalysisSheets(workbook, {
+        deviceId,
+        startDate,
+        endDate,
+        modes,
+        includeSurvey
       });
 
       console.log('✅ Workbook creation complete');
@@ -507,7 +653,9 @@ class ExcelExportService {
         filename,
         recordCount: telemetryData.length,
         devices: Object.keys(deviceCounts).length,
-        eventCounts: eventCounts
+        eventCounts: eventCounts,
+        surveyCycles,
+        dpolSessions
       };
 
     } catch (error) {
@@ -516,6 +664,309 @@ class ExcelExportService {
     }
   }
 
+  /**
+   * Add the interrupted-survey sheet; rows are added per device with addInterruptedSurveyRows()
+   * @param {ExcelJS.Workbook} workbook
+   * @returns {ExcelJS.Worksheet}
+   */
+  static addInterruptedSurveySheet(workbook) {
+    const sheet = workbook.addWorksheet('INT Survey', {
+      pageSetup: { paperSize: 9, orientation: 'landscape' }
+    });
+
+    sheet.columns = [
+      { header: 'Device ID', key: 'deviceId', width: 15 },
+      { header: 'Electrode', key: 'electrode', width: 12 },
+      { header: 'ON Timestamp', key: 'onAt', width: 25 },
+      { header: 'OFF Timestamp', key: 'offAt', width: 25 },
+      { header: 'Reference', key: 'reference', width: 11 },
+      { header: 'On-Potential (mV)', key: 'onMv', width: 18 },
+      { header: 'Instant-Off (mV)', key: 'instantOffMv', width: 17 },
+      { header: 'IR Drop (mV)', key: 'irDropMv', width: 14 },
+      { header: 'Native (mV)', key: 'nativeMv', width: 13 },
+      { header: 'Shift (mV)', key: 'shiftMv', width: 12 },
+      { header: 'Instant-Off Limit (mV)', key: 'limitMv', width: 21 },
+      { header: 'Meets Instant-Off', key: 'meetsInstantOff', width: 17 },
+      { header: 'Meets Shift', key: 'meetsShift', width: 13 },
+      { header: 'Protected', key: 'protected', width: 12 }
+    ];
+
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '366092' } };
+    headerRow.eachCell((cell) => {
+      cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+    });
+
+    return sheet;
+  }
+
+  /**
+   * One row per interruption cycle and reference electrode of a device
+   * @param {ExcelJS.Worksheet} sheet - addInterruptedSurveySheet() result
+   * @param {Object} device - device entry of cpSurveyService.analyzeInterruptedSurvey()
+   */
+  static addInterruptedSurveyRows(sheet, device) {
+    const yesNo = (value) => (value === null || value === undefined ? 'N/A' : (value ? 'YES' : 'NO'));
+
+    (device.cycles || []).forEach(cycle => {
+      Object.entries(cycle.references).forEach(([reference, reading]) => {
+        const row = sheet.addRow({
+          deviceId: device.deviceId,
+          electrode: device.electrodeName || device.electrode,
+          onAt: ExcelExportService.formatDate(cycle.onAt),
+          offAt: ExcelExportService.formatDate(cycle.offAt),
+          reference,
+          onMv: reading.onMv,
+          instantOffMv: reading.instantOffMv,
+          irDropMv: reading.irDropMv,
+          nativeMv: reading.nativeMv ?? '',
+          shiftMv: reading.shiftMv ?? '',
+          limitMv: device.criteria.instantOffLimitMv ?? '',
+          meetsInstantOff: yesNo(reading.meetsInstantOff),
+          meetsShift: yesNo(reading.meetsShift),
+          protected: yesNo(reading.protected)
+        });
+        row.eachCell((cell) => {
+          cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: false };
+        });
+        if (reading.protected === false) {
+          row.getCell('protected').font = { bold: true, color: { argb: 'C00000' } };
+        }
+        row.commit();
+      });
+    });
+  }
+
+  /**
+   * Add the interrupted-survey summary sheet: one row per device and reference electrode
+   * @param {ExcelJS.Workbook} workbook
+   * @param {Array} devices - device entries of cpSurveyService.analyzeInterruptedSurvey() (cycles not needed)
+   * @returns {ExcelJS.Worksheet}
+   */
+  static addInterruptedSurveySummarySheet(workbook, devices) {
+    const summarySheet = workbook.addWorksheet('INT Survey Summary', {
+      pageSetup: { paperSize: 9, orientation: 'landscape' }
+    });
+
+    summarySheet.columns = [
+      { header: 'Device ID', key: 'deviceId', width: 15 },
+      { header: 'Electrode', key: 'electrode', width: 12 },
+      { header: 'Reference', key: 'reference', width: 11 },
+      { header: 'Cycles', key: 'cycles', width: 10 },
+      { header: 'Protected Rate', key: 'protectedRate', width: 15 },
+      { header: 'Avg IR Drop (mV)', key: 'avgIrDropMv', width: 17 },
+      { header: 'Min Instant-Off (mV)', key: 'minInstantOffMv', width: 20 },
+      { header: 'Max Instant-Off (mV)', key: 'maxInstantOffMv', width: 20 },
+      { header: 'Native Source', key: 'nativeSource', width: 15 }
+    ];
+
+    const summaryHeaderRow = summarySheet.getRow(1);
+    summaryHeaderRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+    summaryHeaderRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '366092' } };
+    summaryHeaderRow.eachCell((cell) => {
+      cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+    });
+
+    devices.forEach(device => {
+      Object.entries(device.summary).forEach(([reference, summary]) => {
+        const row = summarySheet.addRow({
+          deviceId: device.deviceId,
+          electrode: device.electrodeName || device.electrode,
+          reference,
+          cycles: summary.cycles,
+          protectedRate: summary.protectedRate !== null ? `${Math.round(summary.protectedRate * 100)}%` : 'N/A',
+          avgIrDropMv: summary.avgIrDropMv,
+          minInstantOffMv: summary.minInstantOffMv,
+          maxInstantOffMv: summary.maxInstantOffMv,
+          nativeSource: device.criteria.nativeSource || 'none'
+        });
+        row.eachCell((cell) => {
+          cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: false };
+        });
+      });
+    });
+
+    return summarySheet;
+  }
+
+  /**
+   * Add the depolarization sheet; rows are added per device with addDepolarizationRows()
+   * @param {ExcelJS.Workbook} workbook
+   * @returns {ExcelJS.Worksheet}
+   */
+  static addDepolarizationSheet(workbook) {
+    const sheet = workbook.addWorksheet('DPOL Decay', {
+      pageSetup: { paperSize: 9, orientation: 'landscape' }
+    });
+
+    sheet.columns = [
+      { header: 'Device ID', key: 'deviceId', width: 15 },
+      { header: 'Electrode', key: 'electrode', width: 12 },
+      { header: 'Start', key: 'startedAt', width: 25 },
+      { header: 'End', key: 'endedAt', width: 25 },
+      { header: 'Duration (min)', key: 'durationMinutes', width: 15 },
+      { header: 'Reference', key: 'reference', width: 11 },
+      { header: 'Instant-Off (mV)', key: 'startMv', width: 17 },
+      { header: 'Final (mV)', key: 'endMv', width: 12 },
+      { header: 'Depolarization (mV)', key: 'depolarizationMv', width: 20 },
+      { header: 'Time to Criterion (min)', key: 'minutesToCriterion', width: 22 },
+      { header: 'Fitted Final (mV)', key: 'fitFinalMv', width: 17 },
+      { header: 'Time Constant (min)', key: 'timeConstant', width: 19 },
+      { header: 'Fit R²', key: 'r2', width: 9 },
+      { header: 'Projected (mV)', key: 'projectedMv', width: 15 },
+      { header: 'Result', key: 'result', width: 12 }
+    ];
+
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '366092' } };
+    headerRow.eachCell((cell) => {
+      cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+    });
+
+    return sheet;
+  }
+
+  /**
+   * One row per DPOL session and reference electrode of a device
+   * @param {ExcelJS.Worksheet} sheet - addDepolarizationSheet() result
+   * @param {Object} device - device entry of cpSurveyService.analyzeDepolarization()
+   */
+  static addDepolarizationRows(sheet, device) {
+    device.sessions.forEach(session => {
+      Object.entries(session.references).forEach(([reference, decay]) => {
+        const row = sheet.addRow({
+          deviceId: device.deviceId,
+          electrode: device.electrodeName || device.electrode,
+          startedAt: ExcelExportService.formatDate(session.startedAt),
+          endedAt: ExcelExportService.formatDate(session.endedAt),
+          durationMinutes: session.durationMinutes,
+          reference,
+          startMv: decay.startMv,
+          endMv: decay.endMv,
+          depolarizationMv: decay.depolarizationMv,
+          minutesToCriterion: decay.minutesToCriterion ?? 'Not reached',
+          fitFinalMv: decay.fit ? decay.fit.finalMv : '',
+          timeConstant: decay.fit ? decay.fit.timeConstantMinutes : '',
+          r2: decay.fit && decay.fit.r2 !== null ? decay.fit.r2 : '',
+          projectedMv: decay.projectedDepolarizationMv ?? '',
+          result: decay.meetsCriterion ? 'PASS' : 'FAIL'
+        });
+        row.eachCell((cell) => {
+          cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: false };
+        });
+        if (!decay.meetsCriterion) {
+          row.getCell('result').font = { bold: true, color: { argb: 'C00000' } };
+        }
+        row.commit();
+      });
+    });
+  }
+
+  /**
+   * Add the availability sheet: one row per device, then per zone and the fleet total
+   * @param {ExcelJS.Workbook} workbook
+   * @param {Object} report - availabilityService.getReport() result
+   * @returns {number} Number of device rows written
+   */
+  static addAvailabilitySheet(workbook, report) {
+    const sheet = workbook.addWorksheet('Availability', {
+      pageSetup: { paperSize: 9, orientation: 'landscape' }
+    });
+
+    sheet.columns = [
+      { header: 'Device / Zone', key: 'name', width: 22 },
+      { header: 'Device Name', key: 'deviceName', width: 22 },
+      { header: 'Zone', key: 'zone', width: 18 },
+      { header: 'Source', key: 'source', width: 15 },
+      { header: 'Interval (s)', key: 'interval', width: 12 },
+      { header: 'Uptime (%)', key: 'uptimePercent', width: 12 },
+      { header: 'Downtime (h)', key: 'downtimeHours', width: 13 },
+      { header: 'Outages', key: 'outages', width: 10 },
+      { header: 'MTTR (min)', key: 'mttrMinutes', width: 12 },
+      { header: 'Longest Gap (h)', key: 'longestGapHours', width: 16 },
+      { header: 'Longest Gap From', key: 'longestGapFrom', width: 22 },
+      { header: 'Longest Gap To', key: 'longestGapTo', width: 22 },
+      { header: 'Frames', key: 'frames', width: 10 },
+      { header: 'Result', key: 'result', width: 12 }
+    ];
+
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '366092' } };
+    headerRow.eachCell((cell) => {
+      cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+    });
+
+    const hours = (ms) => (ms === null || ms === undefined ? '' : Math.round((ms / 3600000) * 100) / 100);
+    const minutes = (ms) => (ms === null || ms === undefined ? '' : Math.round((ms / 60000) * 10) / 10);
+    const result = (item) => {
+      if (item.meetsTarget === null || item.meetsTarget === undefined) return item.ongoingOutage ? 'Offline' : '';
+      return item.meetsTarget ? 'PASS' : 'FAIL';
+    };
+    const addRow = (values, item) => {
+      const row = sheet.addRow(values);
+      row.eachCell((cell) => {
+        cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: false };
+      });
+      if (item.meetsTarget === false) {
+        row.getCell('result').font = { bold: true, color: { argb: 'C00000' } };
+      }
+      return row;
+    };
+
+    report.devices.forEach(device => {
+      addRow({
+        name: device.deviceId,
+        deviceName: device.deviceName || '',
+        zone: device.zoneName || '',
+        source: device.source === 'status_history' ? 'Status history' : 'Frame gaps',
+        interval: device.expectedIntervalSeconds ?? '',
+        uptimePercent: device.uptimePercent ?? '',
+        downtimeHours: hours(device.downtimeMs),
+        outages: device.outages,
+        mttrMinutes: minutes(device.mttrMs),
+        longestGapHours: hours(device.longestGapMs),
+        longestGapFrom: device.longestGap.from ? ExcelExportService.formatDate(device.longestGap.from) : '',
+        longestGapTo: device.longestGap.to ? ExcelExportService.formatDate(device.longestGap.to) : '',
+        frames: device.frames,
+        result: result(device)
+      }, device);
+    });
+
+    const addSummaryRow = (name, summary) => addRow({
+      name,
+      deviceName: `${summary.devices} device(s)`,
+      uptimePercent: summary.uptimePercent ?? '',
+      downtimeHours: hours(summary.downtimeMs),
+      outages: summary.outages,
+      mttrMinutes: minutes(summary.mttrMs),
+      longestGapHours: hours(summary.longestGapMs),
+      longestGapFrom: summary.longestGapDeviceId || '',
+      result: result(summary)
+    }, summary);
+
+    sheet.addRow({});
+    const zoneHeader = sheet.addRow({ name: 'Zones' });
+    zoneHeader.font = { bold: true };
+    report.zones.forEach(zone => addSummaryRow(zone.zoneName, zone));
+    addSummaryRow('Fleet', report.fleet).font = { bold: true };
+
+    sheet.addRow({});
+    sheet.addRow({
+      name: 'Period',
+      deviceName: `${ExcelExportService.formatDate(report.startDate)} to ${ExcelExportService.formatDate(report.endDate)}`
+    }).font = { bold: true };
+    sheet.addRow({ name: 'Downtime', deviceName: report.criteria.downtime });
+    if (report.criteria.targetPercent !== null && report.criteria.targetPercent !== undefined) {
+      sheet.addRow({ name: 'Target', deviceName: `${report.criteria.targetPercent}% uptime` });
+    }
+
+    console.log(`✅ Availability sheet added: ${report.devices.length} device(s), fleet uptime ${report.fleet.uptimePercent}%`);
+    return report.devices.length;
+  }
+
   /**
    * Save Excel workbook to file
    */
@@ -592,4 +1043,6 @@ class ExcelExportService {
   }
 }
 
+ExcelExportService.REPORT_COLUMNS = REPORT_COLUMNS;
+
 module.exports = ExcelExportService;
\ No newline at end of file
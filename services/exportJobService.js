@@ -0,0 +1,458 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { v4: uuidv4 } = require('uuid');
+const ExportJob = require('../models/ExportJob');
+const Telemetry = require('../models/telemetry');
+const ExcelExportService = require('./excelExportService');
+const configVersionService = require('./configVersionService');
+
+/**
+ * Export Job Service
+ * Runs Excel exports in the background so they are not bound by the 29 s request timeout
+ * or the in-memory maxRecords cap of GET /export/telemetry/excel. A job reads the
+ * filtered telemetry from a MongoDB cursor and writes it row by row with ExcelJS's
+ * streaming WorkbookWriter, so memory stays flat however many rows are exported. The
+ * workbook has the same sheets as the direct export (Telemetry Data, Summary, INT Survey,
+ * DPOL Decay); the survey analyses hold one device's INT / DPOL frames at a time.
+ *
+ * Jobs live in MongoDB and are claimed with a lease (lockedBy/lockedUntil), so only one
+ * PM2 worker writes each job and a job orphaned by a crash is retried. Finished files are
+ * kept for EXPORT_JOB_TTL_MIN minutes, then deleted and the job is marked expired.
+ * With instances on separate hosts EXPORT_JOB_DIR must be shared storage.
+ *
+ * Socket.IO: exportJobUpdate { jobId, status, progress, filename, expiresAt, error, createdBy },
+ * sent to the creator's room and the admin room only (see socketService.joinUserRooms)
+ *
+ * Configuration (env):
+ *   EXPORT_JOB_DIR          - where finished workbooks are written (default ./exports/jobs)
+ *   EXPORT_JOB_TTL_MIN      - how long a finished file can be downloaded (default 60)
+ *   EXPORT_JOB_TICK_MS      - how often queued jobs and expired files are checked (default 10000)
+ */
+
+const MAX_ATTEMPTS = 2;
+
+class ExportJobService {
+  constructor() {
+    this.directory = process.env.EXPORT_JOB_DIR || path.join('.', 'exports', 'jobs');
+    this.ttlMs = (parseInt(process.env.EXPORT_JOB_TTL_MIN) || 60) * 60 * 1000;
+    this.tickMs = parseInt(process.env.EXPORT_JOB_TICK_MS) || 10 * 1000;
+    this.leaseMs = 5 * 60 * 1000;
+    this.progressEvery = 1000; // rows between progress updates (and lease renewals)
+    this.cursorBatchSize = parseInt(process.env.EXPORT_CURSOR_BATCH_SIZE) || 1000;
+    this.instanceId = `${os.hostname()}_${process.pid}`;
+    this.io = null;
+    this.interval = null;
+    this.isProcessing = false;
+    // Jobs finished by this instance since start (GET /metrics)
+    this.metrics = {
+      completed: { count: 0, durationMs: 0, rows: 0 },
+      failed: { count: 0, durationMs: 0, rows: 0 }
+    };
+  }
+
+  /**
+   * Initialize with Socket.IO instance for job updates
+   */
+  initialize(io) {
+    this.io = io;
+  }
+
+  start() {
+    if (this.interval) return;
+    console.log(`[Export Jobs] 🚀 Starting export job worker (tick: ${this.tickMs / 1000}s, files kept ${this.ttlMs / 60000} min)`);
+    // Pick up jobs queued (or orphaned) while the backend was down
+    setTimeout(() => this.tick(), 5000);
+    this.interval = setInterval(() => this.tick(), this.tickMs);
+  }
+
+  stop() {
+    if (this.interval) {
+      console.log('[Export Jobs] 🛑 Stopping export job worker...');
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Jobs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Queue an export
+   * @param {Object} filters - { deviceId, startDate, endDate, modes, includeSurvey } (dates already parsed)
+   * @param {Object} user - req.user of the requester
+   */
+  async createJob(filters, user) {
+    const job = await ExportJob.create({
+      jobId: uuidv4(),
+      status: 'queued',
+      filters: {
+        deviceId: filters.deviceId || null,
+        startDate: filters.startDate,
+        endDate: filters.endDate,
+        modes: filters.modes || [],
+        includeSurvey: filters.includeSurvey !== false
+      },
+      filename: `telemetry_export_${new Date().toISOString().split('T')[0]}.xlsx`,
+      createdBy: configVersionService.resolveAuthor(user)
+    });
+
+    console.log(`[Export Jobs] 📥 Queued export ${job.jobId} (${filters.deviceId || 'all devices'})`);
+    this.emitUpdate(job);
+
+    // Start right away instead of waiting for the next tick
+    setImmediate(() => this.tick());
+    return job.toObject();
+  }
+
+  /**
+   * Whether a user may see a job: its creator, or an admin
+   */
+  canAccess(job, user) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    const userId = user.userId ? user.userId.toString() : null;
+    return !!userId && job.createdBy && job.createdBy.user_id === userId;
+  }
+
+  async getJob(jobId, user) {
+    const job = await ExportJob.findOne({ jobId }).lean();
+    if (!job || !this.canAccess(job, user)) return null;
+    return job;
+  }
+
+  /**
+   * The requester's jobs, newest first (admins see everyone's)
+   */
+  async listJobs(user, { status, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (!user || user.role !== 'admin') {
+      query['createdBy.user_id'] = user && user.userId ? user.userId.toString() : null;
+    }
+    return ExportJob.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100))
+      .lean();
+  }
+
+  /**
+   * Remove a job that is not being written, and its file
+   * @returns {Object|null} The removed job; throws with code 'JOB_RUNNING' while it runs
+   */
+  async deleteJob(jobId, user) {
+    const job = await this.getJob(jobId, user);
+    if (!job) return null;
+
+    const removed = await ExportJob.findOneAndDelete({ jobId, status: { $ne: 'running' } }).lean();
+    if (!removed) {
+      const error = new Error('Export is running; it can be deleted once it finishes');
+      error.code = 'JOB_RUNNING';
+      throw error;
+    }
+    await this.removeFile(removed.filePath);
+    return removed;
+  }
+
+  /**
+   * File of a finished job
+   * @returns {{job, filePath}|{job, error: String, status: Number}}
+   */
+  async getDownload(jobId, user) {
+    const job = await this.getJob(jobId, user);
+    if (!job) return null;
+
+    if (job.status === 'expired' || (job.status === 'completed' && job.expiresAt && job.expiresAt <= new Date())) {
+      return { job, status: 410, error: 'Export file has expired; start a new export' };
+    }
+    if (job.status !== 'completed') {
+      return { job, status: 409, error: `Export is ${job.status}${job.error ? `: ${job.error}` : ''}` };
+    }
+    if (!job.filePath || !fs.existsSync(job.filePath)) {
+      return { job, status: 410, error: 'Export file is no longer available; start a new export' };
+    }
+
+    await ExportJob.updateOne({ jobId }, { $inc: { downloadCount: 1 } });
+    return { job, filePath: job.filePath };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Worker
+  // ---------------------------------------------------------------------------
+
+  async tick() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      await this.expireFiles();
+      await this.failAbandoned();
+
+      // One export at a time per instance keeps memory use predictable
+      let job = await this.claimNext();
+      while (job) {
+        await this.runJob(job);
+        job = await this.claimNext();
+      }
+    } catch (error) {
+      console.error('[Export Jobs] ❌ Error processing export jobs:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Claim the oldest queued job, or a running one whose worker stopped renewing its lease
+   */
+  async claimNext() {
+    const now = new Date();
+    return ExportJob.findOneAndUpdate(
+      {
+        attempts: { $lt: MAX_ATTEMPTS },
+        $or: [
+          { status: 'queued' },
+          { status: 'running', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          startedAt: now,
+          error: null,
+          'progress.rows': 0,
+          lockedBy: this.instanceId,
+          lockedUntil: new Date(now.getTime() + this.leaseMs)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Jobs whose worker died on every attempt
+   */
+  async failAbandoned() {
+    const abandoned = await ExportJob.find({
+      status: 'running',
+      lockedUntil: { $lte: new Date() },
+      attempts: { $gte: MAX_ATTEMPTS }
+    });
+
+    for (const job of abandoned) {
+      await this.finishFailed(job, new Error(`Export did not finish after ${job.attempts} attempts`));
+    }
+  }
+
+  /**
+   * Delete the files of jobs past their download window
+   */
+  async expireFiles() {
+    const expired = await ExportJob.find({
+      status: 'completed',
+      expiresAt: { $lte: new Date() }
+    }).select('jobId filePath').lean();
+
+    for (const job of expired) {
+      await this.removeFile(job.filePath);
+      await ExportJob.updateOne({ jobId: job.jobId, status: 'completed' }, { $set: { status: 'expired', filePath: null } });
+      console.log(`[Export Jobs] 🗑️ Export ${job.jobId} expired, file removed`);
+    }
+  }
+
+  async removeFile(filePath) {
+    if (!filePath) return;
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Export Jobs] ⚠️ Could not remove ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Write the workbook for a claimed job
+   */
+  async runJob(job) {
+    const { deviceId, startDate, endDate, modes, includeSurvey } = job.filters;
+    const filters = { deviceId, startDate, endDate, modes: modes || [] };
+    const filePath = path.join(this.directory, `${job.jobId}.xlsx`);
+    const startedAt = Date.now();
+
+    console.log(`[Export Jobs] ⏳ Running export ${job.jobId} (attempt ${job.attempts})`);
+
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+
+      const query = ExcelExportService.buildTelemetryQuery(filters);
+      const totalRows = await Telemetry.countDocuments(query);
+      if (totalRows === 0) {
+        throw new Error('No telemetry data found for the specified criteria');
+      }
+      job.progress.totalRows = totalRows;
+      await job.save();
+      this.emitUpdate(job);
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        filename: filePath,
+        useStyles: true,
+        useSharedStrings: false
+      });
+      workbook.creator = 'ZEPTAC IoT Platform';
+      workbook.lastModifiedBy = 'System';
+      workbook.created = new Date();
+      workbook.modified = new Date();
+
+      const worksheet = workbook.addWorksheet('Telemetry Data', {
+        pageSetup: { paperSize: 9, orientation: 'landscape' }
+      });
+      worksheet.columns = ExcelExportService.REPORT_COLUMNS.map(column => ({ ...column }));
+      ExcelExportService.styleReportHeader(worksheet);
+
+      const eventCounts = { normal: 0, dpol: 0, int: 0, inst: 0 };
+      const deviceCounts = {};
+      let rows = 0;
+
+      // Newest first, like the direct export
+      const cursor = Telemetry.find(query)
+        .sort({ timestamp: -1 })
+        .lean()
+        .batchSize(this.cursorBatchSize)
+        .cursor();
+
+      try {
+        for await (const record of cursor) {
+          ExcelExportService.addReportRow(worksheet, record).commit();
+          ExcelExportService.countEvent(eventCounts, record);
+          deviceCounts[record.deviceId] = (deviceCounts[record.deviceId] || 0) + 1;
+          rows++;
+
+          if (rows % this.progressEvery === 0) {
+            await this.reportProgress(job, rows);
+          }
+        }
+      } finally {
+        await cursor.close().catch(() => {});
+      }
+      worksheet.commit();
+      await this.reportProgress(job, rows);
+
+      ExcelExportService.addSummarySheet(workbook, {
+        startDate,
+        endDate,
+        recordCount: rows,
+        deviceCounts,
+        eventCounts
+      }).commit();
+
+      const { surveyCycles, dpolSessions } = await ExcelExportService.addAnalysisSheets(workbook, {
+        deviceId,
+        startDate,
+        endDate,
+        modes: filters.modes,
+        includeSurvey
+      }, {
+        // The analysis can outlast the lease taken for the telemetry rows
+        onDevice: () => this.renewLease(job)
+      });
+
+      await workbook.commit();
+      const { size } = await fs.promises.stat(filePath);
+
+      const now = new Date();
+      job.status = 'completed';
+      job.filePath = filePath;
+      job.fileSize = size;
+      job.result = {
+        devices: Object.keys(deviceCounts).length,
+        eventCounts,
+        surveyCycles,
+        dpolSessions
+      };
+      job.completedAt = now;
+      job.expiresAt = new Date(now.getTime() + this.ttlMs);
+      job.lockedBy = null;
+      job.lockedUntil = null;
+      await job.save();
+
+      this.recordDuration('completed', Date.now() - startedAt, rows);
+      console.log(`[Export Jobs] ✅ Export ${job.jobId} finished: ${rows} rows, ${(size / 1024 / 1024).toFixed(1)} MB in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+      this.emitUpdate(job);
+    } catch (error) {
+      this.recordDuration('failed', Date.now() - startedAt, job.progress.rows || 0);
+      await this.removeFile(filePath);
+      await this.finishFailed(job, error);
+    }
+  }
+
+  /**
+   * Record progress and renew the lease
+   */
+  async reportProgress(job, rows) {
+    job.progress.rows = rows;
+    job.lockedUntil = new Date(Date.now() + this.leaseMs);
+    await ExportJob.updateOne(
+      { _id: job._id, lockedBy: this.instanceId },
+      { $set: { 'progress.rows': rows, lockedUntil: job.lockedUntil } }
+    );
+    this.emitUpdate(job);
+  }
+
+  /**
+   * Renew the lease, at most once a minute
+   */
+  async renewLease(job) {
+    if (job.lockedUntil && job.lockedUntil.getTime() - Date.now() > this.leaseMs - 60 * 1000) return;
+    job.lockedUntil = new Date(Date.now() + this.leaseMs);
+    await ExportJob.updateOne(
+      { _id: job._id, lockedBy: this.instanceId },
+      { $set: { lockedUntil: job.lockedUntil } }
+    );
+  }
+
+  recordDuration(outcome, durationMs, rows) {
+    this.metrics[outcome].count += 1;
+    this.metrics[outcome].durationMs += durationMs;
+    this.metrics[outcome].rows += rows;
+  }
+
+  async finishFailed(job, error) {
+    console.error(`[Export Jobs] ❌ Export ${job.jobId} failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+    job.completedAt = new Date();
+    job.filePath = null;
+    job.lockedBy = null;
+    job.lockedUntil = null;
+    try {
+      await job.save();
+    } catch (saveError) {
+      console.error(`[Export Jobs] ❌ Could not record failure of ${job.jobId}:`, saveError.message);
+    }
+    this.emitUpdate(job);
+  }
+
+  emitUpdate(job) {
+    if (!this.io) return;
+    const socketService = require('./socketService'); // lazy: socketService loads mqttService
+
+    // Same audience as the REST endpoints: the creator and admins
+    const rooms = [socketService.getAdminRoom()];
+    if (job.createdBy && job.createdBy.user_id) rooms.push(socketService.getUserRoom(job.createdBy.user_id));
+
+    this.io.to(rooms).emit('exportJobUpdate', {
+      jobId: job.jobId,
+      status: job.status,
+      progress: { rows: job.progress.rows, totalRows: job.progress.totalRows },
+      filename: job.filename,
+      expiresAt: job.expiresAt,
+      error: job.error,
+      createdBy: job.createdBy
+    });
+  }
+}
+
+module.exports = new ExportJobService();
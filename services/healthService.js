@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const ExportJob = require('../models/ExportJob');
+const DeviceAcknowledgment = require('../models/deviceAcknowledgment');
+const EmailService = require('./emailService');
+const brokerConnectionManager = require('./brokerConnectionManager');
+const telemetryIngestQueue = require('./telemetryIngestQueue');
+const commandQueueService = require('./commandQueueService');
+const alarmMonitoringService = require('./alarmMonitoringService');
+const exportJobService = require('./exportJobService');
+const socketService = require('./socketService');
+const mqttService = require('./mqttService');
+const { formatMetrics } = require('../utils/prometheus');
+
+/**
+ * Health Service
+ * Liveness, readiness and Prometheus metrics for the backend process.
+ *   liveness  - the process is running and serving requests (no dependency checks)
+ *   readiness - MongoDB answers a ping and the device MQTT broker is connected; the email
+ *               provider is reported but does not make the instance unready (alarms are
+ *               still stored and shown without email)
+ *   metrics   - counters since this process started plus a few gauges read from MongoDB.
+ *               Every PM2 worker keeps its own counters; Prometheus sums them per instance.
+ *
+ * Configuration (env):
+ *   HEALTH_CHECK_TIMEOUT_MS - MongoDB ping timeout (default 2000)
+ */
+
+const CRITICAL_CHECKS = ['mongodb', 'mqtt'];
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const seconds = (ms) => (ms === null || ms === undefined ? null : ms / 1000);
+
+class HealthService {
+  constructor() {
+    this.startedAt = new Date();
+    this.timeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+    this.emailService = null;
+  }
+
+  getLiveness() {
+    const memory = process.memoryUsage();
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      started_at: this.startedAt.toISOString(),
+      uptime_seconds: Math.round(process.uptime()),
+      pid: process.pid,
+      memory: {
+        rss_bytes: memory.rss,
+        heap_used_bytes: memory.heapUsed
+      }
+    };
+  }
+
+  /**
+   * Ping MongoDB, giving up after timeoutMs
+   */
+  async checkMongo() {
+    const readyState = mongoose.connection.readyState;
+    const state = MONGO_STATES[readyState] || 'unknown';
+    if (readyState !== 1) {
+      return { status: 'down', state, error: `MongoDB is ${state}` };
+    }
+
+    const startedAt = Date.now();
+    let timer = null;
+    try {
+      await Promise.race([
+        mongoose.connection.db.admin().ping(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Ping timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+        })
+      ]);
+      return { status: 'up', state, latency_ms: Date.now() - startedAt };
+    } catch (error) {
+      return { status: 'down', state, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Device broker connection plus the per-device broker connections (Device.mqtt)
+   */
+  checkMqtt() {
+    const brokers = brokerConnectionManager.getStatus().connections.map(connection => ({
+      key: connection.key,
+      connected: connection.connected,
+      last_message_at: connection.last_message_at,
+      last_error: connection.last_error
+    }));
+    const connected = !!(mqttService.client && mqttService.client.connected);
+
+    return {
+      status: connected ? 'up' : 'down',
+      connected,
+      last_message_at: mqttService.getLastTimestamp() ? new Date(mqttService.getLastTimestamp()).toISOString() : null,
+      brokers,
+      ...(connected ? {} : { error: 'Device MQTT broker is not connected' })
+    };
+  }
+
+  checkEmail() {
+    if (!this.emailService) {
+      this.emailService = new EmailService();
+    }
+    const providers = this.emailService.getProviderStatus();
+    const configured = Object.keys(providers).filter(provider => providers[provider].configured);
+
+    return {
+      status: configured.length > 0 ? 'up' : 'down',
+      providers: configured,
+      ...(configured.length > 0 ? {} : { error: 'No email provider configured' })
+    };
+  }
+
+  /**
+   * @returns {Object} { ready, status: 'ready'|'not_ready', checks: { mongodb, mqtt, email } }
+   */
+  async getReadiness() {
+    const checks = {
+      mongodb: await this.checkMongo(),
+      mqtt: this.checkMqtt(),
+      email: this.checkEmail()
+    };
+    Object.keys(checks).forEach(name => {
+      checks[name].critical = CRITICAL_CHECKS.includes(name);
+    });
+
+    const ready = CRITICAL_CHECKS.every(name => checks[name].status === 'up');
+    return {
+      ready,
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks
+    };
+  }
+
+  /**
+   * Gauges read from MongoDB (skipped while it is unavailable)
+   */
+  async getDatabaseGauges() {
+    if (mongoose.connection.readyState !== 1) return null;
+
+    try {
+      const [commands, devices, exportJobs] = await Promise.all([
+        DeviceAcknowledgment.aggregate([
+          { $match: { status: { $in: ['QUEUED', 'PENDING'] } } },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]),
+        Device.aggregate([{ $group: { _id: '$status.state', count: { $sum: 1 } } }]),
+        ExportJob.aggregate([
+          { $match: { status: { $in: ['queued', 'running'] } } },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ])
+      ]);
+      const toCounts = (rows) => Object.fromEntries(rows.map(row => [row._id || 'unknown', row.count]));
+      return { commands: toCounts(commands), devices: toCounts(devices), exportJobs: toCounts(exportJobs) };
+    } catch (error) {
+      console.error('[Health] ❌ Error reading metrics from MongoDB:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Prometheus scrape body
+   */
+  async getMetrics() {
+    const [readiness, gauges] = await Promise.all([this.getReadiness(), this.getDatabaseGauges()]);
+    const ingest = telemetryIngestQueue.getMetrics();
+    const commands = commandQueueService.metrics;
+    const alarms = alarmMonitoringService.metrics;
+    const exports = exportJobService.metrics;
+    const memory = process.memoryUsage();
+    const io = socketService.io;
+
+    const metrics = [
+      {
+        name: 'iot_process_start_time_seconds',
+        help: 'Start time of the backend process (unix seconds)',
+        type: 'gauge',
+        samples: [{ value: Math.floor(this.startedAt.getTime() / 1000) }]
+      },
+      {
+        name: 'iot_process_resident_memory_bytes',
+        help: 'Resident memory of the backend process',
+        type: 'gauge',
+        samples: [{ value: memory.rss }]
+      },
+      {
+        name: 'iot_process_heap_used_bytes',
+        help: 'V8 heap in use',
+        type: 'gauge',
+        samples: [{ value: memory.heapUsed }]
+      },
+      {
+        name: 'iot_dependency_up',
+        help: 'Whether a dependency check passed (1) or failed (0)',
+        type: 'gauge',
+        samples: Object.entries(readiness.checks).map(([dependency, check]) => ({
+          labels: { dependency, critical: check.critical },
+          value: check.status === 'up'
+        }))
+      },
+      {
+        name: 'iot_ready',
+        help: 'Whether the instance is ready to serve traffic',
+        type: 'gauge',
+        samples: [{ value: readiness.ready }]
+      },
+      {
+        name: 'iot_mongodb_ping_seconds',
+        help: 'MongoDB ping round trip',
+        type: 'gauge',
+        samples: [{ value: seconds(readiness.checks.mongodb.latency_ms) }]
+      },
+      {
+        name: 'iot_mqtt_broker_connected',
+        help: 'Whether an MQTT broker connection is up',
+        type: 'gauge',
+        samples: [
+          { labels: { broker: 'default' }, value: readiness.checks.mqtt.connected },
+          ...readiness.checks.mqtt.brokers.map(broker => ({ labels: { broker: broker.key }, value: broker.connected }))
+        ]
+      },
+      {
+        name: 'iot_mqtt_messages_received_total',
+        help: 'MQTT messages received by topic type (rate() gives messages per second)',
+        type: 'counter',
+        samples: Object.entries(mqttService.messageCounts).map(([type, value]) => ({ labels: { type }, value }))
+      },
+      {
+        name: 'iot_telemetry_frames_total',
+        help: 'Telemetry frames by ingest outcome',
+        type: 'counter',
+        samples: [
+          { labels: { outcome: 'received' }, value: ingest.received },
+          { labels: { outcome: 'stored' }, value: ingest.inserted },
+          { labels: { outcome: 'dropped' }, value: ingest.dropped },
+          { labels: { outcome: 'failed' }, value: ingest.failed },
+          { labels: { outcome: 'retried' }, value: ingest.retried },
+          { labels: { outcome: 'backfilled' }, value: ingest.backfilled },
+          { labels: { outcome: 'backfill_duplicate' }, value: ingest.backfill_duplicates }
+        ]
+      },
+      {
+        name: 'iot_telemetry_ingest_queue_depth',
+        help: 'Frames waiting in the ingest queue',
+        type: 'gauge',
+        samples: [{ value: ingest.queue_depth }]
+      },
+      {
+        name: 'iot_telemetry_ingest_queue_capacity',
+        help: 'Ingest queue size limit',
+        type: 'gauge',
+        samples: [{ value: ingest.queue_capacity }]
+      },
+      {
+        name: 'iot_telemetry_ingest_lag_seconds',
+        help: 'Time the first frame of the last batch waited before being stored',
+        type: 'gauge',
+        samples: [{ value: seconds(ingest.last_batch_lag_ms) }]
+      },
+      {
+        name: 'iot_telemetry_ingest_oldest_frame_age_seconds',
+        help: 'Age of the oldest frame still in the ingest queue',
+        type: 'gauge',
+        samples: [{ value: seconds(ingest.oldest_frame_age_ms) }]
+      },
+      {
+        name: 'iot_telemetry_ingest_flush_seconds',
+        help: 'Time to store one ingest batch',
+        type: 'summary',
+        samples: [
+          { suffix: '_sum', value: seconds(ingest.total_flush_ms) },
+          { suffix: '_count', value: ingest.batches }
+        ]
+      },
+      {
+        name: 'iot_telemetry_ingest_flush_max_seconds',
+        help: 'Slowest ingest batch since start',
+        type: 'gauge',
+        samples: [{ value: seconds(ingest.max_flush_ms) }]
+      },
+      {
+        name: 'iot_device_commands_pending',
+        help: 'Device commands waiting to be sent (queued) or acknowledged (pending)',
+        type: 'gauge',
+        samples: gauges
+          ? ['QUEUED', 'PENDING'].map(status => ({ labels: { status: status.toLowerCase() }, value: gauges.commands[status] || 0 }))
+          : []
+      },
+      {
+        name: 'iot_device_commands_total',
+        help: 'Device command outcomes handled by this instance (ack_timeout / sent is the ack timeout rate)',
+        type: 'counter',
+        samples: Object.entries(commands).map(([outcome, value]) => ({ labels: { outcome }, value }))
+      },
+      {
+        name: 'iot_devices',
+        help: 'Devices by connection state',
+        type: 'gauge',
+        samples: gauges ? Object.entries(gauges.devices).map(([state, value]) => ({ labels: { state }, value })) : []
+      },
+      {
+        name: 'iot_alarm_evaluations_total',
+        help: 'Alarm rule evaluations',
+        type: 'counter',
+        samples: [{ value: alarms.evaluations }]
+      },
+      {
+        name: 'iot_alarm_triggers_total',
+        help: 'Alarm evaluations whose condition was met',
+        type: 'counter',
+        samples: [{ value: alarms.triggered }]
+      },
+      {
+        name: 'iot_alarm_evaluation_errors_total',
+        help: 'Alarm evaluations that failed',
+        type: 'counter',
+        samples: [{ value: alarms.errors }]
+      },
+      {
+        name: 'iot_socket_clients',
+        help: 'Connected Socket.IO clients',
+        type: 'gauge',
+        samples: [{ value: io && io.engine ? io.engine.clientsCount : 0 }]
+      },
+      {
+        name: 'iot_export_job_duration_seconds',
+        help: 'Run time of background Excel exports by result',
+        type: 'summary',
+        samples: Object.entries(exports).flatMap(([status, stats]) => [
+          { labels: { status }, suffix: '_sum', value: seconds(stats.durationMs) },
+          { labels: { status }, suffix: '_count', value: stats.count }
+        ])
+      },
+      {
+        name: 'iot_export_job_rows_total',
+        help: 'Telemetry rows written by background Excel exports',
+        type: 'counter',
+        samples: Object.entries(exports).map(([status, stats]) => ({ labels: { status }, value: stats.rows }))
+      },
+      {
+        name: 'iot_export_jobs',
+        help: 'Background Excel exports waiting or running',
+        type: 'gauge',
+        samples: gauges
+          ? ['queued', 'running'].map(status => ({ labels: { status }, value: gauges.exportJobs[status] || 0 }))
+          : []
+      }
+    ];
+
+    return formatMetrics(metrics);
+  }
+}
+
+module.exports = new HealthService();
@@ -0,0 +1,620 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const ScheduledJob = require('../models/ScheduledJob');
+const ScheduledJobRun = require('../models/ScheduledJobRun');
+const DeviceAcknowledgment = require('../models/deviceAcknowledgment');
+const deviceManagementService = require('./deviceManagementService');
+const commandQueueService = require('./commandQueueService');
+const configTemplateService = require('./configTemplateService');
+const configVersionService = require('./configVersionService');
+const { toElectrodeCode, resolveElectrode, validateReferenceParameters } = require('../utils/electrodeRules');
+const { validateCron, isValidTimeZone, getNextRun, formatInTimeZone } = require('../utils/cronExpression');
+
+/**
+ * Job Scheduler Service
+ * Runs ScheduledJobs (one-off or cron) against devices, zones or saved device filters.
+ * A run stores the mode's parameters for every target device and sends the complete
+ * settings through the command queue, which publishes them with
+ * sendDeviceConfigurationWithAck and tracks the acknowledgment. Jobs with a revert
+ * step (e.g. "then NORMAL after 2 hours") get a second run when the window ends.
+ *
+ * Jobs and runs live in MongoDB, so a restart picks up where it left off: occurrences
+ * missed while the backend was down are caught up according to the job's catch-up policy,
+ * and due reverts always run. Due jobs are claimed with a lease (lockedBy/lockedUntil)
+ * so only one PM2 worker runs each occurrence.
+ *
+ * Socket.IO: scheduledJobRun { jobId, runId, phase, status, summary }
+ *
+ * Configuration (env):
+ *   SCHEDULER_TICK_MS          - how often due jobs are checked (default 30000)
+ *   SCHEDULER_TIMEZONE         - default time zone for new jobs (default UTC)
+ *   SCHEDULER_COMMAND_TTL_MIN  - how long a command may wait for an offline device when the
+ *                                job has no revert window (default 60)
+ */
+
+// Event codes the device uses for each mode (see mqttService.getEventMappings)
+const MODE_EVENTS = {
+  normal: 0,
+  interrupt: 1,
+  dpol: 3,
+  inst: 4
+};
+
+const TERMINAL_STATUSES = ['SUCCESS', 'FAILED', 'TIMEOUT', 'EXPIRED', 'SUPERSEDED', 'CANCELLED', 'INVALID', 'ERROR'];
+
+class JobSchedulerService {
+  constructor() {
+    this.tickMs = parseInt(process.env.SCHEDULER_TICK_MS) || 30 * 1000;
+    this.defaultTimeZone = process.env.SCHEDULER_TIMEZONE || 'UTC';
+    this.commandTtlMs = (parseInt(process.env.SCHEDULER_COMMAND_TTL_MIN) || 60) * 60 * 1000;
+    this.graceMs = 2 * this.tickMs; // later than this counts as a catch-up run
+    this.leaseMs = 5 * 60 * 1000;
+    this.instanceId = `${os.hostname()}_${process.pid}`;
+    this.io = null;
+    this.interval = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Initialize with Socket.IO instance for run events
+   */
+  initialize(io) {
+    this.io = io;
+  }
+
+  start() {
+    if (this.interval) return;
+    console.log(`[Scheduler] 🚀 Starting job scheduler (tick: ${this.tickMs / 1000}s, default zone ${this.defaultTimeZone})`);
+    // Catch up on jobs that came due while the backend was down
+    setTimeout(() => this.tick(), 5000);
+    this.interval = setInterval(() => this.tick(), this.tickMs);
+  }
+
+  stop() {
+    if (this.interval) {
+      console.log('[Scheduler] 🛑 Stopping job scheduler...');
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Jobs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Validate a job definition
+   * @returns {Array<{field, message}>} Errors (empty when valid)
+   */
+  validateJob(job) {
+    const errors = [];
+    const { target = {}, schedule = {}, action = {}, revert = {} } = job;
+
+    if (!job.name) errors.push({ field: 'name', message: 'name is required' });
+
+    if (target.type === 'devices') {
+      if (!Array.isArray(target.deviceIds) || target.deviceIds.length === 0) errors.push({ field: 'target.deviceIds', message: 'target.deviceIds must list at least one device' });
+    } else if (target.type === 'zone') {
+      if (!target.zoneId) errors.push({ field: 'target.zoneId', message: 'target.zoneId is required' });
+    } else if (target.type === 'filter') {
+      if (!target.filterId) errors.push({ field: 'target.filterId', message: 'target.filterId is required' });
+    } else {
+      errors.push({ field: 'target.type', message: 'target.type must be devices, zone or filter' });
+    }
+
+    if (schedule.timezone && !isValidTimeZone(schedule.timezone)) {
+      errors.push({ field: 'schedule.timezone', message: `Unknown time zone "${schedule.timezone}"` });
+    }
+    if (schedule.type === 'once') {
+      if (!schedule.runAt || isNaN(new Date(schedule.runAt).getTime())) errors.push({ field: 'schedule.runAt', message: 'schedule.runAt must be a date' });
+    } else if (schedule.type === 'cron') {
+      const cron = validateCron(schedule.cron);
+      if (!cron.valid) errors.push({ field: 'schedule.cron', message: cron.error });
+    } else {
+      errors.push({ field: 'schedule.type', message: 'schedule.type must be once or cron' });
+    }
+
+    [['action', action], ['revert', revert]].forEach(([field, step]) => {
+      if (field === 'revert' && !step.afterMinutes) return;
+      if (!ScheduledJob.MODES.includes(step.mode || (field === 'revert' ? 'normal' : undefined))) {
+        errors.push({ field: `${field}.mode`, message: `${field}.mode must be one of ${ScheduledJob.MODES.join(', ')}` });
+      }
+      const hasParameters = step.parameters && Object.keys(step.parameters).length > 0;
+      if (step.mode === 'settings' && !hasParameters) {
+        errors.push({ field: `${field}.parameters`, message: `${field}.parameters are required for mode settings` });
+      }
+      if (hasParameters) {
+        configTemplateService.validateParameters(step.parameters).errors.forEach(error => {
+          errors.push({ field: `${field}.parameters`, message: error.message });
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  validationError(errors) {
+    const error = new Error(errors.map(e => e.message).join('; '));
+    error.validation = errors;
+    return error;
+  }
+
+  /**
+   * First run time of a job from `after` on
+   */
+  computeNextRun(job, after = new Date()) {
+    if (job.schedule.type === 'once') {
+      return job.schedule.runAt ? new Date(job.schedule.runAt) : null;
+    }
+    return getNextRun(job.schedule.cron, after, job.schedule.timezone || this.defaultTimeZone);
+  }
+
+  async createJob(data, author = null) {
+    const errors = this.validateJob(data);
+    if (errors.length > 0) throw this.validationError(errors);
+
+    const job = new ScheduledJob({
+      name: data.name,
+      description: data.description,
+      target: data.target,
+      schedule: { ...data.schedule, timezone: data.schedule.timezone || this.defaultTimeZone },
+      action: { mode: data.action.mode, parameters: configTemplateService.validateParameters(data.action.parameters || {}).parameters },
+      revert: data.revert && data.revert.afterMinutes
+        ? { ...data.revert, parameters: configTemplateService.validateParameters(data.revert.parameters || {}).parameters }
+        : undefined,
+      catchUp: data.catchUp,
+      createdBy: configVersionService.resolveAuthor(author)
+    });
+    job.nextRunAt = this.computeNextRun(job);
+    await job.save();
+
+    console.log(`[Scheduler] 📅 Job "${job.name}" created, next run ${job.nextRunAt ? job.nextRunAt.toISOString() : 'never'}`);
+    return job;
+  }
+
+  /**
+   * Update a job; the next run is recomputed from now
+   * @returns {Promise<Document|null>} null when not found
+   */
+  async updateJob(jobId, data) {
+    const job = await this.getJob(jobId);
+    if (!job) return null;
+
+    const merged = {
+      name: data.name !== undefined ? data.name : job.name,
+      target: data.target || job.target.toObject(),
+      schedule: data.schedule || job.schedule.toObject(),
+      action: data.action || job.action,
+      revert: data.revert !== undefined ? (data.revert || {}) : job.revert
+    };
+    const errors = this.validateJob(merged);
+    if (errors.length > 0) throw this.validationError(errors);
+
+    if (data.name !== undefined) job.name = data.name;
+    if (data.description !== undefined) job.description = data.description;
+    if (data.target) job.target = data.target;
+    if (data.schedule) job.schedule = { ...data.schedule, timezone: data.schedule.timezone || this.defaultTimeZone };
+    if (data.action) {
+      job.action = { mode: data.action.mode, parameters: configTemplateService.validateParameters(data.action.parameters || {}).parameters };
+    }
+    if (data.revert !== undefined) {
+      job.revert = data.revert && data.revert.afterMinutes
+        ? { ...data.revert, parameters: configTemplateService.validateParameters(data.revert.parameters || {}).parameters }
+        : { afterMinutes: null, mode: 'normal', parameters: {} };
+    }
+    if (data.catchUp) job.catchUp = data.catchUp;
+    job.markModified('action');
+    job.markModified('revert');
+
+    if (job.status !== 'paused') {
+      job.nextRunAt = this.computeNextRun(job);
+      job.status = job.nextRunAt ? 'active' : 'completed';
+    }
+    await job.save();
+    return job;
+  }
+
+  async getJob(jobId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+    return ScheduledJob.findById(jobId);
+  }
+
+  async listJobs({ status } = {}) {
+    const query = status ? { status } : {};
+    return ScheduledJob.find(query).sort({ nextRunAt: 1, createdAt: -1 }).lean();
+  }
+
+  async deleteJob(jobId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+    const job = await ScheduledJob.findByIdAndDelete(jobId);
+    if (job && job.nextRevertAt) {
+      console.warn(`[Scheduler] ⚠️ Job "${job.name}" deleted with a pending revert at ${job.nextRevertAt.toISOString()}`);
+    }
+    return job;
+  }
+
+  /**
+   * Stop running a job's schedule (a pending revert still runs)
+   */
+  async pauseJob(jobId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+    return ScheduledJob.findOneAndUpdate({ _id: jobId, status: 'active' }, { $set: { status: 'paused' } }, { new: true });
+  }
+
+  /**
+   * Resume a paused job from now on (occurrences during the pause are not caught up)
+   */
+  async resumeJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || job.status !== 'paused') return null;
+
+    job.nextRunAt = job.schedule.type === 'cron' ? this.computeNextRun(job) : job.nextRunAt;
+    job.status = job.nextRunAt ? 'active' : 'completed';
+    await job.save();
+    return job;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Runs
+  // ---------------------------------------------------------------------------
+
+  async tick() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const now = new Date();
+      const due = await ScheduledJob.find({
+        $and: [
+          {
+            $or: [
+              { status: 'active', nextRunAt: { $lte: now } },
+              { status: { $in: ['active', 'paused'] }, nextRevertAt: { $lte: now } }
+            ]
+          },
+          { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }
+        ]
+      }).select('_id').lean();
+
+      for (const { _id } of due) {
+        await this.processJob(_id);
+      }
+
+      await this.refreshOpenRuns();
+    } catch (error) {
+      console.error('[Scheduler] ❌ Error processing scheduled jobs:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async claim(jobId) {
+    const now = new Date();
+    return ScheduledJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        status: { $in: ['active', 'paused'] },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedBy: this.instanceId, lockedUntil: new Date(now.getTime() + this.leaseMs) } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run whatever is due for a job: its revert first, then its next occurrence
+   */
+  async processJob(jobId) {
+    const job = await this.claim(jobId);
+    if (!job) return;
+
+    try {
+      const now = new Date();
+
+      if (job.nextRevertAt && job.nextRevertAt <= now) {
+        await this.runPhase(job, 'revert', job.nextRevertAt, {
+          catchUp: now - job.nextRevertAt > this.graceMs
+        });
+        job.nextRevertAt = null;
+      }
+
+      if (job.status === 'active' && job.nextRunAt && job.nextRunAt <= now) {
+        await this.runDueOccurrences(job, now);
+      }
+
+      if (job.status === 'active' && !job.nextRunAt && !job.nextRevertAt) {
+        job.status = 'completed';
+      }
+    } catch (error) {
+      console.error(`[Scheduler] ❌ Error running job ${jobId}:`, error.message);
+    } finally {
+      job.lockedBy = null;
+      job.lockedUntil = null;
+      await job.save();
+    }
+  }
+
+  /**
+   * Run the latest due occurrence, folding earlier missed ones into it or skipping it
+   * according to the catch-up policy
+   */
+  async runDueOccurrences(job, now) {
+    const timeZone = job.schedule.timezone || this.defaultTimeZone;
+    const occurrences = [job.nextRunAt];
+
+    if (job.schedule.type === 'cron') {
+      let next = getNextRun(job.schedule.cron, job.nextRunAt, timeZone);
+      while (next && next <= now && occurrences.length < 1000) {
+        occurrences.push(next);
+        next = getNextRun(job.schedule.cron, next, timeZone);
+      }
+      job.nextRunAt = next && next > now ? next : getNextRun(job.schedule.cron, now, timeZone);
+    } else {
+      job.nextRunAt = null;
+    }
+
+    const scheduledFor = occurrences[occurrences.length - 1];
+    const missedOccurrences = occurrences.length - 1;
+    const lateMs = now - scheduledFor;
+    const catchUp = lateMs > this.graceMs || missedOccurrences > 0;
+    const windowEnd = job.revert && job.revert.afterMinutes
+      ? new Date(scheduledFor.getTime() + job.revert.afterMinutes * 60 * 1000)
+      : null;
+
+    let skipReason = null;
+    if (lateMs > this.graceMs && job.catchUp.policy === 'skip') {
+      skipReason = 'Missed while the scheduler was not running (catch-up policy skip)';
+    } else if (lateMs > this.graceMs && job.catchUp.maxDelayMinutes && lateMs > job.catchUp.maxDelayMinutes * 60 * 1000) {
+      skipReason = `More than ${job.catchUp.maxDelayMinutes} min late`;
+    } else if (windowEnd && now >= windowEnd) {
+      skipReason = 'The run window had already ended';
+    }
+
+    if (skipReason) {
+      const run = await ScheduledJobRun.create({
+        jobId: job._id,
+        jobName: job.name,
+        phase: 'start',
+        mode: job.action.mode,
+        scheduledFor,
+        finishedAt: now,
+        status: 'missed',
+        catchUp: true,
+        missedOccurrences,
+        error: skipReason
+      });
+      job.lastRunStatus = 'missed';
+      console.warn(`[Scheduler] ⏭️ Job "${job.name}" occurrence ${scheduledFor.toISOString()} skipped: ${skipReason}`);
+      this.emitRun(job, run);
+      return;
+    }
+
+    await this.runPhase(job, 'start', scheduledFor, { catchUp, missedOccurrences, windowEnd });
+    if (windowEnd) job.nextRevertAt = windowEnd;
+  }
+
+  /**
+   * Run a job now (outside its schedule); a revert step is scheduled as usual
+   */
+  async runNow(jobId) {
+    const job = await this.claim(jobId);
+    if (!job) return null;
+
+    let run;
+    try {
+      const now = new Date();
+      const windowEnd = job.revert && job.revert.afterMinutes
+        ? new Date(now.getTime() + job.revert.afterMinutes * 60 * 1000)
+        : null;
+      run = await this.runPhase(job, 'manual', now, { windowEnd });
+      if (windowEnd) job.nextRevertAt = windowEnd;
+    } finally {
+      job.lockedBy = null;
+      job.lockedUntil = null;
+      await job.save();
+    }
+    return run;
+  }
+
+  /**
+   * Parameters a mode change stores: the mode's Event plus its start/stop timestamps
+   * (from the run time and revert window, in the job's time zone) and the job's parameters
+   */
+  buildModeParameters(mode, parameters = {}, startAt, endAt, timeZone) {
+    const stamp = (date) => formatInTimeZone(date, timeZone);
+    const time = (date) => stamp(date).substring(11);
+
+    switch (mode) {
+      case 'normal':
+        return { "Event": MODE_EVENTS.normal, "Instant Mode": 0, ...parameters };
+      case 'interrupt':
+        return {
+          "Event": MODE_EVENTS.interrupt,
+          "Interrupt Start TimeStamp": stamp(startAt),
+          ...(endAt && { "Interrupt Stop TimeStamp": stamp(endAt) }),
+          ...parameters
+        };
+      case 'dpol':
+        return {
+          "Event": MODE_EVENTS.dpol,
+          "Depolarization Start TimeStamp": stamp(startAt),
+          ...(endAt && { "Depolarization Stop TimeStamp": stamp(endAt) }),
+          ...parameters
+        };
+      case 'inst':
+        return {
+          "Event": MODE_EVENTS.inst,
+          "Instant Start TimeStamp": time(startAt),
+          ...(endAt && { "Instant End TimeStamp": time(endAt) }),
+          ...parameters
+        };
+      default:
+        return { ...parameters };
+    }
+  }
+
+  /**
+   * Send one step of a job to every target device and record the run
+   * @param {String} phase - 'start', 'revert' or 'manual'
+   */
+  async runPhase(job, phase, scheduledFor, { catchUp = false, missedOccurrences = 0, windowEnd = null } = {}) {
+    const mqttService = require('./mqttService');
+    const now = new Date();
+    const step = phase === 'revert' ? job.revert : job.action;
+    const timeZone = job.schedule.timezone || this.defaultTimeZone;
+
+    const run = new ScheduledJobRun({
+      jobId: job._id,
+      jobName: job.name,
+      phase,
+      mode: step.mode,
+      scheduledFor,
+      startedAt: now,
+      catchUp,
+      missedOccurrences
+    });
+
+    try {
+      const { devices } = await configTemplateService.resolveTargetDevices({
+        zoneId: job.target.type === 'zone' ? job.target.zoneId : undefined,
+        filterId: job.target.type === 'filter' ? job.target.filterId : undefined,
+        deviceIds: job.target.type === 'devices' ? job.target.deviceIds : undefined
+      });
+
+      const parameters = this.buildModeParameters(step.mode, step.parameters, now > scheduledFor ? now : scheduledFor, phase === 'revert' ? null : windowEnd, timeZone);
+      // A mode change that outlives its window is pointless - let the queue expire it
+      const ttlMs = windowEnd ? Math.max(windowEnd - now, 60 * 1000) : this.commandTtlMs;
+
+      for (const device of devices) {
+        const electrode = parameters['Electrode'] !== undefined
+          ? toElectrodeCode(parameters['Electrode'])
+          : resolveElectrode(device.configuration && device.configuration.deviceSettings ? device.configuration.deviceSettings.electrode : null);
+        const validation = validateReferenceParameters(parameters, electrode);
+        if (validation.length > 0) {
+          run.devices.push({ deviceId: device.deviceId, status: 'INVALID', error: validation.map(v => v.message).join('; ') });
+          continue;
+        }
+
+        try {
+          const commandId = uuidv4();
+          await deviceManagementService.updateDeviceParameters(device.deviceId, parameters, commandId, `scheduler:${job.name}`);
+          mqttService.deviceSettings.delete(device.deviceId);
+          const completeParameters = await mqttService.buildCompleteSettingsParameters(device.deviceId);
+
+          const command = await commandQueueService.enqueue({
+            deviceId: device.deviceId,
+            commandType: 'configuration',
+            originalCommand: 'settings',
+            commandPayload: completeParameters,
+            commandId,
+            requestedBy: `scheduler:${job._id}`,
+            ttlMs
+          });
+          run.devices.push({ deviceId: device.deviceId, commandId, status: command.status === 'QUEUED' ? 'QUEUED' : 'PENDING' });
+        } catch (error) {
+          run.devices.push({ deviceId: device.deviceId, status: 'ERROR', error: error.message });
+        }
+      }
+
+      if (run.devices.length === 0) {
+        run.error = 'No target devices';
+      }
+    } catch (error) {
+      run.error = error.message;
+    }
+
+    this.settleRun(run);
+    await run.save();
+
+    job.lastRunAt = now;
+    job.lastRunStatus = run.status;
+    job.runCount += 1;
+
+    console.log(`[Scheduler] ▶️ Job "${job.name}" ${phase} (${step.mode})${catchUp ? ' [catch-up]' : ''}: ${JSON.stringify(run.summary)}${run.error ? ` - ${run.error}` : ''}`);
+    this.emitRun(job, run);
+    return run;
+  }
+
+  /**
+   * Summarize a run's devices and finish it once every command is settled
+   */
+  settleRun(run) {
+    run.summary = run.devices.reduce((summary, device) => {
+      summary[device.status] = (summary[device.status] || 0) + 1;
+      return summary;
+    }, { total: run.devices.length });
+
+    if (run.devices.length === 0 || run.devices.every(d => TERMINAL_STATUSES.includes(d.status))) {
+      const succeeded = run.devices.filter(d => d.status === 'SUCCESS').length;
+      run.status = succeeded === 0 ? 'failed' : (succeeded === run.devices.length ? 'success' : 'partial');
+      run.finishedAt = run.finishedAt || new Date();
+    }
+  }
+
+  /**
+   * Update running runs from their commands' acknowledgments
+   */
+  async refreshOpenRuns() {
+    const runs = await ScheduledJobRun.find({ status: 'running' }).sort({ startedAt: 1 }).limit(50);
+    for (const run of runs) {
+      await this.refreshRun(run);
+    }
+  }
+
+  async refreshRun(run) {
+    if (run.status !== 'running') return run;
+
+    const open = run.devices.filter(d => d.commandId && !TERMINAL_STATUSES.includes(d.status));
+    if (open.length > 0) {
+      const commands = await DeviceAcknowledgment.find({ commandId: { $in: open.map(d => d.commandId) } })
+        .select('commandId status lastError')
+        .lean();
+      const byCommandId = new Map(commands.map(c => [c.commandId, c]));
+
+      open.forEach(device => {
+        const command = byCommandId.get(device.commandId);
+        if (command && command.status !== device.status) {
+          device.status = command.status;
+          device.error = command.lastError || null;
+        }
+      });
+    }
+
+    this.settleRun(run);
+    if (run.isModified()) {
+      await run.save();
+      if (run.status !== 'running') {
+        await ScheduledJob.updateOne({ _id: run.jobId, lastRunAt: { $lte: run.startedAt } }, { $set: { lastRunStatus: run.status } });
+        this.emitRun({ _id: run.jobId, name: run.jobName }, run);
+      }
+    }
+    return run;
+  }
+
+  async listRuns(jobId, { limit = 50 } = {}) {
+    return ScheduledJobRun.find({ jobId }).sort({ scheduledFor: -1 }).limit(limit).lean();
+  }
+
+  async getRun(runId) {
+    if (!mongoose.Types.ObjectId.isValid(runId)) return null;
+    const run = await ScheduledJobRun.findById(runId);
+    return run ? this.refreshRun(run) : null;
+  }
+
+  emitRun(job, run) {
+    if (!this.io) return;
+    this.io.emit('scheduledJobRun', {
+      jobId: job._id.toString(),
+      jobName: job.name,
+      runId: run._id.toString(),
+      phase: run.phase,
+      status: run.status,
+      scheduledFor: run.scheduledFor,
+      summary: run.summary,
+      error: run.error
+    });
+  }
+}
+
+module.exports = new JobSchedulerService();
@@ -0,0 +1,183 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Device = require('../models/Device');
+const NotificationService = require('./notificationService');
+
+/**
+ * Maintenance Window Service
+ * - Tells AlarmMonitoringService whether a device is inside a maintenance window
+ * - Announces window start/end via broadcast maintenance notifications and Socket.IO:
+ *   maintenance:started, maintenance:ended
+ */
+class MaintenanceWindowService {
+  constructor() {
+    this.notificationService = new NotificationService();
+    this.io = null;
+    this.interval = null;
+    this.checkIntervalMs = 60 * 1000; // 1 minute
+    this.windowCache = null; // enabled windows, refreshed every cacheTtlMs
+    this.windowCacheAt = 0;
+    this.cacheTtlMs = 30 * 1000;
+  }
+
+  /**
+   * Initialize with Socket.IO instance for window start/end events
+   */
+  initialize(io) {
+    this.io = io;
+  }
+
+  /**
+   * Start the announcement scheduler
+   */
+  start() {
+    console.log(`[Maintenance] 🚀 Starting maintenance window scheduler (check interval: ${this.checkIntervalMs / 1000}s)`);
+    this.processAnnouncements();
+    this.interval = setInterval(() => {
+      this.processAnnouncements();
+    }, this.checkIntervalMs);
+  }
+
+  /**
+   * Stop the announcement scheduler
+   */
+  stop() {
+    if (this.interval) {
+      console.log('[Maintenance] 🛑 Stopping maintenance window scheduler...');
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Drop the cached window list (called after create/update/delete)
+   */
+  invalidateCache() {
+    this.windowCache = null;
+  }
+
+  async getEnabledWindows() {
+    if (!this.windowCache || Date.now() - this.windowCacheAt > this.cacheTtlMs) {
+      this.windowCache = await MaintenanceWindow.find({ enabled: true, start_at: { $lte: new Date() } }).lean();
+      this.windowCacheAt = Date.now();
+    }
+    return this.windowCache;
+  }
+
+  /**
+   * Find the maintenance window currently covering a device
+   * @param {Object} device - Device (deviceId, zoneId)
+   * @param {Date} at - Point in time (default now)
+   * @returns {Promise<Object|null>} Window with its current occurrence, or null
+   */
+  async findActiveWindow(device, at = new Date()) {
+    try {
+      const windows = await this.getEnabledWindows();
+      for (const window of windows) {
+        if (!MaintenanceWindow.coversDevice(window, device)) continue;
+        const occurrence = MaintenanceWindow.getOccurrenceAt(window, at);
+        if (occurrence) {
+          return { ...window, occurrence };
+        }
+      }
+      return null;
+    } catch (error) {
+      console.error('[Maintenance] Error checking maintenance windows:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Announce windows that started or ended since the last check
+   */
+  async processAnnouncements() {
+    try {
+      const windows = await MaintenanceWindow.find({ enabled: true, start_at: { $lte: new Date() } }).lean();
+      const now = new Date();
+
+      for (const window of windows) {
+        const occurrence = MaintenanceWindow.getOccurrenceAt(window, now);
+
+        if (occurrence && String(window.announced_start_for) !== String(occurrence.start)) {
+          // Claim the announcement so only one worker sends it
+          const claimed = await MaintenanceWindow.findOneAndUpdate(
+            { _id: window._id, announced_start_for: window.announced_start_for },
+            { $set: { announced_start_for: occurrence.start } }
+          );
+          if (claimed) await this.announce(window, 'started', occurrence);
+        } else if (!occurrence && window.announced_start_for &&
+          String(window.announced_end_for) !== String(window.announced_start_for)) {
+          const claimed = await MaintenanceWindow.findOneAndUpdate(
+            { _id: window._id, announced_end_for: window.announced_end_for },
+            { $set: { announced_end_for: window.announced_start_for } }
+          );
+          if (claimed) {
+            const start = new Date(window.announced_start_for);
+            const duration = new Date(window.end_at) - new Date(window.start_at);
+            await this.announce(window, 'ended', { start, end: new Date(start.getTime() + duration) });
+          }
+        }
+      }
+    } catch (error) {
+      console.error('[Maintenance] ❌ Error processing maintenance announcements:', error);
+    }
+  }
+
+  /**
+   * Human-readable scope description
+   */
+  async describeScope(window) {
+    const scope = window.scope || {};
+    if (scope.type === 'fleet') return { label: 'all devices', device_id: null, device_name: null };
+    if (scope.type === 'zone') return { label: `zone(s) ${scope.zone_ids.join(', ')}`, device_id: null, device_name: null };
+
+    const devices = await Device.find({ deviceId: { $in: scope.device_ids } }).select('deviceId deviceName').lean();
+    const names = scope.device_ids.map(id => devices.find(d => d.deviceId === id)?.deviceName || id);
+    return {
+      label: `device(s) ${names.join(', ')}`,
+      device_id: scope.device_ids.length === 1 ? scope.device_ids[0] : null,
+      device_name: scope.device_ids.length === 1 ? names[0] : null
+    };
+  }
+
+  /**
+   * Broadcast a window start/end
+   * @param {Object} window - MaintenanceWindow
+   * @param {String} transition - started | ended
+   * @param {Object} occurrence - { start, end }
+   */
+  async announce(window, transition, occurrence) {
+    const scope = await this.describeScope(window);
+    const started = transition === 'started';
+
+    console.log(`[Maintenance] 🔧 Maintenance window '${window.name}' ${transition} for ${scope.label}`);
+
+    await this.notificationService.createMaintenanceNotification({
+      user_id: null,
+      device_id: scope.device_id,
+      device_name: scope.device_name,
+      maintenance_window_id: window._id,
+      title: started ? `🔧 Maintenance started: ${window.name}` : `✅ Maintenance ended: ${window.name}`,
+      message: started
+        ? `Alarm notifications for ${scope.label} are suppressed until ${occurrence.end.toLocaleString()}`
+        : `Alarm notifications for ${scope.label} have resumed`,
+      metadata: {
+        transition,
+        scope: window.scope,
+        occurrence_start: occurrence.start,
+        occurrence_end: occurrence.end
+      }
+    });
+
+    if (this.io) {
+      this.io.emit(`maintenance:${transition}`, {
+        window_id: window._id.toString(),
+        name: window.name,
+        scope: window.scope,
+        occurrence_start: occurrence.start,
+        occurrence_end: occurrence.end
+      });
+    }
+  }
+}
+
+module.exports = new MaintenanceWindowService();
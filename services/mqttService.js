@@ -1,10 +1,19 @@
 const mqtt = require('mqtt');
 const { deviceBroker } = require('../config/mqtt');
 const { transformDeviceData, createThrottledEmit, mapEventCode } = require('../utils/dataTransform');
-const { secondsToHHMMSS, hhmmssToSeconds, ensureLoggingIntervalFormat } = require('../utils/timeConverter');
+const { secondsToHHMMSS, hhmmssToSeconds, ensureLoggingIntervalFormat, parseDeviceTimestamp } = require('../utils/timeConverter');
 const { v4: uuidv4 } = require('uuid');
 const Device = require('../models/Device');
+const DeviceAcknowledgment = require('../models/deviceAcknowledgment');
 const alarmMonitoringService = require('./alarmMonitoringService');
+const telemetryIngestQueue = require('./telemetryIngestQueue');
+const brokerConnectionManager = require('./brokerConnectionManager');
+const telemetryRegistryService = require('./telemetryRegistryService');
+const commandQueueService = require('./commandQueueService');
+const configDriftService = require('./configDriftService');
+const configVersionService = require('./configVersionService');
+const { extractConfigParameters } = require('../utils/configDrift');
+const { resolveElectrode, validateSetUp, validateSetOp, validateSetFail } = require('../utils/electrodeRules');
 
 // Helper function to convert degree format coordinates to decimal
 // Format: "19°03'N" or "072°52'E" -> 19.05 or -72.87
@@ -82,10 +91,11 @@ class MQTTService {
     this.lastDeviceTimestamp = 0;
     this.connectionStatus = { device: false };
     
-    // Device activity tracking - keep connected for 40 seconds after last message
+    // Device activity tracking - a device stays connected until its offline deadline passes after the last message
     // Device sends every 10 seconds, so 40 seconds = 4x the interval (allows 3 missed messages for network delays)
     this.deviceLastActivity = new Map(); // deviceId -> timestamp
-    this.DEVICE_TIMEOUT = 40000; // 40 seconds - handles network jitter
+    this.messageCounts = {}; // topic type -> broker messages received (GET /metrics)
+    this.DEVICE_TIMEOUT = 40000; // 40 seconds - fallback until the status monitor knows the device's deadline (getDeviceTimeout)
     
     // Memory-based acknowledgment tracking
     this.pendingCommands = new Map(); // commandId -> command details
@@ -115,6 +125,7 @@ class MQTTService {
     this.lastLocationSummaryEmit = 0;
     this.deviceLocations = new Map(); // deviceId -> {name, latitude, longitude}
     this.locationCache = {}; // Coordinate-based location cache
+    this.telemetryLocations = new Map(); // deviceId -> last reverse-geocoded telemetry location
   }
 
   initialize(io) {
@@ -123,6 +134,15 @@ class MQTTService {
     this.client = mqtt.connect(deviceBroker.url, deviceBroker.options);
     this.setupEventHandlers(io);
     
+    // Telemetry frames are stored in batches by the ingest queue instead of per message
+    telemetryIngestQueue.start(this);
+    
+    // Per-device brokers/topics from Device.mqtt feed the same message handler
+    brokerConnectionManager.start(this);
+    
+    // Commands for offline devices wait in MongoDB and are retried until acknowledged
+    commandQueueService.start(this);
+    
     // Start periodic connection status broadcaster (every 3 seconds for smooth updates)
     setInterval(() => {
       if (this.socketIO) {
@@ -170,77 +190,7 @@ class MQTTService {
       });
     });
 
-    this.client.on('message', async (topic, message) => {
-      // Extract device ID from topic (e.g., 'devices/123/data' -> '123')
-      const topicParts = topic.split('/');
-      const deviceId = topicParts[1] || 'unknown';
-      const topicType = topicParts[2] || 'unknown';
-      
-      console.log(`\n🔥 DEVICE ${deviceId.toUpperCase()} MESSAGE RECEIVED:`);
-      console.log('📍 Topic:', topic);
-      console.log('📄 Raw Message:', message.toString());
-      console.log('📏 Message Length:', message.length);
-      console.log('⏰ Timestamp:', new Date().toISOString());
-      
-      try {
-        const payload = JSON.parse(message.toString());
-        console.log('✅ Parsed JSON Payload:', JSON.stringify(payload, null, 2));
-        
-        // Handle different topic types
-        if (topicType === 'data') {
-          console.log(`📈 Data message received from device ${deviceId} - processing telemetry`);
-          
-          // Track device activity - mark as active
-          this.deviceLastActivity.set(deviceId, Date.now());
-          this.connectionStatus.device = true; // Mark MQTT broker connection as active
-          
-          const deviceInfo = transformDeviceData(payload, topic);
-          console.log('🔄 Transformed Device Info:', JSON.stringify(deviceInfo, null, 2));
-          
-          // Save telemetry data FIRST to perform reverse geocoding
-          await this.saveTelemetryData(deviceId, payload); // ✅ Save first to get location from geocoding
-          
-          // Fetch the just-saved telemetry record to get the reverse-geocoded location
-          const Telemetry = require('../models/telemetry');
-          const latestTelemetry = await Telemetry.findOne({ deviceId: deviceId }).sort({ timestamp: -1 });
-          if (latestTelemetry && latestTelemetry.location) {
-            console.log(`📍 Updated device location from telemetry: ${latestTelemetry.location}`);
-            deviceInfo.location = latestTelemetry.location;
-          }
-          
-          this.deviceData.device = deviceInfo;
-          this.lastDeviceTimestamp = Date.now();
-          this.throttledEmit(deviceInfo);
-          
-          // DEVICE SETTINGS EXTRACTION: Extract and store the 18 device parameters if present
-          await this.extractAndStoreDeviceSettings(deviceId, payload);
-          
-          // DEVICE LOCATION MAPPING: Emit active device locations for map display
-          await this.emitActiveDeviceLocations(deviceId, payload);
-          
-          // Update device status in MongoDB
-          await this.updateDeviceStatus(deviceId, payload); // ✅ RE-ENABLED - Keep MongoDB in sync with current status
-          
-          // Note: saveTelemetryData is called earlier (above) to get reverse-geocoded location
-          // before emitting device data to frontend
-          
-          console.log('💾 Updated device data and notified frontend');
-        } else if (topicType === 'commands') {
-          console.log(`📋 Commands message received from device ${deviceId} - checking for acknowledgments`);
-          
-          // Track device activity for command acknowledgments too
-          this.deviceLastActivity.set(deviceId, Date.now());
-          
-          this.handleCommandMessage(payload);
-        }
-        
-        console.log(''); // Add spacing
-      } catch (err) {
-        console.error('❌ Error parsing device message:', err);
-        console.error('📄 Original message:', message.toString());
-        console.error('🔍 Error details:', err.message);
-      }
-    });
+    this.client.on('message', (topic, message, packet) => this.handleBrokerMessage(topic, message, null, packet));
 
     let reconnectAttempts = 0;
     const MAX_RECONNECT_LOGS = 3; // Only log first 3 reconnect attempts
@@ -284,13 +234,129 @@ class MQTTService {
     });
   }
 
+  // Handle a message from any broker connection. Topics configured in Device.mqtt resolve to
+  // their device (route); otherwise the device and type come from devices/<id>/<type>.
+  async handleBrokerMessage(topic, message, route = null, packet = null) {
+    // MQTT v5 replies to this instance's commands
+    if (deviceBroker.replyTopic && topic === deviceBroker.replyTopic) {
+      this.handleCommandReply(message, packet);
+      return;
+    }
+    
+    const resolved = route || brokerConnectionManager.resolveTopic(topic);
+    const topicParts = topic.split('/');
+    const deviceId = resolved ? resolved.deviceId : (topicParts[1] || 'unknown');
+    const topicType = resolved ? resolved.type : (topicParts[2] || 'unknown');
+    this.messageCounts[topicType] = (this.messageCounts[topicType] || 0) + 1;
+    
+    console.log(`\n🔥 DEVICE ${deviceId.toUpperCase()} MESSAGE RECEIVED:`);
+    console.log('📍 Topic:', topic);
+    console.log('📄 Raw Message:', message.toString());
+    console.log('📏 Message Length:', message.length);
+    console.log('⏰ Timestamp:', new Date().toISOString());
+    
+    try {
+      const payload = JSON.parse(message.toString());
+      console.log('✅ Parsed JSON Payload:', JSON.stringify(payload, null, 2));
+      
+      const backfillFrames = topicType === 'data' ? this.getBackfillFrames(payload) : null;
+
+      // Handle different topic types
+      if (backfillFrames) {
+        // Frames buffered by the device while its link was down: stored in batches like live
+        // frames, but not pushed to the frontend and not checked against alarms
+        this.deviceLastActivity.set(deviceId, Date.now());
+        this.connectionStatus.device = true;
+
+        const queued = backfillFrames.filter(frame => telemetryIngestQueue.enqueue(deviceId, frame, { backfill: true })).length;
+        commandQueueService.onDeviceFrame(deviceId);
+
+        console.log(`📦 Backfill from device ${deviceId}: queued ${queued}/${backfillFrames.length} buffered frame(s) for storage`);
+      } else if (topicType === 'data') {
+        console.log(`📈 Data message received from device ${deviceId} - processing telemetry`);
+        
+        // Track device activity - mark as active
+        this.deviceLastActivity.set(deviceId, Date.now());
+        this.connectionStatus.device = true; // Mark MQTT broker connection as active
+        
+        const deviceInfo = transformDeviceData(payload, topic, deviceId);
+        console.log('🔄 Transformed Device Info:', JSON.stringify(deviceInfo, null, 2));
+        
+        // Use the last reverse-geocoded location of this device's telemetry (if any)
+        const knownLocation = this.telemetryLocations.get(deviceId);
+        if (knownLocation) {
+          deviceInfo.location = knownLocation;
+        }
+        
+        this.deviceData.device = deviceInfo;
+        this.lastDeviceTimestamp = Date.now();
+        this.throttledEmit(deviceInfo);
+        
+        // DEVICE LOCATION MAPPING: Emit active device locations for map display
+        await this.emitActiveDeviceLocations(deviceId, payload);
+        
+        // Telemetry, device status, settings and alarm checks are handled by the ingest queue
+        // in batches so this handler never waits on MongoDB
+        telemetryIngestQueue.enqueue(deviceId, payload);
+        
+        // The device is online - send commands that were queued while it was offline
+        commandQueueService.onDeviceFrame(deviceId);
+        
+        console.log('💾 Notified frontend and queued telemetry for storage');
+      } else if (topicType === 'commands') {
+        console.log(`📋 Commands message received from device ${deviceId} - checking for acknowledgments`);
+        
+        // Track device activity for command acknowledgments too
+        this.deviceLastActivity.set(deviceId, Date.now());
+        
+        this.handleCommandMessage(payload);
+      } else if (topicType === 'status') {
+        this.handleStatusMessage(payload);
+      }
+      
+      console.log(''); // Add spacing
+    } catch (err) {
+      console.error('❌ Error parsing device message:', err);
+      console.error('📄 Original message:', message.toString());
+      console.error('🔍 Error details:', err.message);
+    }
+  }
+
+  // Store-and-forward frames in a data message: a batch { "Frames": [frame, ...] } or a single
+  // frame marked "Backfill": true. Every frame needs its own TimeStamp. Returns null for a live frame.
+  getBackfillFrames(payload) {
+    const frames = payload.Frames || payload.frames;
+    if (Array.isArray(frames)) {
+      return frames.filter(frame => frame && typeof frame === 'object' && !Array.isArray(frame));
+    }
+
+    const flag = payload.Backfill ?? payload.BACKFILL;
+    return flag === true || flag === 1 || flag === '1' || String(flag).toLowerCase() === 'true' ? [payload] : null;
+  }
+
+  // Publish options for a tracked command. With MQTT v5 the device replies to this instance's
+  // reply topic with the correlation data; v3.1.1 firmware ignores the properties and echoes
+  // CommandId on the commands topic instead.
+  getCommandPublishOptions(commandId) {
+    if (!deviceBroker.replyTopic || !commandId) {
+      return { qos: 1 };
+    }
+    return {
+      qos: 1,
+      properties: {
+        responseTopic: deviceBroker.replyTopic,
+        correlationData: Buffer.from(commandId)
+      }
+    };
+  }
+
   publishMessage(messagePayload, callback) {
     this.client.publish(deviceBroker.commandTopic, JSON.stringify(messagePayload), { qos: 1 }, callback);
   }
 
   // Send device configuration WITH memory-based acknowledgment tracking
-  async sendDeviceConfigurationWithAck(deviceId, configType, configData, timeout = 30000) {
-    const commandId = uuidv4();
+  // queued: sent by commandQueueService, which decides when the command has timed out
+  async sendDeviceConfigurationWithAck(deviceId, configType, configData, timeout = 30000, commandId = uuidv4(), { queued = false } = {}) {
     
     // Use the complete payload format requested by user
     const payload = {
@@ -318,38 +384,12 @@ class MQTTService {
     };
     
     this.pendingCommands.set(commandId, commandRecord);
+    const timeoutHandler = this.startAcknowledgmentTimeout(commandRecord, { queued });
 
-    // Set up timeout handler
-    const timeoutHandler = setTimeout(() => {
-      const pendingCommand = this.pendingCommands.get(commandId);
-      
-      if (pendingCommand && pendingCommand.status === 'PENDING') {
-        pendingCommand.status = 'TIMEOUT';
-        pendingCommand.acknowledgedAt = new Date();
-        
-        // Move to history
-        this.addToHistory(pendingCommand);
-        this.pendingCommands.delete(commandId);
-        
-        console.log(`⏰ Command ${commandId} timed out after ${timeout}ms`);
-        
-        // Notify frontend of timeout
-        this.socketIO?.emit('deviceCommandTimeout', {
-          commandId,
-          deviceId,
-          command: configType,
-          message: 'Device did not respond within timeout period'
-        });
-      }
-      
-      this.acknowledgmentTimeouts.delete(commandId);
-    }, timeout);
-
-    this.acknowledgmentTimeouts.set(commandId, timeoutHandler);
-
-    // Publish the command
+    // Publish the command on the device's broker/command topic (Device.mqtt, default devices/{id}/commands)
+    const { client, topic } = brokerConnectionManager.getCommandRoute(deviceId);
     return new Promise((resolve, reject) => {
-      this.client.publish('devices/123/commands', JSON.stringify(payload), { qos: 1 }, (error) => {
+      client.publish(topic, JSON.stringify(payload), this.getCommandPublishOptions(commandId), (error) => {
         if (error) {
           console.error('❌ Failed to send command:', error);
           // Clean up on send failure
@@ -388,9 +428,16 @@ class MQTTService {
 
       console.log(`🔔 Processing command message:`, JSON.stringify(payload, null, 2));
 
+      // Our own commands come back on the shared commands topic - they are not acknowledgments.
+      // A device reply always carries a status, even if it echoes the original sender field.
+      if (['server', 'webserver'].includes(String(payload.sender || '').toLowerCase()) && status === undefined) {
+        console.log(`📋 Ignoring echo of server command ${CommandId || ''}`.trim());
+        return;
+      }
+
       // Check if this is an acknowledgment (has CommandId)
       if (CommandId) {
-        this.handleAcknowledgment(CommandId, payload);
+        this.handleAcknowledgment(CommandId, payload, 'command_id');
       } else {
         console.log('📋 Regular command message (not an acknowledgment)');
       }
@@ -399,17 +446,93 @@ class MQTTService {
     }
   }
 
+  // Handle an MQTT v5 reply on this instance's reply topic (correlation data = CommandId)
+  handleCommandReply(message, packet) {
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch (error) {
+      payload = { message: message.toString() };
+    }
+
+    const correlationData = packet && packet.properties && packet.properties.correlationData;
+    const commandId = correlationData ? correlationData.toString() : payload.CommandId;
+    if (!commandId) {
+      console.warn('⚠️ Reply without correlation data or CommandId ignored:', message.toString());
+      return;
+    }
+
+    this.handleAcknowledgment(commandId, payload, 'response_topic');
+  }
+
   // Handle acknowledgment responses
-  handleAcknowledgment(commandId, payload) {
+  // Time out a command sent directly. Queued commands get no timer: the queue retries them and emits
+  // deviceCommandTimeout once it gives up, and until then a late ACK must still find the pending record
+  startAcknowledgmentTimeout(commandRecord, { queued = false } = {}) {
+    const { commandId, deviceId, originalCommand, timeout } = commandRecord;
+
+    // A queue retry reuses the CommandId, so a previous attempt's timer may still be set
+    clearTimeout(this.acknowledgmentTimeouts.get(commandId));
+    this.acknowledgmentTimeouts.delete(commandId);
+    if (queued) return null;
+
+    const timeoutHandler = setTimeout(() => {
+      const pendingCommand = this.pendingCommands.get(commandId);
+
+      if (pendingCommand && pendingCommand.status === 'PENDING') {
+        pendingCommand.status = 'TIMEOUT';
+        pendingCommand.acknowledgedAt = new Date();
+
+        // Move to history
+        this.addToHistory(pendingCommand);
+        this.pendingCommands.delete(commandId);
+
+        console.log(`⏰ Command ${commandId} timed out after ${timeout}ms`);
+
+        // Notify frontend of timeout
+        this.socketIO?.emit('deviceCommandTimeout', {
+          commandId,
+          deviceId,
+          command: originalCommand,
+          message: 'Device did not respond within timeout period'
+        });
+      }
+
+      this.acknowledgmentTimeouts.delete(commandId);
+    }, timeout);
+
+    this.acknowledgmentTimeouts.set(commandId, timeoutHandler);
+    return timeoutHandler;
+  }
+
+  // Called by the command queue when it gives up on a command; the queue has already notified the frontend
+  dropPendingCommand(commandId) {
+    const pendingCommand = this.pendingCommands.get(commandId);
+    if (!pendingCommand || pendingCommand.status !== 'PENDING') return;
+
+    pendingCommand.status = 'TIMEOUT';
+    pendingCommand.acknowledgedAt = new Date();
+    this.addToHistory(pendingCommand);
+    this.pendingCommands.delete(commandId);
+  }
+
+  // acknowledgedVia: 'response_topic' (MQTT v5 reply) or 'command_id' (CommandId echoed on the commands topic)
+  handleAcknowledgment(commandId, payload, acknowledgedVia = 'command_id') {
     const { status, message, error, response } = payload;
 
-    console.log(`🔔 Processing ACK for command ${commandId}`);
+    console.log(`🔔 Processing ACK for command ${commandId} (via ${acknowledgedVia})`);
+
+    // Persist the ACK for queued commands - the instance that sent the command may have restarted
+    commandQueueService.recordAcknowledgment(commandId, payload, acknowledgedVia).catch(error => {
+      console.error(`❌ Error recording ACK for command ${commandId}:`, error.message);
+    });
 
     // Find the pending command
     const pendingCommand = this.pendingCommands.get(commandId);
 
     if (!pendingCommand) {
-      console.warn(`⚠️ No pending command found for CommandId ${commandId}`);
+      // With several backend instances, CommandId acks for other instances' commands land here too
+      console.log(`ℹ️ No pending command found for CommandId ${commandId} on this instance`);
       return;
     }
 
@@ -423,6 +546,7 @@ class MQTTService {
     // Update command record
     pendingCommand.status = status === 'SUCCESS' || status === 'OK' ? 'SUCCESS' : 'FAILED';
     pendingCommand.acknowledgedAt = new Date();
+    pendingCommand.acknowledgedVia = acknowledgedVia;
     pendingCommand.responseTime = pendingCommand.acknowledgedAt.getTime() - pendingCommand.sentAt.getTime();
     pendingCommand.deviceResponse = {
       status,
@@ -447,7 +571,8 @@ class MQTTService {
       status: pendingCommand.status,
       responseTime: pendingCommand.responseTime,
       deviceResponse: pendingCommand.deviceResponse,
-      acknowledgedAt: pendingCommand.acknowledgedAt
+      acknowledgedAt: pendingCommand.acknowledgedAt,
+      acknowledgedVia
     };
 
     // Add specific information for set value commands
@@ -728,7 +853,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changed); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   async setManualMode(deviceId, action) {
@@ -776,7 +901,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedManual); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   async setNormalMode(deviceId, config = {}) {
@@ -804,7 +929,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedNormal); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   async setDpolMode(deviceId, config) {
@@ -850,7 +975,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedDpol); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   async setInstMode(deviceId, config) {
@@ -918,7 +1043,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedInst); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   async setTimerConfiguration(deviceId, timerConfig) {
@@ -950,7 +1075,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedTimer); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   async setElectrodeConfiguration(deviceId, electrodeType) {
@@ -1000,7 +1125,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedElectrode); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   async setAlarmConfiguration(deviceId, alarmConfig) {
@@ -1036,127 +1161,14 @@ class MQTTService {
       return null;
     };
 
-    // Electrode-based validation for Set UP values
-    const validateSetUpByElectrode = (setupValue, electrode) => {
-      if (setupValue === null || setupValue === undefined) {
-        return { valid: true, value: setupValue, message: null };
-      }
-
-      const numValue = parseFloat(setupValue);
-      const electrodeType = currentSettings["Electrode"] || electrode || 0;
-
-      // Mapping: Electrode 0 (Cu/CuSO4) and 2 (Ag/AgCl) → range 0.6 to 1.0
-      // Mapping: Electrode 1 (Zinc) → range -0.5 to 0.0
-      
-      if (electrodeType === 0 || electrodeType === 2) {
-        // Cu/CuSO4 or Ag/AgCl: 0.6 to 1.0
-        if (numValue < 0.6 || numValue > 1.0) {
-          return {
-            valid: false,
-            value: setupValue,
-            message: `❌ Set UP value ${numValue} is out of range for electrode ${electrodeType}. Required range: 0.6 to 1.0 for Cu/CuSO4 or Ag/AgCl electrodes.`,
-            electrode: electrodeType,
-            minValue: 0.6,
-            maxValue: 1.0
-          };
-        }
-      } else if (electrodeType === 1) {
-        // Zinc: -0.5 to 0.0
-        if (numValue < -0.5 || numValue > 0.0) {
-          return {
-            valid: false,
-            value: setupValue,
-            message: `❌ Set UP value ${numValue} is out of range for electrode ${electrodeType}. Required range: -0.5 to 0.0 for Zinc electrode.`,
-            electrode: electrodeType,
-            minValue: -0.5,
-            maxValue: 0.0
-          };
-        }
-      }
-
-      return { valid: true, value: setupValue, message: null };
-    };
-
-    // Electrode-based validation for Set OP values
-    const validateSetOpByElectrode = (setopValue, electrode) => {
-      if (setopValue === null || setopValue === undefined) {
-        return { valid: true, value: setopValue, message: null };
-      }
-
-      const numValue = parseFloat(setopValue);
-      const electrodeType = currentSettings["Electrode"] || electrode || 0;
-
-      // Mapping: Electrode 0 (Cu/CuSO4) and 2 (Ag/AgCl) → range 1.20 to 3.00
-      // Mapping: Electrode 1 (Zinc) → range 0.10 to 1.90
-      
-      if (electrodeType === 0 || electrodeType === 2) {
-        // Cu/CuSO4 or Ag/AgCl: 1.20 to 3.00
-        if (numValue < 1.20 || numValue > 3.00) {
-          return {
-            valid: false,
-            value: setopValue,
-            message: `❌ Set OP value ${numValue} is out of range for electrode ${electrodeType}. Required range: 1.20 to 3.00 for Cu/CuSO4 or Ag/AgCl electrodes.`,
-            electrode: electrodeType,
-            minValue: 1.20,
-            maxValue: 3.00
-          };
-        }
-      } else if (electrodeType === 1) {
-        // Zinc: 0.10 to 1.90
-        if (numValue < 0.10 || numValue > 1.90) {
-          return {
-            valid: false,
-            value: setopValue,
-            message: `❌ Set OP value ${numValue} is out of range for electrode ${electrodeType}. Required range: 0.10 to 1.90 for Zinc electrode.`,
-            electrode: electrodeType,
-            minValue: 0.10,
-            maxValue: 1.90
-          };
-        }
-      }
-
-      return { valid: true, value: setopValue, message: null };
-    };
-
-    // Static validation for Reference Fail (Set Fail) - fixed values per electrode type
-    const validateSetFailByElectrode = (setfailValue, electrode) => {
-      if (setfailValue === null || setfailValue === undefined) {
-        return { valid: true, value: setfailValue, message: null };
-      }
-
-      const numValue = parseFloat(setfailValue);
-      const electrodeType = currentSettings["Electrode"] || electrode || 0;
-
-      // Static values: Cu/CuSO4 and Ag/AgCl → 0.3, Zinc → -0.8
-      const staticValues = {
-        0: 0.3,   // Cu/CuSO4
-        2: 0.3,   // Ag/AgCl
-        1: -0.8   // Zinc
-      };
-
-      const expectedValue = staticValues[electrodeType] !== undefined ? staticValues[electrodeType] : 0.3;
-
-      // Allow a small tolerance for floating point comparison (e.g., 0.30 vs 0.3)
-      const tolerance = 0.001;
-      if (Math.abs(numValue - expectedValue) > tolerance) {
-        return {
-          valid: false,
-          value: setfailValue,
-          message: `❌ Set Fail value ${numValue} is not allowed for electrode ${electrodeType}. This value is FIXED and cannot be changed: ${expectedValue} for this electrode type.`,
-          electrode: electrodeType,
-          staticValue: expectedValue
-        };
-      }
-
-      return { valid: true, value: setfailValue, message: null };
-    };
-
     const setupValue = extractSetValue(alarmConfig.setup, 'setup');
     const setopValue = extractSetValue(alarmConfig.setop, 'setop');
     const reffailValue = extractSetValue(alarmConfig.reffail, 'reffail');
+    // null for an unknown electrode: the validators then reject any reference value
+    const electrode = resolveElectrode(currentSettings["Electrode"]);
 
     // Validate Set UP value against electrode constraints
-    const setupValidation = validateSetUpByElectrode(setupValue, currentSettings["Electrode"]);
+    const setupValidation = validateSetUp(setupValue, electrode);
     
     if (!setupValidation.valid) {
       console.warn(setupValidation.message);
@@ -1174,7 +1186,7 @@ class MQTTService {
     }
 
     // Validate Set OP value against electrode constraints
-    const setopValidation = validateSetOpByElectrode(setopValue, currentSettings["Electrode"]);
+    const setopValidation = validateSetOp(setopValue, electrode);
     
     if (!setopValidation.valid) {
       console.warn(setopValidation.message);
@@ -1192,7 +1204,7 @@ class MQTTService {
     }
 
     // Validate Set Fail (Reference Fail) - static value per electrode
-    const setfailValidation = validateSetFailByElectrode(reffailValue, currentSettings["Electrode"]);
+    const setfailValidation = validateSetFail(reffailValue, electrode);
     
     if (!setfailValidation.valid) {
       console.warn(setfailValidation.message);
@@ -1274,7 +1286,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedFields); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   // Configure SET mV (voltage setting in millivolts)
@@ -1297,7 +1309,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedVoltage); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   // Configure Set Shunt (current setting in A)
@@ -1320,7 +1332,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedShunt); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   // Configure Shunt Voltage (maps to "Shunt Voltage": 25 mV in data frame)
@@ -1358,7 +1370,7 @@ class MQTTService {
         console.warn('⚠️ Device tracking failed (non-critical):', e.message);
       }
     }
-    const result = await this.sendCompleteSettingsPayload(deviceId, commandId);
+    const result = await this.queueCompleteSettings(deviceId, commandId);
     
     // Broadcast updated settings to frontend
     this.broadcastDeviceSettings(deviceId);
@@ -1401,7 +1413,7 @@ class MQTTService {
         console.warn('⚠️ Device tracking failed (non-critical):', e.message);
       }
     }
-    const result = await this.sendCompleteSettingsPayload(deviceId, commandId);
+    const result = await this.queueCompleteSettings(deviceId, commandId);
     
     // Broadcast updated settings to frontend  
     this.broadcastDeviceSettings(deviceId);
@@ -1489,7 +1501,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedLogging); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   // Configure Set UP (alarm set value - range: -4.0V to +4.0V)
@@ -1533,7 +1545,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedSetUP); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   // Configure Set OP (alarm set value - range: -4.0V to +4.0V)
@@ -1577,7 +1589,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedSetOP); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   // Configure Reference Fail (reference calibration - range: -4.0V to +4.0V)
@@ -1606,7 +1618,7 @@ class MQTTService {
     if (this.deviceManagementService) {
       try { await this.deviceManagementService.trackCommand(deviceId, commandId, 'complete_settings', changedRefFail); } catch (e) { /* ignore */ }
     }
-    return await this.sendCompleteSettingsPayload(deviceId, commandId);
+    return await this.queueCompleteSettings(deviceId, commandId);
   }
 
   // Send complete settings payload - this is the main method used by all configuration changes
@@ -1703,7 +1715,147 @@ class MQTTService {
     };
   }
 
-  async sendCompleteSettingsPayload(deviceId, commandId = null, timeout = 30000) {
+  /**
+   * Build the complete settings "Parameters" object for a device from its current settings,
+   * converted to the device's units and codes (as published by sendCompleteSettingsPayload)
+   * @param {String} deviceId - Device ID or MongoDB _id
+   * @returns {Promise<Object>} Parameters ready to publish
+   */
+  async buildCompleteSettingsParameters(deviceId) {
+    // Get current settings for the device
+    const currentSettings = await this.ensureDeviceSettings(deviceId);
+    
+    // Ensure logging_interval_format is set based on logging_interval
+    if (currentSettings["logging_interval"]) {
+      if (typeof currentSettings["logging_interval"] === 'number') {
+        // Convert seconds to hh:mm:ss if not already converted
+        currentSettings["logging_interval_format"] = secondsToHHMMSS(currentSettings["logging_interval"]);
+      }
+    }
+    
+    // Create parameters object from current settings - ALL 20 CORE PARAMETERS
+    // Using OLD RESOLUTION HANDLER LOGIC:
+    // Shunt Voltage: 75 → "075" (3-digit padded, no multiplication)
+    // Shunt Current: 16.8 → "168" (multiply by 10)
+    // Reference values: 0.30 → "030", 1.24 → "124" (multiply by 100, pad 3 digits)
+    // Interrupt times: 50.0 → 500 (multiply by 10)
+
+    const formatShuntVoltageForDevice = (value) => {
+      if (value === undefined || value === null) return undefined;
+      let numVal;
+      if (typeof value === 'string') {
+        numVal = parseFloat(value);
+      } else if (typeof value === 'number') {
+        numVal = value;
+      } else {
+        return value;
+      }
+      if (!isNaN(numVal)) {
+        // Pad to 3 digits with leading zeros (75 -> "075", 100 -> "100")
+        const intVal = Math.round(numVal);
+        return intVal.toString().padStart(3, '0');
+      }
+      return value;
+    };
+
+    const formatShuntCurrentForDevice = (value) => {
+      if (value === undefined || value === null) return undefined;
+      let numVal;
+      if (typeof value === 'string') {
+        numVal = parseFloat(value);
+      } else if (typeof value === 'number') {
+        numVal = value;
+      } else {
+        return value;
+      }
+      if (!isNaN(numVal)) {
+        // If value is already large (>100), assume it's been scaled and just return it
+        // Otherwise multiply by 10 (16.8 * 10 = 168)
+        if (numVal > 100) {
+          return Math.round(numVal);
+        } else {
+          return Math.round(numVal * 10);
+        }
+      }
+      return value;
+    };
+
+    const formatRefValueForDevice = (value) => {
+      if (value === undefined || value === null) return undefined;
+      let numVal;
+      if (typeof value === 'string') {
+        numVal = parseFloat(value);
+      } else if (typeof value === 'number') {
+        numVal = value;
+      } else {
+        return value;
+      }
+      if (!isNaN(numVal)) {
+        // If value is already large (>100), assume it's been scaled and just pad it
+        // Otherwise multiply by 100 (0.30 * 100 = 30 → "030", 1.24 * 100 = 124 → "124")
+        let intVal;
+        if (Math.abs(numVal) > 100) {
+          intVal = Math.round(numVal);
+        } else {
+          intVal = Math.round(numVal * 100);
+        }
+        
+        if (intVal < 0) {
+          return '-' + Math.abs(intVal).toString().padStart(3, '0');
+        } else {
+          return intVal.toString().padStart(3, '0');
+        }
+      }
+      return value;
+    };
+
+    // Build logging_interval - handle both string (time format) and numeric (seconds) values
+    let loggingIntervalValue = currentSettings["logging_interval"] || "00:10:00";
+    if (typeof loggingIntervalValue === 'number') {
+      // If it's numeric, convert to HH:MM:SS format
+      loggingIntervalValue = secondsToHHMMSS(loggingIntervalValue);
+    }
+    // If it's already a string, use as-is
+
+    const parameters = {
+      "Electrode": currentSettings["Electrode"] || 0,
+      "Event": currentSettings["Event"] || 0,
+      "Manual Mode Action": currentSettings["Manual Mode Action"] !== undefined ? currentSettings["Manual Mode Action"] : 0,
+      "Shunt Voltage": formatShuntVoltageForDevice(currentSettings["Shunt Voltage"]) || "025",
+      "Shunt Current": formatShuntCurrentForDevice(currentSettings["Shunt Current"]) || 99,
+      "Reference Fail": formatRefValueForDevice(currentSettings["Reference Fail"]) || "030",
+      "Reference UP": formatRefValueForDevice(currentSettings["Reference UP"]) || "030",
+      "Reference OP": formatRefValueForDevice(currentSettings["Reference OP"]) || "070",
+      "Interrupt ON Time": (currentSettings["Interrupt ON Time"] || 86400) * 10,
+      "Interrupt OFF Time": (currentSettings["Interrupt OFF Time"] || 86400) * 10,
+      "Interrupt Start TimeStamp": currentSettings["Interrupt Start TimeStamp"] || "2025-02-20 19:04:00",
+      "Interrupt Stop TimeStamp": currentSettings["Interrupt Stop TimeStamp"] || "2025-02-20 19:05:00",
+      "Depolarization Start TimeStamp": currentSettings["Depolarization Start TimeStamp"] || "2025-02-20 19:04:00",
+      "Depolarization Stop TimeStamp": currentSettings["Depolarization Stop TimeStamp"] || "2025-02-20 19:05:00",
+      "Depolarization_interval": currentSettings["Depolarization_interval"] || "00:10:00",
+      "Instant Mode": currentSettings["Instant Mode"] !== undefined ? currentSettings["Instant Mode"] : 0,
+      "Instant Start TimeStamp": currentSettings["Instant Start TimeStamp"] || "19:04:00",
+      "Instant End TimeStamp": currentSettings["Instant End TimeStamp"] || "00:00:00",
+      "logging_interval": loggingIntervalValue
+    };
+    
+    // Debug log for electrode changes
+    if (currentSettings["Electrode"] !== undefined || currentSettings["Reference Fail"] !== undefined) {
+      console.log(`📊 Building MQTT payload - Electrode=${currentSettings["Electrode"]}, Reference Fail raw=${currentSettings["Reference Fail"]}, formatted=${parameters["Reference Fail"]}`);
+      // NOTE: Do NOT include "Set UP", "Set OP", "Set Fail" - these are display-only aliases for frontend
+      // Only send "Reference UP", "Reference OP", "Reference Fail" to device
+    };
+    
+    // Note: Set UP and Set OP were UI-only labels that map to Reference UP and Reference OP
+    // These deprecated fields have been consolidated into the Reference fields
+    // Depolarization_interval and logging_interval now use hh:mm:ss format only (no numeric versions)
+
+    // Apply value mappings to convert string values to numeric codes
+    return this.applyValueMappings(parameters);
+  }
+
+  // queued: sent by commandQueueService, which decides when the command has timed out
+  async sendCompleteSettingsPayload(deviceId, commandId = null, timeout = 30000, { queued = false } = {}) {
     try {
       // CRITICAL FIX: deviceId parameter is MongoDB _id, need to get actual device.deviceId for MQTT topic
       let actualDeviceId = deviceId;
@@ -1721,142 +1873,15 @@ class MQTTService {
         console.warn(`⚠️ Could not fetch device for _id "${deviceId}": ${error.message}, using _id as fallback`);
       }
       
-      // Get current settings for the device
-      const currentSettings = await this.ensureDeviceSettings(deviceId);
-      
-      // Ensure logging_interval_format is set based on logging_interval
-      if (currentSettings["logging_interval"]) {
-        if (typeof currentSettings["logging_interval"] === 'number') {
-          // Convert seconds to hh:mm:ss if not already converted
-          currentSettings["logging_interval_format"] = secondsToHHMMSS(currentSettings["logging_interval"]);
-        }
-      }
-      
-      // Create parameters object from current settings - ALL 20 CORE PARAMETERS
-      // Using OLD RESOLUTION HANDLER LOGIC:
-      // Shunt Voltage: 75 → "075" (3-digit padded, no multiplication)
-      // Shunt Current: 16.8 → "168" (multiply by 10)
-      // Reference values: 0.30 → "030", 1.24 → "124" (multiply by 100, pad 3 digits)
-      // Interrupt times: 50.0 → 500 (multiply by 10)
-
-      const formatShuntVoltageForDevice = (value) => {
-        if (value === undefined || value === null) return undefined;
-        let numVal;
-        if (typeof value === 'string') {
-          numVal = parseFloat(value);
-        } else if (typeof value === 'number') {
-          numVal = value;
-        } else {
-          return value;
-        }
-        if (!isNaN(numVal)) {
-          // Pad to 3 digits with leading zeros (75 -> "075", 100 -> "100")
-          const intVal = Math.round(numVal);
-          return intVal.toString().padStart(3, '0');
-        }
-        return value;
-      };
-
-      const formatShuntCurrentForDevice = (value) => {
-        if (value === undefined || value === null) return undefined;
-        let numVal;
-        if (typeof value === 'string') {
-          numVal = parseFloat(value);
-        } else if (typeof value === 'number') {
-          numVal = value;
-        } else {
-          return value;
-        }
-        if (!isNaN(numVal)) {
-          // If value is already large (>100), assume it's been scaled and just return it
-          // Otherwise multiply by 10 (16.8 * 10 = 168)
-          if (numVal > 100) {
-            return Math.round(numVal);
-          } else {
-            return Math.round(numVal * 10);
-          }
-        }
-        return value;
-      };
-
-      const formatRefValueForDevice = (value) => {
-        if (value === undefined || value === null) return undefined;
-        let numVal;
-        if (typeof value === 'string') {
-          numVal = parseFloat(value);
-        } else if (typeof value === 'number') {
-          numVal = value;
-        } else {
-          return value;
-        }
-        if (!isNaN(numVal)) {
-          // If value is already large (>100), assume it's been scaled and just pad it
-          // Otherwise multiply by 100 (0.30 * 100 = 30 → "030", 1.24 * 100 = 124 → "124")
-          let intVal;
-          if (Math.abs(numVal) > 100) {
-            intVal = Math.round(numVal);
-          } else {
-            intVal = Math.round(numVal * 100);
-          }
-          
-          if (intVal < 0) {
-            return '-' + Math.abs(intVal).toString().padStart(3, '0');
-          } else {
-            return intVal.toString().padStart(3, '0');
-          }
-        }
-        return value;
-      };
-
-      // Build logging_interval - handle both string (time format) and numeric (seconds) values
-      let loggingIntervalValue = currentSettings["logging_interval"] || "00:10:00";
-      if (typeof loggingIntervalValue === 'number') {
-        // If it's numeric, convert to HH:MM:SS format
-        loggingIntervalValue = secondsToHHMMSS(loggingIntervalValue);
-      }
-      // If it's already a string, use as-is
-
-      const parameters = {
-        "Electrode": currentSettings["Electrode"] || 0,
-        "Event": currentSettings["Event"] || 0,
-        "Manual Mode Action": currentSettings["Manual Mode Action"] !== undefined ? currentSettings["Manual Mode Action"] : 0,
-        "Shunt Voltage": formatShuntVoltageForDevice(currentSettings["Shunt Voltage"]) || "025",
-        "Shunt Current": formatShuntCurrentForDevice(currentSettings["Shunt Current"]) || 99,
-        "Reference Fail": formatRefValueForDevice(currentSettings["Reference Fail"]) || "030",
-        "Reference UP": formatRefValueForDevice(currentSettings["Reference UP"]) || "030",
-        "Reference OP": formatRefValueForDevice(currentSettings["Reference OP"]) || "070",
-        "Interrupt ON Time": (currentSettings["Interrupt ON Time"] || 86400) * 10,
-        "Interrupt OFF Time": (currentSettings["Interrupt OFF Time"] || 86400) * 10,
-        "Interrupt Start TimeStamp": currentSettings["Interrupt Start TimeStamp"] || "2025-02-20 19:04:00",
-        "Interrupt Stop TimeStamp": currentSettings["Interrupt Stop TimeStamp"] || "2025-02-20 19:05:00",
-        "Depolarization Start TimeStamp": currentSettings["Depolarization Start TimeStamp"] || "2025-02-20 19:04:00",
-        "Depolarization Stop TimeStamp": currentSettings["Depolarization Stop TimeStamp"] || "2025-02-20 19:05:00",
-        "Depolarization_interval": currentSettings["Depolarization_interval"] || "00:10:00",
-        "Instant Mode": currentSettings["Instant Mode"] !== undefined ? currentSettings["Instant Mode"] : 0,
-        "Instant Start TimeStamp": currentSettings["Instant Start TimeStamp"] || "19:04:00",
-        "Instant End TimeStamp": currentSettings["Instant End TimeStamp"] || "00:00:00",
-        "logging_interval": loggingIntervalValue
-      };
-      
-      // Debug log for electrode changes
-      if (currentSettings["Electrode"] !== undefined || currentSettings["Reference Fail"] !== undefined) {
-        console.log(`📊 Building MQTT payload - Electrode=${currentSettings["Electrode"]}, Reference Fail raw=${currentSettings["Reference Fail"]}, formatted=${parameters["Reference Fail"]}`);
-        // NOTE: Do NOT include "Set UP", "Set OP", "Set Fail" - these are display-only aliases for frontend
-        // Only send "Reference UP", "Reference OP", "Reference Fail" to device
-      };
-      
-      // Note: Set UP and Set OP were UI-only labels that map to Reference UP and Reference OP
-      // These deprecated fields have been consolidated into the Reference fields
-      // Depolarization_interval and logging_interval now use hh:mm:ss format only (no numeric versions)
-
-      // Apply value mappings to convert string values to numeric codes
-      const mappedParameters = this.applyValueMappings(parameters);
+      // Complete settings in device format (units, padding and numeric codes the device expects)
+      const mappedParameters = await this.buildCompleteSettingsParameters(deviceId);
 
       // Create payload in the exact format requested
       let payload = {
         "Device ID": actualDeviceId,
         "Message Type": "settings",
         "sender": "Server",
+        ...(commandId && { "CommandId": commandId }), // echoed back in the device ACK
         "Parameters": mappedParameters
       };
       
@@ -1879,39 +1904,12 @@ class MQTTService {
       };
 
       this.pendingCommands.set(commandId, commandRecord);
-
-      // Set up timeout handler
-      const timeoutHandler = setTimeout(() => {
-        const pendingCommand = this.pendingCommands.get(commandId);
-
-        if (pendingCommand && pendingCommand.status === 'PENDING') {
-          pendingCommand.status = 'TIMEOUT';
-          pendingCommand.acknowledgedAt = new Date();
-
-          // Move to history
-          this.addToHistory(pendingCommand);
-          this.pendingCommands.delete(commandId);
-
-          console.log(`⏰ Command ${commandId} timed out after ${timeout}ms`);
-
-          // Notify frontend of timeout
-          this.socketIO?.emit('deviceCommandTimeout', {
-            commandId,
-            deviceId,
-            command: 'settings',
-            message: 'Device did not respond within timeout period'
-          });
-        }
-
-        this.acknowledgmentTimeouts.delete(commandId);
-      }, timeout);
-
-      this.acknowledgmentTimeouts.set(commandId, timeoutHandler);
+      const timeoutHandler = this.startAcknowledgmentTimeout(commandRecord, { queued });
 
       // Publish the complete settings payload using ACTUAL deviceId for MQTT topic
       return new Promise((resolve, reject) => {
-        const topic = `devices/${actualDeviceId}/commands`;
-        this.client.publish(topic, JSON.stringify(payload), { qos: 1 }, async (error) => {
+        const { client, topic } = brokerConnectionManager.getCommandRoute(actualDeviceId);
+        client.publish(topic, JSON.stringify(payload), this.getCommandPublishOptions(commandId), async (error) => {
           if (error) {
             console.error('❌ Failed to send complete settings command:', error);
             // Clean up on send failure
@@ -1922,6 +1920,11 @@ class MQTTService {
           } else {
             console.log(`✅ Complete settings command sent successfully to topic: ${topic}`);
 
+            // What the device should be running from now on (compared with its data frames)
+            configDriftService.recordDesired(actualDeviceId, mappedParameters, { commandId }).catch(error => {
+              console.warn('⚠️ Could not record desired configuration:', error.message);
+            });
+
             // Settings are already saved via individual setting methods
             // Complete data frame sent to device via MQTT
 
@@ -1984,6 +1987,17 @@ class MQTTService {
     }
   }
 
+  // Send the complete settings through the durable command queue: sent now when the device is
+  // online, otherwise held until its next data frame, and retried until the device acknowledges it
+  async queueCompleteSettings(deviceId, commandId = null) {
+    return commandQueueService.enqueue({
+      deviceId,
+      commandType: 'settings',
+      originalCommand: 'settings',
+      commandId: commandId || uuidv4()
+    });
+  }
+
   // Helper method to create settings payload from memory (fallback)
   createSettingsPayloadFromMemory(deviceId, commandId) {
     const currentSettings = this.ensureDeviceSettingsSync(deviceId);
@@ -2016,7 +2030,7 @@ class MQTTService {
           );
           
           // Send complete settings payload from database
-          return await this.sendCompleteSettingsPayload(deviceId, commandId);
+          return await this.queueCompleteSettings(deviceId, commandId);
           
         } catch (error) {
           console.warn(`⚠️ Device management service error: ${error.message}, falling back to memory`);
@@ -2052,7 +2066,7 @@ class MQTTService {
       console.log(`✅ Updated settings for device ${deviceId} in memory:`, newSettings);
 
       // Send complete settings to device
-      return await this.sendCompleteSettingsPayload(deviceId, commandId);
+      return await this.queueCompleteSettings(deviceId, commandId);
       
     } catch (error) {
       console.error('❌ Error in setSettingsConfiguration:', error);
@@ -2121,78 +2135,65 @@ class MQTTService {
     
     const timeSinceActivity = Date.now() - lastActivity;
     
-    // Use dynamic timeout based on device's logging interval if available
+    return timeSinceActivity < this.getDeviceTimeout(deviceId);
+  }
+
+  // Silence after which a device counts as inactive: the status monitor's per-device offline
+  // deadline, else 4x the logging interval seen in its frames, else DEVICE_TIMEOUT
+  getDeviceTimeout(deviceId) {
+    const deviceStatusMonitor = require('./deviceStatusMonitor');
+    const offlineAfterMs = deviceStatusMonitor.getOfflineAfterMs(deviceId);
+    if (offlineAfterMs) return offlineAfterMs;
+
     const deviceLoggingData = this.deviceLoggingIntervals.get(deviceId);
-    const timeout = deviceLoggingData ? deviceLoggingData.timeout : this.DEVICE_TIMEOUT;
-    
-    return timeSinceActivity < timeout;
+    return deviceLoggingData ? deviceLoggingData.timeout : this.DEVICE_TIMEOUT;
   }
   
   // Check if any device is active
   isAnyDeviceActive() {
     const now = Date.now();
     for (const [deviceId, lastActivity] of this.deviceLastActivity.entries()) {
-      // Use dynamic timeout based on device's logging interval if available
-      const deviceLoggingData = this.deviceLoggingIntervals.get(deviceId);
-      const timeout = deviceLoggingData ? deviceLoggingData.timeout : this.DEVICE_TIMEOUT;
-      
-      if (now - lastActivity < timeout) {
+      if (now - lastActivity < this.getDeviceTimeout(deviceId)) {
         return true;
       }
     }
     return false;
   }
 
-  // Update device status in MongoDB when data is received
-  async updateDeviceStatus(deviceId, payload) {
-    try {
-      const Device = require('../models/Device');
-      
-      const updateData = {
-        'status.state': 'online',
-        'status.lastSeen': new Date(),
-      };
-      
-      // Update sensor data if available
-      if (payload.DCV !== undefined) updateData['sensors.battery'] = parseFloat(payload.DCV) || 0;
-      if (payload.REF1 !== undefined) updateData['sensors.signal'] = Math.abs(parseFloat(payload.REF1) || 0) * 100;
-      if (payload.REF2 !== undefined) updateData['sensors.temperature'] = parseFloat(payload.REF2) || 0;
-      
-      // Update device location if coordinates are present
-      const rawLatitude = payload.LATITUDE || (payload.Parameters && payload.Parameters.LATITUDE);
-      const rawLongitude = payload.LONGITUDE || (payload.Parameters && payload.Parameters.LONGITUDE);
-      
-      if (rawLatitude && rawLongitude && rawLatitude !== '' && rawLongitude !== '') {
-        // Convert DMS format to decimal if needed
-        const lat = typeof rawLatitude === 'string' && rawLatitude.includes('°') 
-          ? this.convertDMSToDecimal(rawLatitude)
-          : parseFloat(rawLatitude);
-        
-        const lon = typeof rawLongitude === 'string' && rawLongitude.includes('°')
-          ? this.convertDMSToDecimal(rawLongitude)
-          : parseFloat(rawLongitude);
-        
-        // Only update if both are valid decimal numbers AND not zero/null coordinates
-        if (!isNaN(lat) && !isNaN(lon) && (lat !== 0 || lon !== 0)) {
-          updateData.location = `${lat}, ${lon}`;
-          console.log(`📍 Updating device ${deviceId} location to: ${updateData.location}`);
-        }
-      }
+  // Device status fields set from a data frame. The ingest queue coalesces these per device
+  // (latest frame wins) into one bulk write per flush.
+  buildDeviceStatusUpdate(deviceId, payload, receivedAt = new Date()) {
+    const updateData = {
+      'status.state': 'online',
+      'status.lastSeen': receivedAt,
+    };
+    
+    // Update sensor data if available
+    if (payload.DCV !== undefined) updateData['sensors.battery'] = parseFloat(payload.DCV) || 0;
+    if (payload.REF1 !== undefined) updateData['sensors.signal'] = Math.abs(parseFloat(payload.REF1) || 0) * 100;
+    if (payload.REF2 !== undefined) updateData['sensors.temperature'] = parseFloat(payload.REF2) || 0;
+    
+    // Update device location if coordinates are present
+    const rawLatitude = payload.LATITUDE || (payload.Parameters && payload.Parameters.LATITUDE);
+    const rawLongitude = payload.LONGITUDE || (payload.Parameters && payload.Parameters.LONGITUDE);
+    
+    if (rawLatitude && rawLongitude && rawLatitude !== '' && rawLongitude !== '') {
+      // Convert DMS format to decimal if needed
+      const lat = typeof rawLatitude === 'string' && rawLatitude.includes('°') 
+        ? this.convertDMSToDecimal(rawLatitude)
+        : parseFloat(rawLatitude);
       
-      const result = await Device.findOneAndUpdate(
-        { deviceId: deviceId },
-        { $set: updateData },
-        { new: true, upsert: false }
-      );
+      const lon = typeof rawLongitude === 'string' && rawLongitude.includes('°')
+        ? this.convertDMSToDecimal(rawLongitude)
+        : parseFloat(rawLongitude);
       
-      if (result) {
-        console.log(`✅ Updated device ${deviceId} status to ONLINE in MongoDB`);
-      } else {
-        console.warn(`⚠️ Device ${deviceId} not found in MongoDB`);
+      // Only update if both are valid decimal numbers AND not zero/null coordinates
+      if (!isNaN(lat) && !isNaN(lon) && (lat !== 0 || lon !== 0)) {
+        updateData.location = `${lat}, ${lon}`;
       }
-    } catch (error) {
-      console.error(`❌ Error updating device ${deviceId} status:`, error.message);
     }
+    
+    return updateData;
   }
 
   // Helper function to convert DMS (Degrees Minutes Seconds) to decimal format
@@ -2228,12 +2229,17 @@ class MQTTService {
     }
   }
 
-  async saveTelemetryData(deviceId, payload) {
+  // Build (but do not save) the telemetry document for a data frame. The ingest queue stores
+  // records in batches; coordinates are reverse geocoded once the record has been inserted.
+  // Returns { record, data, event, coordinates, timestampSource } or null when the frame cannot
+  // be converted. timestampSource is the field the device time was read from, or 'server' when
+  // the frame had no TimeStamp or it could not be parsed (the record is then stored at server time).
+  async buildTelemetryRecord(deviceId, payload) {
     try {
       const Telemetry = require('../models/telemetry');
       
       console.log(`\n${'='.repeat(80)}`);
-      console.log(`📥 TELEMETRY SAVE START for device ${deviceId}`);
+      console.log(`📥 TELEMETRY RECORD BUILD for device ${deviceId}`);
       console.log(`${'='.repeat(80)}`);
       console.log('📦 Incoming payload keys:', Object.keys(payload));
       console.log('📦 Full payload:', JSON.stringify(payload, null, 2).substring(0, 500) + '...');
@@ -2273,7 +2279,7 @@ class MQTTService {
       const beforeRootCount = Object.keys(dataFields).length;
       Object.keys(payload).forEach(key => {
         // Skip meta fields and location fields (handled separately), keep actual telemetry data
-        if (!['Device ID', 'Message Type', 'sender', 'CommandId', 'Parameters', 'sn', 'SN', 'LATITUDE', 'LONGITUDE'].includes(key)) {
+        if (!['Device ID', 'Message Type', 'sender', 'CommandId', 'Parameters', 'sn', 'SN', 'LATITUDE', 'LONGITUDE', 'Backfill', 'BACKFILL'].includes(key)) {
           dataFields[key] = payload[key];
         }
       });
@@ -2310,6 +2316,7 @@ class MQTTService {
 
       // Format location field if latitude and longitude are present
       let location = null;
+      let coordinates = null;
       console.log(`📍 Location processing:`, {
         hasRawLatitude: !!rawLatitude,
         hasRawLongitude: !!rawLongitude,
@@ -2355,34 +2362,8 @@ class MQTTService {
             location = `${lat}, ${lon}`;
           }
           
-          // Trigger reverse geocoding in background (non-blocking)
-          // IMPORTANT: After geocoding completes, update the telemetry record with location name
-          setImmediate(() => {
-            this.reverseGeocodeLocation(lat, lon)
-              .then(locationName => {
-                if (locationName) {
-                  console.log(`✅ Geocoding completed in background: ${locationName}`);
-                  
-                  // ✅ UPDATE TELEMETRY: Save the geocoded location name back to database
-                  const Telemetry = require('../models/telemetry');
-                  Telemetry.findByIdAndUpdate(
-                    telemetryRecord._id,
-                    { $set: { location: locationName } },
-                    { new: true }
-                  ).then(updated => {
-                    console.log(`✅ Telemetry record updated with location: ${locationName}`);
-                  }).catch(updateError => {
-                    console.warn(`⚠️ Failed to update telemetry with geocoded location:`, updateError.message);
-                  });
-                } else {
-                  console.log(`ℹ️ Geocoding returned no location for ${lat}, ${lon}`);
-                }
-              })
-              .catch(error => {
-                console.warn(`⚠️ Background geocoding error for ${lat}, ${lon}:`, error.message);
-                // Gracefully handle - telemetry already saved with coordinates
-              });
-          });
+          // Reverse geocoded in background after the record is stored (see geocodeTelemetryLocation)
+          coordinates = { lat, lon };
         } else {
           console.log(`❌ Coordinates are invalid (NaN or both zero), setting location to null`);
           location = null;
@@ -2417,127 +2398,143 @@ class MQTTService {
       // Device sends timestamp in format: "2026-03-04 14:16:52"
       // Try multiple possible locations for the timestamp field
       let deviceTimestamp = null;
-      let timestampSource = 'server';
+      let timestampField = null;
       
       if (payload.Parameters?.TimeStamp) {
         deviceTimestamp = payload.Parameters.TimeStamp;
-        timestampSource = 'Parameters.TimeStamp';
+        timestampField = 'Parameters.TimeStamp';
       } else if (payload.TimeStamp) {
         deviceTimestamp = payload.TimeStamp;
-        timestampSource = 'payload.TimeStamp';
+        timestampField = 'payload.TimeStamp';
       } else if (dataFields.TimeStamp) {
         deviceTimestamp = dataFields.TimeStamp;
-        timestampSource = 'dataFields.TimeStamp';
+        timestampField = 'dataFields.TimeStamp';
       }
       
       let parsedTimestamp = new Date(); // Default to current server time as fallback
-      let timestampString = null; // Store original device timestamp string
+      let timestampSource = 'server'; // Only set to the field name once the device time parsed
       
       if (deviceTimestamp) {
-        try {
-          // STANDARDIZED TIMESTAMP HANDLING
-          // Device sends: "2026-03-04 14:16:52" (local device time)
-          // Store as: ISO Date object WITHOUT 'Z' suffix to preserve local time values
-          // This ensures formatDate() displays the exact hours/minutes/seconds the device reported
-          
-          const isoFormat = deviceTimestamp.replace(' ', 'T'); // DON'T add 'Z' - that marks it as UTC
-          const parsed = new Date(isoFormat);
-          
-          if (!isNaN(parsed.getTime())) {
-            parsedTimestamp = parsed;
-            timestampString = deviceTimestamp; // Keep original string as backup
-            console.log(`✅ Device timestamp standardized from ${timestampSource}: "${deviceTimestamp}" → ${parsed.toISOString()}`);
-            console.log(`   Note: Stored WITHOUT UTC marker (Z) to preserve device local time values`);
-          } else {
-            console.warn(`⚠️ Failed to parse device timestamp: "${deviceTimestamp}", using server time`);
-          }
-        } catch (timestampError) {
-          console.warn(`⚠️ Error parsing device timestamp "${deviceTimestamp}":`, timestampError.message);
-          console.log(`   Using server time as fallback`);
+        // STANDARDIZED TIMESTAMP HANDLING
+        // Device sends: "2026-03-04 14:16:52" (local device time)
+        // Store as: ISO Date object WITHOUT 'Z' suffix to preserve local time values
+        const parsed = parseDeviceTimestamp(deviceTimestamp);
+        
+        if (parsed) {
+          parsedTimestamp = parsed;
+          timestampSource = timestampField;
+          console.log(`✅ Device timestamp standardized from ${timestampField}: "${deviceTimestamp}" → ${parsed.toISOString()}`);
+          console.log(`   Note: Stored WITHOUT UTC marker (Z) to preserve device local time values`);
+        } else {
+          console.warn(`⚠️ Failed to parse device timestamp from ${timestampField}: ${JSON.stringify(deviceTimestamp)}, using server time`);
         }
       } else {
         console.log(`ℹ️ No device timestamp found in payload, using server time`);
       }
       
+      // Normalize against the device type's field registry: canonical names, numbers instead of
+      // numeric strings, type/range checks. Invalid frames are flagged, not dropped.
+      const normalized = await telemetryRegistryService.normalizeFrame(deviceId, dataFields);
+      if (!normalized.valid) {
+        console.warn(`⚠️ Telemetry frame from ${deviceId} failed validation (${normalized.registry}):`,
+          normalized.issues.map(issue => issue.message).join('; '));
+      }
+
       const telemetryRecord = new Telemetry({
         deviceId: deviceId,
         timestamp: parsedTimestamp,
         event: event,
-        location: location  // Add location field for easy access in frontend
+        location: location,  // Add location field for easy access in frontend
+        validation: {
+          valid: normalized.valid,
+          registry: normalized.registry,
+          issues: normalized.issues
+        }
       });
       
       // Assign data field separately to ensure it's properly set
-      telemetryRecord.data = new Map(Object.entries(dataFields));
+      telemetryRecord.data = new Map(Object.entries(normalized.data));
       
-      console.log(`🔍 Telemetry record before save:`, {
+      console.log(`🔍 Telemetry record built:`, {
         deviceId: telemetryRecord.deviceId,
         timestamp: telemetryRecord.timestamp,
         event: telemetryRecord.event,
-        data: telemetryRecord.data,
         location: telemetryRecord.location,
         dataFieldsCount: telemetryRecord.data.size
       });
-
-      console.log(`\n💾 SAVING TO DATABASE...`);
-      console.log(`   dataFields before save: ${JSON.stringify(dataFields).substring(0, 200)}...`);
-      
-      const saveResult = await telemetryRecord.save();
-      
-      console.log(`✅ Save completed successfully`);
-      console.log(`   Document ID: ${saveResult._id}`);
-      console.log(`   Data field type after save: ${typeof saveResult.data}`);
-      console.log(`   Data field instanceof Map: ${saveResult.data instanceof Map}`);
-      console.log(`   Saved telemetry data for device ${deviceId} with ${Object.keys(dataFields).length} data fields`);
-      console.log('📊 Saved fields:', Object.keys(dataFields).join(', '));
-      if (location) {
-        console.log(`📍 Saved location: ${location}`);
-      }
-      
-      // Verify the saved record by fetching it back IMMEDIATELY using raw query first
-      console.log(`\n🔍 VERIFICATION PHASE:`);
-      console.log(`   Fetching saved record from DB using findById...`);
-      
-      const savedRecord = await Telemetry.findById(telemetryRecord._id);
-      console.log(`   Record fetched, data type: ${typeof savedRecord.data}`);
-      console.log(`   Data is Map: ${savedRecord.data instanceof Map}`);
-      console.log(`   Raw data value:`, savedRecord.data);
-      
-      const savedDataObj = savedRecord.data instanceof Map 
-        ? Object.fromEntries(savedRecord.data)
-        : (savedRecord.data || {});
-      
-      console.log(`\n📊 VERIFICATION RESULTS:`);
-      console.log(`   recordId: ${savedRecord._id}`);
-      console.log(`   dataFieldsCount: ${Object.keys(savedDataObj).length}`);
-      console.log(`   dataKeys: ${Object.keys(savedDataObj).join(', ') || '(EMPTY)'}`);
-      
-      if (Object.keys(savedDataObj).length > 0) {
-        console.log(`   ✅ Data was properly saved!`);
-        console.log(`   Sample data:`, Object.fromEntries(Object.entries(savedDataObj).slice(0, 5)));
-      } else {
-        console.log(`   ❌ WARNING: Saved data is EMPTY! Check if dataFields was populated correctly`);
-      }
-      
-      // Check alarms for this device data
-      const eventForAlarm = dataFields.EVENT || dataFields.Event ||
-                            payload.Parameters?.EVENT || payload.Parameters?.Event || 
-                            payload.EVENT || payload.Event || 'NORMAL';
-      await alarmMonitoringService.checkAlarmsForDevice(payload, deviceId, eventForAlarm);
-      
-      // Check if payload contains device settings and save them
-      await this.saveDeviceSettings(deviceId, payload, 'system');
-      
       console.log(`${'='.repeat(80)}\n`);
+
+      // Event passed to alarm checks (raw value, before DEPOL/NORMAL normalization)
+      const alarmEvent = dataFields.EVENT || dataFields.Event ||
+                         payload.Parameters?.EVENT || payload.Parameters?.Event || 
+                         payload.EVENT || payload.Event || 'NORMAL';
+
+      return { record: telemetryRecord, data: normalized.data, event: alarmEvent, coordinates, timestampSource };
       
     } catch (error) {
       console.error(`${'='.repeat(80)}`);
-      console.error(`❌ ERROR SAVING TELEMETRY DATA`);
+      console.error(`❌ ERROR BUILDING TELEMETRY RECORD`);
       console.error(`   Device: ${deviceId}`);
       console.error(`   Error message: ${error.message}`);
       console.error(`   Error code: ${error.code}`);
       console.error(`   Stack: ${error.stack}`);
       console.error(`   Full error object:`, error);
       console.error(`${'='.repeat(80)}\n`);
+      return null;
+    }
+  }
+
+  // Reverse geocode a stored telemetry record in the background and save the location name back.
+  // The name is also remembered per device so live updates don't need to re-read telemetry.
+  geocodeTelemetryLocation(deviceId, recordId, { lat, lon }) {
+    setImmediate(() => {
+      this.reverseGeocodeLocation(lat, lon)
+        .then(locationName => {
+          if (!locationName) {
+            console.log(`ℹ️ Geocoding returned no location for ${lat}, ${lon}`);
+            return;
+          }
+          
+          console.log(`✅ Geocoding completed in background: ${locationName}`);
+          this.telemetryLocations.set(deviceId, locationName);
+          
+          const Telemetry = require('../models/telemetry');
+          return Telemetry.findByIdAndUpdate(recordId, { $set: { location: locationName } })
+            .then(() => {
+              console.log(`✅ Telemetry record updated with location: ${locationName}`);
+            })
+            .catch(updateError => {
+              console.warn(`⚠️ Failed to update telemetry with geocoded location:`, updateError.message);
+            });
+        })
+        .catch(error => {
+          // Gracefully handle - telemetry already saved with coordinates
+          console.warn(`⚠️ Background geocoding error for ${lat}, ${lon}:`, error.message);
+        });
+    });
+  }
+
+  // Work that needs a stored telemetry record: alarm checks. Called by the ingest queue
+  // for every inserted frame, in arrival order per device. built.quality holds the frame's
+  // LOG continuity check (frames lost before it) for frames-lost alarms.
+  async processStoredTelemetry(deviceId, payload, built) {
+    if (built.coordinates) {
+      this.geocodeTelemetryLocation(deviceId, built.record._id, built.coordinates);
+    }
+    
+    await alarmMonitoringService.checkAlarmsForDevice(payload, deviceId, built.event, built.quality || null);
+  }
+
+  // Store device settings carried by a data frame. The ingest queue only calls this for the
+  // latest frame of each device in a batch since settings are last-write-wins.
+  async applyFrameSettings(deviceId, payload) {
+    await this.saveDeviceSettings(deviceId, payload, 'system');
+    await this.extractAndStoreDeviceSettings(deviceId, payload);
+
+    // Reported configuration, compared with the desired configuration for drift
+    const reported = extractConfigParameters(payload);
+    if (Object.keys(reported).length > 0) {
+      await configDriftService.recordReported(deviceId, this.applyValueMappings(reported));
     }
   }
 
@@ -2781,6 +2778,13 @@ class MQTTService {
 
       await device.save();
       console.log(`💾 Saved merged settings for device ${deviceId} (updated by: ${updatedBy})`);
+
+      // updatedBy is either a source ('user', 'system', ...) or the username of the author
+      const isSource = ['user', 'system', 'device', 'sync'].includes(updatedBy);
+      await configVersionService.recordVersion(deviceId, device.configuration.deviceSettings, {
+        source: updatedBy,
+        author: isSource ? null : updatedBy
+      });
       
       return {
         success: true,
@@ -3507,10 +3511,12 @@ class MQTTService {
    * Will wait up to 5 seconds for MQTT connection if not ready
    */
   publishCompleteSettingsCommand(deviceId, settingsMessage) {
+    // Command topic and client of the device's broker (Device.mqtt)
+    const { client, topic } = brokerConnectionManager.getCommandRoute(deviceId);
     return new Promise((resolve) => {
       try {
         // If client is not ready, try to wait for it
-        if (!this.client || !this.client.connected) {
+        if (!client || !client.connected) {
           console.warn(`⚠️ MQTT client not connected, waiting for connection...`);
           
           // Wait up to 5 seconds for connection
@@ -3518,7 +3524,7 @@ class MQTTService {
           const maxAttempts = 50; // 50 * 100ms = 5 seconds
           
           const waitForConnection = () => {
-            if (this.client && this.client.connected) {
+            if (client && client.connected) {
               console.log(`✅ MQTT connection established, publishing message...`);
               this.publishCompleteSettingsCommand(deviceId, settingsMessage).then(resolve);
               return;
@@ -3541,11 +3547,10 @@ class MQTTService {
         }
 
         // Use commands topic for bulk settings updates
-        const topic = `devices/${deviceId}/commands`;
         console.log(`📤 Publishing settings command to topic: ${topic}`);
         console.log(`   Message:`, JSON.stringify(settingsMessage, null, 2));
 
-        this.client.publish(topic, JSON.stringify(settingsMessage), { qos: 1 }, (error) => {
+        client.publish(topic, JSON.stringify(settingsMessage), { qos: 1 }, (error) => {
           if (error) {
             console.error(`❌ MQTT publish error:`, error);
             resolve({
@@ -3591,6 +3596,8 @@ class MQTTService {
   }
 
   disconnect() {
+    brokerConnectionManager.stop();
+    commandQueueService.stop();
     if (this.client) {
       this.client.end(true);
     }
@@ -110,6 +110,7 @@ class NotificationService {
 
   /**
    * Create a maintenance notification
+   * Pass user_id: null with maintenance_window_id for a broadcast window start/end announcement
    * @param {Object} params - Notification parameters
    */
   async createMaintenanceNotification(params) {
@@ -118,10 +119,15 @@ class NotificationService {
         user_id,
         device_id,
         device_name,
-        maintenance_due_date
+        maintenance_due_date,
+        maintenance_window_id,
+        title,
+        message,
+        metadata
       } = params;
 
-      if (!user_id) {
+      // Window announcements are broadcast (user_id null); due-date reminders need a user
+      if (!user_id && !(user_id === null && maintenance_window_id)) {
         console.warn('[NotificationService] ⚠️ Cannot create notification: user_id is required');
         return null;
       }
@@ -131,16 +137,18 @@ class NotificationService {
         type: 'maintenance',
         device_id,
         device_name,
-        title: `🔧 Maintenance Due: ${device_name}`,
-        message: `Maintenance is due on ${maintenance_due_date}`,
-        severity: 'warning',
+        title: title || `🔧 Maintenance Due: ${device_name}`,
+        message: message || `Maintenance is due on ${maintenance_due_date}`,
+        severity: maintenance_window_id ? 'info' : 'warning',
         metadata: {
-          notification_type: 'maintenance_due',
-          maintenance_due_date
+          notification_type: maintenance_window_id ? 'maintenance_window' : 'maintenance_due',
+          maintenance_due_date,
+          maintenance_window_id,
+          ...metadata
         }
       });
 
-      console.log(`[NotificationService] ✅ Created maintenance notification for user ${user_id}`);
+      console.log(`[NotificationService] ✅ Created maintenance notification for ${user_id ? `user ${user_id}` : '(broadcast)'}`);
       return notification;
     } catch (error) {
       console.error('[NotificationService] Error creating maintenance notification:', error);
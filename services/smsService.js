@@ -0,0 +1,79 @@
+const twilio = require('twilio');
+
+/**
+ * SMS Service
+ * Sends SMS messages through Twilio.
+ * Requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER;
+ * set ENABLE_SMS_NOTIFICATIONS=false to disable sending even when configured.
+ */
+class SmsService {
+  constructor() {
+    this.client = null;
+    this.fromNumber = process.env.TWILIO_PHONE_NUMBER || null;
+    this.initializeClient();
+  }
+
+  /**
+   * Initialize the Twilio client if credentials are present
+   */
+  initializeClient() {
+    if (process.env.ENABLE_SMS_NOTIFICATIONS === 'false') {
+      console.log('⚠️ SMS service disabled - ENABLE_SMS_NOTIFICATIONS=false');
+      return;
+    }
+
+    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && this.fromNumber) {
+      try {
+        this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        console.log('✅ Twilio SMS client initialized');
+      } catch (error) {
+        console.error('❌ Failed to initialize Twilio:', error.message);
+      }
+    } else {
+      console.log('⚠️ SMS service skipped - missing TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN or TWILIO_PHONE_NUMBER');
+    }
+  }
+
+  /**
+   * Whether SMS can be sent
+   */
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Send a single SMS
+   * @param {Object} options - SMS options
+   * @param {String} options.to - Recipient phone number (E.164, e.g. +919876543210)
+   * @param {String} options.body - Message text
+   */
+  async sendSMS({ to, body }) {
+    if (!to) {
+      throw new Error('Recipient phone number is required');
+    }
+    if (!this.client) {
+      throw new Error('SMS service is not configured. Please set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER');
+    }
+
+    const message = await this.client.messages.create({
+      from: this.fromNumber,
+      to,
+      body
+    });
+
+    console.log(`[SMS Service] ✅ SMS sent to ${to} (SID: ${message.sid})`);
+    return { success: true, messageId: message.sid, provider: 'twilio' };
+  }
+
+  /**
+   * Format a short alarm message (kept under ~300 chars to avoid multi-part SMS cost)
+   * @param {Object} alarmData - { alarmName, deviceName, severity, reason, timestamp }
+   */
+  formatAlarmMessage(alarmData) {
+    const severity = (alarmData.severity || 'warning').toUpperCase();
+    const reason = String(alarmData.reason || '').slice(0, 180);
+    return `[${severity}] ALARM ${alarmData.alarmName} on ${alarmData.deviceName}: ${reason} (${alarmData.timestamp})`;
+  }
+}
+
+module.exports = SmsService;
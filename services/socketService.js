@@ -1,5 +1,10 @@
+const jwt = require('jsonwebtoken');
 const mqttService = require('./mqttService');
 
+// Authenticated sockets join their user's room, admins also the admin room,
+// so per-user events (export jobs) reach only the users allowed to see them
+const ADMIN_ROOM = 'admins';
+
 class SocketService {
   constructor() {
     this.io = null;
@@ -13,6 +18,15 @@ class SocketService {
   setupSocketHandlers() {
     this.io.on('connection', (socket) => {
       console.log(`🔗 Client connected: ${socket.id}`);
+
+      // Access token in the handshake (io(url, { auth: { token } })), or sent after login
+      this.joinUserRooms(socket, socket.handshake.auth && socket.handshake.auth.token);
+      socket.on('authenticate', (token, callback) => {
+        const joined = this.joinUserRooms(socket, token);
+        if (typeof callback === 'function') {
+          callback(joined ? { success: true } : { success: false, error: 'Invalid token' });
+        }
+      });
       
       // Send initial data to new client
       this.sendInitialData(socket);
@@ -40,6 +54,35 @@ class SocketService {
     });
   }
 
+  getUserRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  getAdminRoom() {
+    return ADMIN_ROOM;
+  }
+
+  /**
+   * Join the rooms of the token's user, leaving those of a previous token
+   * @returns {Boolean} Whether the token was valid
+   */
+  joinUserRooms(socket, token) {
+    if (!token) return false;
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+      socket.rooms.forEach(room => {
+        if (room !== socket.id) socket.leave(room);
+      });
+      socket.join(this.getUserRoom(decoded.userId));
+      if (decoded.role === 'admin') socket.join(ADMIN_ROOM);
+      console.log(`🔐 Socket ${socket.id} joined the rooms of user ${decoded.userId}${decoded.role === 'admin' ? ' (admin)' : ''}`);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Socket ${socket.id} sent an invalid token: ${error.message}`);
+      return false;
+    }
+  }
+
   sendInitialData(socket) {
     const deviceData = mqttService.getDeviceData();
     const connectionStatus = mqttService.getConnectionStatus();
@@ -0,0 +1,541 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const StagedRollout = require('../models/StagedRollout');
+const DeviceAcknowledgment = require('../models/deviceAcknowledgment');
+const AlarmTrigger = require('../models/AlarmTrigger');
+const Telemetry = require('../models/telemetry');
+const Device = require('../models/Device');
+const deviceManagementService = require('./deviceManagementService');
+const configVersionService = require('./configVersionService');
+const configTemplateService = require('./configTemplateService');
+const { resolveElectrode, validateReferenceParameters } = require('../utils/electrodeRules');
+
+/**
+ * Staged Rollout Service
+ * Pushes a configuration change through the complete-settings command path in stages:
+ *   1. the canary batch gets the change; the rollout waits until every canary device
+ *      acknowledged it and reported `healthyFrames` valid telemetry frames
+ *   2. the remaining devices follow in batches of `batchSize`, each batch waiting the same way
+ *   3. after every step the ack-failure rate and alarm rate of all devices changed so far are
+ *      checked; past a threshold the rollout stops (onThreshold 'pause') or every changed device
+ *      is rolled back to the configuration version it had before (onThreshold 'rollback')
+ * Devices that are not healthy within batchTimeoutMinutes count as failed.
+ *
+ * Rollouts are advanced by a periodic tick. Each tick takes a short lease on the rollout
+ * (lockedBy/lockedUntil) so only one PM2 worker advances it at a time.
+ *
+ * Socket.IO: stagedRolloutUpdate { rolloutId, status, currentBatch, totalBatches, stats, stopReason }
+ *
+ * Configuration (env):
+ *   STAGED_ROLLOUT_TICK_MS - how often running rollouts are advanced (default 15000)
+ */
+
+const ACK_FAILED_STATUSES = ['FAILED', 'TIMEOUT', 'EXPIRED', 'CANCELLED'];
+const CHANGED_DEVICE_STATUSES = ['sent', 'acked', 'healthy', 'failed'];
+
+class StagedRolloutService {
+  constructor() {
+    this.tickMs = parseInt(process.env.STAGED_ROLLOUT_TICK_MS) || 15 * 1000;
+    this.leaseMs = 2 * 60 * 1000;
+    this.instanceId = `${os.hostname()}_${process.pid}`;
+    this.io = null;
+    this.interval = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Initialize with Socket.IO instance for progress events
+   */
+  initialize(io) {
+    this.io = io;
+  }
+
+  start() {
+    if (this.interval) return;
+    console.log(`[Staged Rollout] 🚀 Starting rollout orchestrator (tick: ${this.tickMs / 1000}s)`);
+    this.interval = setInterval(() => this.tick(), this.tickMs);
+  }
+
+  stop() {
+    if (this.interval) {
+      console.log('[Staged Rollout] 🛑 Stopping rollout orchestrator...');
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  emitUpdate(rollout) {
+    if (!this.io) return;
+    this.io.emit('stagedRolloutUpdate', {
+      rolloutId: rollout._id.toString(),
+      name: rollout.name,
+      status: rollout.status,
+      currentBatch: rollout.currentBatch,
+      totalBatches: rollout.totalBatches,
+      stats: rollout.stats,
+      stopReason: rollout.stopReason
+    });
+  }
+
+  validationError(errors) {
+    return configTemplateService.validationError(errors);
+  }
+
+  /**
+   * Create a rollout and send the canary batch
+   * @param {Object} data - { name, templateId | parameters, zoneId | filterId | deviceIds, options }
+   * @param {Object|String} author - User starting the rollout
+   * @returns {Promise<Document>} StagedRollout
+   */
+  async createRollout({ name, templateId, parameters, zoneId, filterId, deviceIds, options = {} }, author = null) {
+    let template = null;
+    if (templateId) {
+      template = await configTemplateService.getTemplate(templateId);
+      if (!template) throw new Error(`Config template ${templateId} not found`);
+    }
+
+    const validated = configTemplateService.validateParameters(template ? template.parameters : parameters);
+    if (validated.errors.length > 0) throw this.validationError(validated.errors);
+
+    const { target, devices } = await configTemplateService.resolveTargetDevices({ zoneId, filterId, deviceIds });
+    if (devices.length === 0) {
+      throw new Error(`No devices found for ${target.type} ${target.name || target.id}`);
+    }
+
+    const canarySize = Math.max(1, parseInt(options.canarySize) || 5);
+    const batchSize = Math.max(1, parseInt(options.batchSize) || 20);
+
+    const rolloutDevices = devices.map((device, index) => {
+      const batch = index < canarySize ? 0 : 1 + Math.floor((index - canarySize) / batchSize);
+      const deviceElectrode = device.configuration && device.configuration.deviceSettings
+        ? device.configuration.deviceSettings.electrode
+        : null;
+      const electrode = validated.electrode !== null ? validated.electrode : resolveElectrode(deviceElectrode);
+      const validation = validateReferenceParameters(validated.parameters, electrode);
+
+      return {
+        deviceId: device.deviceId,
+        deviceName: device.deviceName || null,
+        batch,
+        electrode,
+        status: validation.length > 0 ? 'invalid' : 'pending',
+        error: validation.length > 0 ? validation.map(v => v.message).join('; ') : null
+      };
+    });
+
+    const rollout = new StagedRollout({
+      name: name || (template ? template.name : `Rollout to ${target.name || target.type}`),
+      templateId: template ? template._id : null,
+      parameters: validated.parameters,
+      target,
+      options: { ...options, canarySize, batchSize },
+      totalBatches: rolloutDevices[rolloutDevices.length - 1].batch + 1,
+      devices: rolloutDevices,
+      createdBy: configVersionService.resolveAuthor(author)
+    });
+    rollout.addEvent('started', `${rolloutDevices.length} device(s) in ${rollout.totalBatches} batch(es), canary of ${Math.min(canarySize, rolloutDevices.length)}`, rollout.createdBy.username);
+    await rollout.save();
+
+    console.log(`[Staged Rollout] 🚦 Rollout "${rollout.name}" (${rollout._id}) started: ${rolloutDevices.length} device(s), ${rollout.totalBatches} batch(es)`);
+
+    return (await this.processRollout(rollout._id)) || rollout;
+  }
+
+  async getRollout(rolloutId) {
+    if (!mongoose.Types.ObjectId.isValid(rolloutId)) return null;
+    return StagedRollout.findById(rolloutId);
+  }
+
+  /**
+   * Rollouts, newest first (without the per-device list and events)
+   */
+  async listRollouts({ status, limit = 50 } = {}) {
+    const query = status ? { status } : {};
+    return StagedRollout.find(query).sort({ createdAt: -1 }).limit(limit).select('-devices -events').lean();
+  }
+
+  /**
+   * Take the processing lease on a rollout
+   * @returns {Promise<Document|null>} The rollout, or null when it is not in one of `statuses` or leased elsewhere
+   */
+  async claim(rolloutId, statuses = ['running']) {
+    const now = new Date();
+    return StagedRollout.findOneAndUpdate(
+      {
+        _id: rolloutId,
+        status: { $in: statuses },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedBy: this.instanceId, lockedUntil: new Date(now.getTime() + this.leaseMs) } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Take the lease for an operator action, waiting a few seconds for a tick that holds it
+   * @returns {Promise<Document|null>} null when the rollout is not in one of `statuses`
+   * @throws Error when another instance keeps the rollout leased
+   */
+  async claimForOperator(rolloutId, statuses) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const rollout = await this.claim(rolloutId, statuses);
+      if (rollout) return rollout;
+
+      const current = await StagedRollout.findById(rolloutId).select('status').lean();
+      if (!current || !statuses.includes(current.status)) return null;
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    throw new Error('Rollout is being processed, try again');
+  }
+
+  async release(rollout) {
+    rollout.lockedBy = null;
+    rollout.lockedUntil = null;
+    await rollout.save();
+  }
+
+  /**
+   * Advance every running rollout
+   */
+  async tick() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const rollouts = await StagedRollout.find({
+        status: 'running',
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+      }).select('_id').lean();
+
+      for (const { _id } of rollouts) {
+        await this.processRollout(_id);
+      }
+    } catch (error) {
+      console.error('[Staged Rollout] ❌ Error advancing rollouts:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Claim and advance one rollout
+   * @returns {Promise<Document|null>} Updated rollout, null when it was not claimed
+   */
+  async processRollout(rolloutId) {
+    const rollout = await this.claim(rolloutId);
+    if (!rollout) return null;
+
+    try {
+      await this.advance(rollout);
+    } catch (error) {
+      console.error(`[Staged Rollout] ❌ Error advancing rollout ${rolloutId}:`, error.message);
+    } finally {
+      await this.release(rollout);
+    }
+
+    this.emitUpdate(rollout);
+    return rollout;
+  }
+
+  /**
+   * One orchestration step: send the current batch, collect progress, check thresholds,
+   * move on to the next batch when the current one is done
+   */
+  async advance(rollout) {
+    const now = new Date();
+    const batchDevices = () => rollout.devices.filter(d => d.batch === rollout.currentBatch);
+
+    const pending = batchDevices().filter(d => d.status === 'pending');
+    if (pending.length > 0) {
+      rollout.batchStartedAt = now;
+      rollout.addEvent('batch_started', `${rollout.currentBatch === 0 ? 'Canary batch' : `Batch ${rollout.currentBatch}`}: sending to ${pending.length} device(s)`);
+      for (const device of pending) {
+        await this.dispatchDevice(rollout, device);
+      }
+    }
+
+    await this.refreshDevices(rollout);
+
+    const timeoutMs = rollout.options.batchTimeoutMinutes * 60 * 1000;
+    if (rollout.batchStartedAt && now - rollout.batchStartedAt > timeoutMs) {
+      batchDevices()
+        .filter(d => d.status === 'sent' || d.status === 'acked')
+        .forEach(device => {
+          device.error = device.status === 'sent'
+            ? `No acknowledgment within ${rollout.options.batchTimeoutMinutes} min`
+            : `Only ${device.frames}/${rollout.options.healthyFrames} healthy frames within ${rollout.options.batchTimeoutMinutes} min`;
+          device.status = 'failed';
+        });
+    }
+
+    this.updateStats(rollout);
+
+    const reason = this.getThresholdViolation(rollout);
+    if (reason) {
+      await this.trip(rollout, reason);
+      return;
+    }
+
+    const inProgress = batchDevices().some(d => ['pending', 'sent', 'acked'].includes(d.status));
+    if (inProgress) return;
+
+    rollout.addEvent('batch_completed', `${rollout.currentBatch === 0 ? 'Canary batch' : `Batch ${rollout.currentBatch}`} done: ${batchDevices().filter(d => d.status === 'healthy').length}/${batchDevices().length} healthy`);
+
+    if (rollout.currentBatch + 1 < rollout.totalBatches) {
+      rollout.currentBatch += 1;
+      rollout.batchStartedAt = null;
+      // Send the next batch right away instead of waiting for the next tick
+      await this.advance(rollout);
+      return;
+    }
+
+    rollout.status = 'completed';
+    rollout.completedAt = new Date();
+    rollout.addEvent('completed', `${rollout.stats.healthy} healthy, ${rollout.stats.failed} failed, ${rollout.stats.invalid} invalid`);
+    console.log(`[Staged Rollout] ✅ Rollout "${rollout.name}" completed (${rollout.stats.healthy}/${rollout.devices.length} healthy)`);
+  }
+
+  /**
+   * Store the rollout's parameters for a device and queue the complete-settings command
+   */
+  async dispatchDevice(rollout, device) {
+    const mqttService = require('./mqttService');
+
+    try {
+      // Remember the version to roll back to; devices configured before versioning get one now
+      let previous = await configVersionService.getLatestVersion(device.deviceId);
+      if (!previous) {
+        const current = await Device.findOne({ deviceId: device.deviceId }).select('configuration.deviceSettings').lean();
+        if (current && current.configuration && current.configuration.deviceSettings) {
+          previous = await configVersionService.recordVersion(device.deviceId, current.configuration.deviceSettings, { source: 'system' });
+        }
+      }
+      device.previousVersion = previous ? previous.version : null;
+
+      const commandId = uuidv4();
+      await deviceManagementService.updateDeviceParameters(device.deviceId, rollout.parameters, commandId, rollout.createdBy);
+      mqttService.deviceSettings.delete(device.deviceId);
+      await mqttService.queueCompleteSettings(device.deviceId, commandId);
+
+      device.commandId = commandId;
+      device.status = 'sent';
+      device.sentAt = new Date();
+    } catch (error) {
+      console.error(`[Staged Rollout] ❌ Could not send rollout "${rollout.name}" to ${device.deviceId}:`, error.message);
+      device.status = 'failed';
+      device.error = error.message;
+    }
+  }
+
+  /**
+   * Collect acknowledgments, healthy frames and alarms of the devices changed so far
+   */
+  async refreshDevices(rollout) {
+    const sent = rollout.devices.filter(d => d.status === 'sent' && d.commandId);
+    if (sent.length > 0) {
+      const commands = await DeviceAcknowledgment.find({ commandId: { $in: sent.map(d => d.commandId) } })
+        .select('commandId status lastError acknowledgedAt supersededBy')
+        .lean();
+      const byCommandId = new Map(commands.map(c => [c.commandId, c]));
+
+      sent.forEach(device => {
+        const command = byCommandId.get(device.commandId);
+        if (!command) return;
+
+        if (command.status === 'SUCCESS') {
+          device.status = 'acked';
+          device.ackedAt = command.acknowledgedAt || new Date();
+        } else if (ACK_FAILED_STATUSES.includes(command.status)) {
+          device.status = 'failed';
+          device.error = `Command ${command.status}${command.lastError ? `: ${command.lastError}` : ''}`;
+        } else if (command.status === 'SUPERSEDED' && command.supersededBy) {
+          // A newer settings command carries this change as well - follow that one
+          device.commandId = command.supersededBy;
+        }
+      });
+    }
+
+    const acked = rollout.devices.filter(d => d.status === 'acked');
+    for (const device of acked) {
+      device.frames = rollout.options.healthyFrames > 0
+        ? await Telemetry.countDocuments(
+          { deviceId: device.deviceId, timestamp: { $gt: device.ackedAt }, 'validation.valid': { $ne: false } },
+          { limit: rollout.options.healthyFrames }
+        )
+        : 0;
+      if (device.frames >= rollout.options.healthyFrames) {
+        device.status = 'healthy';
+        device.healthyAt = new Date();
+      }
+    }
+
+    const changed = rollout.devices.filter(d => CHANGED_DEVICE_STATUSES.includes(d.status) && d.sentAt);
+    if (changed.length > 0) {
+      const alarmCounts = await AlarmTrigger.aggregate([
+        { $match: { $or: changed.map(d => ({ device_id: d.deviceId, triggered_at: { $gte: d.sentAt } })) } },
+        { $group: { _id: '$device_id', count: { $sum: 1 } } }
+      ]);
+      const byDevice = new Map(alarmCounts.map(a => [a._id, a.count]));
+      changed.forEach(device => {
+        device.alarms = byDevice.get(device.deviceId) || 0;
+      });
+    }
+  }
+
+  updateStats(rollout) {
+    const changed = rollout.devices.filter(d => CHANGED_DEVICE_STATUSES.includes(d.status) && d.sentAt);
+    const count = (predicate) => rollout.devices.filter(predicate).length;
+
+    const failed = changed.filter(d => d.status === 'failed').length;
+    const alarmed = changed.filter(d => d.alarms > 0).length;
+
+    rollout.stats = {
+      changed: changed.length,
+      acked: count(d => d.status === 'acked' || d.status === 'healthy'),
+      healthy: count(d => d.status === 'healthy'),
+      failed,
+      alarmed,
+      invalid: count(d => d.status === 'invalid'),
+      ackFailureRate: changed.length > 0 ? Math.round((failed / changed.length) * 1000) / 1000 : 0,
+      alarmRate: changed.length > 0 ? Math.round((alarmed / changed.length) * 1000) / 1000 : 0
+    };
+  }
+
+  /**
+   * @returns {String|null} Why the rollout must stop, null when within thresholds
+   */
+  getThresholdViolation(rollout) {
+    const { stats, options } = rollout;
+    if (stats.ackFailureRate > options.ackFailureThreshold) {
+      return `Ack failure rate ${(stats.ackFailureRate * 100).toFixed(1)}% (${stats.failed}/${stats.changed}) is above ${(options.ackFailureThreshold * 100).toFixed(1)}%`;
+    }
+    if (stats.alarmRate > options.alarmRateThreshold) {
+      return `Alarm rate ${(stats.alarmRate * 100).toFixed(1)}% (${stats.alarmed}/${stats.changed}) is above ${(options.alarmRateThreshold * 100).toFixed(1)}%`;
+    }
+    return null;
+  }
+
+  /**
+   * Threshold passed: stop the rollout, or roll every changed device back
+   */
+  async trip(rollout, reason) {
+    rollout.stopReason = reason;
+    rollout.addEvent('threshold', reason);
+    console.warn(`[Staged Rollout] ⛔ Rollout "${rollout.name}" stopped: ${reason}`);
+
+    if (rollout.options.onThreshold === 'rollback') {
+      await this.rollbackDevices(rollout, 'staged-rollout');
+      rollout.status = 'rolled_back';
+      rollout.completedAt = new Date();
+    } else {
+      rollout.status = 'stopped';
+    }
+  }
+
+  /**
+   * Restore the previous configuration version on every device the change was sent to
+   */
+  async rollbackDevices(rollout, author) {
+    const changed = rollout.devices.filter(d => CHANGED_DEVICE_STATUSES.includes(d.status) && d.sentAt);
+    let restored = 0;
+
+    for (const device of changed) {
+      if (device.previousVersion === null || device.previousVersion === undefined) {
+        device.status = 'rollback_failed';
+        device.error = 'No previous configuration version to roll back to';
+        continue;
+      }
+
+      try {
+        const result = await deviceManagementService.rollbackToVersion(device.deviceId, device.previousVersion, author);
+        device.status = 'rolled_back';
+        device.rollbackCommandId = result.command.commandId;
+        restored += 1;
+      } catch (error) {
+        device.status = 'rollback_failed';
+        device.error = error.message;
+      }
+    }
+
+    rollout.addEvent('rolled_back', `${restored}/${changed.length} device(s) rolled back`, typeof author === 'string' ? author : null);
+    console.log(`[Staged Rollout] ⏪ Rollout "${rollout.name}": ${restored}/${changed.length} device(s) rolled back`);
+  }
+
+  /**
+   * Pause a running rollout (commands already sent are not recalled). Takes the lease so a
+   * tick that is advancing the rollout cannot save over the pause.
+   * @returns {Promise<Document|null>} null when the rollout is not running
+   * @throws Error when another instance keeps the rollout leased
+   */
+  async pause(rolloutId, by = null) {
+    const rollout = await this.claimForOperator(rolloutId, ['running']);
+    if (!rollout) return null;
+
+    const username = configVersionService.resolveAuthor(by).username;
+    try {
+      rollout.status = 'paused';
+      rollout.addEvent('paused', 'Paused by operator', username);
+    } finally {
+      await this.release(rollout);
+    }
+
+    this.emitUpdate(rollout);
+    return rollout;
+  }
+
+  /**
+   * Resume a paused or threshold-stopped rollout, optionally with new thresholds
+   * @returns {Promise<Document|null>} null when the rollout is not paused/stopped
+   */
+  async resume(rolloutId, by = null, { ackFailureThreshold, alarmRateThreshold } = {}) {
+    const username = configVersionService.resolveAuthor(by).username;
+    const update = {
+      status: 'running',
+      stopReason: null,
+      ...(ackFailureThreshold !== undefined && { 'options.ackFailureThreshold': ackFailureThreshold }),
+      ...(alarmRateThreshold !== undefined && { 'options.alarmRateThreshold': alarmRateThreshold })
+    };
+
+    const rollout = await StagedRollout.findOneAndUpdate(
+      { _id: rolloutId, status: { $in: ['paused', 'stopped'] } },
+      {
+        $set: update,
+        $push: { events: { at: new Date(), type: 'resumed', message: 'Resumed by operator', by: username } }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!rollout) return null;
+
+    return (await this.processRollout(rollout._id)) || rollout;
+  }
+
+  /**
+   * Abort an open rollout; with rollback, every changed device gets its previous configuration back
+   * @returns {Promise<Document|null>} null when the rollout is not open
+   * @throws Error when another instance keeps the rollout leased
+   */
+  async abort(rolloutId, by = null, { rollback = false } = {}) {
+    const rollout = await this.claimForOperator(rolloutId, StagedRollout.OPEN_STATUSES);
+    if (!rollout) return null;
+
+    const username = configVersionService.resolveAuthor(by).username;
+    try {
+      rollout.status = 'aborted';
+      rollout.completedAt = new Date();
+      rollout.addEvent('aborted', rollback ? 'Aborted by operator with rollback' : 'Aborted by operator', username);
+      if (rollback) {
+        await this.rollbackDevices(rollout, by);
+      }
+      this.updateStats(rollout);
+    } finally {
+      await this.release(rollout);
+    }
+
+    console.log(`[Staged Rollout] 🛑 Rollout "${rollout.name}" aborted${rollback ? ' and rolled back' : ''}`);
+    this.emitUpdate(rollout);
+    return rollout;
+  }
+}
+
+module.exports = new StagedRolloutService();
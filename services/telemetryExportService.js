@@ -0,0 +1,352 @@
+const Telemetry = require('../models/telemetry');
+const Device = require('../models/Device');
+const AlarmTrigger = require('../models/AlarmTrigger');
+const ExcelExportService = require('./excelExportService');
+const PdfDocument = require('../utils/pdfDocument');
+
+/**
+ * Telemetry Export Service
+ * Streaming telemetry exports in CSV, NDJSON and a columnar NDJSON layout, plus a PDF
+ * summary report. Exports use the same deviceId/date/mode filters as the Excel export
+ * (ExcelExportService.buildTelemetryQuery) but read a MongoDB cursor and write to the
+ * response as they go, honouring backpressure, so there is no row limit and memory use
+ * stays flat.
+ *
+ * Formats:
+ *   csv      - report columns (same as the Excel sheet), one row per frame
+ *   ndjson   - one JSON object per frame with every data field
+ *   columnar - Parquet-like row groups: a schema line, then one line per group of
+ *              rows with one array per column ({ rowGroup, rows, columns: { dcv: [...] } })
+ *   pdf      - summary report: per-device frame counts, mode counts, reading
+ *              statistics and alarm counts
+ */
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  columnar: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'columnar.ndjson' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Numeric fields summarized in the PDF report
+const SUMMARY_FIELDS = ['REF1', 'REF2', 'REF3', 'DCV', 'DCI', 'ACV'];
+
+const round = (value, digits = 3) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+class TelemetryExportService {
+  constructor() {
+    this.cursorBatchSize = parseInt(process.env.EXPORT_CURSOR_BATCH_SIZE) || 1000;
+    this.rowGroupSize = parseInt(process.env.EXPORT_ROW_GROUP_SIZE) || 5000;
+  }
+
+  get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  getFormat(format) {
+    return FORMATS[format] || null;
+  }
+
+  getFilename(format, date = new Date()) {
+    return `telemetry_export_${date.toISOString().split('T')[0]}.${FORMATS[format].extension}`;
+  }
+
+  csvEscape(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Frame as an NDJSON record (all data fields, ISO timestamp)
+   */
+  toNdjsonRecord(record) {
+    return {
+      deviceId: record.deviceId,
+      timestamp: record.timestamp instanceof Date ? record.timestamp.toISOString() : record.timestamp,
+      event: record.event,
+      status: record.status,
+      location: record.location,
+      valid: record.validation ? record.validation.valid !== false : true,
+      data: record.data instanceof Map ? Object.fromEntries(record.data) : (record.data || {})
+    };
+  }
+
+  /**
+   * Stream the filtered telemetry to a writable (the HTTP response)
+   * @param {Writable} output - Destination stream
+   * @param {Object} filters - { deviceId, startDate, endDate, modes }
+   * @param {String} format - csv, ndjson or columnar
+   * @param {Object} options - { order: 'desc' (newest first, like the Excel export) | 'asc' }
+   * @returns {Promise<{rows: Number, aborted: Boolean}>}
+   */
+  async streamTelemetry(output, filters, format, { order = 'desc' } = {}) {
+    const query = ExcelExportService.buildTelemetryQuery(filters);
+    const cursor = Telemetry.find(query)
+      .sort({ timestamp: order === 'asc' ? 1 : -1 })
+      .lean()
+      .batchSize(this.cursorBatchSize)
+      .cursor();
+
+    let aborted = false;
+    const onClose = () => {
+      if (!output.writableFinished) {
+        aborted = true;
+        cursor.close().catch(() => {});
+      }
+    };
+    output.on('close', onClose);
+
+    const write = async (chunk) => {
+      if (!output.write(chunk)) {
+        // Wait for the buffer to drain, or for the client to go away
+        await new Promise(resolve => {
+          const done = () => {
+            output.removeListener('drain', done);
+            output.removeListener('close', done);
+            resolve();
+          };
+          output.once('drain', done);
+          output.once('close', done);
+        });
+      }
+    };
+
+    const columns = ExcelExportService.REPORT_COLUMNS;
+    let rows = 0;
+    let rowGroup = null;
+    const flushRowGroup = async () => {
+      if (!rowGroup || rowGroup.rows === 0) return;
+      await write(JSON.stringify(rowGroup) + '\n');
+      rowGroup = null;
+    };
+
+    try {
+      if (format === 'csv') {
+        await write(columns.map(column => this.csvEscape(column.header)).join(',') + '\r\n');
+      } else if (format === 'columnar') {
+        await write(JSON.stringify({
+          format: 'columnar',
+          rowGroupSize: this.rowGroupSize,
+          columns: columns.map(column => ({ key: column.key, header: column.header })),
+          filters
+        }) + '\n');
+      }
+
+      for await (const record of cursor) {
+        if (aborted) break;
+
+        if (format === 'csv') {
+          const row = ExcelExportService.toReportRow(record);
+          await write(columns.map(column => this.csvEscape(row[column.key])).join(',') + '\r\n');
+        } else if (format === 'ndjson') {
+          await write(JSON.stringify(this.toNdjsonRecord(record)) + '\n');
+        } else {
+          const row = ExcelExportService.toReportRow(record);
+          if (!rowGroup) {
+            rowGroup = { rowGroup: Math.floor(rows / this.rowGroupSize), rows: 0, columns: {} };
+            columns.forEach(column => { rowGroup.columns[column.key] = []; });
+          }
+          columns.forEach(column => rowGroup.columns[column.key].push(row[column.key]));
+          rowGroup.rows++;
+          if (rowGroup.rows >= this.rowGroupSize) await flushRowGroup();
+        }
+
+        rows++;
+        if (rows % 50000 === 0) {
+          console.log(`   📤 Streamed ${rows} ${format} rows...`);
+        }
+      }
+
+      if (!aborted) await flushRowGroup();
+    } finally {
+      output.removeListener('close', onClose);
+      await cursor.close().catch(() => {});
+    }
+
+    return { rows, aborted };
+  }
+
+  /**
+   * Per-device statistics and alarm counts for the filtered telemetry
+   * @param {Object} filters - { deviceId, startDate, endDate, modes }
+   */
+  async buildSummary(filters) {
+    const query = ExcelExportService.buildTelemetryQuery(filters);
+
+    const toNumber = (field) => ({ $convert: { input: `$data.${field}`, to: 'double', onError: null, onNull: null } });
+    const eventText = { $toUpper: { $toString: { $ifNull: ['$event', ''] } } };
+    const countEvent = (codes, pattern) => ({
+      $sum: {
+        $cond: [
+          { $or: [{ $in: ['$event', codes] }, { $regexMatch: { input: eventText, regex: pattern } }] },
+          1,
+          0
+        ]
+      }
+    });
+
+    const fieldProjection = {};
+    const fieldGroup = {};
+    SUMMARY_FIELDS.forEach(field => {
+      fieldProjection[field] = toNumber(field);
+      fieldGroup[`${field}_min`] = { $min: `$${field}` };
+      fieldGroup[`${field}_avg`] = { $avg: `$${field}` };
+      fieldGroup[`${field}_max`] = { $max: `$${field}` };
+    });
+
+    const alarmMatch = { triggered_at: { $gte: filters.startDate, $lte: filters.endDate } };
+    if (filters.deviceId) alarmMatch.device_id = filters.deviceId;
+
+    const [telemetryStats, alarmStats] = await Promise.all([
+      Telemetry.aggregate([
+        { $match: query },
+        { $project: { deviceId: 1, timestamp: 1, event: 1, valid: '$validation.valid', ...fieldProjection } },
+        {
+          $group: {
+            _id: '$deviceId',
+            frames: { $sum: 1 },
+            firstAt: { $min: '$timestamp' },
+            lastAt: { $max: '$timestamp' },
+            invalidFrames: { $sum: { $cond: [{ $eq: ['$valid', false] }, 1, 0] } },
+            normal: countEvent([0, '0'], '^NORMAL'),
+            int: countEvent([1, '1'], '^INT'),
+            dpol: countEvent([3, '3'], '^(DPOL|DEPOL)'),
+            inst: countEvent([4, '4'], '^INST'),
+            ...fieldGroup
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]).allowDiskUse(true),
+      AlarmTrigger.aggregate([
+        { $match: alarmMatch },
+        { $group: { _id: { device: '$device_id', severity: { $ifNull: ['$alarm_config.severity', 'unknown'] } }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const alarmsByDevice = new Map();
+    alarmStats.forEach(({ _id, count }) => {
+      const alarms = alarmsByDevice.get(_id.device) || { total: 0, bySeverity: {} };
+      alarms.total += count;
+      alarms.bySeverity[_id.severity] = (alarms.bySeverity[_id.severity] || 0) + count;
+      alarmsByDevice.set(_id.device, alarms);
+    });
+
+    const deviceIds = Array.from(new Set([...telemetryStats.map(s => s._id), ...alarmsByDevice.keys()]));
+    const deviceDocs = await Device.find({ deviceId: { $in: deviceIds } }).select('deviceId deviceName').lean();
+    const names = new Map(deviceDocs.map(d => [d.deviceId, d.deviceName]));
+    const statsByDevice = new Map(telemetryStats.map(s => [s._id, s]));
+
+    const devices = deviceIds.sort().map(deviceId => {
+      const stats = statsByDevice.get(deviceId);
+      const fields = {};
+      if (stats) {
+        SUMMARY_FIELDS.forEach(field => {
+          if (stats[`${field}_avg`] === null) return;
+          fields[field] = {
+            min: round(stats[`${field}_min`]),
+            avg: round(stats[`${field}_avg`]),
+            max: round(stats[`${field}_max`])
+          };
+        });
+      }
+
+      return {
+        deviceId,
+        deviceName: names.get(deviceId) || null,
+        frames: stats ? stats.frames : 0,
+        firstAt: stats ? stats.firstAt : null,
+        lastAt: stats ? stats.lastAt : null,
+        invalidFrames: stats ? stats.invalidFrames : 0,
+        events: stats ? { normal: stats.normal, int: stats.int, dpol: stats.dpol, inst: stats.inst } : { normal: 0, int: 0, dpol: 0, inst: 0 },
+        fields,
+        alarms: alarmsByDevice.get(deviceId) || { total: 0, bySeverity: {} }
+      };
+    });
+
+    return {
+      startDate: filters.startDate,
+      endDate: filters.endDate,
+      deviceId: filters.deviceId || null,
+      modes: filters.modes || [],
+      generatedAt: new Date(),
+      totals: {
+        devices: devices.length,
+        frames: devices.reduce((sum, d) => sum + d.frames, 0),
+        invalidFrames: devices.reduce((sum, d) => sum + d.invalidFrames, 0),
+        alarms: devices.reduce((sum, d) => sum + d.alarms.total, 0)
+      },
+      devices
+    };
+  }
+
+  /**
+   * Summary report as a PDF
+   * @param {Object} summary - buildSummary() result
+   * @returns {Buffer}
+   */
+  renderSummaryPdf(summary) {
+    const date = (value) => (value ? ExcelExportService.formatDate(value) : '-');
+    const day = (value) => ExcelExportService.formatDate(value).split(' ')[0];
+    const doc = new PdfDocument({ title: 'Telemetry Summary Report', footer: 'ZEPTAC IoT Platform - Telemetry Summary' });
+
+    doc.heading('Telemetry Summary Report');
+    doc.text(`Period: ${day(summary.startDate)} to ${day(summary.endDate)}`);
+    doc.text(`Devices: ${summary.deviceId || 'all'}    Modes: ${summary.modes.length > 0 ? summary.modes.join(', ') : 'all'}`);
+    doc.text(`Generated: ${date(summary.generatedAt)}`);
+    doc.space();
+    doc.text(`${summary.totals.devices} device(s), ${summary.totals.frames} frame(s) (${summary.totals.invalidFrames} flagged invalid), ${summary.totals.alarms} alarm trigger(s)`, { bold: true });
+
+    doc.heading('Devices', 12);
+    doc.table([
+      { header: 'Device ID', width: 14 },
+      { header: 'Name', width: 18 },
+      { header: 'Frames', width: 8, align: 'right' },
+      { header: 'Invalid', width: 7, align: 'right' },
+      { header: 'First Frame', width: 20 },
+      { header: 'Last Frame', width: 20 },
+      { header: 'Alarms', width: 7, align: 'right' }
+    ], summary.devices.map(d => [d.deviceId, d.deviceName || '', d.frames, d.invalidFrames, date(d.firstAt), date(d.lastAt), d.alarms.total]));
+
+    doc.heading('Frames per Mode', 12);
+    doc.table([
+      { header: 'Device ID', width: 14 },
+      { header: 'NORMAL', width: 9, align: 'right' },
+      { header: 'INT', width: 9, align: 'right' },
+      { header: 'DPOL', width: 9, align: 'right' },
+      { header: 'INST', width: 9, align: 'right' }
+    ], summary.devices.map(d => [d.deviceId, d.events.normal, d.events.int, d.events.dpol, d.events.inst]));
+
+    doc.heading('Readings (min / avg / max)', 12);
+    const stat = (fields, field) => (fields[field] ? `${fields[field].min} / ${fields[field].avg} / ${fields[field].max}` : '-');
+    doc.table([
+      { header: 'Device ID', width: 12 },
+      { header: 'REF1 (V)', width: 21 },
+      { header: 'REF2 (V)', width: 21 },
+      { header: 'REF3 (V)', width: 21 },
+      { header: 'DCV (V)', width: 21 }
+    ], summary.devices.map(d => [d.deviceId, stat(d.fields, 'REF1'), stat(d.fields, 'REF2'), stat(d.fields, 'REF3'), stat(d.fields, 'DCV')]));
+    doc.space();
+    doc.table([
+      { header: 'Device ID', width: 12 },
+      { header: 'DCI (A)', width: 21 },
+      { header: 'ACV (V)', width: 21 }
+    ], summary.devices.map(d => [d.deviceId, stat(d.fields, 'DCI'), stat(d.fields, 'ACV')]));
+
+    const severities = Array.from(new Set(summary.devices.flatMap(d => Object.keys(d.alarms.bySeverity)))).sort();
+    if (severities.length > 0) {
+      doc.heading('Alarms by Severity', 12);
+      doc.table([
+        { header: 'Device ID', width: 14 },
+        ...severities.map(severity => ({ header: severity, width: 10, align: 'right' })),
+        { header: 'Total', width: 8, align: 'right' }
+      ], summary.devices
+        .filter(d => d.alarms.total > 0)
+        .map(d => [d.deviceId, ...severities.map(severity => d.alarms.bySeverity[severity] || 0), d.alarms.total]));
+    }
+
+    return doc.toBuffer();
+  }
+}
+
+module.exports = new TelemetryExportService();
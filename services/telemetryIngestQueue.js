@@ -0,0 +1,392 @@
+const Telemetry = require('../models/telemetry');
+const Device = require('../models/Device');
+const telemetryRollupService = require('./telemetryRollupService');
+const dataQualityService = require('./dataQualityService');
+
+/**
+ * Telemetry Ingest Queue
+ * Buffers MQTT data frames so the message handler never waits on MongoDB.
+ * Each flush takes up to batchSize frames and:
+ *   1. stores all telemetry records with one Telemetry.insertMany
+ *   2. updates each device's status once (latest stored frame wins) with one Device.bulkWrite
+ *   3. folds the batch into the rollups with one bulk write
+ *   4. checks the LOG counter and timestamps of the stored frames for gaps, duplicates,
+ *      resets and out-of-order frames (data quality events)
+ *   5. runs alarm checks per stored frame (in arrival order per device) and stores
+ *      settings from each device's latest stored frame
+ * The queue is bounded: when it is full new frames are rejected and counted as dropped.
+ *
+ * Backfilled frames (buffered by the device during a link outage and sent later) go through
+ * the same steps with these differences: a frame without its own device timestamp is rejected,
+ * frames already stored with the same deviceId + LOG + timestamp are skipped, the device status
+ * update only marks the device online, and no alarm checks, geocoding or settings updates run.
+ *
+ * Configuration (env):
+ *   TELEMETRY_INGEST_QUEUE_SIZE   - max buffered frames (default 10000)
+ *   TELEMETRY_INGEST_BATCH_SIZE   - frames per flush (default 500)
+ *   TELEMETRY_INGEST_FLUSH_MS     - flush interval when the batch is not full (default 1000)
+ *   TELEMETRY_INGEST_CONCURRENCY  - devices processed in parallel for alarms/settings (default 10)
+ */
+class TelemetryIngestQueue {
+  constructor() {
+    this.maxSize = parseInt(process.env.TELEMETRY_INGEST_QUEUE_SIZE) || 10000;
+    this.batchSize = parseInt(process.env.TELEMETRY_INGEST_BATCH_SIZE) || 500;
+    this.flushIntervalMs = parseInt(process.env.TELEMETRY_INGEST_FLUSH_MS) || 1000;
+    this.concurrency = parseInt(process.env.TELEMETRY_INGEST_CONCURRENCY) || 10;
+    this.maxAttempts = 3; // insert attempts per frame when MongoDB is unavailable
+
+    this.queue = []; // { deviceId, payload, receivedAt, attempts, backfill }
+    this.processor = null; // MQTTService instance (builds records, runs alarm/settings hooks)
+    this.flushInterval = null;
+    this.flushScheduled = false;
+    this.isProcessing = false;
+    this.startedAt = null;
+
+    this.metrics = {
+      received: 0,
+      dropped: 0,
+      inserted: 0,
+      failed: 0,
+      retried: 0,
+      batches: 0,
+      device_updates: 0,
+      backfilled: 0,
+      backfill_duplicates: 0,
+      high_water_mark: 0,
+      last_flush_at: null,
+      last_flush_ms: 0,
+      max_flush_ms: 0,
+      total_flush_ms: 0,
+      last_batch_size: 0,
+      last_batch_lag_ms: 0
+    };
+  }
+
+  /**
+   * Start periodic flushing
+   * @param {Object} processor - MQTTService (passed in to avoid a circular require)
+   */
+  start(processor) {
+    this.processor = processor;
+    if (this.flushInterval) {
+      console.log('[Telemetry Ingest] ⚠️ Already running');
+      return;
+    }
+
+    this.startedAt = new Date();
+    this.flushInterval = setInterval(() => this.flush(), this.flushIntervalMs);
+    console.log(`[Telemetry Ingest] ✅ Started (queue ${this.maxSize}, batch ${this.batchSize}, every ${this.flushIntervalMs}ms)`);
+  }
+
+  /**
+   * Stop flushing and drain what is left in the queue
+   * @param {Number} drainTimeoutMs - Give up draining after this long
+   */
+  async stop(drainTimeoutMs = 10000) {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+
+    const deadline = Date.now() + drainTimeoutMs;
+    while ((this.queue.length > 0 || this.isProcessing) && Date.now() < deadline) {
+      if (this.isProcessing) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      } else {
+        await this.flush();
+      }
+    }
+
+    if (this.queue.length > 0) {
+      console.warn(`[Telemetry Ingest] ⚠️ Stopped with ${this.queue.length} frame(s) not stored`);
+    } else {
+      console.log('[Telemetry Ingest] 🛑 Stopped, queue drained');
+    }
+  }
+
+  /**
+   * Buffer a data frame
+   * @param {Object} options - { backfill: true for a store-and-forward frame }
+   * @returns {Boolean} false when the queue is full and the frame was dropped
+   */
+  enqueue(deviceId, payload, { backfill = false } = {}) {
+    this.metrics.received += 1;
+
+    if (this.queue.length >= this.maxSize) {
+      this.metrics.dropped += 1;
+      if (this.metrics.dropped === 1 || this.metrics.dropped % 100 === 0) {
+        console.warn(`[Telemetry Ingest] ⚠️ Queue full (${this.maxSize}) - dropped frame from device ${deviceId} (${this.metrics.dropped} dropped so far)`);
+      }
+      return false;
+    }
+
+    this.queue.push({ deviceId, payload, receivedAt: new Date(), attempts: 0, backfill });
+    this.metrics.high_water_mark = Math.max(this.metrics.high_water_mark, this.queue.length);
+
+    if (this.queue.length >= this.batchSize) {
+      this.scheduleFlush();
+    }
+    return true;
+  }
+
+  /**
+   * Flush on the next tick instead of waiting for the interval (a full batch is waiting)
+   */
+  scheduleFlush() {
+    if (this.flushScheduled) return;
+    this.flushScheduled = true;
+    setImmediate(() => {
+      this.flushScheduled = false;
+      this.flush();
+    });
+  }
+
+  /**
+   * Store one batch of queued frames
+   */
+  async flush() {
+    if (this.isProcessing || this.queue.length === 0 || !this.processor) return;
+    this.isProcessing = true;
+
+    const startedAt = Date.now();
+    const batch = this.queue.splice(0, this.batchSize);
+
+    try {
+      const built = [];
+      for (const frame of batch) {
+        const result = await this.processor.buildTelemetryRecord(frame.deviceId, frame.payload);
+        if (!result) {
+          this.metrics.failed += 1;
+        } else if (frame.backfill && result.timestampSource === 'server') {
+          console.warn(`[Telemetry Ingest] ⚠️ Backfilled frame from device ${frame.deviceId} has no device timestamp, not stored`);
+          this.metrics.failed += 1;
+        } else {
+          if (frame.backfill) result.record.backfilled = true;
+          built.push({ frame, built: result });
+        }
+      }
+
+      const stored = await this.insertRecords(await this.skipBackfillDuplicates(built));
+      await this.updateDeviceStatuses(stored);
+      await telemetryRollupService.recordFrames(stored.map(entry => ({
+        deviceId: entry.frame.deviceId,
+        timestamp: entry.built.record.timestamp,
+        data: entry.built.data
+      })));
+      await dataQualityService.checkFrames(stored);
+      await this.runFrameHooks(stored);
+
+      const duration = Date.now() - startedAt;
+      this.metrics.batches += 1;
+      this.metrics.last_flush_at = new Date();
+      this.metrics.last_flush_ms = duration;
+      this.metrics.max_flush_ms = Math.max(this.metrics.max_flush_ms, duration);
+      this.metrics.total_flush_ms += duration;
+      this.metrics.last_batch_size = batch.length;
+      this.metrics.last_batch_lag_ms = startedAt - batch[0].receivedAt.getTime();
+
+      console.log(`[Telemetry Ingest] 💾 Stored ${stored.length}/${batch.length} frame(s) in ${duration}ms (${this.queue.length} queued)`);
+    } catch (error) {
+      console.error('[Telemetry Ingest] ❌ Error flushing batch:', error.message);
+    } finally {
+      this.isProcessing = false;
+      if (this.queue.length >= this.batchSize) {
+        this.scheduleFlush();
+      }
+    }
+  }
+
+  /**
+   * Drop backfilled frames that are already stored (or repeated within the batch), matched
+   * on deviceId + LOG + timestamp. Devices resend part of their buffer when a transfer breaks off.
+   * @returns {Array} Entries to insert
+   */
+  async skipBackfillDuplicates(built) {
+    const backfillByDevice = new Map();
+    built.forEach(entry => {
+      if (!entry.frame.backfill) return;
+      if (!backfillByDevice.has(entry.frame.deviceId)) backfillByDevice.set(entry.frame.deviceId, []);
+      backfillByDevice.get(entry.frame.deviceId).push(entry);
+    });
+    if (backfillByDevice.size === 0) return built;
+
+    const keyOf = (deviceId, timestamp, log) => `${deviceId}|${new Date(timestamp).getTime()}|${log === null ? '' : log}`;
+    const seen = new Set();
+
+    for (const [deviceId, entries] of backfillByDevice) {
+      const times = entries.map(entry => entry.built.record.timestamp.getTime());
+      try {
+        const existing = await Telemetry.find({
+          deviceId,
+          timestamp: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) }
+        })
+          .select('timestamp data')
+          .lean();
+        existing.forEach(record => seen.add(keyOf(deviceId, record.timestamp, dataQualityService.getLog(record.data))));
+      } catch (error) {
+        // Store the frames anyway: a duplicate is better than a lost frame
+        console.error(`[Telemetry Ingest] ❌ Error checking backfill duplicates for device ${deviceId}:`, error.message);
+      }
+    }
+
+    let duplicates = 0;
+    const unique = built.filter(entry => {
+      const key = keyOf(entry.frame.deviceId, entry.built.record.timestamp, dataQualityService.getLog(entry.built.data));
+      if (entry.frame.backfill && seen.has(key)) {
+        duplicates++;
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+    if (duplicates > 0) {
+      this.metrics.backfill_duplicates += duplicates;
+      console.log(`[Telemetry Ingest] ♻️ Skipped ${duplicates} backfilled frame(s) already stored`);
+    }
+    return unique;
+  }
+
+  /**
+   * Insert built records in one insertMany.
+   * When MongoDB is unreachable the frames go back to the front of the queue (up to maxAttempts).
+   * @returns {Array} Entries whose record was stored
+   */
+  async insertRecords(built) {
+    const valid = built.filter(entry => {
+      const validationError = entry.built.record.validateSync();
+      if (validationError) {
+        console.warn(`[Telemetry Ingest] ⚠️ Invalid telemetry record from device ${entry.frame.deviceId}:`, validationError.message);
+        this.metrics.failed += 1;
+        return false;
+      }
+      return true;
+    });
+
+    if (valid.length === 0) return [];
+
+    try {
+      await Telemetry.insertMany(valid.map(entry => entry.built.record), { ordered: false });
+      this.metrics.inserted += valid.length;
+      this.metrics.backfilled += valid.filter(entry => entry.frame.backfill).length;
+      return valid;
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+
+      if (writeErrors.length > 0) {
+        // Partial failure: everything except the rejected documents was inserted
+        const failedIndexes = new Set(writeErrors.map(e => e.index));
+        const inserted = valid.filter((entry, index) => !failedIndexes.has(index));
+        this.metrics.inserted += inserted.length;
+        this.metrics.failed += failedIndexes.size;
+        console.error(`[Telemetry Ingest] ❌ ${failedIndexes.size} telemetry record(s) rejected:`, writeErrors[0].errmsg || error.message);
+        return inserted;
+      }
+
+      valid.forEach(entry => { entry.frame.attempts += 1; });
+      const retry = valid.map(entry => entry.frame).filter(frame => frame.attempts < this.maxAttempts);
+      const room = Math.max(0, this.maxSize - this.queue.length);
+      const requeued = retry.slice(0, room);
+      this.queue.unshift(...requeued);
+
+      this.metrics.retried += requeued.length;
+      this.metrics.failed += valid.length - requeued.length;
+      console.error(`[Telemetry Ingest] ❌ Telemetry insert failed, requeued ${requeued.length}/${valid.length} frame(s):`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * One status update per device for the stored frames of the batch (later frames overwrite
+   * earlier ones). Frames that failed to store or were requeued do not count until stored.
+   * Backfilled frames only mark the device online; their readings and location are old.
+   */
+  async updateDeviceStatuses(stored) {
+    const updates = new Map();
+    stored.forEach(({ frame }) => {
+      const update = frame.backfill
+        ? { 'status.state': 'online', 'status.lastSeen': frame.receivedAt }
+        : this.processor.buildDeviceStatusUpdate(frame.deviceId, frame.payload, frame.receivedAt);
+      updates.set(frame.deviceId, { ...(updates.get(frame.deviceId) || {}), ...update });
+    });
+
+    const operations = Array.from(updates.entries()).map(([deviceId, update]) => ({
+      updateOne: { filter: { deviceId }, update: { $set: update } }
+    }));
+    if (operations.length === 0) return;
+
+    try {
+      const result = await Device.bulkWrite(operations, { ordered: false });
+      this.metrics.device_updates += operations.length;
+      if (result.matchedCount < operations.length) {
+        console.warn(`[Telemetry Ingest] ⚠️ ${operations.length - result.matchedCount} device(s) not found in MongoDB`);
+      }
+    } catch (error) {
+      console.error('[Telemetry Ingest] ❌ Error updating device status:', error.message);
+    }
+  }
+
+  /**
+   * Alarm checks for stored frames and settings from the latest stored frame, grouped per
+   * device so frames of one device are processed in order while devices run in parallel.
+   * Backfilled frames are skipped: they are not real-time readings.
+   */
+  async runFrameHooks(stored) {
+    const groups = new Map(); // deviceId -> { stored: [], latest }
+    stored.filter(entry => !entry.frame.backfill).forEach(entry => {
+      if (!groups.has(entry.frame.deviceId)) groups.set(entry.frame.deviceId, { stored: [], latest: null });
+      const group = groups.get(entry.frame.deviceId);
+      group.stored.push(entry);
+      group.latest = entry.frame;
+    });
+
+    const pending = Array.from(groups.entries());
+    const worker = async () => {
+      while (pending.length > 0) {
+        const [deviceId, group] = pending.shift();
+
+        for (const entry of group.stored) {
+          try {
+            await this.processor.processStoredTelemetry(deviceId, entry.frame.payload, entry.built);
+          } catch (error) {
+            console.error(`[Telemetry Ingest] ❌ Error checking alarms for device ${deviceId}:`, error.message);
+          }
+        }
+
+        try {
+          await this.processor.applyFrameSettings(deviceId, group.latest.payload);
+        } catch (error) {
+          console.error(`[Telemetry Ingest] ❌ Error storing settings for device ${deviceId}:`, error.message);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker));
+  }
+
+  /**
+   * Queue depth, throughput and backpressure counters
+   */
+  getMetrics() {
+    const oldest = this.queue[0];
+    return {
+      running: !!this.flushInterval,
+      started_at: this.startedAt,
+      queue_depth: this.queue.length,
+      queue_capacity: this.maxSize,
+      queue_utilization: Math.round((this.queue.length / this.maxSize) * 1000) / 10,
+      oldest_frame_age_ms: oldest ? Date.now() - oldest.receivedAt.getTime() : 0,
+      processing: this.isProcessing,
+      config: {
+        batch_size: this.batchSize,
+        flush_interval_ms: this.flushIntervalMs,
+        concurrency: this.concurrency,
+        max_attempts: this.maxAttempts
+      },
+      ...this.metrics,
+      avg_flush_ms: this.metrics.batches > 0 ? Math.round(this.metrics.total_flush_ms / this.metrics.batches) : 0
+    };
+  }
+}
+
+module.exports = new TelemetryIngestQueue();
@@ -0,0 +1,80 @@
+const Device = require('../models/Device');
+const TelemetryFieldRegistry = require('../models/TelemetryFieldRegistry');
+const { DEFAULT_FIELD_REGISTRY, normalizeTelemetryFields } = require('../utils/telemetryFields');
+
+/**
+ * Telemetry Registry Service
+ * Resolves the field registry for a device (by Device.deviceType) and normalizes
+ * incoming frames against it. Registries and device types are cached briefly
+ * because this runs for every telemetry frame.
+ */
+class TelemetryRegistryService {
+  constructor() {
+    this.cacheTtlMs = 60 * 1000;
+    this.registryCache = new Map(); // deviceType -> { registry, at }
+    this.deviceTypeCache = new Map(); // deviceId -> { deviceType, at }
+  }
+
+  /**
+   * Drop cached registries (called after registry changes)
+   */
+  invalidateCache(deviceType = null) {
+    if (deviceType) {
+      this.registryCache.delete(deviceType);
+    } else {
+      this.registryCache.clear();
+    }
+  }
+
+  isFresh(entry) {
+    return entry && Date.now() - entry.at < this.cacheTtlMs;
+  }
+
+  /**
+   * Registry for a device type, falling back to the default registry
+   * @param {String} deviceType - Device.deviceType
+   */
+  async getRegistry(deviceType) {
+    const key = deviceType || DEFAULT_FIELD_REGISTRY.deviceType;
+    const cached = this.registryCache.get(key);
+    if (this.isFresh(cached)) return cached.registry;
+
+    const stored = deviceType ? await TelemetryFieldRegistry.findOne({ deviceType }).lean() : null;
+    const registry = stored || DEFAULT_FIELD_REGISTRY;
+    this.registryCache.set(key, { registry, at: Date.now() });
+    return registry;
+  }
+
+  /**
+   * Registry for a device
+   * @param {String} deviceId - Device ID
+   */
+  async getRegistryForDevice(deviceId) {
+    let cached = this.deviceTypeCache.get(deviceId);
+    if (!this.isFresh(cached)) {
+      const device = await Device.findOne({ deviceId }).select('deviceType').lean();
+      cached = { deviceType: device ? device.deviceType : null, at: Date.now() };
+      this.deviceTypeCache.set(deviceId, cached);
+    }
+    return this.getRegistry(cached.deviceType);
+  }
+
+  /**
+   * Normalize a frame for a device. Never throws - on lookup errors the default registry is used.
+   * @param {String} deviceId - Device ID
+   * @param {Object} dataFields - Raw data fields
+   * @returns {Promise<{data: Object, issues: Array, valid: Boolean, unknown_fields: Array, registry: String}>}
+   */
+  async normalizeFrame(deviceId, dataFields) {
+    let registry = DEFAULT_FIELD_REGISTRY;
+    try {
+      registry = await this.getRegistryForDevice(deviceId);
+    } catch (error) {
+      console.warn(`[Telemetry Registry] ⚠️ Could not load registry for device ${deviceId}, using default:`, error.message);
+    }
+
+    return { ...normalizeTelemetryFields(dataFields, registry), registry: registry.deviceType };
+  }
+}
+
+module.exports = new TelemetryRegistryService();
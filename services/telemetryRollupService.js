@@ -0,0 +1,391 @@
+const Telemetry = require('../models/telemetry');
+const TelemetryRollup = require('../models/TelemetryRollup');
+
+// Fields that are numeric but meaningless to aggregate
+const EXCLUDED_FIELDS = ['LOG', 'TimeStamp', 'Device ID', 'CommandId'];
+
+// Spans up to this length are served from raw frames when resolution=auto
+const RAW_MAX_SPAN_MS = 60 * 60 * 1000;
+
+/**
+ * Telemetry Rollup Service
+ * Maintains 1-minute, 1-hour and 1-day min/max/avg/count aggregates per device
+ * and numeric field (telemetry_rollups) for long-range charts.
+ * - recordFrames() is called by the telemetry ingest queue for every flushed batch
+ * - backfill() rebuilds rollups from existing telemetry_data
+ * - getSeries() picks the resolution from the requested time span
+ */
+class TelemetryRollupService {
+  constructor() {
+    this.backfillJob = null; // Status of the current/last backfill run in this process
+  }
+
+  /**
+   * Mongo-safe field key (dots and leading $ are not allowed in keys)
+   */
+  toFieldKey(name) {
+    return String(name).replace(/\./g, '_').replace(/^\$/, '_');
+  }
+
+  /**
+   * Numeric values of a telemetry frame, keyed by Mongo-safe field name
+   * @param {Object|Map} data - Telemetry data fields
+   * @returns {Object} { field: number }
+   */
+  extractNumericFields(data) {
+    const entries = data instanceof Map ? Array.from(data.entries()) : Object.entries(data || {});
+    const values = {};
+
+    entries.forEach(([name, raw]) => {
+      if (EXCLUDED_FIELDS.includes(name)) return;
+
+      let value = null;
+      if (typeof raw === 'number') {
+        value = raw;
+      } else if (typeof raw === 'string' && /^\s*[-+]?\d+(\.\d+)?\s*$/.test(raw)) {
+        value = parseFloat(raw);
+      }
+
+      if (value !== null && Number.isFinite(value)) {
+        values[this.toFieldKey(name)] = value;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Add frame values to an in-memory bucket accumulator
+   */
+  accumulate(bucketStats, values) {
+    bucketStats.frame_count += 1;
+    Object.entries(values).forEach(([field, value]) => {
+      const stats = bucketStats.fields[field];
+      if (!stats) {
+        bucketStats.fields[field] = { min: value, max: value, sum: value, count: 1 };
+      } else {
+        stats.min = Math.min(stats.min, value);
+        stats.max = Math.max(stats.max, value);
+        stats.sum += value;
+        stats.count += 1;
+      }
+    });
+  }
+
+  /**
+   * Build the upsert that merges accumulated stats into a rollup bucket
+   */
+  buildUpsert(deviceId, resolution, bucket, bucketStats) {
+    const update = {
+      $setOnInsert: { expires_at: TelemetryRollup.getExpiry(bucket, resolution) },
+      $inc: { frame_count: bucketStats.frame_count },
+      $min: {},
+      $max: {}
+    };
+
+    Object.entries(bucketStats.fields).forEach(([field, stats]) => {
+      update.$min[`fields.${field}.min`] = stats.min;
+      update.$max[`fields.${field}.max`] = stats.max;
+      update.$inc[`fields.${field}.sum`] = stats.sum;
+      update.$inc[`fields.${field}.count`] = stats.count;
+    });
+
+    if (Object.keys(update.$min).length === 0) {
+      delete update.$min;
+      delete update.$max;
+    }
+
+    return {
+      updateOne: {
+        filter: { deviceId, resolution, bucket },
+        update,
+        upsert: true
+      }
+    };
+  }
+
+  /**
+   * Write upserts, retrying once for buckets that two writers tried to create at the same time
+   */
+  async writeUpserts(operations) {
+    if (operations.length === 0) return;
+    try {
+      await TelemetryRollup.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      const duplicates = (error.writeErrors || []).filter(e => e.code === 11000);
+      if (duplicates.length === 0 || duplicates.length !== (error.writeErrors || []).length) throw error;
+      await TelemetryRollup.bulkWrite(duplicates.map(e => operations[e.index]), { ordered: false });
+    }
+  }
+
+  /**
+   * Fold one telemetry frame into all rollup resolutions
+   * @param {String} deviceId - Device ID
+   * @param {Date} timestamp - Frame timestamp
+   * @param {Object|Map} data - Frame data fields
+   */
+  async recordFrame(deviceId, timestamp, data) {
+    await this.recordFrames([{ deviceId, timestamp, data }]);
+  }
+
+  /**
+   * Fold a batch of frames into the rollups with one bulk write.
+   * Frames of the same device and bucket are merged before writing.
+   * @param {Array<{deviceId: String, timestamp: Date, data: Object|Map}>} frames
+   */
+  async recordFrames(frames) {
+    try {
+      const pending = new Map(); // "deviceId|resolution|bucketMs" -> { deviceId, resolution, bucket, stats }
+
+      frames.forEach(({ deviceId, timestamp, data }) => {
+        const values = this.extractNumericFields(data);
+        if (Object.keys(values).length === 0) return;
+
+        Object.keys(TelemetryRollup.RESOLUTIONS).forEach(resolution => {
+          const bucket = TelemetryRollup.getBucketStart(timestamp, resolution);
+          const key = `${deviceId}|${resolution}|${bucket.getTime()}`;
+          if (!pending.has(key)) {
+            pending.set(key, { deviceId, resolution, bucket, stats: { frame_count: 0, fields: {} } });
+          }
+          this.accumulate(pending.get(key).stats, values);
+        });
+      });
+
+      const operations = Array.from(pending.values())
+        .map(({ deviceId, resolution, bucket, stats }) => this.buildUpsert(deviceId, resolution, bucket, stats));
+      await this.writeUpserts(operations);
+    } catch (error) {
+      const devices = [...new Set(frames.map(frame => frame.deviceId))].join(', ');
+      console.error(`[Telemetry Rollup] ❌ Error updating rollups for device(s) ${devices}:`, error.message);
+    }
+  }
+
+  /**
+   * Rebuild rollups from raw telemetry_data.
+   * The range is aligned to whole days and existing rollups inside it are replaced,
+   * so running the backfill twice never double-counts. The current day is excluded
+   * by default because it is still being filled by live ingest.
+   * @param {Object} options - { deviceId?, from?, to?, batchSize? }
+   * @returns {Promise<Object>} Job summary
+   */
+  async backfill({ deviceId = null, from = null, to = null, batchSize = 1000 } = {}) {
+    if (this.backfillJob && this.backfillJob.status === 'running') {
+      throw new Error('Cannot start backfill: a backfill is already running');
+    }
+
+    const day = TelemetryRollup.RESOLUTIONS['1d'];
+    const rangeEnd = TelemetryRollup.getBucketStart(to ? new Date(to) : new Date(), '1d');
+    let rangeStart;
+    if (from) {
+      rangeStart = TelemetryRollup.getBucketStart(new Date(from), '1d');
+    } else {
+      const first = await Telemetry.findOne(deviceId ? { deviceId } : {}).sort({ timestamp: 1 }).select('timestamp').lean();
+      rangeStart = first ? TelemetryRollup.getBucketStart(first.timestamp, '1d') : rangeEnd;
+    }
+
+    const job = {
+      status: 'running',
+      deviceId,
+      from: rangeStart,
+      to: rangeEnd,
+      devices_total: 0,
+      devices_done: 0,
+      frames_processed: 0,
+      buckets_written: 0,
+      started_at: new Date(),
+      finished_at: null,
+      error: null
+    };
+    this.backfillJob = job;
+
+    const run = async () => {
+      try {
+        if (rangeEnd <= rangeStart) {
+          job.status = 'completed';
+          job.finished_at = new Date();
+          return;
+        }
+
+        const rangeFilter = { timestamp: { $gte: rangeStart, $lt: rangeEnd } };
+        const deviceIds = deviceId ? [deviceId] : await Telemetry.distinct('deviceId', rangeFilter);
+        job.devices_total = deviceIds.length;
+
+        console.log(`[Telemetry Rollup] 🔄 Backfill started for ${deviceIds.length} device(s): ${rangeStart.toISOString()} → ${rangeEnd.toISOString()} (${Math.round((rangeEnd - rangeStart) / day)} day(s))`);
+
+        for (const id of deviceIds) {
+          await this.backfillDevice(id, rangeStart, rangeEnd, batchSize, job);
+          job.devices_done += 1;
+        }
+
+        job.status = 'completed';
+        console.log(`[Telemetry Rollup] ✅ Backfill completed: ${job.frames_processed} frame(s), ${job.buckets_written} bucket write(s)`);
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+        console.error('[Telemetry Rollup] ❌ Backfill failed:', error);
+      } finally {
+        job.finished_at = new Date();
+      }
+    };
+
+    job.promise = run();
+    return job;
+  }
+
+  /**
+   * Rebuild one device's rollups for [rangeStart, rangeEnd)
+   */
+  async backfillDevice(deviceId, rangeStart, rangeEnd, batchSize, job) {
+    const now = Date.now();
+    await TelemetryRollup.deleteMany({ deviceId, bucket: { $gte: rangeStart, $lt: rangeEnd } });
+
+    const cursor = Telemetry.find({ deviceId, timestamp: { $gte: rangeStart, $lt: rangeEnd } })
+      .select('timestamp data')
+      .sort({ timestamp: 1 })
+      .lean()
+      .cursor({ batchSize });
+
+    const pending = new Map(); // "resolution|bucketMs" -> stats
+    const flush = async () => {
+      const operations = [];
+      pending.forEach((stats, key) => {
+        const [resolution, bucketMs] = key.split('|');
+        operations.push(this.buildUpsert(deviceId, resolution, new Date(Number(bucketMs)), stats));
+      });
+      pending.clear();
+      await this.writeUpserts(operations);
+      job.buckets_written += operations.length;
+    };
+
+    for await (const frame of cursor) {
+      const values = this.extractNumericFields(frame.data);
+      job.frames_processed += 1;
+      if (Object.keys(values).length === 0) continue;
+
+      Object.keys(TelemetryRollup.RESOLUTIONS).forEach(resolution => {
+        const bucket = TelemetryRollup.getBucketStart(frame.timestamp, resolution);
+        const expiry = TelemetryRollup.getExpiry(bucket, resolution);
+        if (expiry && expiry.getTime() <= now) return; // would be removed by the TTL index anyway
+
+        const key = `${resolution}|${bucket.getTime()}`;
+        if (!pending.has(key)) pending.set(key, { frame_count: 0, fields: {} });
+        this.accumulate(pending.get(key), values);
+      });
+
+      if (pending.size >= batchSize) {
+        await flush();
+      }
+    }
+
+    await flush();
+  }
+
+  /**
+   * Status of the current/last backfill in this process
+   */
+  getBackfillStatus() {
+    if (!this.backfillJob) return null;
+    const { promise, ...status } = this.backfillJob;
+    return status;
+  }
+
+  /**
+   * Pick the resolution for a time span so the chart gets at most maxPoints points
+   * @param {Number} spanMs - Requested span in ms
+   * @param {Number} maxPoints - Point budget
+   * @returns {String} raw | 1m | 1h | 1d
+   */
+  selectResolution(spanMs, maxPoints = 1500) {
+    if (spanMs <= RAW_MAX_SPAN_MS) return 'raw';
+    const candidates = Object.entries(TelemetryRollup.RESOLUTIONS).sort((a, b) => a[1] - b[1]);
+    for (const [resolution, size] of candidates) {
+      if (spanMs / size <= maxPoints) return resolution;
+    }
+    return '1d';
+  }
+
+  /**
+   * Time series for charts
+   * @param {Object} options - { deviceId, start, end, fields?, resolution = 'auto', maxPoints = 1500 }
+   * @returns {Promise<Object>} { deviceId, resolution, start, end, fields, points: [{ timestamp, FIELD: { min, max, avg, count } }] }
+   */
+  async getSeries({ deviceId, start, end, fields = null, resolution = 'auto', maxPoints = 1500 }) {
+    const endDate = end ? new Date(end) : new Date();
+    const startDate = start ? new Date(start) : new Date(endDate.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate >= endDate) {
+      throw new Error('Invalid time range: start must be before end');
+    }
+
+    const selected = resolution === 'auto' ? this.selectResolution(endDate - startDate, maxPoints) : resolution;
+    if (selected !== 'raw' && !TelemetryRollup.RESOLUTIONS[selected]) {
+      throw new Error(`Invalid resolution '${resolution}'. Use auto, raw, ${Object.keys(TelemetryRollup.RESOLUTIONS).join(', ')}`);
+    }
+
+    const fieldKeys = fields ? fields.map(f => this.toFieldKey(f)) : null;
+    const points = [];
+    const seenFields = new Set();
+
+    if (selected === 'raw') {
+      const frames = await Telemetry.find({ deviceId, timestamp: { $gte: startDate, $lte: endDate } })
+        .select('timestamp data')
+        .sort({ timestamp: 1 })
+        .limit(maxPoints)
+        .lean();
+
+      frames.forEach(frame => {
+        const values = this.extractNumericFields(frame.data);
+        const point = { timestamp: frame.timestamp };
+        Object.entries(values).forEach(([field, value]) => {
+          if (fieldKeys && !fieldKeys.includes(field)) return;
+          seenFields.add(field);
+          point[field] = { min: value, max: value, avg: value, count: 1 };
+        });
+        points.push(point);
+      });
+    } else {
+      const projection = { bucket: 1, frame_count: 1 };
+      if (fieldKeys) {
+        fieldKeys.forEach(field => { projection[`fields.${field}`] = 1; });
+      } else {
+        projection.fields = 1;
+      }
+
+      const rollups = await TelemetryRollup.find({
+        deviceId,
+        resolution: selected,
+        bucket: { $gte: TelemetryRollup.getBucketStart(startDate, selected), $lte: endDate }
+      })
+        .select(projection)
+        .sort({ bucket: 1 })
+        .lean();
+
+      rollups.forEach(rollup => {
+        const point = { timestamp: rollup.bucket, frame_count: rollup.frame_count };
+        Object.entries(rollup.fields || {}).forEach(([field, stats]) => {
+          if (!stats || !stats.count) return;
+          seenFields.add(field);
+          point[field] = {
+            min: stats.min,
+            max: stats.max,
+            avg: Math.round((stats.sum / stats.count) * 1000) / 1000,
+            count: stats.count
+          };
+        });
+        points.push(point);
+      });
+    }
+
+    return {
+      deviceId,
+      resolution: selected,
+      bucket_ms: selected === 'raw' ? null : TelemetryRollup.RESOLUTIONS[selected],
+      start: startDate,
+      end: endDate,
+      fields: Array.from(seenFields),
+      count: points.length,
+      points
+    };
+  }
+}
+
+module.exports = new TelemetryRollupService();
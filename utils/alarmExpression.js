@@ -0,0 +1,569 @@
+/**
+ * Alarm Expression Engine
+ * Parses and evaluates alarm rules written against any telemetry field, e.g.
+ *   DCV > 12 && EVENT == 'NORMAL'
+ *   abs(REF1 - REF2) > 0.3
+ *   [REF1 STS] in ('OP', 'UP', 'FAIL')
+ *
+ * Field names are matched case-insensitively and ignore spaces, underscores and
+ * slashes, so REF1_STS, ref1sts and [REF1 STS] all resolve the "REF1 STS" parameter.
+ * Numeric strings sent by the device ("25.50") are compared as numbers.
+ *
+ * Expressions are parsed into a small AST (no eval), so they are safe to store
+ * in the database and evaluate on every telemetry frame.
+ */
+
+const MAX_EXPRESSION_LENGTH = 1000;
+
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+
+// Functions available inside expressions: name -> { arity: [min, max], fn }
+const FUNCTIONS = {
+  abs: { arity: [1, 1], fn: (x) => Math.abs(x) },
+  min: { arity: [1, Infinity], fn: (...xs) => Math.min(...xs) },
+  max: { arity: [1, Infinity], fn: (...xs) => Math.max(...xs) },
+  round: {
+    arity: [1, 2],
+    fn: (x, digits = 0) => {
+      const factor = Math.pow(10, digits);
+      return Math.round(x * factor) / factor;
+    }
+  },
+  // exists() receives the raw field value rather than a number
+  exists: { arity: [1, 1], raw: true, fn: (value) => value !== undefined && value !== null && value !== '' }
+};
+
+// Normalize a field name for lookup: "REF1 STS" / "ref1_sts" -> "REF1STS"
+function normalizeFieldName(name) {
+  return String(name).toUpperCase().replace(/[\s_\/-]+/g, '');
+}
+
+// Convert numeric strings to numbers, leave everything else untouched
+function toComparable(value) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed !== '' && /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed)) {
+      return parseFloat(trimmed);
+    }
+    return trimmed;
+  }
+  return value;
+}
+
+function toNumber(value) {
+  const comparable = toComparable(value);
+  if (typeof comparable === 'number') return comparable;
+  if (typeof comparable === 'boolean') return comparable ? 1 : 0;
+  return NaN;
+}
+
+function createError(message, position) {
+  const error = new Error(position !== undefined ? `${message} at position ${position + 1}` : message);
+  error.position = position;
+  return error;
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Numbers: 12, 0.3, .5, 1e3
+    if (/[0-9.]/.test(ch)) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+      if (!match) throw createError(`Unexpected character '${ch}'`, i);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), start: i, end: i + match[0].length });
+      i += match[0].length;
+      continue;
+    }
+
+    // String literals: 'NORMAL' or "NORMAL"
+    if (ch === '\'' || ch === '"') {
+      const end = source.indexOf(ch, i + 1);
+      if (end === -1) throw createError('Unterminated string literal', i);
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), start: i, end: end + 1 });
+      i = end + 1;
+      continue;
+    }
+
+    // Bracketed field names allow spaces: [REF1 STS], [Digital Input 1]
+    if (ch === '[') {
+      const end = source.indexOf(']', i + 1);
+      if (end === -1) throw createError('Unterminated field name, expected \']\'', i);
+      const name = source.slice(i + 1, end).trim();
+      if (!name) throw createError('Empty field name', i);
+      tokens.push({ type: 'field', value: name, start: i, end: end + 1 });
+      i = end + 1;
+      continue;
+    }
+
+    // Identifiers: field names, function names and keywords
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      const word = match[0];
+      const upper = word.toUpperCase();
+      const start = i;
+      i += word.length;
+
+      if (upper === 'AND') tokens.push({ type: 'op', value: '&&', start, end: i });
+      else if (upper === 'OR') tokens.push({ type: 'op', value: '||', start, end: i });
+      else if (upper === 'NOT') tokens.push({ type: 'op', value: '!', start, end: i });
+      else if (upper === 'IN') tokens.push({ type: 'op', value: 'in', start, end: i });
+      else if (upper === 'TRUE' || upper === 'FALSE') tokens.push({ type: 'boolean', value: upper === 'TRUE', start, end: i });
+      else tokens.push({ type: 'identifier', value: word, start, end: i });
+      continue;
+    }
+
+    const two = source.slice(i, i + 2);
+    if (['&&', '||', '==', '!=', '>=', '<='].includes(two)) {
+      tokens.push({ type: 'op', value: two, start: i, end: i + 2 });
+      i += 2;
+      continue;
+    }
+
+    if ('+-*/%<>!(),='.includes(ch)) {
+      // A single '=' is almost always a typo for '=='
+      const value = ch === '=' ? '==' : ch;
+      const type = '(),'.includes(ch) ? 'punct' : 'op';
+      tokens.push({ type, value, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    throw createError(`Unexpected character '${ch}'`, i);
+  }
+
+  tokens.push({ type: 'eof', value: null, start: source.length, end: source.length });
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser (recursive descent)
+// ---------------------------------------------------------------------------
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = (value) => peek().type === 'op' && peek().value === value;
+  const isPunct = (value) => peek().type === 'punct' && peek().value === value;
+
+  const expectPunct = (value) => {
+    const token = next();
+    if (token.type !== 'punct' || token.value !== value) {
+      throw createError(`Expected '${value}'`, token.start);
+    }
+    return token;
+  };
+
+  // Attach source span so fired conditions can be reported verbatim
+  const node = (props, start, end) => ({ ...props, start, end, text: source.slice(start, end).trim() });
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp('||')) {
+      next();
+      const right = parseAnd();
+      left = node({ type: 'logical', op: '||', left, right }, left.start, right.end);
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isOp('&&')) {
+      next();
+      const right = parseNot();
+      left = node({ type: 'logical', op: '&&', left, right }, left.start, right.end);
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isOp('!')) {
+      const token = next();
+      const argument = parseNot();
+      return node({ type: 'not', argument }, token.start, argument.end);
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseAdditive();
+
+    if (peek().type === 'op' && COMPARISON_OPERATORS.includes(peek().value)) {
+      const op = next().value;
+      const right = parseAdditive();
+      return node({ type: 'compare', op, left, right }, left.start, right.end);
+    }
+
+    if (isOp('in')) {
+      next();
+      expectPunct('(');
+      const items = [parseAdditive()];
+      while (isPunct(',')) {
+        next();
+        items.push(parseAdditive());
+      }
+      const close = expectPunct(')');
+      return node({ type: 'in', left, items }, left.start, close.end);
+    }
+
+    return left;
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (isOp('+') || isOp('-')) {
+      const op = next().value;
+      const right = parseMultiplicative();
+      left = node({ type: 'arithmetic', op, left, right }, left.start, right.end);
+    }
+    return left;
+  }
+
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = next().value;
+      const right = parseUnary();
+      left = node({ type: 'arithmetic', op, left, right }, left.start, right.end);
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp('-') || isOp('+')) {
+      const token = next();
+      const argument = parseUnary();
+      return node({ type: 'negate', negative: token.value === '-', argument }, token.start, argument.end);
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'boolean':
+        return node({ type: 'literal', value: token.value }, token.start, token.end);
+
+      case 'field':
+        return node({ type: 'field', name: token.value }, token.start, token.end);
+
+      case 'identifier': {
+        if (isPunct('(')) {
+          const name = token.value.toLowerCase();
+          // Own properties only: 'constructor' etc. must not resolve to Object.prototype members
+          const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+          if (!definition) {
+            throw createError(`Unknown function '${token.value}' (available: ${Object.keys(FUNCTIONS).join(', ')})`, token.start);
+          }
+          next();
+          const args = [];
+          if (!isPunct(')')) {
+            args.push(parseOr());
+            while (isPunct(',')) {
+              next();
+              args.push(parseOr());
+            }
+          }
+          const close = expectPunct(')');
+          const [minArgs, maxArgs] = definition.arity;
+          if (args.length < minArgs || args.length > maxArgs) {
+            throw createError(`Function '${name}' expects ${minArgs === maxArgs ? minArgs : `${minArgs}+`} argument(s), got ${args.length}`, token.start);
+          }
+          if (definition.raw && args[0].type !== 'field') {
+            throw createError(`Function '${name}' expects a field name`, token.start);
+          }
+          return node({ type: 'call', name, args }, token.start, close.end);
+        }
+        return node({ type: 'field', name: token.value }, token.start, token.end);
+      }
+
+      case 'punct':
+        if (token.value === '(') {
+          const inner = parseOr();
+          const close = expectPunct(')');
+          return { ...inner, start: token.start, end: close.end };
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    if (token.type === 'eof') throw createError('Unexpected end of expression', token.start);
+    throw createError(`Unexpected '${token.value}'`, token.start);
+  }
+
+  const ast = parseOr();
+  if (peek().type !== 'eof') {
+    throw createError(`Unexpected '${peek().value}'`, peek().start);
+  }
+  return ast;
+}
+
+function collectFields(ast, fields = new Set()) {
+  if (!ast) return fields;
+  if (ast.type === 'field') fields.add(ast.name);
+  ['left', 'right', 'argument'].forEach(key => collectFields(ast[key], fields));
+  (ast.args || []).forEach(arg => collectFields(arg, fields));
+  (ast.items || []).forEach(item => collectFields(item, fields));
+  return fields;
+}
+
+/**
+ * Compile an expression string into a reusable rule
+ * @param {String} source - Expression text
+ * @returns {Object} { source, ast, fields }
+ * @throws {Error} with a `position` property when the expression is invalid
+ */
+function compileExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw createError('Expression must be a non-empty string');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw createError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const ast = parse(source);
+  return {
+    source: source.trim(),
+    ast,
+    fields: Array.from(collectFields(ast))
+  };
+}
+
+/**
+ * Validate an expression without evaluating it
+ * @param {String} source - Expression text
+ * @returns {Object} { valid, error, position, fields }
+ */
+function validateExpression(source) {
+  try {
+    const compiled = compileExpression(source);
+    return { valid: true, error: null, position: null, fields: compiled.fields };
+  } catch (error) {
+    return { valid: false, error: error.message, position: error.position ?? null, fields: [] };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a case/spacing-insensitive lookup over a telemetry payload.
+ * Nested `Parameters` (real device format) take priority over root-level fields.
+ * @param {Object} deviceData - Raw MQTT payload or flat parameter object
+ * @param {Object} extra - Additional values (e.g. normalized EVENT)
+ */
+function buildFieldLookup(deviceData, extra = {}) {
+  const lookup = new Map();
+  const add = (source) => {
+    if (!source || typeof source !== 'object') return;
+    Object.entries(source).forEach(([key, value]) => {
+      if (value !== null && typeof value === 'object') return;
+      lookup.set(normalizeFieldName(key), { key, value });
+    });
+  };
+
+  add(deviceData);
+  add(deviceData && deviceData.Parameters);
+  add(extra);
+  return lookup;
+}
+
+function valuesEqual(a, b) {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left === undefined || right === undefined) return false;
+  if (typeof left === 'string' && typeof right === 'string') {
+    return left.toUpperCase() === right.toUpperCase();
+  }
+  if (typeof left === 'boolean' || typeof right === 'boolean') {
+    return toNumber(left) === toNumber(right);
+  }
+  return left === right;
+}
+
+function evaluateNode(ast, lookup, used) {
+  switch (ast.type) {
+    case 'literal':
+      return { value: ast.value, fired: [] };
+
+    case 'field': {
+      const entry = lookup.get(normalizeFieldName(ast.name));
+      used[entry ? entry.key : ast.name] = entry ? entry.value : null;
+      return { value: entry ? entry.value : undefined, fired: [] };
+    }
+
+    case 'negate': {
+      const value = toNumber(evaluateNode(ast.argument, lookup, used).value);
+      return { value: ast.negative ? -value : value, fired: [] };
+    }
+
+    case 'arithmetic': {
+      const left = toNumber(evaluateNode(ast.left, lookup, used).value);
+      const right = toNumber(evaluateNode(ast.right, lookup, used).value);
+      let value;
+      switch (ast.op) {
+        case '+': value = left + right; break;
+        case '-': value = left - right; break;
+        case '*': value = left * right; break;
+        case '/': value = right === 0 ? NaN : left / right; break;
+        case '%': value = right === 0 ? NaN : left % right; break;
+      }
+      return { value, fired: [] };
+    }
+
+    case 'call': {
+      if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, ast.name)) {
+        return { value: NaN, fired: [] };
+      }
+      const definition = FUNCTIONS[ast.name];
+      if (definition.raw) {
+        return { value: definition.fn(evaluateNode(ast.args[0], lookup, used).value), fired: [] };
+      }
+      const args = ast.args.map(arg => toNumber(evaluateNode(arg, lookup, used).value));
+      return { value: args.some(isNaN) ? NaN : definition.fn(...args), fired: [] };
+    }
+
+    case 'compare': {
+      const left = evaluateNode(ast.left, lookup, used).value;
+      const right = evaluateNode(ast.right, lookup, used).value;
+      let result;
+
+      if (ast.op === '==') {
+        result = valuesEqual(left, right);
+      } else if (ast.op === '!=') {
+        // Missing fields never satisfy a condition
+        result = left !== undefined && right !== undefined && !valuesEqual(left, right);
+      } else {
+        const a = toNumber(left);
+        const b = toNumber(right);
+        if (isNaN(a) || isNaN(b)) {
+          result = false;
+        } else if (ast.op === '>') result = a > b;
+        else if (ast.op === '>=') result = a >= b;
+        else if (ast.op === '<') result = a < b;
+        else result = a <= b;
+      }
+      return { value: result, fired: result ? [ast] : [] };
+    }
+
+    case 'in': {
+      const left = evaluateNode(ast.left, lookup, used).value;
+      const result = ast.items.some(item => valuesEqual(left, evaluateNode(item, lookup, used).value));
+      return { value: result, fired: result ? [ast] : [] };
+    }
+
+    case 'not': {
+      // Conditions under a negation describe why the alarm did NOT fire, so drop them
+      const inner = evaluateNode(ast.argument, lookup, used);
+      const value = !isTruthy(inner.value);
+      return { value, fired: value ? [ast] : [] };
+    }
+
+    case 'logical': {
+      // Evaluate both sides (no short-circuit) so every fired condition is reported
+      const left = evaluateNode(ast.left, lookup, used);
+      const right = evaluateNode(ast.right, lookup, used);
+      const leftTrue = isTruthy(left.value);
+      const rightTrue = isTruthy(right.value);
+
+      if (ast.op === '&&') {
+        const value = leftTrue && rightTrue;
+        return { value, fired: value ? [...left.fired, ...right.fired] : [] };
+      }
+      return {
+        value: leftTrue || rightTrue,
+        fired: [...(leftTrue ? left.fired : []), ...(rightTrue ? right.fired : [])]
+      };
+    }
+
+    default:
+      throw createError(`Unsupported expression node '${ast.type}'`);
+  }
+}
+
+function isTruthy(value) {
+  if (typeof value === 'number') return !isNaN(value) && value !== 0;
+  if (typeof value === 'string') {
+    const comparable = toComparable(value);
+    return typeof comparable === 'number' ? comparable !== 0 : comparable !== '';
+  }
+  return Boolean(value);
+}
+
+// Describe a fired condition with the live values of the fields it references
+function describeCondition(conditionNode, used) {
+  const fields = Array.from(collectFields(conditionNode));
+  const values = {};
+  fields.forEach(name => {
+    const entry = Object.keys(used).find(key => normalizeFieldName(key) === normalizeFieldName(name));
+    values[entry || name] = entry ? used[entry] : null;
+  });
+
+  const valueText = Object.entries(values)
+    .map(([key, value]) => `${key}=${value === null || value === undefined ? 'missing' : value}`)
+    .join(', ');
+
+  return {
+    condition: conditionNode.text,
+    values,
+    description: valueText ? `${conditionNode.text} (${valueText})` : conditionNode.text
+  };
+}
+
+/**
+ * Evaluate a compiled (or raw) expression against a telemetry frame
+ * @param {Object|String} expression - Result of compileExpression() or expression text
+ * @param {Object} deviceData - Telemetry payload (flat or with nested Parameters)
+ * @param {Object} extra - Additional field values, e.g. { EVENT: 'NORMAL' }
+ * @returns {Object} { triggered, conditions: [{ condition, values, description }], values }
+ */
+function evaluateExpression(expression, deviceData, extra = {}) {
+  const compiled = typeof expression === 'string' ? compileExpression(expression) : expression;
+  const lookup = buildFieldLookup(deviceData, extra);
+  const used = {};
+
+  const result = evaluateNode(compiled.ast, lookup, used);
+  const triggered = isTruthy(result.value);
+
+  let conditions = [];
+  if (triggered) {
+    conditions = result.fired.map(condition => describeCondition(condition, used));
+    // Expressions without comparisons (e.g. "exists(DO1)") report themselves
+    if (conditions.length === 0) {
+      conditions = [describeCondition(compiled.ast, used)];
+    }
+  }
+
+  return { triggered, conditions, values: used };
+}
+
+module.exports = {
+  compileExpression,
+  validateExpression,
+  evaluateExpression,
+  normalizeFieldName,
+  buildFieldLookup,
+  FUNCTIONS
+};
@@ -0,0 +1,111 @@
+/**
+ * Configuration Drift Utilities
+ * Compare the settings we sent to a device (desired) with the settings it reports
+ * in its data frames (reported). Both sides use the device's "Parameters" format
+ * (device units, numeric codes for Electrode/Instant Mode), so values are compared
+ * as sent: numeric strings as numbers ("075" == 75), other strings trimmed.
+ */
+
+// Parameters that define how a rectifier runs. Event and Manual Mode Action are
+// runtime state rather than configuration and are not compared.
+const CONFIG_PARAMETERS = [
+  'Electrode',
+  'Shunt Voltage',
+  'Shunt Current',
+  'Reference Fail',
+  'Reference UP',
+  'Reference OP',
+  'Interrupt ON Time',
+  'Interrupt OFF Time',
+  'Interrupt Start TimeStamp',
+  'Interrupt Stop TimeStamp',
+  'Depolarization Start TimeStamp',
+  'Depolarization Stop TimeStamp',
+  'Depolarization_interval',
+  'Instant Mode',
+  'Instant Start TimeStamp',
+  'Instant End TimeStamp',
+  'logging_interval'
+];
+
+// Other names devices use for the same parameters
+const PARAMETER_ALIASES = {
+  'Reference OV': 'Reference OP',
+  'DPOL Interval': 'Depolarization_interval',
+  'Logging Interval': 'logging_interval'
+};
+
+const NUMERIC_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+function toComparable(value) {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return NUMERIC_PATTERN.test(trimmed) ? parseFloat(trimmed) : trimmed;
+}
+
+/**
+ * Do two parameter values mean the same setting?
+ */
+function valuesMatch(desired, reported) {
+  const a = toComparable(desired);
+  const b = toComparable(reported);
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) < 1e-6;
+  }
+  return String(a) === String(b);
+}
+
+/**
+ * Pick the configuration parameters out of a device frame (nested Parameters or flat)
+ * @param {Object} payload - Raw MQTT payload
+ * @returns {Object} { parameter: value } with canonical parameter names (empty when none)
+ */
+function extractConfigParameters(payload) {
+  const source = payload && payload.Parameters && typeof payload.Parameters === 'object'
+    ? payload.Parameters
+    : (payload || {});
+
+  const parameters = {};
+  Object.entries(source).forEach(([key, value]) => {
+    const name = PARAMETER_ALIASES[key] || key;
+    if (!CONFIG_PARAMETERS.includes(name) || value === undefined || value === null) return;
+    // The canonical name wins over an alias sent in the same frame
+    if (name !== key && source[name] !== undefined) return;
+    parameters[name] = value;
+  });
+  return parameters;
+}
+
+/**
+ * Compare desired and reported configuration
+ * Only parameters present on both sides are compared; the rest are listed as not reported.
+ * @returns {{in_sync: Boolean, fields: Array, compared: Number, not_reported: Array}}
+ */
+function compareConfigurations(desired = {}, reported = {}) {
+  const fields = [];
+  const notReported = [];
+  let compared = 0;
+
+  CONFIG_PARAMETERS.forEach(parameter => {
+    if (desired[parameter] === undefined) return;
+    if (reported[parameter] === undefined) {
+      notReported.push(parameter);
+      return;
+    }
+    compared += 1;
+    if (!valuesMatch(desired[parameter], reported[parameter])) {
+      fields.push({ parameter, desired: desired[parameter], reported: reported[parameter] });
+    }
+  });
+
+  return { in_sync: fields.length === 0, fields, compared, not_reported: notReported };
+}
+
+module.exports = {
+  CONFIG_PARAMETERS,
+  PARAMETER_ALIASES,
+  valuesMatch,
+  extractConfigParameters,
+  compareConfigurations
+};
@@ -0,0 +1,240 @@
+/**
+ * Cron Expression Utilities
+ * Standard 5-field cron expressions: minute hour day-of-month month day-of-week
+ *   - "*", numbers, ranges "1-5", steps "*\/15" and "8-18/2", lists "1,15,30"
+ *   - month names JAN..DEC and weekday names SUN..SAT (0 and 7 are Sunday)
+ *   - when both day-of-month and day-of-week are restricted, either may match (as in Vixie cron)
+ * Expressions are evaluated in an IANA time zone ("Asia/Kolkata", "UTC", ...), so
+ * "0 9 * * MON" means 09:00 local time every Monday.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], nameOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], nameOffset: 0 }
+];
+
+// Give up looking for a next run after this many years (e.g. "0 0 31 2 *" never matches)
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(value, field) {
+  const upper = value.toUpperCase();
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + field.nameOffset;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} is out of range ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new Error(`Invalid ${field.name} step "${stepText}"`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [from, to] = rangeText.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new Error(`Invalid ${field.name} range "${rangeText}"`);
+    } else {
+      start = parseValue(rangeText, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - e.g. "0 9 * * MON"
+ * @returns {Object} { expression, minute, hour, dayOfMonth, month, dayOfWeek (Sets), domRestricted, dowRestricted }
+ * @throws Error describing the first invalid field
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day month weekday), got ${parts.length}`);
+  }
+
+  const parsed = { expression: parts.join(' ') };
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is Sunday as well
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.delete(7);
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.domRestricted = parts[2] !== '*';
+  parsed.dowRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+/**
+ * Is this a valid cron expression?
+ * @returns {{valid: Boolean, error: String|null}}
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Is this a time zone the runtime knows?
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Wall-clock time of an instant in a time zone, as a Date whose UTC fields hold the local time
+ */
+function toWallClock(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+}
+
+/**
+ * Instant of a wall-clock time in a time zone (inverse of toWallClock)
+ */
+function fromWallClock(wall, timeZone) {
+  const guess = wall.getTime();
+  const offset = toWallClock(new Date(guess), timeZone).getTime() - guess;
+  const instant = guess - offset;
+  // Around DST changes the offset at the result can differ from the offset at the guess
+  const correctedOffset = toWallClock(new Date(instant), timeZone).getTime() - instant;
+  if (correctedOffset !== offset) {
+    const corrected = guess - correctedOffset;
+    // A wall-clock time skipped by the change (02:30 on spring-forward day) has no exact
+    // instant; use the later candidate so it runs just after the change
+    if (toWallClock(new Date(corrected), timeZone).getTime() === guess) return new Date(corrected);
+    return new Date(Math.max(instant, corrected));
+  }
+  return new Date(instant);
+}
+
+function dayMatches(parsed, wall) {
+  const domMatch = parsed.dayOfMonth.has(wall.getUTCDate());
+  const dowMatch = parsed.dayOfWeek.has(wall.getUTCDay());
+  if (parsed.domRestricted && parsed.dowRestricted) return domMatch || dowMatch;
+  if (parsed.domRestricted) return domMatch;
+  if (parsed.dowRestricted) return dowMatch;
+  return true;
+}
+
+/**
+ * Next time the expression matches, strictly after `after`
+ * @param {String|Object} expression - Cron expression or parseCron() result
+ * @param {Date} after - Start of the search
+ * @param {String} timeZone - IANA time zone (default UTC)
+ * @returns {Date|null} null when nothing matches within MAX_SEARCH_YEARS
+ */
+function getNextRun(expression, after = new Date(), timeZone = 'UTC') {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const wall = toWallClock(new Date(after), timeZone);
+  wall.setUTCSeconds(0, 0);
+  wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+  const limit = wall.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  while (wall.getTime() <= limit) {
+    if (!parsed.month.has(wall.getUTCMonth() + 1)) {
+      wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+      wall.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(parsed, wall)) {
+      wall.setUTCDate(wall.getUTCDate() + 1);
+      wall.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(wall.getUTCHours())) {
+      wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.has(wall.getUTCMinutes())) {
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    const next = fromWallClock(wall, timeZone);
+    // A wall-clock time skipped by a DST change can map to an instant before `after`
+    if (next.getTime() > new Date(after).getTime()) return next;
+    wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+  }
+
+  return null;
+}
+
+/**
+ * Format an instant as "YYYY-MM-DD HH:MM:SS" wall-clock time in a time zone
+ */
+function formatInTimeZone(date, timeZone = 'UTC') {
+  return toWallClock(new Date(date), timeZone).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+module.exports = {
+  parseCron,
+  validateCron,
+  isValidTimeZone,
+  getNextRun,
+  formatInTimeZone
+};
@@ -11,10 +11,13 @@ function mapDOValue(value) {
 }
 
 // Basic data transform helper
-function transformDeviceData(payload, topic) {
+// resolvedDeviceId is passed for topics configured in Device.mqtt that don't follow devices/<id>/...
+function transformDeviceData(payload, topic, resolvedDeviceId = null) {
   // Extract device ID from MQTT topic (e.g., 'devices/123/data' -> '123')
   let deviceIdFromTopic = "123"; // default
-  if (topic) {
+  if (resolvedDeviceId) {
+    deviceIdFromTopic = resolvedDeviceId;
+  } else if (topic) {
     const topicParts = topic.split('/');
     if (topicParts.length >= 2) {
       deviceIdFromTopic = topicParts[1];
@@ -0,0 +1,205 @@
+/**
+ * Electrode Rules
+ * Allowed reference (alarm set) values per reference electrode, in volts:
+ *   - Set UP   (Reference UP):   Cu/CuSO4, Ag/AgCl 0.6 to 1.0   | Zinc -0.5 to 0.0
+ *   - Set OP   (Reference OP):   Cu/CuSO4, Ag/AgCl 1.20 to 3.00 | Zinc 0.10 to 1.90
+ *   - Set Fail (Reference Fail): fixed - Cu/CuSO4, Ag/AgCl 0.3  | Zinc -0.8
+ * Electrode codes: 0 = Cu/CuSO4, 1 = Zinc, 2 = Ag/AgCl, 3 = Custom (no range check)
+ * Values for an electrode that is not one of these are rejected.
+ */
+
+const ELECTRODE_NAMES = {
+  0: 'Cu/CuSO4',
+  1: 'Zinc',
+  2: 'Ag/AgCl',
+  3: 'Custom'
+};
+
+const SET_UP_RANGES = {
+  0: { min: 0.6, max: 1.0 },
+  2: { min: 0.6, max: 1.0 },
+  1: { min: -0.5, max: 0.0 }
+};
+
+const SET_OP_RANGES = {
+  0: { min: 1.20, max: 3.00 },
+  2: { min: 1.20, max: 3.00 },
+  1: { min: 0.10, max: 1.90 }
+};
+
+const SET_FAIL_VALUES = {
+  0: 0.3,
+  2: 0.3,
+  1: -0.8
+};
+
+// Allow a small tolerance for floating point comparison (e.g., 0.30 vs 0.3)
+const SET_FAIL_TOLERANCE = 0.001;
+
+// Electrode names accepted by mqttService.mapValueToCode
+const ELECTRODE_CODES = {
+  'Cu/cuso4': 0,
+  'Cu/CuSO4': 0,
+  'CuCuSO4': 0,
+  'Zinc': 1,
+  'Ag/AgCl': 2,
+  'AgAgSO4': 2,
+  'Custom': 3
+};
+
+// Electrode of a device that has none configured
+const DEFAULT_ELECTRODE = 0;
+
+const unknownElectrode = (value, electrode) => ({
+  valid: false,
+  value,
+  message: `❌ Unknown electrode${electrode === null || electrode === undefined ? '' : ` "${electrode}"`}, reference values cannot be checked. Use 0 (Cu/CuSO4), 1 (Zinc), 2 (Ag/AgCl) or 3 (Custom).`,
+  electrode: null
+});
+
+/**
+ * Electrode code from a code (0-3, number or digit string) or name
+ * @returns {Number|null} null when the value is not a known electrode
+ */
+function toElectrodeCode(electrode) {
+  if (typeof electrode === 'number') {
+    return ELECTRODE_NAMES[electrode] !== undefined ? electrode : null;
+  }
+  if (typeof electrode !== 'string') return null;
+
+  const value = electrode.trim();
+  if (ELECTRODE_CODES[value] !== undefined) return ELECTRODE_CODES[value];
+  return /^[0-9]$/.test(value) && ELECTRODE_NAMES[value] !== undefined ? Number(value) : null;
+}
+
+/**
+ * Electrode code of a stored setting: Cu/CuSO4 when none is set, null when it is not a known electrode
+ */
+function resolveElectrode(electrode) {
+  return electrode === undefined || electrode === null ? DEFAULT_ELECTRODE : toElectrodeCode(electrode);
+}
+
+/**
+ * Validate a Set UP (Reference UP) value for an electrode
+ * @returns {{valid, value, message, electrode?, minValue?, maxValue?}}
+ */
+function validateSetUp(setupValue, electrode) {
+  if (setupValue === null || setupValue === undefined) {
+    return { valid: true, value: setupValue, message: null };
+  }
+
+  const numValue = parseFloat(setupValue);
+  const electrodeType = toElectrodeCode(electrode);
+  if (electrodeType === null) return unknownElectrode(setupValue, electrode);
+  const range = SET_UP_RANGES[electrodeType];
+
+  if (range && (numValue < range.min || numValue > range.max)) {
+    return {
+      valid: false,
+      value: setupValue,
+      message: `❌ Set UP value ${numValue} is out of range for electrode ${electrodeType}. Required range: ${electrodeType === 1 ? '-0.5 to 0.0 for Zinc electrode' : '0.6 to 1.0 for Cu/CuSO4 or Ag/AgCl electrodes'}.`,
+      electrode: electrodeType,
+      minValue: range.min,
+      maxValue: range.max
+    };
+  }
+
+  return { valid: true, value: setupValue, message: null };
+}
+
+/**
+ * Validate a Set OP (Reference OP) value for an electrode
+ */
+function validateSetOp(setopValue, electrode) {
+  if (setopValue === null || setopValue === undefined) {
+    return { valid: true, value: setopValue, message: null };
+  }
+
+  const numValue = parseFloat(setopValue);
+  const electrodeType = toElectrodeCode(electrode);
+  if (electrodeType === null) return unknownElectrode(setopValue, electrode);
+  const range = SET_OP_RANGES[electrodeType];
+
+  if (range && (numValue < range.min || numValue > range.max)) {
+    return {
+      valid: false,
+      value: setopValue,
+      message: `❌ Set OP value ${numValue} is out of range for electrode ${electrodeType}. Required range: ${electrodeType === 1 ? '0.10 to 1.90 for Zinc electrode' : '1.20 to 3.00 for Cu/CuSO4 or Ag/AgCl electrodes'}.`,
+      electrode: electrodeType,
+      minValue: range.min,
+      maxValue: range.max
+    };
+  }
+
+  return { valid: true, value: setopValue, message: null };
+}
+
+/**
+ * Validate a Set Fail (Reference Fail) value - fixed per electrode
+ */
+function validateSetFail(setfailValue, electrode) {
+  if (setfailValue === null || setfailValue === undefined) {
+    return { valid: true, value: setfailValue, message: null };
+  }
+
+  const numValue = parseFloat(setfailValue);
+  const electrodeType = toElectrodeCode(electrode);
+  if (electrodeType === null) return unknownElectrode(setfailValue, electrode);
+  const expectedValue = SET_FAIL_VALUES[electrodeType] !== undefined ? SET_FAIL_VALUES[electrodeType] : 0.3;
+
+  if (Math.abs(numValue - expectedValue) > SET_FAIL_TOLERANCE) {
+    return {
+      valid: false,
+      value: setfailValue,
+      message: `❌ Set Fail value ${numValue} is not allowed for electrode ${electrodeType}. This value is FIXED and cannot be changed: ${expectedValue} for this electrode type.`,
+      electrode: electrodeType,
+      staticValue: expectedValue
+    };
+  }
+
+  return { valid: true, value: setfailValue, message: null };
+}
+
+/**
+ * Validate the reference values of a Parameters object ("Reference UP", "Reference OP",
+ * "Reference Fail", in volts) against an electrode
+ * @returns {Array<{field, message, ...}>} Validation errors (empty when valid)
+ */
+function validateReferenceParameters(parameters = {}, electrode) {
+  const checks = [
+    ['Set UP', 'Reference UP', validateSetUp],
+    ['Set OP', 'Reference OP', validateSetOp],
+    ['Set Fail', 'Reference Fail', validateSetFail]
+  ];
+
+  return checks.reduce((errors, [field, parameter, validate]) => {
+    const result = validate(parameters[parameter], electrode);
+    if (!result.valid) {
+      errors.push({
+        field,
+        parameter,
+        message: result.message,
+        providedValue: result.value,
+        electrode: result.electrode,
+        ...(result.minValue !== undefined && { allowedMin: result.minValue, allowedMax: result.maxValue }),
+        ...(result.staticValue !== undefined && { staticValue: result.staticValue })
+      });
+    }
+    return errors;
+  }, []);
+}
+
+module.exports = {
+  ELECTRODE_NAMES,
+  ELECTRODE_CODES,
+  SET_UP_RANGES,
+  SET_OP_RANGES,
+  SET_FAIL_VALUES,
+  DEFAULT_ELECTRODE,
+  toElectrodeCode,
+  resolveElectrode,
+  validateSetUp,
+  validateSetOp,
+  validateSetFail,
+  validateReferenceParameters
+};
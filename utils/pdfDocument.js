@@ -0,0 +1,191 @@
+/**
+ * Minimal PDF Writer
+ * Text-only A4 documents built from the standard PDF fonts (Helvetica, Helvetica-Bold,
+ * Courier), so no font files or PDF library are needed. Enough for report summaries:
+ * headings, paragraphs and fixed-width tables, with automatic page breaks.
+ *
+ *   const doc = new PdfDocument({ title: 'Telemetry Summary' });
+ *   doc.heading('Telemetry Summary');
+ *   doc.text('Period: 2026-10-01 to 2026-10-19');
+ *   doc.table([{ header: 'Device', width: 12 }, { header: 'Frames', width: 8, align: 'right' }], rows);
+ *   const buffer = doc.toBuffer();
+ *
+ * Text is written in WinAnsi encoding; characters outside Latin-1 are replaced with '?'.
+ */
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const COURIER_CHAR_WIDTH = 0.6; // Courier glyph width per point of font size
+
+const FONTS = {
+  regular: { ref: 'F1', name: 'Helvetica' },
+  bold: { ref: 'F2', name: 'Helvetica-Bold' },
+  mono: { ref: 'F3', name: 'Courier' },
+  monoBold: { ref: 'F4', name: 'Courier-Bold' }
+};
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+class PdfDocument {
+  /**
+   * @param {Object} options
+   * @param {String} options.title - Document title (metadata)
+   * @param {String} options.footer - Text at the bottom of every page (page numbers are added)
+   */
+  constructor({ title = 'Report', footer = '' } = {}) {
+    this.title = title;
+    this.footer = footer;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  /**
+   * Move down by `height` points, starting a new page when it does not fit
+   */
+  advance(height) {
+    if (this.y - height < MARGIN + 20) this.addPage();
+    this.y -= height;
+  }
+
+  write(text, { font = 'regular', size = 10, x = MARGIN } = {}) {
+    this.current.push(`BT /${FONTS[font].ref} ${size} Tf ${x} ${this.y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+  }
+
+  heading(text, size = 16) {
+    this.advance(size + 8);
+    this.write(text, { font: 'bold', size });
+    this.y -= 4;
+    return this;
+  }
+
+  /**
+   * Paragraph text, wrapped to the page width
+   */
+  text(text, { size = 10, bold = false } = {}) {
+    // Helvetica averages about half a point per point of font size
+    const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * 0.5));
+    const lines = [];
+    String(text).split('\n').forEach(paragraph => {
+      let line = '';
+      paragraph.split(' ').forEach(word => {
+        if ((line + ' ' + word).trim().length > maxChars && line) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = (line + ' ' + word).trim();
+        }
+      });
+      lines.push(line);
+    });
+
+    lines.forEach(line => {
+      this.advance(size + 4);
+      this.write(line, { font: bold ? 'bold' : 'regular', size });
+    });
+    return this;
+  }
+
+  space(height = 8) {
+    this.advance(height);
+    return this;
+  }
+
+  /**
+   * Fixed-width table; the header is repeated on every page the table spans
+   * @param {Array<{header: String, width: Number, align: 'left'|'right'}>} columns - width in characters
+   * @param {Array<Array>} rows - Cell values in column order
+   */
+  table(columns, rows, { size = 8 } = {}) {
+    const available = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * COURIER_CHAR_WIDTH));
+    const format = (cells) => columns.map((column, i) => {
+      const value = cells[i] === null || cells[i] === undefined ? '' : String(cells[i]);
+      const clipped = value.length > column.width ? value.substring(0, column.width - 1) + '~' : value;
+      return column.align === 'right' ? clipped.padStart(column.width) : clipped.padEnd(column.width);
+    }).join(' ').substring(0, available);
+
+    const header = format(columns.map(column => column.header));
+    const writeHeader = () => {
+      this.advance(size + 4);
+      this.write(header, { font: 'monoBold', size });
+    };
+
+    writeHeader();
+    rows.forEach(cells => {
+      const page = this.current;
+      this.advance(size + 3);
+      if (this.current !== page) {
+        // advance() started a new page: repeat the header there
+        this.y += size + 3;
+        writeHeader();
+        this.advance(size + 3);
+      }
+      this.write(format(cells), { font: 'mono', size });
+    });
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = {};
+    Object.values(FONTS).forEach(font => {
+      fontIds[font.ref] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`);
+    });
+    const fontResources = Object.entries(fontIds).map(([ref, id]) => `/${ref} ${id} 0 R`).join(' ');
+
+    const pageIds = this.pages.map((operations, index) => {
+      const footer = `${this.footer ? `${this.footer} - ` : ''}Page ${index + 1} of ${this.pages.length}`;
+      const content = [
+        ...operations,
+        `BT /F1 8 Tf ${MARGIN} ${MARGIN - 10} Td (${escapeText(footer)}) Tj ET`
+      ].join('\n');
+      const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(`<< /Title (${escapeText(this.title)}) /Producer (ZEPTAC IoT Platform) >>`);
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+      offsets.push(Buffer.byteLength(output, 'latin1'));
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = PdfDocument;
@@ -0,0 +1,73 @@
+/**
+ * Prometheus Text Format
+ * Renders metrics in the Prometheus text exposition format (version 0.0.4) so GET /metrics
+ * can be scraped without a client library.
+ *
+ * Metric definition:
+ *   { name, help, type: 'counter'|'gauge'|'summary'|'untyped', samples: [{ labels, value, suffix }] }
+ * suffix is appended to the metric name, e.g. '_sum' and '_count' for summaries.
+ * Samples with a null/undefined/NaN value are left out.
+ */
+
+const METRIC_TYPES = ['counter', 'gauge', 'summary', 'histogram', 'untyped'];
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return String(value);
+}
+
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Render one metric family
+ * @throws {Error} when the metric name or type is invalid
+ */
+function formatMetric({ name, help, type = 'untyped', samples = [] }) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid metric name "${name}"`);
+  }
+  if (!METRIC_TYPES.includes(type)) {
+    throw new Error(`Invalid metric type "${type}" for ${name}`);
+  }
+
+  const lines = [];
+  if (help) lines.push(`# HELP ${name} ${escapeHelp(help)}`);
+  lines.push(`# TYPE ${name} ${type}`);
+
+  samples.forEach(({ labels, value, suffix = '' }) => {
+    if (value === null || value === undefined || Number.isNaN(value)) return;
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Render metric families into a scrape response body
+ * @param {Array<Object>} metrics - Metric definitions
+ * @returns {String}
+ */
+function formatMetrics(metrics) {
+  return `${metrics.map(formatMetric).join('\n')}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  formatMetric,
+  formatMetrics,
+  escapeLabelValue
+};
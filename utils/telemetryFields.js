@@ -0,0 +1,221 @@
+/**
+ * Telemetry Field Registry Utilities
+ * Canonical field definitions used to normalize incoming telemetry frames:
+ * aliases are renamed to the canonical name, numeric strings ("25.50") become
+ * numbers and values are checked against their type and valid range.
+ *
+ * Field definition:
+ *   { name, aliases, unit, type: 'float'|'integer'|'digital'|'string', min, max, values }
+ * Alias matching is exact (case-sensitive) because some devices send settings
+ * fields whose names differ from telemetry fields only by case (Event vs EVENT).
+ */
+
+const FIELD_TYPES = ['float', 'integer', 'digital', 'string'];
+
+// Digital I/O protocol: 1 = CLOSE/ON, 0 = OPEN/OFF
+const DIGITAL_VALUES = { '1': 1, '0': 0, CLOSE: 1, OPEN: 0, ON: 1, OFF: 0, TRUE: 1, FALSE: 0 };
+
+const refField = (n) => ({
+  name: `REF${n}`,
+  aliases: [`ref${n}`, `Ref${n}`, `REF ${n}`],
+  unit: 'V',
+  type: 'float',
+  min: -10,
+  max: 10
+});
+
+const refStatusField = (n) => ({
+  name: `REF${n} STS`,
+  aliases: [`REF${n}STS`, `REF${n}_STS`, `REF${n}Status`, `ref${n}Status`, `REF${n}STATUS`],
+  unit: null,
+  type: 'string'
+});
+
+const digitalInputField = (n) => ({
+  name: `DI${n}`,
+  aliases: [`di${n}`, `Digital Input ${n}`, `DIGITAL INPUT ${n}`],
+  unit: null,
+  type: 'digital'
+});
+
+// Registry used for every device type without its own TelemetryFieldRegistry document
+const DEFAULT_FIELD_REGISTRY = {
+  deviceType: 'default',
+  strict: false,
+  fields: [
+    { name: 'LOG', aliases: ['log', 'Log', 'logNo'], unit: null, type: 'integer', min: 0 },
+    refField(1),
+    refField(2),
+    refField(3),
+    refStatusField(1),
+    refStatusField(2),
+    refStatusField(3),
+    { name: 'DCV', aliases: ['dcv', 'Dcv'], unit: 'V', type: 'float', min: 0, max: 200 },
+    { name: 'DCI', aliases: ['dci', 'Dci'], unit: 'A', type: 'float', min: 0, max: 200 },
+    { name: 'ACV', aliases: ['acv', 'Acv'], unit: 'V', type: 'float', min: 0, max: 5000 },
+    { name: 'ACI', aliases: ['aci', 'Aci'], unit: 'A', type: 'float', min: 0, max: 200 },
+    digitalInputField(1),
+    digitalInputField(2),
+    digitalInputField(3),
+    digitalInputField(4),
+    { name: 'DO1', aliases: ['DO', 'do', 'do1', 'Digital Output', 'DIGITAL OUTPUT'], unit: null, type: 'digital' },
+    { name: 'EVENT', aliases: [], unit: null, type: 'string' }
+  ]
+};
+
+/**
+ * Map of every accepted name (canonical + aliases) -> field definition
+ * @param {Object} registry - { fields: [...] }
+ * @returns {Map<String, Object>}
+ */
+function buildAliasIndex(registry) {
+  const index = new Map();
+  (registry.fields || []).forEach(field => {
+    index.set(field.name, field);
+    (field.aliases || []).forEach(alias => {
+      if (!index.has(alias)) index.set(alias, field);
+    });
+  });
+  return index;
+}
+
+/**
+ * Convert a raw value to the field's type
+ * @returns {{value: *, problem: String|null}}
+ */
+function coerceValue(field, raw) {
+  if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+    return { value: field.type === 'string' ? (raw === undefined ? null : raw) : null, problem: null };
+  }
+
+  switch (field.type) {
+    case 'float':
+    case 'integer': {
+      const value = typeof raw === 'number'
+        ? raw
+        : (/^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(String(raw)) ? parseFloat(raw) : NaN);
+      if (!Number.isFinite(value)) return { value: raw, problem: 'not_a_number' };
+      if (field.type === 'integer' && !Number.isInteger(value)) return { value, problem: 'not_an_integer' };
+      return { value, problem: null };
+    }
+    case 'digital': {
+      const value = DIGITAL_VALUES[String(raw).trim().toUpperCase()];
+      return value === undefined ? { value: raw, problem: 'not_a_digital_state' } : { value, problem: null };
+    }
+    default: {
+      const value = String(raw).trim();
+      if (Array.isArray(field.values) && field.values.length > 0 &&
+        !field.values.some(v => String(v).toUpperCase() === value.toUpperCase())) {
+        return { value, problem: 'unexpected_value' };
+      }
+      return { value, problem: null };
+    }
+  }
+}
+
+/**
+ * Normalize a telemetry frame against a registry
+ * @param {Object} data - Raw data fields { name: value }
+ * @param {Object} registry - Field registry ({ fields, strict })
+ * @returns {{data: Object, issues: Array, valid: Boolean, unknown_fields: Array}}
+ */
+function normalizeTelemetryFields(data, registry = DEFAULT_FIELD_REGISTRY) {
+  const index = buildAliasIndex(registry);
+  const normalized = {};
+  const issues = [];
+  const unknownFields = [];
+
+  Object.entries(data || {}).forEach(([name, raw]) => {
+    const field = index.get(name);
+
+    if (!field) {
+      unknownFields.push(name);
+      if (registry.strict) {
+        issues.push({ field: name, value: raw, problem: 'unknown_field', message: `${name} is not defined for this device type` });
+      }
+      if (!(name in normalized)) normalized[name] = raw;
+      return;
+    }
+
+    // Canonical name wins over an alias sent in the same frame
+    if (name !== field.name && data[field.name] !== undefined) return;
+
+    const { value, problem } = coerceValue(field, raw);
+    normalized[field.name] = value;
+
+    if (problem) {
+      issues.push({ field: field.name, value: raw, problem, message: `${field.name}=${JSON.stringify(raw)} is not a valid ${field.type} value` });
+    } else if (typeof value === 'number') {
+      if (typeof field.min === 'number' && value < field.min) {
+        issues.push({ field: field.name, value: raw, problem: 'out_of_range', message: `${field.name}=${value} is below minimum ${field.min}${field.unit ? ` ${field.unit}` : ''}` });
+      } else if (typeof field.max === 'number' && value > field.max) {
+        issues.push({ field: field.name, value: raw, problem: 'out_of_range', message: `${field.name}=${value} is above maximum ${field.max}${field.unit ? ` ${field.unit}` : ''}` });
+      }
+    }
+  });
+
+  return { data: normalized, issues, valid: issues.length === 0, unknown_fields: unknownFields };
+}
+
+/**
+ * Read a field by canonical name from normalized or raw data (any alias)
+ * @param {Object|Map} data - Telemetry data
+ * @param {String} name - Canonical field name
+ * @param {Object} registry - Field registry
+ */
+function getFieldValue(data, name, registry = DEFAULT_FIELD_REGISTRY) {
+  const get = (key) => (data instanceof Map ? data.get(key) : data?.[key]);
+  const field = (registry.fields || []).find(f => f.name === name);
+  const names = field ? [field.name, ...(field.aliases || [])] : [name];
+
+  for (const key of names) {
+    const value = get(key);
+    if (value !== undefined && value !== null) return value;
+  }
+  return null;
+}
+
+/**
+ * Check a registry definition
+ * @param {Object} registry - { fields }
+ * @returns {Array<String>} Validation errors (empty when valid)
+ */
+function validateRegistry(registry) {
+  const errors = [];
+  const fields = registry && registry.fields;
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return ['fields must be a non-empty array'];
+  }
+
+  const seen = new Map();
+  fields.forEach((field, i) => {
+    const label = field && field.name ? field.name : `fields[${i}]`;
+    if (!field || !field.name) {
+      errors.push(`${label}: name is required`);
+      return;
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      errors.push(`${label}: type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (typeof field.min === 'number' && typeof field.max === 'number' && field.min > field.max) {
+      errors.push(`${label}: min cannot exceed max`);
+    }
+    [field.name, ...(field.aliases || [])].forEach(alias => {
+      if (seen.has(alias) && seen.get(alias) !== field.name) {
+        errors.push(`${label}: name/alias '${alias}' already used by ${seen.get(alias)}`);
+      }
+      seen.set(alias, field.name);
+    });
+  });
+
+  return errors;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  DEFAULT_FIELD_REGISTRY,
+  buildAliasIndex,
+  normalizeTelemetryFields,
+  getFieldValue,
+  validateRegistry
+};
@@ -1,6 +1,6 @@
 /**
  * Time Converter Utilities
- * Converts between seconds and HH:MM:SS format
+ * Converts between seconds and HH:MM:SS format and parses device timestamps
  */
 
 /**
@@ -81,8 +81,24 @@ function ensureLoggingIntervalFormat(settings) {
   return settings;
 }
 
+/**
+ * Parse a device timestamp ("2026-03-04 14:16:52", device local time)
+ * Stored WITHOUT a 'Z' suffix so formatDate() shows the hours/minutes/seconds the device reported.
+ * @param {string} value - TimeStamp field from the frame
+ * @returns {Date|null} null when the value is missing, not a string or not a valid date
+ */
+function parseDeviceTimestamp(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const parsed = new Date(value.trim().replace(' ', 'T'));
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
 module.exports = {
   secondsToHHMMSS,
   hhmmssToSeconds,
-  ensureLoggingIntervalFormat
+  ensureLoggingIntervalFormat,
+  parseDeviceTimestamp
 };